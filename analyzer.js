@@ -1,84 +1,69 @@
-// Enhanced summary generation with business insights
-  generateEnhancedSummary(analysis) {
-    const nav = analysis.navigation;
-    const interactive = analysis.interactiveElements;
-    const content = analysis.contentData;
-    const business = analysis.businessImpact;
-
-    let summary = "**Enhanced JS Content Analysis:**\n\n";
-
-    // Navigation Issues
-    if (nav.main.missing.length > 0 || nav.breadcrumbs.missing.length > 0 || nav.footer.missing.length > 0) {
-      summary += "**Navigation Issues:**\n";
-      
-      if (nav.main.missing.length > 0) {
-        const categories = [...new Set(nav.main.missing.map(link => link.category))];
-        const examples = nav.main.missing.slice(0, 5).map(link => link.text).join(", ");
-        summary += `* Main navigation: ${nav.main.missing.length} links (${examples}${nav.main.missing.length > 5 ? ', etc.' : ''}) - missing without JS\n`;
-        summary += `* Categories affected: ${categories.join(", ")}\n`;
-      }
-      
-      if (nav.breadcrumbs.missing.length > 0) {
-        summary += `* Breadcrumb trail: ${nav.breadcrumbs.depth} levels deep - invisible to crawlers\n`;
-      }
-      
-      if (nav.footer.missing.length > 0) {
-        const types = [...new Set(nav.footer.missing.map(link => link.type))];
-        summary += `* Footer links: ${nav.footer.missing.length} links including ${types.join(", ")} pages - inaccessible\n`;
-      }
-      summary += "\n";
-    }
-
-    // Interactive Elements Breakdown
-    if (interactive.forms.missing.length > 0 || interactive.buttons.missing.length > 0 || 
-        interactive.selectors.missing.length > 0 || interactive.search.missing.length > 0) {
-      summary += "**Interactive Elements Breakdown:**\n";
-      
-      if (interactive.selectors.missing.length > 0) {
-        const types = [...new Set(interactive.selectors.missing.map(s => s.type))];
-        summary += `* Product selection: ${interactive.selectors.missing.length} ${types.join("/")} controls - no default selection visible\n`;
-      }
-      
-      if (interactive.buttons.missing.length > 0) {
-        const purchaseButtons = interactive.buttons.missing.filter(b => ['purchase', 'cart'].includes(b.category));
-        if (purchaseButtons.length > 0) {
-          summary += `* Add to cart: ${purchaseButtons.length} buttons per product - non-functional without JS\n`;
-        }
-        
-        const otherButtons = interactive.buttons.missing.filter(b => !['purchase', 'cart'].includes(b.category));
-        if (otherButtons.length > 0) {
-          const categories = [...new Set(otherButtons.map(b => b.category))];
-          summary += `* ${categories.join("/")} controls: ${otherButtons.length} elements - default to empty\n`;
-        }
-      }
-      
-      if (interactive.search.missing.length > 0) {
-        const hasAutocomplete = interactive.search.missing.some(s => s.hasAutocomplete);
-        summary += `* Search functionality: ${hasAutocomplete ? 'Auto-complete with' : 'Basic search with'} 0 fallback\n`;
-      }
-      
-      if (interactive.forms.missing.length > 0) {
-        const formTypes = [...new Set(interactive.forms.missing.map(f => f.type))];
-        summary += `* ${formTypes.join("/")} forms: Form validation prevents submission\n`;
-      }
-      summary += "\n";
-    }
-
-    // Content Missing from Raw HTML
-    if (content.pricing.missing.length > 0 || content.inventory.missing.length > 0 || 
-        content.reviews.missing.length > 0 || content.media.missing.length > 0) {
-      summary += "**Content Missing from Raw HTML:**\n";
-      
-      if (content.pricing.missing.length > 0) {
-        const currency = content.pricing.currency || 'const { chromium, firefox, webkit } = require('playwright');
-const { google } = require('googleapis');
+const { chromium, firefox, webkit } = require('playwright');
 const fs = require('fs').promises;
+const path = require('path');
+const { snapshotDomTree, diffDomTrees } = require('./src/dom-diff');
+const { collectRenderedContent, extractDocumentText, findTrulyMissingContent } = require('./src/missing-content');
+const { extractHeadingOutline, compareHeadingOutlines } = require('./src/headings');
+const { extractSeoMetadata, compareSeoMetadata } = require('./src/seo-metadata');
+const { extractStructuredData, compareStructuredData } = require('./src/structured-data');
+const { extractLinks, compareLinks } = require('./src/links');
+const { extractTextBlocks, compareTextBlocks } = require('./src/text-snapshot');
+const { htmlPage, renderHtmlReport } = require('./src/html-report');
+const { renderMarkdownReport, markdownToHtml } = require('./src/markdown-report');
+const { HAR_MODES, recordNetwork, classifyApiCalls, attributeJsOnlyText, summarizeNetwork } = require('./src/network');
+const { recordPageErrors, summarizePageErrors } = require('./src/page-errors');
+const { createSheetsSink } = require('./src/sinks');
+const { baselineFileName, loadBaseline, saveBaseline, compareRuns, formatRegression } = require('./src/baseline');
+const { WAIT_STRATEGIES, waitForRenderComplete } = require('./src/wait-strategies');
+const { recordTimeline } = require('./src/render-timeline');
+const { captureScrollState, runScrollPass } = require('./src/scroll-pass');
+const { runInteractionProbe } = require('./src/interaction-probe');
+
+const DEFAULT_TIMEOUTS = {
+  navigation: 30000,
+  networkIdle: 15000,
+  settle: 3000,
+  renderCap: 30000,
+  screenshot: 10000
+};
 
 class AdvancedJSAnalyzer {
-  constructor() {
+  // Options (environment variables are only read by the CLI, see optionsFromEnv):
+  //   url, analysisType ('full' | 'quick' | 'stealth'), browsers (engine names, default by analysisType),
+  //   timeouts ({ navigation, networkIdle, settle, renderCap, screenshot } in ms), outputDir (reports and screenshots),
+  //   waitStrategy ('networkidle' | 'fixed' | 'mutations' | 'text-stable' | 'selector' | 'predicate', see src/wait-strategies),
+  //   waitSelector (for 'selector'), waitPredicate (JS expression, for 'predicate'),
+  //   timelineOffsets (ms after navigation start to sample content at, default 1000/3000/5000; null disables the timeline),
+  //   scroll (scroll the page after the on-load analysis and report content that only appears on scroll),
+  //   probe (click tabs, accordions, "load more" buttons and modal triggers in a separate context),
+  //   sink ({ writeResult(item, results) }) with sinkItem (e.g. { rowNumber }), browserPool,
+  //   enhancedEvasion, forceProtectedMode, forceStealth, runId, repository,
+  //   baselineDir (compare against the stored report for this URL), updateBaseline (replace it after comparing),
+  //   exportPdf (print the markdown audit to analysis-report.pdf with Chromium),
+  //   har ('headers' | 'full' | 'off' - HAR per browser under har/, 'full' embeds response bodies)
+  constructor(options = {}) {
     console.log('🔧 Initializing AdvancedJSAnalyzer...');
-    this.targetUrl = process.env.TARGET_URL;
-    this.analysisType = process.env.ANALYSIS_TYPE || 'full';
+    this.targetUrl = options.url;
+    this.analysisType = options.analysisType || 'full';
+    this.browserNames = options.browsers || null;
+    this.timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeouts };
+    this.waitStrategy = options.waitStrategy || 'networkidle';
+    this.waitSelector = options.waitSelector || null;
+    this.waitPredicate = options.waitPredicate || null;
+    this.timelineOffsets = options.timelineOffsets === undefined ? [1000, 3000, 5000] : options.timelineOffsets;
+    this.scroll = !!options.scroll;
+    this.probe = !!options.probe;
+    this.outputDir = options.outputDir || '.';
+    this.sink = options.sink || null;
+    this.sinkItem = options.sinkItem || {};
+    this.browserPool = options.browserPool || null;
+    this.enhancedEvasion = !!options.enhancedEvasion;
+    this.forceProtectedMode = !!options.forceProtectedMode;
+    this.forceStealth = !!options.forceStealth;
+    this.baselineDir = options.baselineDir || null;
+    this.updateBaseline = !!options.updateBaseline;
+    this.exportPdf = !!options.exportPdf;
+    this.har = options.har || 'off';
     
     console.log(`🎯 Target URL: ${this.targetUrl}`);
     console.log(`📊 Analysis Type: ${this.analysisType}`);
@@ -90,16 +75,63 @@ class AdvancedJSAnalyzer {
       browsers: {},
       summary: {},
       recommendations: [],
-      githubRunId: process.env.GITHUB_RUN_ID
+      githubRunId: options.runId,
+      runUrl: options.runId && options.repository ?
+        `https://github.com/${options.repository}/actions/runs/${options.runId}` :
+        null
     };
     
     console.log('✅ AdvancedJSAnalyzer initialized successfully');
   }
 
+  // CLI fallback: builds constructor options from the environment
+  static optionsFromEnv(env = process.env) {
+    const options = {
+      url: env.TARGET_URL,
+      analysisType: env.ANALYSIS_TYPE || 'full',
+      browsers: env.BROWSERS ? env.BROWSERS.split(',').map(b => b.trim()).filter(Boolean) : null,
+      timeouts: {},
+      waitStrategy: env.WAIT_STRATEGY || 'networkidle',
+      waitSelector: env.WAIT_SELECTOR || null,
+      waitPredicate: env.WAIT_PREDICATE || null,
+      timelineOffsets: env.TIMELINE_OFFSETS === 'off' ? null :
+        env.TIMELINE_OFFSETS ? env.TIMELINE_OFFSETS.split(',').map(o => parseInt(o)).filter(o => o > 0) :
+        undefined,
+      scroll: env.SCROLL_PASS === 'true',
+      probe: env.INTERACTION_PROBE === 'true',
+      outputDir: env.OUTPUT_DIR || '.',
+      enhancedEvasion: env.ENHANCED_EVASION === 'true',
+      forceProtectedMode: env.FORCE_PROTECTED_MODE === 'true',
+      forceStealth: env.FORCE_STEALTH === 'true',
+      baselineDir: env.BASELINE_DIR || null,
+      updateBaseline: env.UPDATE_BASELINE === 'true',
+      exportPdf: env.EXPORT_PDF === 'true',
+      har: env.HAR_MODE || 'off',
+      runId: env.GITHUB_RUN_ID,
+      repository: env.GITHUB_REPOSITORY
+    };
+
+    if (env.NAVIGATION_TIMEOUT) options.timeouts.navigation = parseInt(env.NAVIGATION_TIMEOUT);
+    if (env.NETWORK_IDLE_TIMEOUT) options.timeouts.networkIdle = parseInt(env.NETWORK_IDLE_TIMEOUT);
+    if (env.SETTLE_TIME) options.timeouts.settle = parseInt(env.SETTLE_TIME);
+    if (env.MAX_RENDER_WAIT) options.timeouts.renderCap = parseInt(env.MAX_RENDER_WAIT);
+
+    if (env.GOOGLE_SHEET_ID && env.GOOGLE_SERVICE_ACCOUNT && env.ROW_NUMBER) {
+      options.sink = createSheetsSink({ sheetId: env.GOOGLE_SHEET_ID, credentials: env.GOOGLE_SERVICE_ACCOUNT });
+      options.sinkItem = { rowNumber: parseInt(env.ROW_NUMBER) };
+    }
+
+    return options;
+  }
+
+  outputPath(...segments) {
+    return path.join(this.outputDir, ...segments);
+  }
+
   async analyze() {
-    // Validate environment
+    // Validate options
     if (!this.targetUrl) {
-      throw new Error('TARGET_URL environment variable is required');
+      throw new Error('A url option (or TARGET_URL) is required');
     }
     
     try {
@@ -107,12 +139,28 @@ class AdvancedJSAnalyzer {
     } catch (error) {
       throw new Error(`Invalid URL: ${this.targetUrl}`);
     }
+    
+    if (!WAIT_STRATEGIES.includes(this.waitStrategy)) {
+      throw new Error(`Unknown wait strategy: ${this.waitStrategy} (expected ${WAIT_STRATEGIES.join(', ')})`);
+    }
+    if (this.waitStrategy === 'selector' && !this.waitSelector) {
+      throw new Error('The selector wait strategy needs a waitSelector option (or WAIT_SELECTOR)');
+    }
+    if (this.waitStrategy === 'predicate' && !this.waitPredicate) {
+      throw new Error('The predicate wait strategy needs a waitPredicate option (or WAIT_PREDICATE)');
+    }
+    if (!HAR_MODES.includes(this.har)) {
+      throw new Error(`Unknown HAR mode: ${this.har} (expected ${HAR_MODES.join(', ')})`);
+    }
 
     console.log(`🚀 Starting ${this.analysisType} analysis for: ${this.targetUrl}`);
     
     try {
       // Create required directories
-      await fs.mkdir('screenshots', { recursive: true });
+      await fs.mkdir(this.outputPath('screenshots'), { recursive: true });
+      if (this.har !== 'off') {
+        await fs.mkdir(this.outputPath('har'), { recursive: true });
+      }
       
       const browsers = this.getBrowsersToTest();
       
@@ -132,15 +180,20 @@ class AdvancedJSAnalyzer {
 
       await this.generateSummary();
       await this.generateRecommendations();
+      if (this.baselineDir) {
+        await this.compareWithBaseline();
+      }
       await this.saveResults();
       
-      if (process.env.GOOGLE_SHEET_ID) {
-        await this.updateGoogleSheet();
+      if (this.sink) {
+        await this.writeToSink();
       }
 
       console.log('✅ Analysis complete!');
       this.printSummary();
       
+      return this.results;
+      
     } catch (error) {
       console.error('❌ Analysis failed:', error);
       console.error('❌ Full stack trace:', error.stack);
@@ -156,6 +209,14 @@ class AdvancedJSAnalyzer {
       { name: 'webkit', engine: webkit }
     ];
 
+    if (this.browserNames) {
+      const selected = allBrowsers.filter(b => this.browserNames.includes(b.name));
+      if (selected.length === 0) {
+        throw new Error(`No supported browsers in "${this.browserNames.join(', ')}" - use chromium, firefox or webkit`);
+      }
+      return selected;
+    }
+
     switch (this.analysisType) {
       case 'quick':
         return [allBrowsers[0]]; // Chromium only
@@ -168,7 +229,7 @@ class AdvancedJSAnalyzer {
 
   async analyzeBrowser(browserType, browserName) {
     // Use enhanced evasion if explicitly requested
-    if (process.env.ENHANCED_EVASION === 'true') {
+    if (this.enhancedEvasion) {
       return await this.analyzeWithEnhancedEvasion(browserType, browserName);
     }
     
@@ -215,7 +276,7 @@ class AdvancedJSAnalyzer {
       );
     }
 
-    const browser = await browserType.launch(launchOptions);
+    const browser = await this.launchBrowser(browserType, launchOptions);
     console.log(`  ✅ Browser launched successfully`);
 
     try {
@@ -240,7 +301,10 @@ class AdvancedJSAnalyzer {
         }
       };
 
-      const context = await browser.newContext(contextOptions);
+      const harPath = this.harPath(browserName);
+      let context = await browser.newContext({ ...contextOptions, ...this.harContextOptions(harPath) });
+      let network = recordNetwork(context);
+      let pageErrors = recordPageErrors(context);
       console.log(`  ✅ Browser context created`);
       
       // Apply additional stealth if needed
@@ -249,7 +313,7 @@ class AdvancedJSAnalyzer {
         await this.applyStealth(context);
       }
       
-      const page = await context.newPage();
+      let page = await context.newPage();
       console.log(`  ✅ New page created`);
 
       // Navigate with enhanced error handling for HTTP/2 issues
@@ -262,7 +326,7 @@ class AdvancedJSAnalyzer {
         // First attempt with standard navigation
         response = await page.goto(this.targetUrl, {
           waitUntil: 'domcontentloaded',
-          timeout: 30000
+          timeout: this.timeouts.navigation
         });
         rawHtml = await response.text();
       } catch (error) {
@@ -281,7 +345,9 @@ class AdvancedJSAnalyzer {
             }
           };
           
-          const fallbackContext = await browser.newContext(fallbackOptions);
+          const fallbackContext = await browser.newContext({ ...fallbackOptions, ...this.harContextOptions(harPath) });
+          network = recordNetwork(fallbackContext);
+          pageErrors = recordPageErrors(fallbackContext);
           await this.applyStealth(fallbackContext);
           const fallbackPage = await fallbackContext.newPage();
           
@@ -294,7 +360,7 @@ class AdvancedJSAnalyzer {
           
           response = await fallbackPage.goto(this.targetUrl, {
             waitUntil: 'domcontentloaded',
-            timeout: 30000
+            timeout: this.timeouts.navigation
           });
           
           rawHtml = await response.text();
@@ -309,31 +375,38 @@ class AdvancedJSAnalyzer {
         }
       }
       
+      // Sample content at fixed offsets while the page renders
+      const timeline = this.timelineOffsets ? recordTimeline(page, this.timelineOffsets) : null;
+      if (timeline) await timeline.start();
+      
       // Wait for JavaScript rendering
       console.log(`  ⚡ Waiting for JavaScript execution...`);
-      try {
-        await page.waitForLoadState('networkidle', { timeout: 15000 });
-      } catch (e) {
-        console.log(`  ⏰ Network timeout - continuing...`);
-      }
-      
-      await page.waitForTimeout(3000);
+      const renderWait = await this.waitForRendering(page);
+      const renderTimeline = timeline ? await this.finishTimeline(timeline) : null;
 
       // Get final rendered content
       const renderedHtml = await page.content();
+      // Before the full-page screenshot, which loads lazy content on its own
+      const scrollBaseline = this.scroll ? await captureScrollState(page).catch(() => null) : null;
       
       // Take screenshot
       console.log(`  📸 Taking screenshot...`);
-      const screenshotPath = `screenshots/${browserName}-${Date.now()}.png`;
+      const screenshotPath = this.outputPath('screenshots', `${browserName}-${Date.now()}.png`);
       await page.screenshot({ 
         path: screenshotPath,
         fullPage: true,
-        timeout: 10000
+        timeout: this.timeouts.screenshot
       });
 
+      const networkEntries = await network.finish();
+      const pageErrorLog = pageErrors.finish();
+
+      // Capture the same page with JavaScript disabled for a parser-only baseline
+      const noJsBaseline = await this.captureNoJsBaseline(browser, contextOptions);
+
       // Analyze content
       console.log(`  🔍 STARTING CONTENT ANALYSIS`);
-      const analysis = await this.analyzeContent(page, rawHtml, renderedHtml);
+      const analysis = await this.analyzeContent(page, rawHtml, renderedHtml, noJsBaseline, networkEntries, pageErrorLog);
       console.log(`  ✅ CONTENT ANALYSIS COMPLETED`);
       
       // Get performance metrics
@@ -341,13 +414,27 @@ class AdvancedJSAnalyzer {
       const metrics = await this.getPerformanceMetrics(page);
       console.log(`  ✅ PERFORMANCE METRICS COMPLETED`);
       
+      // After the on-load analysis, so scroll-only content doesn't leak into it
+      const scrollContent = this.scroll ? await this.analyzeScrollContent(page, scrollBaseline) : null;
+      const interactionProbe = this.probe ?
+        await this.probeInteractions(browser, contextOptions, noJsBaseline?.html || rawHtml,
+          this.analysisType === 'stealth' || this.shouldUseStealth() ? probeContext => this.applyStealth(probeContext) : null) :
+        null;
+      
+      // The HAR file is written when its context closes
       await context.close();
+      if (analysis.network && harPath) analysis.network.harPath = harPath;
       
       return {
         ...analysis,
         performanceMetrics: metrics,
+        renderWait: renderWait,
+        renderTimeline: renderTimeline,
+        scrollContent: scrollContent,
+        interactionProbe: interactionProbe,
         screenshotPath: screenshotPath,
         statusCode: response.status(),
+        finalUrl: page.url(),
         timestamp: new Date().toISOString(),
         status: 'success'
       };
@@ -357,9 +444,87 @@ class AdvancedJSAnalyzer {
     }
   }
 
+  // With a pool, closing the returned lease only closes this analysis' contexts
+  async launchBrowser(browserType, launchOptions) {
+    if (this.browserPool) {
+      return await this.browserPool.lease(browserType, launchOptions);
+    }
+    return await browserType.launch(launchOptions);
+  }
+
+  // Clicks happen in a context of their own so they can't change what the main analysis saw
+  async probeInteractions(browser, contextOptions, rawDocumentHtml, applyStealth = null) {
+    console.log(`  🖱️ Probing tabs, accordions, "load more" buttons and modals...`);
+    let context;
+    
+    try {
+      context = await browser.newContext(contextOptions);
+      if (applyStealth) await applyStealth(context);
+      const page = await context.newPage();
+      
+      await page.goto(this.targetUrl, {
+        waitUntil: 'domcontentloaded',
+        timeout: this.timeouts.navigation
+      });
+      await this.waitForRendering(page);
+      
+      const probe = await runInteractionProbe(page, rawDocumentHtml);
+      console.log(`  🖱️ Probe: ${probe.activated}/${probe.widgetsFound} widgets activated, ${probe.revealing} revealed content (${probe.chars.hiddenInRawHtml} chars hidden in raw HTML, ${probe.chars.hiddenAfterRender} hidden after render, ${probe.chars.createdOnClick} created on click)`);
+      return probe;
+    } catch (error) {
+      console.log(`  ⚠️ Interaction probe failed: ${error.message}`);
+      return null;
+    } finally {
+      if (context) {
+        await context.close().catch(() => {});
+      }
+    }
+  }
+
+  async analyzeScrollContent(page, before = null) {
+    try {
+      console.log(`  📜 Scrolling for lazy-loaded content...`);
+      const scroll = await runScrollPass(page, { before });
+      const { scrollOnly } = scroll;
+      console.log(`  📜 Scroll pass: ${scroll.steps} steps${scroll.reachedEnd ? ' to the bottom' : ''}${scroll.infiniteScroll ? ' (infinite scroll)' : ''}, ${scrollOnly.blocks} text blocks, ${scrollOnly.headings.length} headings, ${scrollOnly.links.length} links, ${scrollOnly.prices.length} prices and ${scrollOnly.images} images only after scrolling`);
+      return scroll;
+    } catch (error) {
+      console.log(`  ⚠️ Scroll pass failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async finishTimeline(timeline) {
+    const renderTimeline = await timeline.finish();
+    if (renderTimeline) {
+      const { text, headings, prices } = renderTimeline.categories;
+      const ms = value => value === null ? 'n/a' : `${value}ms`;
+      console.log(`  🕒 Timeline: ${renderTimeline.samples.length} samples, meaningful text at ${ms(text.timeToMeaningful)}, headings at ${ms(headings.timeToMeaningful)}, prices at ${ms(prices.timeToMeaningful)}`);
+    }
+    return renderTimeline;
+  }
+
+  // Returns { strategy, settled, settleTime, cap }; an unsettled page is analyzed as it is at the cap
+  async waitForRendering(page, settleTime = this.timeouts.settle) {
+    const renderWait = await waitForRenderComplete(page, this.waitStrategy, {
+      cap: this.timeouts.renderCap,
+      networkIdle: this.timeouts.networkIdle,
+      settle: settleTime,
+      selector: this.waitSelector,
+      predicate: this.waitPredicate
+    });
+    
+    if (renderWait.settled) {
+      console.log(`  ⏱️ Render settled (${renderWait.strategy}) after ${renderWait.settleTime}ms`);
+    } else {
+      console.log(`  ⏰ ${renderWait.strategy} did not settle${renderWait.error ? ` (${renderWait.error})` : ''} - continuing after ${renderWait.settleTime}ms...`);
+    }
+    return renderWait;
+  }
+
   isExtremelyProtected() {
     // Only use if FORCE_PROTECTED_MODE is set
-    return process.env.FORCE_PROTECTED_MODE === 'true';
+    return this.forceProtectedMode;
   }
 
   async analyzeProtectedSite(browserType, browserName) {
@@ -465,7 +630,7 @@ class AdvancedJSAnalyzer {
       ]
     };
 
-    const browser = await browserType.launch(launchOptions);
+    const browser = await this.launchBrowser(browserType, launchOptions);
 
     try {
       const contextOptions = {
@@ -492,7 +657,10 @@ class AdvancedJSAnalyzer {
         }
       };
 
-      const context = await browser.newContext(contextOptions);
+      const harPath = this.harPath(`${browserName}-enhanced`);
+      const context = await browser.newContext({ ...contextOptions, ...this.harContextOptions(harPath) });
+      const network = recordNetwork(context);
+      const pageErrors = recordPageErrors(context);
       
       // Apply enhanced stealth
       await this.applyEnhancedStealth(context);
@@ -511,44 +679,60 @@ class AdvancedJSAnalyzer {
         throw new Error('Site detected automation and blocked access');
       }
       
+      const timeline = this.timelineOffsets ? recordTimeline(page, this.timelineOffsets) : null;
+      if (timeline) await timeline.start();
+      
       // Wait for JavaScript rendering with human-like delays
       console.log(`  ⚡ Waiting for JavaScript execution...`);
       await page.waitForTimeout(2000 + Math.random() * 3000); // Random 2-5 second delay
       
-      try {
-        await page.waitForLoadState('networkidle', { timeout: 15000 });
-      } catch (e) {
-        console.log(`  ⏰ Network timeout - continuing...`);
-      }
-      
-      await page.waitForTimeout(2000);
+      const renderWait = await this.waitForRendering(page, 2000);
+      const renderTimeline = timeline ? await this.finishTimeline(timeline) : null;
 
       // Get final rendered content
       const rawHtml = await response.text();
       const renderedHtml = await page.content();
+      const scrollBaseline = this.scroll ? await captureScrollState(page).catch(() => null) : null;
       
       // Take screenshot
       console.log(`  📸 Taking screenshot...`);
-      const screenshotPath = `screenshots/${browserName}-enhanced-${Date.now()}.png`;
+      const screenshotPath = this.outputPath('screenshots', `${browserName}-enhanced-${Date.now()}.png`);
       await page.screenshot({ 
         path: screenshotPath,
         fullPage: true,
-        timeout: 10000
+        timeout: this.timeouts.screenshot
       });
 
+      const networkEntries = await network.finish();
+      const pageErrorLog = pageErrors.finish();
+
+      // Capture the same page with JavaScript disabled for a parser-only baseline
+      const noJsBaseline = await this.captureNoJsBaseline(browser, contextOptions);
+
       // Analyze content
-      const analysis = await this.analyzeContent(page, rawHtml, renderedHtml);
+      const analysis = await this.analyzeContent(page, rawHtml, renderedHtml, noJsBaseline, networkEntries, pageErrorLog);
       
       // Get performance metrics
       const metrics = await this.getPerformanceMetrics(page);
       
+      const scrollContent = this.scroll ? await this.analyzeScrollContent(page, scrollBaseline) : null;
+      const interactionProbe = this.probe ?
+        await this.probeInteractions(browser, contextOptions, noJsBaseline?.html || rawHtml, probeContext => this.applyEnhancedStealth(probeContext)) :
+        null;
+      
       await context.close();
+      if (analysis.network && harPath) analysis.network.harPath = harPath;
       
       return {
         ...analysis,
         performanceMetrics: metrics,
+        renderWait: renderWait,
+        renderTimeline: renderTimeline,
+        scrollContent: scrollContent,
+        interactionProbe: interactionProbe,
         screenshotPath: screenshotPath,
         statusCode: response.status(),
+        finalUrl: page.url(),
         timestamp: new Date().toISOString(),
         status: 'success',
         evasionUsed: 'enhanced'
@@ -636,8 +820,8 @@ class AdvancedJSAnalyzer {
 
   async navigateWithFallbacks(page) {
     const strategies = [
-      { waitUntil: 'domcontentloaded', timeout: 30000 },
-      { waitUntil: 'load', timeout: 45000 }
+      { waitUntil: 'domcontentloaded', timeout: this.timeouts.navigation },
+      { waitUntil: 'load', timeout: this.timeouts.navigation * 1.5 }
     ];
     
     for (const strategy of strategies) {
@@ -679,7 +863,7 @@ class AdvancedJSAnalyzer {
 
   shouldUseStealth() {
     // Only use stealth if explicitly requested
-    return this.analysisType === 'stealth' || process.env.FORCE_STEALTH === 'true';
+    return this.analysisType === 'stealth' || this.forceStealth;
   }
 
   async applyStealth(context) {
@@ -760,8 +944,170 @@ class AdvancedJSAnalyzer {
     });
   }
 
+  // Load the page again with JavaScript disabled so the browser's parser builds the DOM
+  // on its own - noscript fallbacks and parser-generated markup show up here, JS output doesn't
+  async captureNoJsBaseline(browser, contextOptions) {
+    console.log(`  🚫 Capturing JavaScript-disabled baseline...`);
+    let context;
+    
+    try {
+      context = await browser.newContext({ ...contextOptions, javaScriptEnabled: false });
+      const page = await context.newPage();
+      
+      const response = await page.goto(this.targetUrl, {
+        waitUntil: 'load',
+        timeout: this.timeouts.navigation
+      });
+      
+      const html = await page.content();
+      const domInfo = await page.evaluate(() => ({
+        elementCount: document.querySelectorAll('*').length,
+        noscriptText: Array.from(document.querySelectorAll('noscript'))
+          .map(el => el.textContent.replace(/\s+/g, ' ').trim())
+          .filter(Boolean)
+          .join(' ')
+      })).catch(() => ({ elementCount: 0, noscriptText: '' }));
+      
+      console.log(`  ✅ No-JS baseline captured (${html.length} chars)`);
+      
+      return {
+        html: html,
+        statusCode: response ? response.status() : null,
+        elementCount: domInfo.elementCount,
+        noscriptText: domInfo.noscriptText
+      };
+    } catch (error) {
+      console.log(`  ⚠️ No-JS baseline failed: ${error.message}`);
+      return { error: error.message };
+    } finally {
+      if (context) {
+        await context.close().catch(() => {});
+      }
+    }
+  }
+
+  // Compare the three capture layers: raw bytes -> no-JS DOM -> rendered DOM
+  analyzeRenderLayers(cleanRaw, cleanRendered, noJsBaseline) {
+    if (!noJsBaseline || noJsBaseline.error) {
+      return {
+        available: false,
+        error: noJsBaseline?.error || 'No-JS baseline not captured'
+      };
+    }
+    
+    const cleanNoJs = this.cleanHtml(noJsBaseline.html);
+    const jsInjected = cleanRendered.length - cleanNoJs.length;
+    
+    return {
+      available: true,
+      rawContentLength: cleanRaw.length,
+      noJsContentLength: cleanNoJs.length,
+      renderedContentLength: cleanRendered.length,
+      noJsElementCount: noJsBaseline.elementCount,
+      noscriptContentLength: noJsBaseline.noscriptText.length,
+      noscriptSample: noJsBaseline.noscriptText.substring(0, 200),
+      // Markup the HTML parser adds or drops on its own (implied tags, entity decoding, noscript)
+      parserDifference: cleanNoJs.length - cleanRaw.length,
+      // Content that only exists once scripts have run
+      jsInjectedDifference: jsInjected,
+      jsInjectedPercent: cleanNoJs.length > 0 ?
+        Math.round((jsInjected / cleanNoJs.length) * 100) : (cleanRendered.length > 0 ? 100 : 0)
+    };
+  }
+
+  async diffRawAndRenderedDom(page, rawDocumentHtml) {
+    try {
+      const rawTree = await page.evaluate(snapshotDomTree, rawDocumentHtml);
+      const renderedTree = await page.evaluate(snapshotDomTree, null);
+      return diffDomTrees(rawTree, renderedTree);
+    } catch (error) {
+      console.log(`  ⚠️ DOM diff failed, falling back to length comparison: ${error.message}`);
+      return null;
+    }
+  }
+
+  async analyzeHeadingOutline(page, rawDocumentHtml) {
+    try {
+      const rawOutline = await page.evaluate(extractHeadingOutline, rawDocumentHtml);
+      const renderedOutline = await page.evaluate(extractHeadingOutline, null);
+      const comparison = compareHeadingOutlines(rawOutline, renderedOutline);
+      
+      console.log(`  📑 Headings: ${comparison.raw.count} raw, ${comparison.rendered.count} rendered, ${comparison.jsOnly.length} JS-only${comparison.h1.changed ? ', H1 changed' : ''}`);
+      return comparison;
+    } catch (error) {
+      console.log(`  ⚠️ Heading outline analysis failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Block-level text of both documents for the side-by-side view in the HTML report
+  async captureTextSnapshot(page, rawDocumentHtml) {
+    try {
+      const raw = await page.evaluate(extractTextBlocks, rawDocumentHtml);
+      const rendered = await page.evaluate(extractTextBlocks, null);
+      const snapshot = compareTextBlocks(raw, rendered);
+      
+      console.log(`  📝 Text snapshot: ${snapshot.rendered.length} rendered blocks, ${snapshot.jsOnlyBlockCount} JS-only`);
+      return snapshot;
+    } catch (error) {
+      console.log(`  ⚠️ Text snapshot failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async analyzeSeoMetadata(page, rawDocumentHtml) {
+    try {
+      const rawMetadata = await page.evaluate(extractSeoMetadata, rawDocumentHtml);
+      const renderedMetadata = await page.evaluate(extractSeoMetadata, null);
+      const comparison = compareSeoMetadata(rawMetadata, renderedMetadata);
+      
+      const highCount = comparison.findings.filter(f => f.severity === 'high').length;
+      console.log(`  🏷️ SEO metadata: ${comparison.statusCounts.added} added, ${comparison.statusCounts.changed} changed, ${comparison.statusCounts.removed} removed by JS${highCount > 0 ? ` (${highCount} high severity)` : ''}`);
+      return comparison;
+    } catch (error) {
+      console.log(`  ⚠️ SEO metadata analysis failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  harPath(name) {
+    return this.har === 'off' ? null : this.outputPath('har', `${name}.har`);
+  }
+
+  harContextOptions(harPath) {
+    if (!harPath) return {};
+    return { recordHar: { path: harPath, mode: 'full', content: this.har === 'full' ? 'embed' : 'omit' } };
+  }
+
+  // Request totals, XHR/fetch calls grouped by endpoint, and which of them delivered JS-only text
+  analyzeNetwork(entries, { textSnapshot, headingOutline, jsRenderedContent }) {
+    const jsOnlyTexts = [
+      ...(textSnapshot ? textSnapshot.rendered.filter(b => b.jsOnly).map(b => b.text) : []),
+      ...(headingOutline ? headingOutline.jsOnly.map(h => h.text) : []),
+      ...(jsRenderedContent.enhancedAnalysis?.contentData.pricing.missing.map(p => p.text) || [])
+    ];
+    
+    const network = {
+      ...summarizeNetwork(entries, this.targetUrl),
+      apiCalls: classifyApiCalls(entries, this.targetUrl),
+      attribution: attributeJsOnlyText(entries, jsOnlyTexts)
+    };
+    
+    console.log(`  🌐 Network: ${network.requests} requests, ${network.apiCalls.length} API endpoints, ${network.attribution.attributedTexts}/${network.attribution.jsOnlyTexts} JS-only texts traced to a response`);
+    return network;
+  }
+
+  // Console errors, uncaught exceptions and failed scripts; renderIncomplete when they likely stopped rendering
+  analyzePageErrors(log, entries, contentDifferencePercent) {
+    const pageErrors = summarizePageErrors(log, entries, this.targetUrl, { contentDifferencePercent });
+    
+    console.log(`  🧯 Page errors: ${pageErrors.consoleErrors} console errors, ${pageErrors.exceptions.length} uncaught, ${pageErrors.failedScripts.length} failed scripts, ${pageErrors.blockedRequests.length} blocked`);
+    pageErrors.reasons.forEach(reason => console.log(`  ⚠️ Render incomplete: ${reason}`));
+    return pageErrors;
+  }
+
   // FIXED: Improved content analysis with better edge case handling
-  async analyzeContent(page, rawHtml, renderedHtml) {
+  async analyzeContent(page, rawHtml, renderedHtml, noJsBaseline = null, networkEntries = null, pageErrorLog = null) {
     console.log(`  📊 Starting content analysis...`);
     
     // Get clean text content for comparison
@@ -773,11 +1119,26 @@ class AdvancedJSAnalyzer {
     console.log(`  📏 Clean raw text length: ${cleanRaw.length}`);
     console.log(`  📏 Clean rendered text length: ${cleanRendered.length}`);
     
-    // FIXED: Better percentage calculation with edge case handling
     const difference = cleanRendered.length - cleanRaw.length;
+    
+    // Prefer the browser's own no-JS parse of the page as the "raw" document
+    const rawDocumentHtml = noJsBaseline?.html || rawHtml;
+    
+    // Structural diff of the parser-only DOM against the rendered DOM
+    const domDiff = await this.diffRawAndRenderedDom(page, rawDocumentHtml);
+    
     let percentChange = 0;
     
-    if (cleanRaw.length > 0) {
+    if (domDiff) {
+      // Percentage of text that JS actually added, relative to the raw document's text
+      console.log(`  🌳 DOM diff: +${domDiff.stats.addedNodes} / -${domDiff.stats.removedNodes} / ~${domDiff.stats.modifiedNodes} nodes, ${domDiff.addedTextLength} chars of text added`);
+      if (domDiff.rawTextLength > 0) {
+        percentChange = Math.min(200, Math.round((domDiff.addedTextLength / domDiff.rawTextLength) * 100));
+      } else if (domDiff.addedTextLength > 0) {
+        percentChange = 100;
+      }
+    } else if (cleanRaw.length > 0) {
+      // FIXED: Better percentage calculation with edge case handling
       percentChange = Math.round((difference / cleanRaw.length) * 100);
       // Cap extreme values that indicate calculation errors
       if (Math.abs(percentChange) > 500) {
@@ -801,6 +1162,12 @@ class AdvancedJSAnalyzer {
     
     console.log(`  📊 Content difference: ${difference} characters (${percentChange}%)`);
     
+    const addedText = domDiff ? domDiff.addedTextLength : Math.abs(difference);
+    const renderLayers = this.analyzeRenderLayers(cleanRaw, cleanRendered, noJsBaseline);
+    if (renderLayers.available) {
+      console.log(`  🧱 Layers: raw ${renderLayers.rawContentLength} → no-JS ${renderLayers.noJsContentLength} → rendered ${renderLayers.renderedContentLength} chars`);
+    }
+    
     // FIXED: More accurate framework detection
     const frameworks = await this.detectFrameworksAccurate(rawHtml, renderedHtml, page);
     console.log(`  🎭 Frameworks detected: ${frameworks.join(', ') || 'None'}`);
@@ -817,19 +1184,61 @@ class AdvancedJSAnalyzer {
 
     console.log(`  🧮 Dynamic elements: ${dynamicElements.totalElements} total, ${dynamicElements.scriptTags} scripts`);
 
+    const structuredData = await this.analyzeStructuredData(page, rawDocumentHtml);
+    const linkGraph = await this.analyzeLinks(page, rawDocumentHtml);
+    
     // FIXED: Improved LLM-focused content analysis
-    const jsRenderedContent = await this.analyzeJSRenderedContentFixed(cleanRaw, cleanRendered, rawHtml, page);
+    const jsRenderedContent = await this.analyzeJSRenderedContentFixed(cleanRaw, cleanRendered, rawHtml, page, {
+      structuredData: structuredData,
+      linkGraph: linkGraph
+    });
+    
+    const headingOutline = await this.analyzeHeadingOutline(page, rawDocumentHtml);
+    const seoMetadata = await this.analyzeSeoMetadata(page, rawDocumentHtml);
+    const textSnapshot = await this.captureTextSnapshot(page, rawDocumentHtml);
+    const network = networkEntries ?
+      this.analyzeNetwork(networkEntries, { textSnapshot, headingOutline, jsRenderedContent }) :
+      null;
+    const pageErrors = pageErrorLog ?
+      this.analyzePageErrors(pageErrorLog, networkEntries || [], percentChange) :
+      null;
+    
+    // Endpoints the page actually called replace guesses from inline script text
+    const technical = jsRenderedContent.enhancedAnalysis?.technicalImplementation;
+    if (network && technical) {
+      const observed = network.apiCalls.map(call => call.endpoint);
+      technical.apiEndpoints = [...observed, ...technical.apiEndpoints.filter(api => !observed.some(endpoint => endpoint.includes(api)))];
+      technical.dataSources = network.attribution.sources.map(source => source.endpoint);
+    }
+    if (headingOutline && jsRenderedContent.trulyMissingContent) {
+      // The outline diff is more precise than text matching for headings
+      jsRenderedContent.trulyMissingContent.headings = {
+        count: headingOutline.jsOnly.length,
+        total: headingOutline.rendered.count,
+        examples: headingOutline.jsOnly.slice(0, 5).map(h => `H${h.level}: ${h.text}`.substring(0, 100)),
+        items: headingOutline.jsOnly.slice(0, 50)
+      };
+    }
 
     return {
       rawHtmlLength: rawHtml.length,
       renderedHtmlLength: renderedHtml.length,
       contentDifference: difference,
       contentDifferencePercent: percentChange,
-      significantChange: Math.abs(percentChange) > 15 || Math.abs(difference) > 2000,
+      significantChange: Math.abs(percentChange) > 15 || addedText > 2000,
       frameworks: frameworks,
       dynamicElements: dynamicElements,
       rawContentLength: cleanRaw.length,
       renderedContentLength: cleanRendered.length,
+      renderLayers: renderLayers,
+      domDiff: domDiff,
+      headingOutline: headingOutline,
+      seoMetadata: seoMetadata,
+      structuredData: structuredData,
+      links: linkGraph,
+      textSnapshot: textSnapshot,
+      network: network,
+      pageErrors: pageErrors,
       jsRenderedContent: jsRenderedContent
     };
   }
@@ -945,64 +1354,136 @@ class AdvancedJSAnalyzer {
   }
 
   // ENHANCED: Deep business-focused LLM content analysis
-  async analyzeJSRenderedContentFixed(rawText, renderedText, rawHtml, page) {
+  async analyzeJSRenderedContentFixed(rawText, renderedText, rawHtml, page, signals = {}) {
     console.log(`  🔍 Performing deep business-focused content analysis...`);
+    const { structuredData, linkGraph } = signals;
+    
+    // Computed separately so scoring, the sheet and the summary still get numbers
+    // if the business analysis below fails
+    const trulyMissingContent = await this.analyzeTrulyMissingContent(page, rawHtml, linkGraph);
     
     try {
       // Get comprehensive missing content analysis with business context
       const enhancedAnalysis = await page.evaluate((contentData) => {
-        const { rawHtmlContent, rawTextContent } = contentData;
+        const { rawHtmlContent, rawTextContent, rawLinkHrefs } = contentData;
         
-        const analysis = {
-          navigation: {
-            main: { missing: [], total: 0, categories: [] },
-            breadcrumbs: { missing: [], total: 0, depth: 0 },
-            footer: { missing: [], total: 0, types: [] },
-            mobile: { missing: [], total: 0 }
-          },
-          interactiveElements: {
-            forms: { missing: [], total: 0, types: [] },
-            buttons: { missing: [], total: 0, categories: [] },
-            selectors: { missing: [], total: 0, types: [] },
-            search: { missing: [], total: 0, features: [] }
-          },
-          contentData: {
-            pricing: { missing: [], total: 0, currency: '', ranges: [] },
-            inventory: { missing: [], total: 0, statuses: [] },
-            reviews: { missing: [], total: 0, ratings: [], count: 0 },
-            products: { missing: [], total: 0, variants: [] },
-            media: { missing: [], total: 0, types: [] }
-          },
-          technicalImplementation: {
-            frameworks: [],
-            dataPatterns: [],
-            apiEndpoints: [],
-            hydrationIssues: [],
-            authBlocks: []
-          },
-          businessImpact: {
-            ecommerceDependent: false,
-            seoImpact: 'low',
-            llmAccessibility: 'high',
-            criticalFunctionsBlocked: []
+        // A nav link exists for crawlers when its resolved href is a real <a href> in the raw document.
+        // Without a link graph fall back to looking for the link text in the raw HTML.
+        const rawLinkSet = rawLinkHrefs ? new Set(rawLinkHrefs) : null;
+        const isLinkInRaw = (link, text) => {
+          if (!rawLinkSet) {
+            return rawHtmlContent.toLowerCase().includes(text.toLowerCase()) ||
+                   rawTextContent.toLowerCase().includes(text.toLowerCase());
+          }
+          const href = (link.getAttribute('href') || '').trim();
+          if (!href || /^(javascript:|#)/i.test(href)) return false;
+          try {
+            const url = new URL(href, document.baseURI);
+            url.hash = '';
+            return rawLinkSet.has(url.href);
+          } catch (e) {
+            return false;
           }
         };
-
-        // ENHANCED Navigation Analysis
-        const mainNav = document.querySelectorAll('nav a, .nav a, .navigation a, .menu a, header a, [role="navigation"] a');
-        analysis.navigation.main.total = mainNav.length;
         
-        Array.from(mainNav).forEach((link) => {
-          const linkText = link.innerText?.trim();
-          const href = link.href;
-          if (linkText && linkText.length > 1) {
-            const category = this.categorizeNavLink(linkText);
-            if (!analysis.navigation.main.categories.includes(category)) {
-              analysis.navigation.main.categories.push(category);
-            }
-            
-            const foundInRaw = rawHtmlContent.toLowerCase().includes(linkText.toLowerCase()) || 
-                              rawTextContent.toLowerCase().includes(linkText.toLowerCase());
+        // Helper functions, declared before the extraction below uses them
+        const categorizeNavLink = function(text) {
+          const lower = text.toLowerCase();
+          if (lower.includes('home') || lower.includes('main')) return 'main';
+          if (lower.includes('product') || lower.includes('shop') || lower.includes('store')) return 'products';
+          if (lower.includes('about') || lower.includes('company') || lower.includes('us')) return 'company';
+          if (lower.includes('contact') || lower.includes('support') || lower.includes('help')) return 'support';
+          if (lower.includes('account') || lower.includes('profile') || lower.includes('login')) return 'account';
+          return 'other';
+        };
+
+        const categorizeFooterLink = function(text) {
+          const lower = text.toLowerCase();
+          if (lower.includes('privacy') || lower.includes('terms') || lower.includes('legal')) return 'legal';
+          if (lower.includes('social') || lower.includes('facebook') || lower.includes('twitter')) return 'social';
+          if (lower.includes('help') || lower.includes('support') || lower.includes('faq')) return 'support';
+          return 'general';
+        };
+
+        const identifyFormType = function(form) {
+          const text = form.innerText?.toLowerCase() || '';
+          const action = form.action?.toLowerCase() || '';
+          if (text.includes('newsletter') || text.includes('subscribe')) return 'newsletter';
+          if (text.includes('contact') || text.includes('message')) return 'contact';
+          if (text.includes('search')) return 'search';
+          if (text.includes('login') || text.includes('sign in')) return 'login';
+          if (action.includes('checkout') || text.includes('payment')) return 'checkout';
+          return 'general';
+        };
+
+        const categorizeButton = function(text) {
+          const lower = text.toLowerCase();
+          if (lower.includes('buy') || lower.includes('purchase') || lower.includes('order')) return 'purchase';
+          if (lower.includes('cart') || lower.includes('add to')) return 'cart';
+          if (lower.includes('search') || lower.includes('find')) return 'search';
+          if (lower.includes('subscribe') || lower.includes('newsletter')) return 'newsletter';
+          if (lower.includes('contact') || lower.includes('submit')) return 'form';
+          return 'general';
+        };
+
+        const getPriceContext = function(element) {
+          const parent = element.closest('[class*="product"], [class*="item"], [class*="card"]');
+          if (parent) {
+            const title = parent.querySelector('h1, h2, h3, h4, .title, .name');
+            if (title) return title.innerText?.substring(0, 30) || 'product';
+          }
+          return 'unknown';
+        };
+
+        const analysis = {
+          navigation: {
+            main: { missing: [], total: 0, categories: [] },
+            breadcrumbs: { missing: [], total: 0, depth: 0 },
+            footer: { missing: [], total: 0, types: [] },
+            mobile: { missing: [], total: 0 }
+          },
+          interactiveElements: {
+            forms: { missing: [], total: 0, types: [] },
+            buttons: { missing: [], total: 0, categories: [] },
+            selectors: { missing: [], total: 0, types: [] },
+            search: { missing: [], total: 0, features: [] }
+          },
+          contentData: {
+            pricing: { missing: [], total: 0, currency: '', ranges: [] },
+            inventory: { missing: [], total: 0, statuses: [] },
+            reviews: { missing: [], total: 0, ratings: [], count: 0 },
+            products: { missing: [], total: 0, variants: [] },
+            media: { missing: [], total: 0, types: [] }
+          },
+          technicalImplementation: {
+            frameworks: [],
+            dataPatterns: [],
+            apiEndpoints: [],
+            hydrationIssues: [],
+            authBlocks: []
+          },
+          businessImpact: {
+            ecommerceDependent: false,
+            seoImpact: 'low',
+            llmAccessibility: 'high',
+            criticalFunctionsBlocked: []
+          }
+        };
+
+        // ENHANCED Navigation Analysis
+        const mainNav = document.querySelectorAll('nav a, .nav a, .navigation a, .menu a, header a, [role="navigation"] a');
+        analysis.navigation.main.total = mainNav.length;
+        
+        Array.from(mainNav).forEach((link) => {
+          const linkText = link.innerText?.trim();
+          const href = link.href;
+          if (linkText && linkText.length > 1) {
+            const category = categorizeNavLink(linkText);
+            if (!analysis.navigation.main.categories.includes(category)) {
+              analysis.navigation.main.categories.push(category);
+            }
+            
+            const foundInRaw = isLinkInRaw(link, linkText);
             if (!foundInRaw) {
               analysis.navigation.main.missing.push({
                 text: linkText.substring(0, 50),
@@ -1021,7 +1502,7 @@ class AdvancedJSAnalyzer {
         Array.from(breadcrumbs).forEach((crumb) => {
           const crumbText = crumb.innerText?.trim();
           if (crumbText) {
-            const foundInRaw = rawHtmlContent.toLowerCase().includes(crumbText.toLowerCase());
+            const foundInRaw = isLinkInRaw(crumb, crumbText);
             if (!foundInRaw) {
               analysis.navigation.breadcrumbs.missing.push(crumbText.substring(0, 30));
             }
@@ -1035,12 +1516,12 @@ class AdvancedJSAnalyzer {
         Array.from(footerLinks).forEach((link) => {
           const linkText = link.innerText?.trim();
           if (linkText) {
-            const type = this.categorizeFooterLink(linkText);
+            const type = categorizeFooterLink(linkText);
             if (!analysis.navigation.footer.types.includes(type)) {
               analysis.navigation.footer.types.push(type);
             }
             
-            const foundInRaw = rawHtmlContent.toLowerCase().includes(linkText.toLowerCase());
+            const foundInRaw = isLinkInRaw(link, linkText);
             if (!foundInRaw) {
               analysis.navigation.footer.missing.push({
                 text: linkText.substring(0, 40),
@@ -1055,7 +1536,7 @@ class AdvancedJSAnalyzer {
         analysis.interactiveElements.forms.total = forms.length;
         
         Array.from(forms).forEach((form) => {
-          const formType = this.identifyFormType(form);
+          const formType = identifyFormType(form);
           if (!analysis.interactiveElements.forms.types.includes(formType)) {
             analysis.interactiveElements.forms.types.push(formType);
           }
@@ -1077,7 +1558,7 @@ class AdvancedJSAnalyzer {
         Array.from(buttons).forEach((button) => {
           const buttonText = button.innerText?.trim() || button.value?.trim() || button.title?.trim();
           if (buttonText) {
-            const category = this.categorizeButton(buttonText);
+            const category = categorizeButton(buttonText);
             if (!analysis.interactiveElements.buttons.categories.includes(category)) {
               analysis.interactiveElements.buttons.categories.push(category);
             }
@@ -1164,7 +1645,7 @@ class AdvancedJSAnalyzer {
               analysis.contentData.pricing.missing.push({
                 text: priceText.substring(0, 20),
                 currency: currency,
-                context: this.getPriceContext(el)
+                context: getPriceContext(el)
               });
             }
           }
@@ -1315,66 +1796,41 @@ class AdvancedJSAnalyzer {
           analysis.businessImpact.criticalFunctionsBlocked.push('Customer reviews');
         }
 
-        // Helper functions
-        this.categorizeNavLink = function(text) {
-          const lower = text.toLowerCase();
-          if (lower.includes('home') || lower.includes('main')) return 'main';
-          if (lower.includes('product') || lower.includes('shop') || lower.includes('store')) return 'products';
-          if (lower.includes('about') || lower.includes('company') || lower.includes('us')) return 'company';
-          if (lower.includes('contact') || lower.includes('support') || lower.includes('help')) return 'support';
-          if (lower.includes('account') || lower.includes('profile') || lower.includes('login')) return 'account';
-          return 'other';
-        };
-
-        this.categorizeFooterLink = function(text) {
-          const lower = text.toLowerCase();
-          if (lower.includes('privacy') || lower.includes('terms') || lower.includes('legal')) return 'legal';
-          if (lower.includes('social') || lower.includes('facebook') || lower.includes('twitter')) return 'social';
-          if (lower.includes('help') || lower.includes('support') || lower.includes('faq')) return 'support';
-          return 'general';
-        };
-
-        this.identifyFormType = function(form) {
-          const text = form.innerText?.toLowerCase() || '';
-          const action = form.action?.toLowerCase() || '';
-          if (text.includes('newsletter') || text.includes('subscribe')) return 'newsletter';
-          if (text.includes('contact') || text.includes('message')) return 'contact';
-          if (text.includes('search')) return 'search';
-          if (text.includes('login') || text.includes('sign in')) return 'login';
-          if (action.includes('checkout') || text.includes('payment')) return 'checkout';
-          return 'general';
-        };
-
-        this.categorizeButton = function(text) {
-          const lower = text.toLowerCase();
-          if (lower.includes('buy') || lower.includes('purchase') || lower.includes('order')) return 'purchase';
-          if (lower.includes('cart') || lower.includes('add to')) return 'cart';
-          if (lower.includes('search') || lower.includes('find')) return 'search';
-          if (lower.includes('subscribe') || lower.includes('newsletter')) return 'newsletter';
-          if (lower.includes('contact') || lower.includes('submit')) return 'form';
-          return 'general';
-        };
-
-        this.getPriceContext = function(element) {
-          const parent = element.closest('[class*="product"], [class*="item"], [class*="card"]');
-          if (parent) {
-            const title = parent.querySelector('h1, h2, h3, h4, .title, .name');
-            if (title) return title.innerText?.substring(0, 30) || 'product';
-          }
-          return 'unknown';
-        };
-
         return analysis;
-      }, { rawHtmlContent: rawHtml, rawTextContent: rawText });
+      }, {
+        rawHtmlContent: rawHtml,
+        rawTextContent: rawText,
+        rawLinkHrefs: linkGraph ? linkGraph.rawCrawlableHrefs : null
+      });
+      
+      // schema.org data is a more reliable source for prices and ratings than class-name guessing
+      if (structuredData) {
+        this.applyStructuredData(enhancedAnalysis, structuredData.commerce);
+      }
+      
+      if (linkGraph) {
+        this.applyLinkGraph(enhancedAnalysis, linkGraph);
+      }
 
       return {
         summary: this.generateEnhancedSummary(enhancedAnalysis),
         enhancedAnalysis: enhancedAnalysis,
+        trulyMissingContent: trulyMissingContent,
         recommendations: this.generateEnhancedRecommendations(enhancedAnalysis)
       };
 
     } catch (error) {
       console.error(`  ❌ Enhanced content analysis failed: ${error.message}`);
+      
+      if (trulyMissingContent) {
+        return {
+          error: error.message,
+          summary: this.generateLLMFocusedSummaryFixed(trulyMissingContent),
+          trulyMissingContent: trulyMissingContent,
+          recommendations: this.generateLLMFocusedRecommendationsFixed(trulyMissingContent)
+        };
+      }
+      
       return {
         error: error.message,
         summary: 'Unable to perform enhanced content analysis',
@@ -1383,2070 +1839,383 @@ class AdvancedJSAnalyzer {
     }
   }
 
-  // FIXED: Fixed summary generation logic
-  generateLLMFocusedSummaryFixed(missingContent) {
-    const totalMissing = 
-      (missingContent.navigation?.count || 0) + 
-      (missingContent.headings?.count || 0) + 
-      (missingContent.criticalData?.count || 0) +
-      (missingContent.interactiveElements?.count || 0);
-    
-    if (totalMissing === 0) {
-      return 'Content appears fully accessible to LLMs - no significant missing elements detected';
-    }
+  applyStructuredData(analysis, commerce) {
+    const { pricing, reviews } = analysis.contentData;
     
-    const issues = [];
-    if (missingContent.criticalData?.count > 0) {
-      issues.push(`${missingContent.criticalData.count} pricing/data elements missing (CRITICAL)`);
-    }
-    if (missingContent.headings?.count > 0) {
-      issues.push(`${missingContent.headings.count} headings missing`);
-    }
-    if (missingContent.navigation?.count > 0) {
-      issues.push(`${missingContent.navigation.count} navigation links missing`);
-    }
-    if (missingContent.interactiveElements?.count > 0) {
-      issues.push(`${missingContent.interactiveElements.count} interactive elements missing`);
+    if (commerce.price !== null) {
+      const currency = commerce.currency || pricing.currency;
+      pricing.source = 'structured-data';
+      pricing.structured = { price: commerce.price, currency: currency, inRawHtml: commerce.priceInRaw };
+      pricing.heuristicMissing = pricing.missing.length;
+      pricing.currency = currency || '';
+      pricing.total = Math.max(pricing.total, 1);
+      if (pricing.ranges.length === 0) {
+        pricing.ranges = [`${commerce.price}`, `${commerce.price}`];
+      }
+      pricing.missing = commerce.priceInRaw ? [] : [{
+        text: `${commerce.price}`.substring(0, 20),
+        currency: currency || '',
+        context: 'schema.org Product.offers.price'
+      }];
+    }
+    
+    if (commerce.ratingValue !== null) {
+      const rating = parseFloat(commerce.ratingValue);
+      reviews.source = 'structured-data';
+      reviews.structured = { ratingValue: commerce.ratingValue, reviewCount: commerce.reviewCount, inRawHtml: commerce.ratingInRaw };
+      reviews.heuristicMissing = reviews.missing.length;
+      reviews.total = Math.max(reviews.total, 1);
+      if (!isNaN(rating)) {
+        reviews.ratings = [rating, rating, rating.toFixed(1)];
+      }
+      reviews.count = parseInt(commerce.reviewCount) || reviews.count;
+      reviews.missing = commerce.ratingInRaw ? [] : [{
+        preview: `${commerce.ratingValue}★ from ${commerce.reviewCount || 'unknown'} reviews (schema.org AggregateRating)`,
+        hasRating: true
+      }];
     }
     
-    return `LLM Impact: ${issues.join(' | ')}`;
+    this.refreshBusinessImpact(analysis);
   }
 
-  generateLLMFocusedRecommendationsFixed(missingContent) {
-    const recommendations = [];
-    const totalIssues = 
-      (missingContent.navigation?.count || 0) + 
-      (missingContent.headings?.count || 0) + 
-      (missingContent.criticalData?.count || 0) +
-      (missingContent.interactiveElements?.count || 0);
+  // Recompute the business impact verdicts after the in-page analysis has been adjusted
+  refreshBusinessImpact(analysis) {
+    const { contentData, interactiveElements, businessImpact } = analysis;
+    const totalMissingCritical = contentData.pricing.missing.length +
+                                 contentData.inventory.missing.length +
+                                 interactiveElements.buttons.missing.filter(b =>
+                                   ['purchase', 'cart', 'buy'].includes(b.category)).length;
     
-    if (totalIssues === 0) {
-      recommendations.push('✅ Excellent LLM accessibility - all content available in raw HTML');
-      return recommendations;
-    }
+    businessImpact.ecommerceDependent = totalMissingCritical > 2 || contentData.pricing.missing.length > 0;
+    businessImpact.llmAccessibility = totalMissingCritical > 3 ? 'poor' :
+                                      totalMissingCritical > 1 ? 'limited' : 'good';
     
-    if (missingContent.criticalData?.count > 0) {
-      recommendations.push(`💰 CRITICAL: ${missingContent.criticalData.count} pricing/data elements require JavaScript`);
+    businessImpact.criticalFunctionsBlocked = [];
+    if (contentData.pricing.missing.length > 0) {
+      businessImpact.criticalFunctionsBlocked.push('Product pricing');
     }
-    
-    if (missingContent.headings?.count > 0) {
-      recommendations.push(`📝 HIGH: ${missingContent.headings.count} headings missing from raw HTML`);
+    if (interactiveElements.buttons.missing.some(b => ['purchase', 'cart'].includes(b.category))) {
+      businessImpact.criticalFunctionsBlocked.push('E-commerce functionality');
     }
-    
-    if (totalIssues > 3) {
-      recommendations.push('🚨 RECOMMENDATION: JavaScript rendering essential for LLM access');
-    } else if (totalIssues > 0) {
-      recommendations.push('⚠️ RECOMMENDATION: Consider JavaScript rendering for complete content access');
+    if (contentData.reviews.missing.length > 0) {
+      businessImpact.criticalFunctionsBlocked.push('Customer reviews');
+    }
+  }
+
+  async analyzeStructuredData(page, rawDocumentHtml) {
+    try {
+      const rawData = await page.evaluate(extractStructuredData, rawDocumentHtml);
+      const renderedData = await page.evaluate(extractStructuredData, null);
+      const comparison = compareStructuredData(rawData, renderedData);
+      
+      console.log(`  🧬 Structured data: ${comparison.raw.entityCount} raw, ${comparison.rendered.entityCount} rendered entities, ${comparison.jsOnlyEntities.length} JS-only entities, ${comparison.jsOnlyProperties.length} JS-only properties`);
+      return comparison;
+    } catch (error) {
+      console.log(`  ⚠️ Structured data analysis failed: ${error.message}`);
+      return null;
     }
+  }
+
+  // SEO impact follows from how many internal links crawlers can't discover without rendering
+  applyLinkGraph(analysis, linkGraph) {
+    const navMissing = analysis.navigation.main.missing.length;
+    const hiddenInternal = linkGraph.jsOnlyInternalCount +
+      linkGraph.uncrawlable.filter(l => l.region !== 'body').length;
     
-    return recommendations;
+    analysis.navigation.linkGraph = {
+      rawCrawlable: linkGraph.raw.crawlable,
+      renderedCrawlable: linkGraph.rendered.crawlable,
+      jsOnlyInternal: linkGraph.jsOnlyInternalCount,
+      jsOnlyExternal: linkGraph.jsOnlyExternalCount,
+      uncrawlable: linkGraph.uncrawlableCount
+    };
+    
+    analysis.businessImpact.seoImpact = hiddenInternal > 10 || navMissing > 5 ? 'high' :
+                                        hiddenInternal > 3 || navMissing > 2 ? 'medium' : 'low';
   }
 
-  // FIXED: Better HTML cleaning that preserves meaningful content
-  cleanHtml(html) {
-    return html
-      // Remove scripts and styles first
-      .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-      .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-      .replace(/<!--[\s\S]*?-->/g, '')
-      // Remove HTML tags but preserve content
-      .replace(/<[^>]*>/g, ' ')
-      // Normalize whitespace but don't be too aggressive
-      .replace(/\s+/g, ' ')
-      .trim();
+  async analyzeLinks(page, rawDocumentHtml) {
+    try {
+      const rawLinks = await page.evaluate(extractLinks, rawDocumentHtml);
+      const renderedLinks = await page.evaluate(extractLinks, null);
+      const comparison = compareLinks(rawLinks, renderedLinks, this.targetUrl);
+      
+      console.log(`  🔗 Links: ${comparison.raw.crawlable} crawlable raw, ${comparison.rendered.crawlable} rendered, ${comparison.jsOnlyInternalCount} internal + ${comparison.jsOnlyExternalCount} external JS-only, ${comparison.uncrawlableCount} uncrawlable`);
+      return comparison;
+    } catch (error) {
+      console.log(`  ⚠️ Link analysis failed: ${error.message}`);
+      return null;
+    }
   }
 
-  async getPerformanceMetrics(page) {
+  // Match rendered navigation, headings, text blocks, data and controls against the raw document
+  async analyzeTrulyMissingContent(page, rawHtml, linkGraph = null) {
     try {
-      return await page.evaluate(() => {
-        const navigation = performance.getEntriesByType('navigation')[0];
-        const paint = performance.getEntriesByType('paint');
-        
-        return {
-          domContentLoaded: navigation ? navigation.domContentLoadedEventEnd - navigation.domContentLoadedEventStart : 0,
-          loadComplete: navigation ? navigation.loadEventEnd - navigation.loadEventStart : 0,
-          firstPaint: paint.find(p => p.name === 'first-paint')?.startTime || 0,
-          firstContentfulPaint: paint.find(p => p.name === 'first-contentful-paint')?.startTime || 0,
-          totalLoadTime: navigation ? navigation.loadEventEnd - navigation.navigationStart : 0
+      const renderedContent = await page.evaluate(collectRenderedContent);
+      const rawDocumentText = await page.evaluate(extractDocumentText, rawHtml);
+      const missing = findTrulyMissingContent(renderedContent, rawDocumentText);
+      
+      if (linkGraph) {
+        // Navigation links are missing when crawlers can't follow them, not when their text is absent
+        const navLinks = [
+          ...linkGraph.jsOnlyInternal.filter(l => l.region !== 'body'),
+          ...linkGraph.uncrawlable.filter(l => l.region !== 'body')
+        ];
+        const navTotal = renderedContent.navigation.length;
+        missing.navigation = {
+          count: navLinks.length,
+          total: Math.max(navTotal, navLinks.length),
+          examples: navLinks.slice(0, 5).map(l => (l.text || l.href || l.rawHref).substring(0, 100)),
+          items: navLinks.slice(0, 50)
         };
-      });
+      }
+      
+      console.log(`  🧩 Truly missing: ${missing.navigation.count} nav, ${missing.headings.count} headings, ${missing.textContent.count} text blocks, ${missing.criticalData.count} data, ${missing.interactiveElements.count} interactive`);
+      return missing;
     } catch (error) {
-      return { error: error.message };
+      console.log(`  ⚠️ Missing content analysis failed: ${error.message}`);
+      return null;
     }
   }
 
-  async generateSummary() {
-    const browsers = Object.values(this.results.browsers).filter(b => !b.error);
-    
-    if (browsers.length === 0) {
-      this.results.summary = {
-        requiresJSRendering: false,
-        averageContentChange: 0,
-        frameworksDetected: [],
-        llmAccessibilityScore: 0,
-        crossBrowserConsistency: 'N/A',
-        analysisConfidence: 0,
-        error: 'All browsers failed'
-      };
-      return;
-    }
+  // Enhanced summary generation with business insights
+  generateEnhancedSummary(analysis) {
+    const nav = analysis.navigation;
+    const interactive = analysis.interactiveElements;
+    const content = analysis.contentData;
+    const business = analysis.businessImpact;
 
-    const hasSignificantChanges = browsers.some(b => b.significantChange);
-    const avgDifferencePercent = browsers.reduce((sum, b) => sum + Math.abs(b.contentDifferencePercent || 0), 0) / browsers.length;
-    
-    const allFrameworks = [...new Set(browsers.flatMap(b => b.frameworks || []))];
-    const accessibilityScore = this.calculateScore(browsers, allFrameworks, avgDifferencePercent);
-    
-    this.results.summary = {
-      requiresJSRendering: hasSignificantChanges,
-      averageContentChange: Math.round(avgDifferencePercent),
-      frameworksDetected: allFrameworks,
-      llmAccessibilityScore: accessibilityScore,
-      crossBrowserConsistency: this.calculateConsistency(browsers),
-      analysisConfidence: this.calculateConfidence(browsers),
-      totalLoadTime: Math.round(browsers.reduce((sum, b) => sum + (b.performanceMetrics?.totalLoadTime || 0), 0) / browsers.length)
-    };
-  }
+    let summary = "**Enhanced JS Content Analysis:**\n\n";
 
-  // FIXED: Enhanced scoring logic that accounts for business impact
-  calculateScore(browsers, frameworks, avgDifferencePercent) {
-    let score = 100;
-    
-    // FIXED: More reasonable penalties
-    if (avgDifferencePercent > 100) score -= 40;
-    else if (avgDifferencePercent > 50) score -= 30;
-    else if (avgDifferencePercent > 25) score -= 20;
-    else if (avgDifferencePercent > 10) score -= 10;
-    
-    // FIXED: Framework penalties only for confirmed modern frameworks
-    const confirmedModernFrameworks = frameworks.filter(f => 
-      ['React', 'Vue.js', 'Angular', 'Next.js', 'Nuxt.js', 'Svelte'].includes(f)
-    );
-    score -= confirmedModernFrameworks.length * 10;
-    
-    // ENHANCED: Use business impact analysis for more accurate scoring
-    browsers.forEach(browser => {
-      if (browser.jsRenderedContent?.enhancedAnalysis) {
-        const analysis = browser.jsRenderedContent.enhancedAnalysis;
-        
-        // Heavy penalty for missing critical business content
-        if (analysis.contentData.pricing.missing.length > 0) {
-          score -= 30; // Critical for e-commerce
-        }
-        
-        if (analysis.contentData.reviews.missing.length > 0) {
-          score -= 15; // Important for trust/conversion
-        }
-        
-        if (analysis.navigation.main.missing.length > 5) {
-          score -= 20; // Major navigation issues
-        } else if (analysis.navigation.main.missing.length > 0) {
-          score -= analysis.navigation.main.missing.length * 2;
-        }
-        
-        if (analysis.interactiveElements.buttons.missing.some(b => 
-            ['purchase', 'cart', 'buy'].includes(b.category))) {
-          score -= 25; // E-commerce functionality broken
+    // Navigation Issues
+    if (nav.main.missing.length > 0 || nav.breadcrumbs.missing.length > 0 || nav.footer.missing.length > 0) {
+      summary += "**Navigation Issues:**\n";
+      
+      if (nav.main.missing.length > 0) {
+        const categories = [...new Set(nav.main.missing.map(link => link.category))];
+        const examples = nav.main.missing.slice(0, 5).map(link => link.text).join(", ");
+        summary += `* Main navigation: ${nav.main.missing.length} links (${examples}${nav.main.missing.length > 5 ? ', etc.' : ''}) - missing without JS\n`;
+        summary += `* Categories affected: ${categories.join(", ")}\n`;
+      }
+      
+      if (nav.breadcrumbs.missing.length > 0) {
+        summary += `* Breadcrumb trail: ${nav.breadcrumbs.depth} levels deep - invisible to crawlers\n`;
+      }
+      
+      if (nav.footer.missing.length > 0) {
+        const types = [...new Set(nav.footer.missing.map(link => link.type))];
+        summary += `* Footer links: ${nav.footer.missing.length} links including ${types.join(", ")} pages - inaccessible\n`;
+      }
+      summary += "\n";
+    }
+
+    // Interactive Elements Breakdown
+    if (interactive.forms.missing.length > 0 || interactive.buttons.missing.length > 0 || 
+        interactive.selectors.missing.length > 0 || interactive.search.missing.length > 0) {
+      summary += "**Interactive Elements Breakdown:**\n";
+      
+      if (interactive.selectors.missing.length > 0) {
+        const types = [...new Set(interactive.selectors.missing.map(s => s.type))];
+        summary += `* Product selection: ${interactive.selectors.missing.length} ${types.join("/")} controls - no default selection visible\n`;
+      }
+      
+      if (interactive.buttons.missing.length > 0) {
+        const purchaseButtons = interactive.buttons.missing.filter(b => ['purchase', 'cart'].includes(b.category));
+        if (purchaseButtons.length > 0) {
+          summary += `* Add to cart: ${purchaseButtons.length} buttons per product - non-functional without JS\n`;
         }
         
-        if (analysis.businessImpact.ecommerceDependent) {
-          const dependencyPercent = this.calculateEcommerceDependency(analysis);
-          score -= Math.floor(dependencyPercent / 10); // 1 point per 10% dependency
+        const otherButtons = interactive.buttons.missing.filter(b => !['purchase', 'cart'].includes(b.category));
+        if (otherButtons.length > 0) {
+          const categories = [...new Set(otherButtons.map(b => b.category))];
+          summary += `* ${categories.join("/")} controls: ${otherButtons.length} elements - default to empty\n`;
         }
-      } else {
-        // Fallback to original logic for backward compatibility
-        const hasSignificantChanges = browser.significantChange;
-        const hasActualMissingContent = browser.jsRenderedContent?.trulyMissingContent && 
-          Object.values(browser.jsRenderedContent.trulyMissingContent).some(category => category.count > 0);
-        
-        if (hasSignificantChanges && hasActualMissingContent) {
-          score -= 25;
+      }
+      
+      if (interactive.search.missing.length > 0) {
+        const hasAutocomplete = interactive.search.missing.some(s => s.hasAutocomplete);
+        summary += `* Search functionality: ${hasAutocomplete ? 'Auto-complete with' : 'Basic search with'} 0 fallback\n`;
+      }
+      
+      if (interactive.forms.missing.length > 0) {
+        const formTypes = [...new Set(interactive.forms.missing.map(f => f.type))];
+        summary += `* ${formTypes.join("/")} forms: Form validation prevents submission\n`;
+      }
+      summary += "\n";
+    }
+
+    // Content Missing from Raw HTML
+    if (content.pricing.missing.length > 0 || content.inventory.missing.length > 0 || 
+        content.reviews.missing.length > 0 || content.media.missing.length > 0) {
+      summary += "**Content Missing from Raw HTML:**\n";
+      
+      if (content.pricing.missing.length > 0) {
+        const range = content.pricing.ranges.length > 0 ? 
+          ` (${content.pricing.ranges[0]} - ${content.pricing.ranges[1]})` : '';
+        summary += `* Product pricing: $0.00 shown, real prices${range} load via JS\n`;
+      }
+      
+      if (content.inventory.missing.length > 0) {
+        const statuses = [...new Set(content.inventory.missing.map(i => i.status))];
+        summary += `* Inventory status: "${statuses.join('", "')}" labels added dynamically\n`;
+      }
+      
+      if (content.reviews.missing.length > 0) {
+        const avgRating = content.reviews.ratings.length > 0 ? content.reviews.ratings[2] : 'N/A';
+        const reviewCount = content.reviews.count || content.reviews.missing.length;
+        summary += `* Customer reviews: ${reviewCount} reviews${avgRating !== 'N/A' ? ` (${avgRating}★ average)` : ''} - completely hidden\n`;
+      }
+      
+      if (content.media.missing.length > 0) {
+        const mediaTypes = [...new Set(content.media.missing.map(m => m.type))];
+        const galleries = content.media.missing.filter(m => m.type === 'gallery' || m.type === 'carousel');
+        if (galleries.length > 0) {
+          summary += `* Product images: Main gallery of ${galleries.length} images - only placeholder visible\n`;
+        } else {
+          summary += `* Media content: ${content.media.missing.length} ${mediaTypes.join('/')} elements - missing without JS\n`;
         }
       }
-    });
-    
-    // FIXED: Content length check
-    const avgRawContent = browsers.reduce((sum, b) => sum + (b.rawContentLength || 0), 0) / browsers.length;
-    if (avgRawContent < 500) score -= 15;
-    
-    return Math.max(0, Math.min(100, Math.round(score)));
-  }
+      summary += "\n";
+    }
 
-  calculateConsistency(browsers) {
-    if (browsers.length < 2) return 'N/A';
+    // Technical Implementation
+    if (analysis.technicalImplementation.hydrationIssues.length > 0 || 
+        analysis.technicalImplementation.apiEndpoints.length > 0) {
+      summary += "**Technical Implementation:**\n";
+      
+      if (analysis.technicalImplementation.hydrationIssues.length > 0) {
+        summary += `* Uses ${analysis.technicalImplementation.hydrationIssues[0]} - server sends empty containers\n`;
+      }
+      
+      if (analysis.technicalImplementation.apiEndpoints.length > 0) {
+        const mainEndpoint = analysis.technicalImplementation.apiEndpoints[0];
+        summary += `* Data fetched from ${mainEndpoint} endpoint after page load\n`;
+      }
+      
+      if (content.pricing.missing.length > 0 || interactive.forms.missing.some(f => f.type === 'login')) {
+        summary += `* Critical content blocked by authentication checks in JS\n`;
+      }
+      summary += "\n";
+    }
+
+    // Business Impact
+    summary += "**Business Impact:**\n";
     
-    const differences = browsers.map(b => Math.abs(b.contentDifferencePercent || 0));
-    const variance = differences.reduce((sum, diff) => sum + Math.pow(diff - (differences.reduce((a, b) => a + b) / differences.length), 2), 0) / differences.length;
+    if (business.ecommerceDependent) {
+      const dependencyPercent = this.calculateEcommerceDependency(analysis);
+      summary += `* E-commerce functionality ${dependencyPercent}% dependent on JavaScript\n`;
+    }
     
-    return variance < 25 ? 'High' : variance < 100 ? 'Medium' : 'Low';
+    if (business.seoImpact !== 'low') {
+      summary += `* SEO crawlers see ${business.seoImpact === 'high' ? 'placeholder content only' : 'limited content'}\n`;
+    }
+    
+    if (business.criticalFunctionsBlocked.length > 0) {
+      summary += `* LLM tools cannot access ${business.criticalFunctionsBlocked.join(", ").toLowerCase()}\n`;
+    } else {
+      summary += `* LLM accessibility: ${business.llmAccessibility} - most content available\n`;
+    }
+
+    return summary;
   }
 
-  calculateConfidence(browsers) {
-    let confidence = 100;
-    const errorCount = browsers.filter(b => b.error).length;
-    confidence -= errorCount * 30;
+  calculateEcommerceDependency(analysis) {
+    const totalCritical = analysis.contentData.pricing.total + 
+                         analysis.interactiveElements.buttons.total + 
+                         analysis.contentData.inventory.total;
     
-    if (this.calculateConsistency(browsers) === 'Low') confidence -= 15;
+    const missingCritical = analysis.contentData.pricing.missing.length + 
+                           analysis.interactiveElements.buttons.missing.filter(b => 
+                             ['purchase', 'cart'].includes(b.category)).length + 
+                           analysis.contentData.inventory.missing.length;
     
-    return Math.max(0, confidence);
+    if (totalCritical === 0) return 0;
+    return Math.round((missingCritical / totalCritical) * 100);
   }
 
-  async generateRecommendations() {
-    const { summary } = this.results;
+  // Enhanced recommendations with specific business context
+  generateEnhancedRecommendations(analysis) {
     const recommendations = [];
+    const business = analysis.businessImpact;
+    const nav = analysis.navigation;
+    const content = analysis.contentData;
+    const interactive = analysis.interactiveElements;
 
-    if (summary.error) {
-      recommendations.push("❌ Analysis failed - unable to determine JS dependency");
-      recommendations.push("🔧 Try manual testing or different analysis approach");
-      this.results.recommendations = recommendations;
-      return;
-    }
-
-    if (summary.llmAccessibilityScore >= 80) {
-      recommendations.push("✅ Excellent LLM accessibility - content readily available");
-    } else if (summary.llmAccessibilityScore >= 60) {
-      recommendations.push("⚠️ Good LLM accessibility - minor JS dependency");
-    } else if (summary.llmAccessibilityScore >= 40) {
-      recommendations.push("⚠️ Moderate JS dependency - test with specific LLM tools");
-    } else {
-      recommendations.push("❌ Poor LLM accessibility - heavy JS rendering required");
+    // Critical Issues First
+    if (content.pricing.missing.length > 0) {
+      recommendations.push(`💰 CRITICAL: ${content.pricing.missing.length} pricing elements require JavaScript - essential for product analysis`);
     }
 
-    if (summary.requiresJSRendering) {
-      recommendations.push("🔧 Use Playwright, Puppeteer, or similar for content extraction");
-      recommendations.push("📊 Consider implementing SSR for better LLM/SEO accessibility");
+    if (business.ecommerceDependent) {
+      const dependencyPercent = this.calculateEcommerceDependency(analysis);
+      if (dependencyPercent > 80) {
+        recommendations.push(`🛒 CRITICAL: ${dependencyPercent}% of e-commerce functionality depends on JS - major SEO/LLM impact`);
+      }
     }
 
-    if (summary.frameworksDetected.length > 0) {
-      recommendations.push(`🎯 Modern frameworks detected: ${summary.frameworksDetected.join(', ')}`);
+    // Navigation Issues
+    if (nav.main.missing.length > 5) {
+      recommendations.push(`🧭 HIGH: ${nav.main.missing.length} navigation links missing - severely impacts site discovery`);
+    } else if (nav.main.missing.length > 0) {
+      recommendations.push(`🧭 MEDIUM: ${nav.main.missing.length} navigation links require JavaScript`);
     }
 
-    if (summary.crossBrowserConsistency === 'Low') {
-      recommendations.push("🌐 Cross-browser testing recommended - rendering varies significantly");
-    }
-
-    if (summary.analysisConfidence < 80) {
-      recommendations.push("⚠️ Analysis confidence below 80% - results may be unreliable");
-    }
-
-    this.results.recommendations = recommendations;
-  }
-
-  async saveResults() {
-    // Save JSON report
-    const reportPath = 'analysis-report.json';
-    await fs.writeFile(reportPath, JSON.stringify(this.results, null, 2));
-    console.log(`📄 Report saved: ${reportPath}`);
-    
-    // Save human-readable summary
-    const summaryPath = 'analysis-summary.txt';
-    const summary = this.generateTextSummary();
-    await fs.writeFile(summaryPath, summary);
-    console.log(`📄 Summary saved: ${summaryPath}`);
-  }
-
-  generateTextSummary() {
-    const { summary, recommendations } = this.results;
-    
-    // Get JS content analysis from the first successful browser
-    const successfulBrowser = Object.values(this.results.browsers).find(b => b.status === 'success');
-    const jsContent = successfulBrowser?.jsRenderedContent;
-    
-    return `
-🔍 JavaScript Rendering Analysis Report
-=====================================
-
-URL: ${this.targetUrl}
-Analysis Type: ${this.analysisType}
-Timestamp: ${this.results.timestamp}
-
-📊 SUMMARY
-----------
-LLM Accessibility Score: ${summary.llmAccessibilityScore}/100
-Requires JS Rendering: ${summary.requiresJSRendering ? 'YES' : 'NO'}
-Average Content Change: ${summary.averageContentChange}%
-Frameworks Detected: ${summary.frameworksDetected.join(', ') || 'None'}
-Cross-Browser Consistency: ${summary.crossBrowserConsistency}
-Analysis Confidence: ${summary.analysisConfidence}%
-
-${jsContent?.enhancedAnalysis ? `
-🎯 ENHANCED BUSINESS CONTENT ANALYSIS
------------------------------------
-${jsContent.summary || 'No enhanced analysis available'}
-
-DETAILED BREAKDOWN:
-Navigation Impact:
-  • Main navigation: ${jsContent.enhancedAnalysis.navigation.main.missing.length}/${jsContent.enhancedAnalysis.navigation.main.total} links missing
-  • Footer links: ${jsContent.enhancedAnalysis.navigation.footer.missing.length}/${jsContent.enhancedAnalysis.navigation.footer.total} links missing
-  • Breadcrumbs: ${jsContent.enhancedAnalysis.navigation.breadcrumbs.depth} levels deep
-
-Interactive Elements:
-  • Forms: ${jsContent.enhancedAnalysis.interactiveElements.forms.missing.length}/${jsContent.enhancedAnalysis.interactiveElements.forms.total} missing (${jsContent.enhancedAnalysis.interactiveElements.forms.types.join(', ')})
-  • Buttons: ${jsContent.enhancedAnalysis.interactiveElements.buttons.missing.length}/${jsContent.enhancedAnalysis.interactiveElements.buttons.total} missing (${jsContent.enhancedAnalysis.interactiveElements.buttons.categories.join(', ')})
-  • Selectors: ${jsContent.enhancedAnalysis.interactiveElements.selectors.missing.length}/${jsContent.enhancedAnalysis.interactiveElements.selectors.total} missing
-
-Critical Content:
-  • Pricing: ${jsContent.enhancedAnalysis.contentData.pricing.missing.length}/${jsContent.enhancedAnalysis.contentData.pricing.total} prices missing${jsContent.enhancedAnalysis.contentData.pricing.currency ? ` (${jsContent.enhancedAnalysis.contentData.pricing.currency})` : ''}
-  • Reviews: ${jsContent.enhancedAnalysis.contentData.reviews.missing.length}/${jsContent.enhancedAnalysis.contentData.reviews.total} reviews missing${jsContent.enhancedAnalysis.contentData.reviews.count ? ` (${jsContent.enhancedAnalysis.contentData.reviews.count} total)` : ''}
-  • Inventory: ${jsContent.enhancedAnalysis.contentData.inventory.missing.length}/${jsContent.enhancedAnalysis.contentData.inventory.total} status indicators missing
-
-Business Impact:
-  • E-commerce Dependent: ${jsContent.enhancedAnalysis.businessImpact.ecommerceDependent ? 'YES' : 'NO'}
-  • SEO Impact: ${jsContent.enhancedAnalysis.businessImpact.seoImpact.toUpperCase()}
-  • LLM Accessibility: ${jsContent.enhancedAnalysis.businessImpact.llmAccessibility.toUpperCase()}
-  • Critical Functions Blocked: ${jsContent.enhancedAnalysis.businessImpact.criticalFunctionsBlocked.join(', ') || 'None'}
-
-Technical Implementation:
-  • API Endpoints: ${jsContent.enhancedAnalysis.technicalImplementation.apiEndpoints.join(', ') || 'None detected'}
-  • Hydration Issues: ${jsContent.enhancedAnalysis.technicalImplementation.hydrationIssues.join(', ') || 'None detected'}
-
-ENHANCED RECOMMENDATIONS:
-${jsContent && jsContent.recommendations ? jsContent.recommendations.map(r => `• ${r}`).join('\n') : 'No enhanced recommendations available'}
-` : jsContent ? `
-🎯 BASIC LLM-FOCUSED CONTENT ANALYSIS
------------------------------------
-${jsContent.summary || 'No additional content details available'}
-
-${jsContent.trulyMissingContent ? `
-CONTENT TRULY MISSING FROM RAW HTML:
-${jsContent.trulyMissingContent.navigation.count > 0 ? `• Navigation: ${jsContent.trulyMissingContent.navigation.count} links missing` : ''}
-${jsContent.trulyMissingContent.headings.count > 0 ? `• Headings: ${jsContent.trulyMissingContent.headings.count} headings missing` : ''}
-${jsContent.trulyMissingContent.textContent.count > 0 ? `• Text Content: ${jsContent.trulyMissingContent.textContent.count} blocks missing (~${Math.round(jsContent.trulyMissingContent.textContent.totalMissingChars/1000)}k chars)` : ''}
-${jsContent.trulyMissingContent.criticalData.count > 0 ? `• Critical Data: ${jsContent.trulyMissingContent.criticalData.count} pricing/data elements missing` : ''}
-${jsContent.trulyMissingContent.interactiveElements.count > 0 ? `• Interactive: ${jsContent.trulyMissingContent.interactiveElements.count} elements missing` : ''}
-` : ''}
-
-BASIC RECOMMENDATIONS:
-${jsContent && jsContent.recommendations ? jsContent.recommendations.map(r => `• ${r}`).join('\n') : 'No specific content recommendations available'}
-` : ''}
-
-🎯 GENERAL RECOMMENDATIONS
--------------------------
-${recommendations.map(r => `• ${r}`).join('\n')}
-
-🌐 BROWSER RESULTS
-------------------
-${Object.entries(this.results.browsers).map(([browser, data]) => `
-${browser.toUpperCase()}:
-  Status: ${data.status || 'Unknown'}
-  Content Change: ${data.contentDifferencePercent || 0}%
-  Frameworks: ${data.frameworks?.join(', ') || 'None'}
-  Load Time: ${data.performanceMetrics?.totalLoadTime || 0}ms
-  Screenshot: ${data.screenshotPath || 'None'}
-  ${data.error ? `Error: ${data.error}` : ''}
-`).join('\n')}
-
-📈 ARTIFACTS
-------------
-GitHub Run: https://github.com/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}
-Screenshots: Available in GitHub Actions artifacts
-Full Report: analysis-report.json
-    `.trim();
-  }
-
-  async updateGoogleSheet() {
-    console.log('🔍 DEBUG: Starting Google Sheet update process...');
-    console.log(`Sheet ID: ${process.env.GOOGLE_SHEET_ID || 'Missing'}`);
-    console.log(`Row Number: ${process.env.ROW_NUMBER || 'Missing'}`);
-    console.log(`Service Account: ${process.env.GOOGLE_SERVICE_ACCOUNT ? 'Present' : 'Missing'}`);
-    
-    if (!process.env.GOOGLE_SERVICE_ACCOUNT || !process.env.GOOGLE_SHEET_ID || !process.env.ROW_NUMBER) {
-      console.log('📊 Skipping Google Sheets update - missing configuration');
-      return;
-    }
-
-    try {
-      console.log('📊 Updating Google Sheet...');
-      
-      const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT);
-      console.log(`✅ Service account credentials parsed successfully: ${credentials.client_email}`);
-      
-      const auth = new google.auth.GoogleAuth({
-        credentials,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets']
-      });
-
-      const sheets = google.sheets({ version: 'v4', auth });
-      const sheetId = process.env.GOOGLE_SHEET_ID;
-      const rowNumber = parseInt(process.env.ROW_NUMBER);
-
-      const { summary, browsers } = this.results;
-      const chromiumResults = browsers.chromium || {};
-      const jsContent = chromiumResults.jsRenderedContent || {};
-
-      // Safely handle all potential undefined values
-      const recommendations = Array.isArray(this.results.recommendations) ? this.results.recommendations : [];
-      const frameworksDetected = Array.isArray(summary.frameworksDetected) ? summary.frameworksDetected : [];
-      
-      const recommendationText = recommendations.length > 0 ? 
-        recommendations.slice(0, 2).join(' | ') : 
-        'Analysis complete';
-
-      const githubUrl = `https://github.com/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}`;
-
-      // Enhanced data with LLM-focused JS content analysis
-      const missingContent = jsContent.trulyMissingContent || {};
-      const criticalMissing = (missingContent.criticalData?.count || 0) + (missingContent.headings?.count || 0);
-      const navigationMissing = missingContent.navigation?.count > 0 ? 'Yes' : 'No';
-      const headingsMissing = missingContent.headings?.count > 0 ? 'Yes' : 'No';
-      const interactiveCount = missingContent.interactiveElements?.count || 0;
-      const dataCount = missingContent.criticalData?.count || 0;
-      
-      // Determine impact level based on truly missing content
-      let impactLevel = 'Low';
-      if (criticalMissing > 3 || dataCount > 0) impactLevel = 'High';
-      else if (criticalMissing > 0 || navigationMissing === 'Yes') impactLevel = 'Medium';
-      
-      const contentExample = missingContent.headings?.examples?.[0] || 
-                           missingContent.navigation?.examples?.[0] || 
-                           missingContent.criticalData?.examples?.[0] || 'None';
-
-      const updateData = [
-        [
-          chromiumResults.rawHtmlLength || 0,
-          chromiumResults.renderedHtmlLength || 0,
-          summary.averageContentChange || 0,
-          frameworksDetected.join(', ') || 'None',
-          summary.llmAccessibilityScore || 0,
-          `Complete (${this.analysisType})`,
-          recommendationText,
-          githubUrl,
-          new Date().toISOString(),
-          // Enhanced LLM-focused JS content columns
-          jsContent.summary || 'No LLM analysis available',
-          criticalMissing,
-          navigationMissing,
-          headingsMissing,
-          interactiveCount,
-          dataCount,
-          impactLevel,
-          contentExample.substring(0, 50),
-          chromiumResults.evasionUsed || 'standard',
-          chromiumResults.status === 'protected_site' || chromiumResults.status === 'failed' ? 'Yes' : 'No',
-          summary.analysisConfidence || 100
-        ]
-      ];
-
-      console.log(`📝 Updating range B${rowNumber}:U${rowNumber} with enhanced LLM-focused data`);
-
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: sheetId,
-        range: `B${rowNumber}:U${rowNumber}`,
-        valueInputOption: 'RAW',
-        requestBody: {
-          values: updateData
-        }
-      });
-
-      console.log('✅ Google Sheet updated successfully');
-
-    } catch (error) {
-      console.error('❌ Failed to update Google Sheet:', error.message);
-      console.error('❌ Full error:', error);
-    }
-  }
-
-  async handleError(error) {
-    const errorReport = {
-      url: this.targetUrl,
-      error: error.message,
-      timestamp: new Date().toISOString(),
-      analysisType: this.analysisType
-    };
-
-    await fs.writeFile('error-report.json', JSON.stringify(errorReport, null, 2));
-    console.error('❌ Error report saved');
-  }
-
-  printSummary() {
-    const { summary } = this.results;
-    
-    console.log('\n🎯 ANALYSIS COMPLETE');
-    console.log('==================');
-    console.log(`🔗 URL: ${this.targetUrl}`);
-    console.log(`📊 LLM Score: ${summary.llmAccessibilityScore}/100`);
-    console.log(`⚡ JS Required: ${summary.requiresJSRendering ? 'YES' : 'NO'}`);
-    console.log(`🎭 Frameworks: ${summary.frameworksDetected.join(', ') || 'None'}`);
-    console.log(`🌐 Consistency: ${summary.crossBrowserConsistency}`);
-    console.log(`📈 Confidence: ${summary.analysisConfidence}%`);
-    console.log(`🔗 GitHub Run: https://github.com/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}`);
-  }
-}
-
-// Run the analysis with timeout protection
-if (require.main === module) {
-  console.log('🚀 Starting analyzer script...');
-  console.log('📋 Environment check:');
-  console.log(`  TARGET_URL: ${process.env.TARGET_URL || 'MISSING'}`);
-  console.log(`  ANALYSIS_TYPE: ${process.env.ANALYSIS_TYPE || 'full (default)'}`);
-  console.log(`  NODE_VERSION: ${process.version}`);
-  
-  // Add a global timeout to prevent hanging
-  const GLOBAL_TIMEOUT = 10 * 60 * 1000; // 10 minutes
-  const timeout = setTimeout(() => {
-    console.error('❌ GLOBAL TIMEOUT: Analysis took longer than 10 minutes');
-    process.exit(1);
-  }, GLOBAL_TIMEOUT);
-  
-  const analyzer = new AdvancedJSAnalyzer();
-  analyzer.analyze()
-    .then(() => {
-      clearTimeout(timeout);
-      console.log('🎉 Analysis completed successfully!');
-      process.exit(0);
-    })
-    .catch(error => {
-      clearTimeout(timeout);
-      console.error('❌ FATAL ERROR:', error);
-      console.error('❌ Stack trace:', error.stack);
-      console.error('❌ Error details:', {
-        message: error.message,
-        name: error.name,
-        code: error.code
-      });
-      process.exit(1);
-    });
-}
-
-module.exports = AdvancedJSAnalyzer;;
-        const range = content.pricing.ranges.length > 0 ? 
-          ` (${content.pricing.ranges[0]} - ${content.pricing.ranges[1]})` : '';
-        summary += `* Product pricing: $0.00 shown, real prices${range} load via JS\n`;
-      }
-      
-      if (content.inventory.missing.length > 0) {
-        const statuses = [...new Set(content.inventory.missing.map(i => i.status))];
-        summary += `* Inventory status: "${statuses.join('", "')}" labels added dynamically\n`;
-      }
-      
-      if (content.reviews.missing.length > 0) {
-        const avgRating = content.reviews.ratings.length > 0 ? content.reviews.ratings[2] : 'N/A';
-        const reviewCount = content.reviews.count || content.reviews.missing.length;
-        summary += `* Customer reviews: ${reviewCount} reviews${avgRating !== 'N/A' ? ` (${avgRating}★ average)` : ''} - completely hidden\n`;
-      }
-      
-      if (content.media.missing.length > 0) {
-        const mediaTypes = [...new Set(content.media.missing.map(m => m.type))];
-        const galleries = content.media.missing.filter(m => m.type === 'gallery' || m.type === 'carousel');
-        if (galleries.length > 0) {
-          summary += `* Product images: Main gallery of ${galleries.length} images - only placeholder visible\n`;
-        } else {
-          summary += `* Media content: ${content.media.missing.length} ${mediaTypes.join('/')} elements - missing without JS\n`;
-        }
-      }
-      summary += "\n";
-    }
-
-    // Technical Implementation
-    if (analysis.technicalImplementation.hydrationIssues.length > 0 || 
-        analysis.technicalImplementation.apiEndpoints.length > 0) {
-      summary += "**Technical Implementation:**\n";
-      
-      if (analysis.technicalImplementation.hydrationIssues.length > 0) {
-        summary += `* Uses ${analysis.technicalImplementation.hydrationIssues[0]} - server sends empty containers\n`;
-      }
-      
-      if (analysis.technicalImplementation.apiEndpoints.length > 0) {
-        const mainEndpoint = analysis.technicalImplementation.apiEndpoints[0];
-        summary += `* Data fetched from ${mainEndpoint} endpoint after page load\n`;
-      }
-      
-      if (content.pricing.missing.length > 0 || interactive.forms.missing.some(f => f.type === 'login')) {
-        summary += `* Critical content blocked by authentication checks in JS\n`;
-      }
-      summary += "\n";
-    }
-
-    // Business Impact
-    summary += "**Business Impact:**\n";
-    
-    if (business.ecommerceDependent) {
-      const dependencyPercent = this.calculateEcommerceDependency(analysis);
-      summary += `* E-commerce functionality ${dependencyPercent}% dependent on JavaScript\n`;
-    }
-    
-    if (business.seoImpact !== 'low') {
-      summary += `* SEO crawlers see ${business.seoImpact === 'high' ? 'placeholder content only' : 'limited content'}\n`;
-    }
-    
-    if (business.criticalFunctionsBlocked.length > 0) {
-      summary += `* LLM tools cannot access ${business.criticalFunctionsBlocked.join(", ").toLowerCase()}\n`;
-    } else {
-      summary += `* LLM accessibility: ${business.llmAccessibility} - most content available\n`;
-    }
-
-    return summary;
-  }
-
-  calculateEcommerceDependency(analysis) {
-    const totalCritical = analysis.contentData.pricing.total + 
-                         analysis.interactiveElements.buttons.total + 
-                         analysis.contentData.inventory.total;
-    
-    const missingCritical = analysis.contentData.pricing.missing.length + 
-                           analysis.interactiveElements.buttons.missing.filter(b => 
-                             ['purchase', 'cart'].includes(b.category)).length + 
-                           analysis.contentData.inventory.missing.length;
-    
-    if (totalCritical === 0) return 0;
-    return Math.round((missingCritical / totalCritical) * 100);
-  }
-
-  // Enhanced recommendations with specific business context
-  generateEnhancedRecommendations(analysis) {
-    const recommendations = [];
-    const business = analysis.businessImpact;
-    const nav = analysis.navigation;
-    const content = analysis.contentData;
-    const interactive = analysis.interactiveElements;
-
-    // Critical Issues First
-    if (content.pricing.missing.length > 0) {
-      recommendations.push(`💰 CRITICAL: ${content.pricing.missing.length} pricing elements require JavaScript - essential for product analysis`);
-    }
-
-    if (business.ecommerceDependent) {
-      const dependencyPercent = this.calculateEcommerceDependency(analysis);
-      if (dependencyPercent > 80) {
-        recommendations.push(`🛒 CRITICAL: ${dependencyPercent}% of e-commerce functionality depends on JS - major SEO/LLM impact`);
-      }
-    }
-
-    // Navigation Issues
-    if (nav.main.missing.length > 5) {
-      recommendations.push(`🧭 HIGH: ${nav.main.missing.length} navigation links missing - severely impacts site discovery`);
-    } else if (nav.main.missing.length > 0) {
-      recommendations.push(`🧭 MEDIUM: ${nav.main.missing.length} navigation links require JavaScript`);
-    }
-
-    // Content Issues
-    if (content.reviews.missing.length > 0) {
-      recommendations.push(`⭐ HIGH: Customer reviews (${content.reviews.count} reviews) invisible to search engines and LLMs`);
+    // Content Issues
+    if (content.reviews.missing.length > 0) {
+      recommendations.push(`⭐ HIGH: Customer reviews (${content.reviews.count} reviews) invisible to search engines and LLMs`);
     }
 
     if (content.inventory.missing.length > 0) {
-      recommendations.push(`📦 MEDIUM: Inventory status hidden - affects product availability visibility`);
-    }
-
-    // Interactive Elements
-    if (interactive.search.missing.length > 0) {
-      recommendations.push(`🔍 MEDIUM: Search functionality requires JS - no fallback for crawlers`);
-    }
-
-    if (interactive.forms.missing.length > 0) {
-      const formTypes = [...new Set(interactive.forms.missing.map(f => f.type))];
-      recommendations.push(`📝 MEDIUM: ${formTypes.join(', ')} forms non-functional without JS`);
-    }
-
-    // Technical Recommendations
-    if (analysis.technicalImplementation.hydrationIssues.length > 0) {
-      recommendations.push(`🔧 TECHNICAL: Implement Server-Side Rendering (SSR) for critical content`);
-      recommendations.push(`🔧 TECHNICAL: Consider Progressive Enhancement for core functionality`);
-    }
-
-    if (analysis.technicalImplementation.apiEndpoints.length > 0) {
-      recommendations.push(`🔧 TECHNICAL: Pre-populate critical data server-side instead of API calls`);
-    }
-
-    // Overall Recommendations
-    const totalIssues = nav.main.missing.length + nav.footer.missing.length + 
-                       content.pricing.missing.length + content.reviews.missing.length + 
-                       interactive.buttons.missing.length;
-
-    if (totalIssues > 10) {
-      recommendations.push(`🚨 RECOMMENDATION: JavaScript rendering essential - use Playwright/Puppeteer for any automated analysis`);
-      recommendations.push(`🚨 RECOMMENDATION: Implement comprehensive SSR strategy for SEO and accessibility`);
-    } else if (totalIssues > 5) {
-      recommendations.push(`⚠️ RECOMMENDATION: Consider JavaScript rendering for complete content access`);
-      recommendations.push(`⚠️ RECOMMENDATION: Prioritize SSR for critical business content`);
-    } else if (totalIssues > 0) {
-      recommendations.push(`✅ RECOMMENDATION: Minor JS dependencies - most content accessible without rendering`);
-    } else {
-      recommendations.push(`✅ EXCELLENT: All critical content available without JavaScript`);
-    }
-
-    // LLM-Specific Recommendations
-    if (business.llmAccessibility === 'poor') {
-      recommendations.push(`🤖 LLM IMPACT: Critical content invisible - tools like ChatGPT/Claude cannot analyze pricing, reviews, or products`);
-    } else if (business.llmAccessibility === 'limited') {
-      recommendations.push(`🤖 LLM IMPACT: Limited content access - some business data unavailable to AI analysis`);
-    } else {
-      recommendations.push(`🤖 LLM IMPACT: Good accessibility - most content available for AI analysis`);
-    }
-
-    return recommendations;
-  }
-
-  // Update the original methods to use enhanced analysis
-  generateLLMFocusedSummaryFixed(missingContent) {
-    // Fallback for backward compatibility
-    const totalMissing = 
-      (missingContent.navigation?.count || 0) + 
-      (missingContent.headings?.count || 0) + 
-      (missingContent.criticalData?.count || 0) +
-      (missingContent.interactiveElements?.count || 0);
-    
-    if (totalMissing === 0) {
-      return 'Content appears fully accessible to LLMs - no significant missing elements detected';
-    }
-    
-    const issues = [];
-    if (missingContent.criticalData?.count > 0) {
-      issues.push(`${missingContent.criticalData.count} pricing/data elements missing (CRITICAL)`);
-    }
-    if (missingContent.headings?.count > 0) {
-      issues.push(`${missingContent.headings.count} headings missing`);
-    }
-    if (missingContent.navigation?.count > 0) {
-      issues.push(`${missingContent.navigation.count} navigation links missing`);
-    }
-    if (missingContent.interactiveElements?.count > 0) {
-      issues.push(`${missingContent.interactiveElements.count} interactive elements missing`);
-    }
-    
-    return `LLM Impact: ${issues.join(' | ')}`;
-  }
-
-  generateLLMFocusedRecommendationsFixed(missingContent) {
-    // Fallback for backward compatibility
-    const recommendations = [];
-    const totalIssues = 
-      (missingContent.navigation?.count || 0) + 
-      (missingContent.headings?.count || 0) + 
-      (missingContent.criticalData?.count || 0) +
-      (missingContent.interactiveElements?.count || 0);
-    
-    if (totalIssues === 0) {
-      recommendations.push('✅ Excellent LLM accessibility - all content available in raw HTML');
-      return recommendations;
-    }
-    
-    if (missingContent.criticalData?.count > 0) {
-      recommendations.push(`💰 CRITICAL: ${missingContent.criticalData.count} pricing/data elements require JavaScript`);
-    }
-    
-    if (missingContent.headings?.count > 0) {
-      recommendations.push(`📝 HIGH: ${missingContent.headings.count} headings missing from raw HTML`);
-    }
-    
-    if (totalIssues > 3) {
-      recommendations.push('🚨 RECOMMENDATION: JavaScript rendering essential for LLM access');
-    } else if (totalIssues > 0) {
-      recommendations.push('⚠️ RECOMMENDATION: Consider JavaScript rendering for complete content access');
-    }
-    
-    return recommendations;
-  }const { chromium, firefox, webkit } = require('playwright');
-const { google } = require('googleapis');
-const fs = require('fs').promises;
-
-class AdvancedJSAnalyzer {
-  constructor() {
-    console.log('🔧 Initializing AdvancedJSAnalyzer...');
-    this.targetUrl = process.env.TARGET_URL;
-    this.analysisType = process.env.ANALYSIS_TYPE || 'full';
-    
-    console.log(`🎯 Target URL: ${this.targetUrl}`);
-    console.log(`📊 Analysis Type: ${this.analysisType}`);
-    
-    this.results = {
-      url: this.targetUrl,
-      timestamp: new Date().toISOString(),
-      analysisType: this.analysisType,
-      browsers: {},
-      summary: {},
-      recommendations: [],
-      githubRunId: process.env.GITHUB_RUN_ID
-    };
-    
-    console.log('✅ AdvancedJSAnalyzer initialized successfully');
-  }
-
-  async analyze() {
-    // Validate environment
-    if (!this.targetUrl) {
-      throw new Error('TARGET_URL environment variable is required');
-    }
-    
-    try {
-      new URL(this.targetUrl);
-    } catch (error) {
-      throw new Error(`Invalid URL: ${this.targetUrl}`);
-    }
-
-    console.log(`🚀 Starting ${this.analysisType} analysis for: ${this.targetUrl}`);
-    
-    try {
-      // Create required directories
-      await fs.mkdir('screenshots', { recursive: true });
-      
-      const browsers = this.getBrowsersToTest();
-      
-      for (const { name, engine } of browsers) {
-        console.log(`\n🌐 Testing with ${name.toUpperCase()}...`);
-        try {
-          this.results.browsers[name] = await this.analyzeBrowser(engine, name);
-        } catch (error) {
-          console.error(`❌ ${name} failed:`, error.message);
-          console.error(`❌ ${name} stack:`, error.stack);
-          this.results.browsers[name] = {
-            error: error.message,
-            status: 'failed'
-          };
-        }
-      }
-
-      await this.generateSummary();
-      await this.generateRecommendations();
-      await this.saveResults();
-      
-      if (process.env.GOOGLE_SHEET_ID) {
-        await this.updateGoogleSheet();
-      }
-
-      console.log('✅ Analysis complete!');
-      this.printSummary();
-      
-    } catch (error) {
-      console.error('❌ Analysis failed:', error);
-      console.error('❌ Full stack trace:', error.stack);
-      await this.handleError(error);
-      throw error;
-    }
-  }
-
-  getBrowsersToTest() {
-    const allBrowsers = [
-      { name: 'chromium', engine: chromium },
-      { name: 'firefox', engine: firefox },
-      { name: 'webkit', engine: webkit }
-    ];
-
-    switch (this.analysisType) {
-      case 'quick':
-        return [allBrowsers[0]]; // Chromium only
-      case 'stealth':
-        return [allBrowsers[0]]; // Chromium with stealth
-      default:
-        return allBrowsers; // Full cross-browser
-    }
-  }
-
-  async analyzeBrowser(browserType, browserName) {
-    // Use enhanced evasion if explicitly requested
-    if (process.env.ENHANCED_EVASION === 'true') {
-      return await this.analyzeWithEnhancedEvasion(browserType, browserName);
-    }
-    
-    // For extremely protected sites, try multiple approaches
-    if (this.isExtremelyProtected()) {
-      return await this.analyzeProtectedSite(browserType, browserName);
-    }
-
-    const launchOptions = {
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--no-first-run',
-        '--no-zygote'
-      ]
-    };
-
-    // Add stealth techniques
-    if (this.analysisType === 'stealth' || this.shouldUseStealth()) {
-      console.log(`  🥷 Applying enhanced stealth mode for ${browserName}...`);
-      launchOptions.args.push(
-        '--disable-blink-features=AutomationControlled',
-        '--disable-features=VizDisplayCompositor',
-        '--disable-web-security',
-        '--disable-features=TranslateUI',
-        '--disable-ipc-flooding-protection',
-        '--disable-renderer-backgrounding',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-client-side-phishing-detection',
-        '--disable-sync',
-        '--disable-default-apps',
-        '--hide-scrollbars',
-        '--mute-audio',
-        '--no-default-browser-check',
-        '--no-pings',
-        '--disable-extensions-http-throttling',
-        '--disable-component-extensions-with-background-pages',
-        '--disable-permissions-api',
-        '--force-device-scale-factor=1',
-        '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      );
-    }
-
-    const browser = await browserType.launch(launchOptions);
-    console.log(`  ✅ Browser launched successfully`);
-
-    try {
-      const contextOptions = {
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        viewport: { width: 1366, height: 768 },
-        locale: 'en-US',
-        timezoneId: 'America/New_York',
-        permissions: [],
-        extraHTTPHeaders: {
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'DNT': '1',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1',
-          'Sec-Fetch-Dest': 'document',
-          'Sec-Fetch-Mode': 'navigate',
-          'Sec-Fetch-Site': 'none',
-          'Sec-Fetch-User': '?1',
-          'Cache-Control': 'max-age=0'
-        }
-      };
-
-      const context = await browser.newContext(contextOptions);
-      console.log(`  ✅ Browser context created`);
-      
-      // Apply additional stealth if needed
-      if (this.analysisType === 'stealth' || this.shouldUseStealth()) {
-        console.log(`  🥷 Applying stealth techniques...`);
-        await this.applyStealth(context);
-      }
-      
-      const page = await context.newPage();
-      console.log(`  ✅ New page created`);
-
-      // Navigate with enhanced error handling for HTTP/2 issues
-      console.log(`  📄 Fetching page...`);
-      
-      let response;
-      let rawHtml;
-      
-      try {
-        // First attempt with standard navigation
-        response = await page.goto(this.targetUrl, {
-          waitUntil: 'domcontentloaded',
-          timeout: 30000
-        });
-        rawHtml = await response.text();
-      } catch (error) {
-        if (error.message.includes('ERR_HTTP2_PROTOCOL_ERROR')) {
-          console.log(`  🔄 HTTP/2 error detected, trying fallback approach...`);
-          
-          // Fallback: Try with HTTP/1.1 by creating new context
-          await context.close();
-          
-          const fallbackOptions = {
-            ...contextOptions,
-            extraHTTPHeaders: {
-              ...contextOptions.extraHTTPHeaders,
-              'Connection': 'close',  // Force HTTP/1.1
-              'HTTP2-Settings': undefined
-            }
-          };
-          
-          const fallbackContext = await browser.newContext(fallbackOptions);
-          await this.applyStealth(fallbackContext);
-          const fallbackPage = await fallbackContext.newPage();
-          
-          // Add additional HTTP/2 bypass
-          await fallbackPage.route('**/*', route => {
-            const headers = route.request().headers();
-            delete headers['http2-settings'];
-            route.continue({ headers });
-          });
-          
-          response = await fallbackPage.goto(this.targetUrl, {
-            waitUntil: 'domcontentloaded',
-            timeout: 30000
-          });
-          
-          rawHtml = await response.text();
-          
-          // Use fallback page for the rest of analysis
-          await context.close();
-          context = fallbackContext;
-          page = fallbackPage;
-          
-        } else {
-          throw error; // Re-throw if it's a different error
-        }
-      }
-      
-      // Wait for JavaScript rendering
-      console.log(`  ⚡ Waiting for JavaScript execution...`);
-      try {
-        await page.waitForLoadState('networkidle', { timeout: 15000 });
-      } catch (e) {
-        console.log(`  ⏰ Network timeout - continuing...`);
-      }
-      
-      await page.waitForTimeout(3000);
-
-      // Get final rendered content
-      const renderedHtml = await page.content();
-      
-      // Take screenshot
-      console.log(`  📸 Taking screenshot...`);
-      const screenshotPath = `screenshots/${browserName}-${Date.now()}.png`;
-      await page.screenshot({ 
-        path: screenshotPath,
-        fullPage: true,
-        timeout: 10000
-      });
-
-      // Analyze content
-      console.log(`  🔍 STARTING CONTENT ANALYSIS`);
-      const analysis = await this.analyzeContent(page, rawHtml, renderedHtml);
-      console.log(`  ✅ CONTENT ANALYSIS COMPLETED`);
-      
-      // Get performance metrics
-      console.log(`  ⏱️ GETTING PERFORMANCE METRICS`);
-      const metrics = await this.getPerformanceMetrics(page);
-      console.log(`  ✅ PERFORMANCE METRICS COMPLETED`);
-      
-      await context.close();
-      
-      return {
-        ...analysis,
-        performanceMetrics: metrics,
-        screenshotPath: screenshotPath,
-        statusCode: response.status(),
-        timestamp: new Date().toISOString(),
-        status: 'success'
-      };
-      
-    } finally {
-      await browser.close();
-    }
-  }
-
-  isExtremelyProtected() {
-    // Only use if FORCE_PROTECTED_MODE is set
-    return process.env.FORCE_PROTECTED_MODE === 'true';
-  }
-
-  async analyzeProtectedSite(browserType, browserName) {
-    console.log(`  🛡️ Using specialized approach for extremely protected site...`);
-    
-    try {
-      // Strategy 1: Try to get at least basic information
-      const basicInfo = await this.getBasicSiteInfo();
-      
-      // Return actual analysis results without assumptions
-      return {
-        rawHtmlLength: 0,
-        renderedHtmlLength: 0,
-        contentDifference: 0,
-        contentDifferencePercent: 0,
-        significantChange: false,
-        frameworks: ['Analysis Blocked - Unable to Detect'],
-        dynamicElements: { note: 'Site blocks automated analysis' },
-        rawContentLength: 0,
-        renderedContentLength: 0,
-        performanceMetrics: { error: 'Protected site - analysis blocked' },
-        screenshotPath: null,
-        statusCode: 'Protected',
-        timestamp: new Date().toISOString(),
-        status: 'protected_site',
-        protectionLevel: 'extreme',
-        alternativeInfo: basicInfo
-      };
-      
-    } catch (error) {
-      console.log(`  ❌ All protection bypass attempts failed: ${error.message}`);
-      
-      return {
-        rawHtmlLength: 0,
-        renderedHtmlLength: 0,
-        contentDifference: 0,
-        contentDifferencePercent: 0,
-        significantChange: false,
-        frameworks: ['Analysis Blocked'],
-        dynamicElements: { error: 'Site protection too strong' },
-        rawContentLength: 0,
-        renderedContentLength: 0,
-        performanceMetrics: { error: error.message },
-        screenshotPath: null,
-        statusCode: 'Blocked',
-        timestamp: new Date().toISOString(),
-        status: 'failed',
-        error: error.message,
-        recommendation: 'Site requires manual analysis or professional tools'
-      };
-    }
-  }
-
-  async getBasicSiteInfo() {
-    // Return basic domain info without making framework assumptions
-    const domain = new URL(this.targetUrl).hostname;
-    
-    return {
-      domain: domain,
-      analysisBlocked: true,
-      recommendedApproach: 'Manual testing or enterprise tools'
-    };
-  }
-
-  async analyzeWithEnhancedEvasion(browserType, browserName) {
-    console.log(`  🥷 Using enhanced evasion techniques...`);
-    
-    const launchOptions = {
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-blink-features=AutomationControlled',
-        '--disable-features=VizDisplayCompositor',
-        '--disable-web-security',
-        '--disable-features=TranslateUI',
-        '--disable-ipc-flooding-protection',
-        '--disable-renderer-backgrounding',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-client-side-phishing-detection',
-        '--disable-sync',
-        '--disable-default-apps',
-        '--hide-scrollbars',
-        '--mute-audio',
-        '--no-default-browser-check',
-        '--no-pings',
-        '--disable-extensions-http-throttling',
-        '--disable-component-extensions-with-background-pages',
-        '--disable-permissions-api',
-        '--force-device-scale-factor=1',
-        '--disable-background-timer-throttling',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-field-trial-config',
-        '--disable-back-forward-cache',
-        '--disable-background-networking',
-        '--enable-automation=false',
-        '--password-store=basic',
-        '--use-mock-keychain'
-      ]
-    };
-
-    const browser = await browserType.launch(launchOptions);
-
-    try {
-      const contextOptions = {
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        viewport: { width: 1366, height: 768 },
-        locale: 'en-US',
-        timezoneId: 'America/New_York',
-        permissions: [],
-        extraHTTPHeaders: {
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'DNT': '1',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1',
-          'Sec-Fetch-Dest': 'document',
-          'Sec-Fetch-Mode': 'navigate',
-          'Sec-Fetch-Site': 'none',
-          'Sec-Fetch-User': '?1',
-          'Cache-Control': 'max-age=0',
-          'sec-ch-ua': '"Chromium";v="120", "Not_A Brand";v="24", "Google Chrome";v="120"',
-          'sec-ch-ua-mobile': '?0',
-          'sec-ch-ua-platform': '"Windows"'
-        }
-      };
-
-      const context = await browser.newContext(contextOptions);
-      
-      // Apply enhanced stealth
-      await this.applyEnhancedStealth(context);
-      
-      const page = await context.newPage();
-
-      // Simulate human behavior
-      await this.simulateHumanBehavior(page);
-
-      // Navigate with multiple fallbacks
-      console.log(`  📄 Fetching page with enhanced evasion...`);
-      const response = await this.navigateWithFallbacks(page);
-      
-      // Check if we got blocked
-      if (await this.detectBlocking(page)) {
-        throw new Error('Site detected automation and blocked access');
-      }
-      
-      // Wait for JavaScript rendering with human-like delays
-      console.log(`  ⚡ Waiting for JavaScript execution...`);
-      await page.waitForTimeout(2000 + Math.random() * 3000); // Random 2-5 second delay
-      
-      try {
-        await page.waitForLoadState('networkidle', { timeout: 15000 });
-      } catch (e) {
-        console.log(`  ⏰ Network timeout - continuing...`);
-      }
-      
-      await page.waitForTimeout(2000);
-
-      // Get final rendered content
-      const rawHtml = await response.text();
-      const renderedHtml = await page.content();
-      
-      // Take screenshot
-      console.log(`  📸 Taking screenshot...`);
-      const screenshotPath = `screenshots/${browserName}-enhanced-${Date.now()}.png`;
-      await page.screenshot({ 
-        path: screenshotPath,
-        fullPage: true,
-        timeout: 10000
-      });
-
-      // Analyze content
-      const analysis = await this.analyzeContent(page, rawHtml, renderedHtml);
-      
-      // Get performance metrics
-      const metrics = await this.getPerformanceMetrics(page);
-      
-      await context.close();
-      
-      return {
-        ...analysis,
-        performanceMetrics: metrics,
-        screenshotPath: screenshotPath,
-        statusCode: response.status(),
-        timestamp: new Date().toISOString(),
-        status: 'success',
-        evasionUsed: 'enhanced'
-      };
-      
-    } finally {
-      await browser.close();
-    }
-  }
-
-  async applyEnhancedStealth(context) {
-    await context.addInitScript(() => {
-      // Aggressive removal of automation indicators
-      delete Object.getPrototypeOf(navigator).webdriver;
-      delete navigator.__proto__.webdriver;
-      delete navigator.webdriver;
-      
-      Object.defineProperty(navigator, 'webdriver', {
-        get: () => undefined,
-        set: () => {},
-        configurable: true,
-        enumerable: false
-      });
-      
-      // Remove ALL Playwright indicators
-      delete window.cdc_adoQpoasnfa76pfcZLmcfl_Array;
-      delete window.cdc_adoQpoasnfa76pfcZLmcfl_Promise;
-      delete window.cdc_adoQpoasnfa76pfcZLmcfl_Symbol;
-      delete window.cdc_adoQpoasnfa76pfcZLmcfl_JSON;
-      delete window.cdc_adoQpoasnfa76pfcZLmcfl_Object;
-      delete window.cdc_adoQpoasnfa76pfcZLmcfl_Proxy;
-      delete window.cdc_adoQpoasnfa76pfcZLmcfl_Reflect;
-      
-      // Override window dimensions
-      Object.defineProperty(window, 'outerHeight', {
-        get: () => window.innerHeight,
-      });
-      Object.defineProperty(window, 'outerWidth', {
-        get: () => window.innerWidth,
-      });
-      
-      // Mock realistic plugins
-      Object.defineProperty(navigator, 'plugins', {
-        get: () => [
-          {
-            0: { type: 'application/x-google-chrome-pdf', suffixes: 'pdf', description: 'Portable Document Format' },
-            description: 'Portable Document Format',
-            filename: 'internal-pdf-viewer',
-            length: 1,
-            name: 'Chrome PDF Plugin'
-          }
-        ]
-      });
-      
-      // Override WebGL fingerprinting
-      const getParameter = WebGLRenderingContext.prototype.getParameter;
-      WebGLRenderingContext.prototype.getParameter = function(parameter) {
-        if (parameter === 37445) return 'Intel Inc.';
-        if (parameter === 37446) return 'Intel Iris OpenGL Engine';
-        return getParameter.call(this, parameter);
-      };
-      
-      // Add chrome object
-      window.chrome = { runtime: {} };
-      
-      // Mock connection
-      Object.defineProperty(navigator, 'connection', {
-        get: () => ({
-          effectiveType: '4g',
-          rtt: 50,
-          downlink: 2.0
-        })
-      });
-    });
-  }
-
-  async simulateHumanBehavior(page) {
-    // Random mouse movements
-    await page.mouse.move(100 + Math.random() * 100, 100 + Math.random() * 100);
-    await page.waitForTimeout(500 + Math.random() * 1000);
-    
-    await page.mouse.move(200 + Math.random() * 100, 200 + Math.random() * 100);
-    await page.waitForTimeout(300 + Math.random() * 700);
-  }
-
-  async navigateWithFallbacks(page) {
-    const strategies = [
-      { waitUntil: 'domcontentloaded', timeout: 30000 },
-      { waitUntil: 'load', timeout: 45000 }
-    ];
-    
-    for (const strategy of strategies) {
-      try {
-        const response = await page.goto(this.targetUrl, strategy);
-        if (response && response.status() < 400) {
-          return response;
-        }
-      } catch (error) {
-        console.log(`  ⚠️ Navigation failed with ${strategy.waitUntil}: ${error.message}`);
-        continue;
-      }
-    }
-    
-    throw new Error('All navigation strategies failed');
-  }
-
-  async detectBlocking(page) {
-    try {
-      const indicators = await page.evaluate(() => {
-        const title = document.title.toLowerCase();
-        const bodyText = document.body ? document.body.innerText.toLowerCase() : '';
-        
-        const blockingKeywords = [
-          'access denied', 'blocked', 'security check', 'captcha', 
-          'robot', 'automated', 'suspicious activity', 'ray id'
-        ];
-        
-        return blockingKeywords.some(keyword => 
-          title.includes(keyword) || bodyText.includes(keyword)
-        ) || !document.body || document.body.children.length === 0;
-      });
-      
-      return indicators;
-    } catch (error) {
-      return true;
-    }
-  }
-
-  shouldUseStealth() {
-    // Only use stealth if explicitly requested
-    return this.analysisType === 'stealth' || process.env.FORCE_STEALTH === 'true';
-  }
-
-  async applyStealth(context) {
-    await context.addInitScript(() => {
-      // Remove webdriver property
-      delete Object.getPrototypeOf(navigator).webdriver;
-      
-      // Override webdriver property more thoroughly
-      Object.defineProperty(navigator, 'webdriver', {
-        get: () => false,
-      });
-      
-      // Override plugins with realistic values
-      Object.defineProperty(navigator, 'plugins', {
-        get: () => [
-          {
-            0: { type: 'application/x-google-chrome-pdf', suffixes: 'pdf', description: 'Portable Document Format', enabledPlugin: null },
-            description: 'Portable Document Format',
-            filename: 'internal-pdf-viewer',
-            length: 1,
-            name: 'Chrome PDF Plugin'
-          },
-          {
-            0: { type: 'application/pdf', suffixes: 'pdf', description: '', enabledPlugin: null },
-            description: '',
-            filename: 'mhjfbmdgcfjbbpaeojofohoefgiehjai',
-            length: 1,
-            name: 'Chrome PDF Viewer'
-          },
-          {
-            0: { type: 'application/x-nacl', suffixes: '', description: 'Native Client Executable', enabledPlugin: null },
-            1: { type: 'application/x-pnacl', suffixes: '', description: 'Portable Native Client Executable', enabledPlugin: null },
-            description: '',
-            filename: 'internal-nacl-plugin',
-            length: 2,
-            name: 'Native Client'
-          }
-        ]
-      });
-      
-      // Override languages with realistic values
-      Object.defineProperty(navigator, 'languages', {
-        get: () => ['en-US', 'en']
-      });
-      
-      // Override permissions API
-      const originalQuery = window.navigator.permissions.query;
-      window.navigator.permissions.query = (parameters) => (
-        parameters.name === 'notifications' ?
-        Promise.resolve({ state: 'denied' }) :
-        originalQuery(parameters)
-      );
-      
-      // Override chrome runtime
-      if (!window.chrome) {
-        window.chrome = {};
-      }
-      if (!window.chrome.runtime) {
-        window.chrome.runtime = {};
-      }
-      
-      // Override WebGL vendor and renderer
-      const getParameter = WebGLRenderingContext.getParameter;
-      WebGLRenderingContext.prototype.getParameter = function(parameter) {
-        if (parameter === 37445) {
-          return 'Intel Inc.';
-        }
-        if (parameter === 37446) {
-          return 'Intel Iris OpenGL Engine';
-        }
-        return getParameter(parameter);
-      };
-      
-      // Hide automation indicators
-      delete window.cdc_adoQpoasnfa76pfcZLmcfl_Array;
-      delete window.cdc_adoQpoasnfa76pfcZLmcfl_Promise;
-      delete window.cdc_adoQpoasnfa76pfcZLmcfl_Symbol;
-    });
-  }
-
-  // FIXED: Improved content analysis with better edge case handling
-  async analyzeContent(page, rawHtml, renderedHtml) {
-    console.log(`  📊 Starting content analysis...`);
-    
-    // Get clean text content for comparison
-    const cleanRaw = this.cleanHtml(rawHtml);
-    const cleanRendered = this.cleanHtml(renderedHtml);
-    
-    console.log(`  📏 Raw HTML length: ${rawHtml.length}`);
-    console.log(`  📏 Rendered HTML length: ${renderedHtml.length}`);
-    console.log(`  📏 Clean raw text length: ${cleanRaw.length}`);
-    console.log(`  📏 Clean rendered text length: ${cleanRendered.length}`);
-    
-    // FIXED: Better percentage calculation with edge case handling
-    const difference = cleanRendered.length - cleanRaw.length;
-    let percentChange = 0;
-    
-    if (cleanRaw.length > 0) {
-      percentChange = Math.round((difference / cleanRaw.length) * 100);
-      // Cap extreme values that indicate calculation errors
-      if (Math.abs(percentChange) > 500) {
-        console.log(`  ⚠️ Extreme percentage detected: ${percentChange}%, investigating...`);
-        console.log(`  🔍 Raw sample: "${cleanRaw.substring(0, 200)}"`);
-        console.log(`  🔍 Rendered sample: "${cleanRendered.substring(0, 200)}"`);
-        
-        // If raw content is suspiciously small, recalculate differently
-        if (cleanRaw.length < 100) {
-          console.log(`  ⚠️ Raw content too small (${cleanRaw.length} chars), using absolute difference`);
-          percentChange = cleanRendered.length > 1000 ? 100 : Math.min(50, Math.round(difference / 10));
-        } else {
-          // Cap at reasonable maximum
-          percentChange = Math.sign(percentChange) * Math.min(Math.abs(percentChange), 200);
-        }
-      }
-    } else if (cleanRendered.length > 0) {
-      // If we have no raw content but rendered content exists
-      percentChange = 100; // 100% change, not infinite
-    }
-    
-    console.log(`  📊 Content difference: ${difference} characters (${percentChange}%)`);
-    
-    // FIXED: More accurate framework detection
-    const frameworks = await this.detectFrameworksAccurate(rawHtml, renderedHtml, page);
-    console.log(`  🎭 Frameworks detected: ${frameworks.join(', ') || 'None'}`);
-    
-    // Get dynamic elements info
-    const dynamicElements = await page.evaluate(() => {
-      return {
-        totalElements: document.querySelectorAll('*').length,
-        scriptTags: document.querySelectorAll('script[src], script:not([src])').length,
-        loadingElements: document.querySelectorAll('[data-loading], .loading, .spinner, .skeleton').length,
-        interactiveElements: document.querySelectorAll('button, input, select, textarea, [onclick], [onchange]').length
-      };
-    }).catch(() => ({ totalElements: 0, scriptTags: 0, loadingElements: 0, interactiveElements: 0 }));
-
-    console.log(`  🧮 Dynamic elements: ${dynamicElements.totalElements} total, ${dynamicElements.scriptTags} scripts`);
-
-    // FIXED: Improved LLM-focused content analysis
-    const jsRenderedContent = await this.analyzeJSRenderedContentFixed(cleanRaw, cleanRendered, rawHtml, page);
-
-    return {
-      rawHtmlLength: rawHtml.length,
-      renderedHtmlLength: renderedHtml.length,
-      contentDifference: difference,
-      contentDifferencePercent: percentChange,
-      significantChange: Math.abs(percentChange) > 15 || Math.abs(difference) > 2000,
-      frameworks: frameworks,
-      dynamicElements: dynamicElements,
-      rawContentLength: cleanRaw.length,
-      renderedContentLength: cleanRendered.length,
-      jsRenderedContent: jsRenderedContent
-    };
-  }
-
-  // FIXED: More accurate framework detection
-  async detectFrameworksAccurate(rawHtml, renderedHtml, page) {
-    const frameworks = [];
-    
-    // More specific patterns to reduce false positives
-    const patterns = {
-      'React': [
-        /data-reactroot/i,
-        /_reactInternalFiber/i,
-        /react(-dom)?\.(?:development|production)\.min\.js/i,
-        /__webpack_require__.*react/i
-      ],
-      'Vue.js': [
-        /vue\.(?:js|min\.js)/i,
-        /data-v-[a-f0-9]{8}/i,
-        /__vue__/i,
-        /Vue\.component/i
-      ],
-      'Angular': [
-        /ng-version="[\d.]+"/i,
-        /angular\.(?:js|min\.js)/i,
-        /\[ng-app\]/i,
-        /_angular_/i
-      ],
-      'Next.js': [
-        /__NEXT_DATA__/i,
-        /_next\/static/i,
-        /next\.config\.js/i
-      ],
-      'Nuxt.js': [
-        /__NUXT__/i,
-        /_nuxt\//i,
-        /nuxt\.config/i
-      ],
-      'Svelte': [
-        /svelte\/internal/i,
-        /\.svelte-/i,
-        /svelte\.js/i
-      ],
-      'Alpine.js': [
-        /x-data\s*=/i,
-        /alpine\.(?:js|min\.js)/i,
-        /@click\s*=/i
-      ],
-      'jQuery': [
-        /jquery[.-][\d.]+(?:\.min)?\.js/i,
-        /\$\(document\)\.ready/i,
-        /\$\(['"`][^'"`]+['"`]\)/
-      ]
-    };
-
-    // Check both raw and rendered HTML for patterns
-    const combinedHtml = rawHtml + '\n' + renderedHtml;
-    
-    for (const [name, regexes] of Object.entries(patterns)) {
-      let matchCount = 0;
-      for (const regex of regexes) {
-        if (regex.test(combinedHtml)) {
-          matchCount++;
-        }
-      }
-      
-      // Require multiple pattern matches to reduce false positives
-      if (matchCount >= 1 && (name === 'jQuery' ? matchCount >= 2 : true)) {
-        frameworks.push(name);
-      }
-    }
-
-    // JavaScript detection with better error handling
-    try {
-      const jsFrameworks = await page.evaluate(() => {
-        const detected = [];
-        
-        // More specific checks
-        if (window.React && (window.React.version || window.React.Component)) {
-          detected.push('React');
-        }
-        if (window.Vue && window.Vue.version) {
-          detected.push('Vue.js');
-        }
-        if (window.angular && window.angular.version) {
-          detected.push('Angular');
-        }
-        if (window.jQuery && window.jQuery.fn && window.jQuery.fn.jquery) {
-          detected.push('jQuery');
-        }
-        if (window.__NEXT_DATA__) {
-          detected.push('Next.js');
-        }
-        if (window.__NUXT__) {
-          detected.push('Nuxt.js');
-        }
-        
-        return detected;
-      });
-      
-      // Add JS-detected frameworks if not already present
-      jsFrameworks.forEach(fw => {
-        if (!frameworks.includes(fw)) {
-          frameworks.push(fw);
-        }
-      });
-    } catch (e) {
-      console.log(`  ⚠️ JavaScript framework detection failed: ${e.message}`);
-    }
-
-    // Remove duplicates and return
-    return [...new Set(frameworks)];
-  }
-
-  // ENHANCED: Deep business-focused LLM content analysis
-  async analyzeJSRenderedContentFixed(rawText, renderedText, rawHtml, page) {
-    console.log(`  🔍 Performing deep business-focused content analysis...`);
-    
-    try {
-      // Get comprehensive missing content analysis with business context
-      const enhancedAnalysis = await page.evaluate((contentData) => {
-        const { rawHtmlContent, rawTextContent } = contentData;
-        
-        const analysis = {
-          navigation: {
-            main: { missing: [], total: 0, categories: [] },
-            breadcrumbs: { missing: [], total: 0, depth: 0 },
-            footer: { missing: [], total: 0, types: [] },
-            mobile: { missing: [], total: 0 }
-          },
-          interactiveElements: {
-            forms: { missing: [], total: 0, types: [] },
-            buttons: { missing: [], total: 0, categories: [] },
-            selectors: { missing: [], total: 0, types: [] },
-            search: { missing: [], total: 0, features: [] }
-          },
-          contentData: {
-            pricing: { missing: [], total: 0, currency: '', ranges: [] },
-            inventory: { missing: [], total: 0, statuses: [] },
-            reviews: { missing: [], total: 0, ratings: [], count: 0 },
-            products: { missing: [], total: 0, variants: [] },
-            media: { missing: [], total: 0, types: [] }
-          },
-          technicalImplementation: {
-            frameworks: [],
-            dataPatterns: [],
-            apiEndpoints: [],
-            hydrationIssues: [],
-            authBlocks: []
-          },
-          businessImpact: {
-            ecommerceDependent: false,
-            seoImpact: 'low',
-            llmAccessibility: 'high',
-            criticalFunctionsBlocked: []
-          }
-        };
-
-        // ENHANCED Navigation Analysis
-        const mainNav = document.querySelectorAll('nav a, .nav a, .navigation a, .menu a, header a, [role="navigation"] a');
-        analysis.navigation.main.total = mainNav.length;
-        
-        Array.from(mainNav).forEach((link) => {
-          const linkText = link.innerText?.trim();
-          const href = link.href;
-          if (linkText && linkText.length > 1) {
-            const category = this.categorizeNavLink(linkText);
-            if (!analysis.navigation.main.categories.includes(category)) {
-              analysis.navigation.main.categories.push(category);
-            }
-            
-            const foundInRaw = rawHtmlContent.toLowerCase().includes(linkText.toLowerCase()) || 
-                              rawTextContent.toLowerCase().includes(linkText.toLowerCase());
-            if (!foundInRaw) {
-              analysis.navigation.main.missing.push({
-                text: linkText.substring(0, 50),
-                category: category,
-                href: href ? href.substring(href.lastIndexOf('/') + 1) : 'unknown'
-              });
-            }
-          }
-        });
-
-        // Breadcrumb Analysis
-        const breadcrumbs = document.querySelectorAll('.breadcrumb a, .breadcrumbs a, [aria-label*="breadcrumb"] a, .crumb a');
-        analysis.navigation.breadcrumbs.total = breadcrumbs.length;
-        analysis.navigation.breadcrumbs.depth = Math.max(0, breadcrumbs.length - 1);
-        
-        Array.from(breadcrumbs).forEach((crumb) => {
-          const crumbText = crumb.innerText?.trim();
-          if (crumbText) {
-            const foundInRaw = rawHtmlContent.toLowerCase().includes(crumbText.toLowerCase());
-            if (!foundInRaw) {
-              analysis.navigation.breadcrumbs.missing.push(crumbText.substring(0, 30));
-            }
-          }
-        });
-
-        // Footer Links Analysis
-        const footerLinks = document.querySelectorAll('footer a, .footer a, [role="contentinfo"] a');
-        analysis.navigation.footer.total = footerLinks.length;
-        
-        Array.from(footerLinks).forEach((link) => {
-          const linkText = link.innerText?.trim();
-          if (linkText) {
-            const type = this.categorizeFooterLink(linkText);
-            if (!analysis.navigation.footer.types.includes(type)) {
-              analysis.navigation.footer.types.push(type);
-            }
-            
-            const foundInRaw = rawHtmlContent.toLowerCase().includes(linkText.toLowerCase());
-            if (!foundInRaw) {
-              analysis.navigation.footer.missing.push({
-                text: linkText.substring(0, 40),
-                type: type
-              });
-            }
-          }
-        });
-
-        // ENHANCED Interactive Elements Analysis
-        const forms = document.querySelectorAll('form');
-        analysis.interactiveElements.forms.total = forms.length;
-        
-        Array.from(forms).forEach((form) => {
-          const formType = this.identifyFormType(form);
-          if (!analysis.interactiveElements.forms.types.includes(formType)) {
-            analysis.interactiveElements.forms.types.push(formType);
-          }
-          
-          const formText = form.innerText?.substring(0, 100) || 'Unnamed form';
-          const foundInRaw = rawHtmlContent.toLowerCase().includes(formText.toLowerCase().substring(0, 50));
-          if (!foundInRaw) {
-            analysis.interactiveElements.forms.missing.push({
-              type: formType,
-              preview: formText.substring(0, 50)
-            });
-          }
-        });
-
-        // Button Analysis with Categories
-        const buttons = document.querySelectorAll('button, input[type="button"], input[type="submit"], .btn, [role="button"]');
-        analysis.interactiveElements.buttons.total = buttons.length;
-        
-        Array.from(buttons).forEach((button) => {
-          const buttonText = button.innerText?.trim() || button.value?.trim() || button.title?.trim();
-          if (buttonText) {
-            const category = this.categorizeButton(buttonText);
-            if (!analysis.interactiveElements.buttons.categories.includes(category)) {
-              analysis.interactiveElements.buttons.categories.push(category);
-            }
-            
-            const foundInRaw = rawHtmlContent.toLowerCase().includes(buttonText.toLowerCase());
-            if (!foundInRaw) {
-              analysis.interactiveElements.buttons.missing.push({
-                text: buttonText.substring(0, 30),
-                category: category
-              });
-            }
-          }
-        });
-
-        // Selector/Dropdown Analysis
-        const selectors = document.querySelectorAll('select, .dropdown, .selector, input[type="range"], [role="combobox"]');
-        analysis.interactiveElements.selectors.total = selectors.length;
-        
-        Array.from(selectors).forEach((selector) => {
-          const type = selector.tagName.toLowerCase() === 'select' ? 'dropdown' : 
-                      selector.className.includes('range') ? 'range' : 'custom';
-          if (!analysis.interactiveElements.selectors.types.includes(type)) {
-            analysis.interactiveElements.selectors.types.push(type);
-          }
-          
-          const selectorInfo = selector.innerText?.substring(0, 50) || selector.placeholder || 'Selector';
-          const foundInRaw = rawHtmlContent.toLowerCase().includes(selectorInfo.toLowerCase().substring(0, 20));
-          if (!foundInRaw) {
-            analysis.interactiveElements.selectors.missing.push({
-              type: type,
-              info: selectorInfo.substring(0, 30)
-            });
-          }
-        });
-
-        // Search Functionality Analysis
-        const searchElements = document.querySelectorAll('input[type="search"], .search-input, .search-box, [placeholder*="search" i]');
-        analysis.interactiveElements.search.total = searchElements.length;
-        
-        Array.from(searchElements).forEach((search) => {
-          const hasAutocomplete = search.hasAttribute('autocomplete') || 
-                                 document.querySelector('.search-suggestions, .autocomplete, .search-dropdown');
-          const placeholder = search.placeholder || 'Search';
-          
-          if (hasAutocomplete) analysis.interactiveElements.search.features.push('autocomplete');
-          
-          const foundInRaw = rawHtmlContent.toLowerCase().includes(placeholder.toLowerCase());
-          if (!foundInRaw) {
-            analysis.interactiveElements.search.missing.push({
-              placeholder: placeholder.substring(0, 30),
-              hasAutocomplete: hasAutocomplete
-            });
-          }
-        });
-
-        // ENHANCED Content Data Analysis
-        // Pricing Analysis
-        const priceElements = document.querySelectorAll(
-          '[class*="price"], [class*="cost"], [class*="dollar"], [data-price], ' +
-          '.currency, .amount, .fee, .rate, .money, [class*="pricing"]'
-        );
-        analysis.contentData.pricing.total = priceElements.length;
-        
-        const prices = [];
-        Array.from(priceElements).forEach((el) => {
-          const priceText = el.innerText?.trim();
-          if (priceText && (/[\$£€¥₹¢]/.test(priceText) || /\d+[\.,]\d{2}/.test(priceText))) {
-            // Extract currency
-            const currency = priceText.match(/[\$£€¥₹¢]/)?.[0] || 
-                           priceText.match(/USD|EUR|GBP|JPY/i)?.[0] || '';
-            if (currency && !analysis.contentData.pricing.currency) {
-              analysis.contentData.pricing.currency = currency;
-            }
-            
-            // Extract price value
-            const priceMatch = priceText.match(/[\d,]+\.?\d*/);
-            if (priceMatch) {
-              const price = parseFloat(priceMatch[0].replace(/,/g, ''));
-              if (!isNaN(price)) prices.push(price);
-            }
-            
-            const foundInRaw = rawHtmlContent.toLowerCase().includes(priceText.toLowerCase());
-            if (!foundInRaw) {
-              analysis.contentData.pricing.missing.push({
-                text: priceText.substring(0, 20),
-                currency: currency,
-                context: this.getPriceContext(el)
-              });
-            }
-          }
-        });
-        
-        if (prices.length > 0) {
-          analysis.contentData.pricing.ranges = [
-            `${Math.min(...prices)}`,
-            `${Math.max(...prices)}`
-          ];
-        }
-
-        // Inventory Status Analysis
-        const inventoryElements = document.querySelectorAll(
-          '[class*="stock"], [class*="inventory"], [class*="available"], ' +
-          '.in-stock, .out-of-stock, .low-stock, [data-stock]'
-        );
-        analysis.contentData.inventory.total = inventoryElements.length;
-        
-        Array.from(inventoryElements).forEach((el) => {
-          const inventoryText = el.innerText?.trim();
-          if (inventoryText) {
-            const status = inventoryText.toLowerCase().includes('out') ? 'out-of-stock' :
-                          inventoryText.toLowerCase().includes('low') ? 'low-stock' : 'in-stock';
-            if (!analysis.contentData.inventory.statuses.includes(status)) {
-              analysis.contentData.inventory.statuses.push(status);
-            }
-            
-            const foundInRaw = rawHtmlContent.toLowerCase().includes(inventoryText.toLowerCase());
-            if (!foundInRaw) {
-              analysis.contentData.inventory.missing.push({
-                text: inventoryText.substring(0, 30),
-                status: status
-              });
-            }
-          }
-        });
-
-        // Reviews Analysis
-        const reviewElements = document.querySelectorAll(
-          '.review, .rating, [class*="star"], [class*="review"], ' +
-          '.testimonial, .feedback, [data-rating]'
-        );
-        analysis.contentData.reviews.total = reviewElements.length;
-        
-        const ratings = [];
-        Array.from(reviewElements).forEach((el) => {
-          const reviewText = el.innerText?.trim();
-          if (reviewText) {
-            // Extract rating if present
-            const ratingMatch = reviewText.match(/(\d\.?\d*)\s*\/?\s*5|\d\.?\d*\s*star/i);
-            if (ratingMatch) {
-              const rating = parseFloat(ratingMatch[1] || ratingMatch[0]);
-              if (!isNaN(rating) && rating <= 5) ratings.push(rating);
-            }
-            
-            const foundInRaw = rawHtmlContent.toLowerCase().includes(reviewText.toLowerCase().substring(0, 30));
-            if (!foundInRaw) {
-              analysis.contentData.reviews.missing.push({
-                preview: reviewText.substring(0, 50),
-                hasRating: !!ratingMatch
-              });
-            }
-          }
-        });
-        
-        if (ratings.length > 0) {
-          analysis.contentData.reviews.ratings = [
-            Math.min(...ratings),
-            Math.max(...ratings),
-            (ratings.reduce((a, b) => a + b, 0) / ratings.length).toFixed(1)
-          ];
-          analysis.contentData.reviews.count = ratings.length;
-        }
-
-        // Media Analysis
-        const mediaElements = document.querySelectorAll('img, video, .gallery, .carousel, .slider, picture');
-        analysis.contentData.media.total = mediaElements.length;
-        
-        Array.from(mediaElements).forEach((el) => {
-          const type = el.tagName.toLowerCase();
-          const mediaType = type === 'img' ? 'image' :
-                           type === 'video' ? 'video' :
-                           el.className.includes('gallery') ? 'gallery' :
-                           el.className.includes('carousel') ? 'carousel' : 'media';
-          
-          if (!analysis.contentData.media.types.includes(mediaType)) {
-            analysis.contentData.media.types.push(mediaType);
-          }
-          
-          const alt = el.alt || el.title || '';
-          if (alt) {
-            const foundInRaw = rawHtmlContent.toLowerCase().includes(alt.toLowerCase());
-            if (!foundInRaw) {
-              analysis.contentData.media.missing.push({
-                type: mediaType,
-                alt: alt.substring(0, 40)
-              });
-            }
-          }
-        });
-
-        // TECHNICAL IMPLEMENTATION ANALYSIS
-        // Detect hydration patterns
-        if (rawHtmlContent.includes('data-reactroot') || rawHtmlContent.includes('__NEXT_DATA__')) {
-          analysis.technicalImplementation.hydrationIssues.push('React hydration pattern detected');
-        }
-        if (rawHtmlContent.includes('__NUXT__') || rawHtmlContent.includes('__vue__')) {
-          analysis.technicalImplementation.hydrationIssues.push('Vue hydration pattern detected');
-        }
-
-        // Detect API endpoints
-        const scriptTags = document.querySelectorAll('script');
-        Array.from(scriptTags).forEach((script) => {
-          const content = script.innerHTML;
-          const apiMatches = content.match(/\/api\/[\w\-\/]+/g);
-          if (apiMatches) {
-            apiMatches.forEach(api => {
-              if (!analysis.technicalImplementation.apiEndpoints.includes(api)) {
-                analysis.technicalImplementation.apiEndpoints.push(api);
-              }
-            });
-          }
-        });
-
-        // BUSINESS IMPACT ANALYSIS
-        const totalMissingCritical = analysis.contentData.pricing.missing.length + 
-                                   analysis.contentData.inventory.missing.length +
-                                   analysis.interactiveElements.buttons.missing.filter(b => 
-                                     ['purchase', 'cart', 'buy'].includes(b.category)).length;
-
-        analysis.businessImpact.ecommerceDependent = totalMissingCritical > 2 || 
-                                                   analysis.contentData.pricing.missing.length > 0;
-        
-        analysis.businessImpact.seoImpact = analysis.navigation.main.missing.length > 5 ? 'high' :
-                                          analysis.navigation.main.missing.length > 2 ? 'medium' : 'low';
-        
-        analysis.businessImpact.llmAccessibility = totalMissingCritical > 3 ? 'poor' :
-                                                  totalMissingCritical > 1 ? 'limited' : 'good';
-
-        if (analysis.contentData.pricing.missing.length > 0) {
-          analysis.businessImpact.criticalFunctionsBlocked.push('Product pricing');
-        }
-        if (analysis.interactiveElements.buttons.missing.some(b => ['purchase', 'cart'].includes(b.category))) {
-          analysis.businessImpact.criticalFunctionsBlocked.push('E-commerce functionality');
-        }
-        if (analysis.contentData.reviews.missing.length > 0) {
-          analysis.businessImpact.criticalFunctionsBlocked.push('Customer reviews');
-        }
-
-        // Helper functions
-        this.categorizeNavLink = function(text) {
-          const lower = text.toLowerCase();
-          if (lower.includes('home') || lower.includes('main')) return 'main';
-          if (lower.includes('product') || lower.includes('shop') || lower.includes('store')) return 'products';
-          if (lower.includes('about') || lower.includes('company') || lower.includes('us')) return 'company';
-          if (lower.includes('contact') || lower.includes('support') || lower.includes('help')) return 'support';
-          if (lower.includes('account') || lower.includes('profile') || lower.includes('login')) return 'account';
-          return 'other';
-        };
-
-        this.categorizeFooterLink = function(text) {
-          const lower = text.toLowerCase();
-          if (lower.includes('privacy') || lower.includes('terms') || lower.includes('legal')) return 'legal';
-          if (lower.includes('social') || lower.includes('facebook') || lower.includes('twitter')) return 'social';
-          if (lower.includes('help') || lower.includes('support') || lower.includes('faq')) return 'support';
-          return 'general';
-        };
+      recommendations.push(`📦 MEDIUM: Inventory status hidden - affects product availability visibility`);
+    }
 
-        this.identifyFormType = function(form) {
-          const text = form.innerText?.toLowerCase() || '';
-          const action = form.action?.toLowerCase() || '';
-          if (text.includes('newsletter') || text.includes('subscribe')) return 'newsletter';
-          if (text.includes('contact') || text.includes('message')) return 'contact';
-          if (text.includes('search')) return 'search';
-          if (text.includes('login') || text.includes('sign in')) return 'login';
-          if (action.includes('checkout') || text.includes('payment')) return 'checkout';
-          return 'general';
-        };
+    // Interactive Elements
+    if (interactive.search.missing.length > 0) {
+      recommendations.push(`🔍 MEDIUM: Search functionality requires JS - no fallback for crawlers`);
+    }
 
-        this.categorizeButton = function(text) {
-          const lower = text.toLowerCase();
-          if (lower.includes('buy') || lower.includes('purchase') || lower.includes('order')) return 'purchase';
-          if (lower.includes('cart') || lower.includes('add to')) return 'cart';
-          if (lower.includes('search') || lower.includes('find')) return 'search';
-          if (lower.includes('subscribe') || lower.includes('newsletter')) return 'newsletter';
-          if (lower.includes('contact') || lower.includes('submit')) return 'form';
-          return 'general';
-        };
+    if (interactive.forms.missing.length > 0) {
+      const formTypes = [...new Set(interactive.forms.missing.map(f => f.type))];
+      recommendations.push(`📝 MEDIUM: ${formTypes.join(', ')} forms non-functional without JS`);
+    }
 
-        this.getPriceContext = function(element) {
-          const parent = element.closest('[class*="product"], [class*="item"], [class*="card"]');
-          if (parent) {
-            const title = parent.querySelector('h1, h2, h3, h4, .title, .name');
-            if (title) return title.innerText?.substring(0, 30) || 'product';
-          }
-          return 'unknown';
-        };
+    // Technical Recommendations
+    if (analysis.technicalImplementation.hydrationIssues.length > 0) {
+      recommendations.push(`🔧 TECHNICAL: Implement Server-Side Rendering (SSR) for critical content`);
+      recommendations.push(`🔧 TECHNICAL: Consider Progressive Enhancement for core functionality`);
+    }
 
-        return analysis;
-      }, { rawHtmlContent: rawHtml, rawTextContent: rawText });
+    if (analysis.technicalImplementation.apiEndpoints.length > 0) {
+      recommendations.push(`🔧 TECHNICAL: Pre-populate critical data server-side instead of API calls`);
+    }
 
-      return {
-        summary: this.generateEnhancedSummary(enhancedAnalysis),
-        enhancedAnalysis: enhancedAnalysis,
-        recommendations: this.generateEnhancedRecommendations(enhancedAnalysis)
-      };
+    // Overall Recommendations
+    const totalIssues = nav.main.missing.length + nav.footer.missing.length + 
+                       content.pricing.missing.length + content.reviews.missing.length + 
+                       interactive.buttons.missing.length;
 
-    } catch (error) {
-      console.error(`  ❌ Enhanced content analysis failed: ${error.message}`);
-      return {
-        error: error.message,
-        summary: 'Unable to perform enhanced content analysis',
-        recommendations: ['Manual content inspection required']
-      };
+    if (totalIssues > 10) {
+      recommendations.push(`🚨 RECOMMENDATION: JavaScript rendering essential - use Playwright/Puppeteer for any automated analysis`);
+      recommendations.push(`🚨 RECOMMENDATION: Implement comprehensive SSR strategy for SEO and accessibility`);
+    } else if (totalIssues > 5) {
+      recommendations.push(`⚠️ RECOMMENDATION: Consider JavaScript rendering for complete content access`);
+      recommendations.push(`⚠️ RECOMMENDATION: Prioritize SSR for critical business content`);
+    } else if (totalIssues > 0) {
+      recommendations.push(`✅ RECOMMENDATION: Minor JS dependencies - most content accessible without rendering`);
+    } else {
+      recommendations.push(`✅ EXCELLENT: All critical content available without JavaScript`);
+    }
+
+    // LLM-Specific Recommendations
+    if (business.llmAccessibility === 'poor') {
+      recommendations.push(`🤖 LLM IMPACT: Critical content invisible - tools like ChatGPT/Claude cannot analyze pricing, reviews, or products`);
+    } else if (business.llmAccessibility === 'limited') {
+      recommendations.push(`🤖 LLM IMPACT: Limited content access - some business data unavailable to AI analysis`);
+    } else {
+      recommendations.push(`🤖 LLM IMPACT: Good accessibility - most content available for AI analysis`);
     }
+
+    return recommendations;
   }
 
   // FIXED: Fixed summary generation logic
@@ -3552,12 +2321,16 @@ class AdvancedJSAnalyzer {
         llmAccessibilityScore: 0,
         crossBrowserConsistency: 'N/A',
         analysisConfidence: 0,
+        renderIncomplete: false,
+        requiresInteraction: false,
+        renderRequirement: 'unknown',
         error: 'All browsers failed'
       };
       return;
     }
 
     const hasSignificantChanges = browsers.some(b => b.significantChange);
+    const requiresInteraction = browsers.some(b => b.scrollContent?.requiresInteraction || b.interactionProbe?.requiresInteraction);
     const avgDifferencePercent = browsers.reduce((sum, b) => sum + Math.abs(b.contentDifferencePercent || 0), 0) / browsers.length;
     
     const allFrameworks = [...new Set(browsers.flatMap(b => b.frameworks || []))];
@@ -3565,16 +2338,20 @@ class AdvancedJSAnalyzer {
     
     this.results.summary = {
       requiresJSRendering: hasSignificantChanges,
+      requiresInteraction: requiresInteraction,
+      // 'html': all content is in the server response, 'js': needs rendering, 'js+interaction': some only after scrolling or clicking
+      renderRequirement: requiresInteraction ? 'js+interaction' : hasSignificantChanges ? 'js' : 'html',
       averageContentChange: Math.round(avgDifferencePercent),
       frameworksDetected: allFrameworks,
       llmAccessibilityScore: accessibilityScore,
       crossBrowserConsistency: this.calculateConsistency(browsers),
       analysisConfidence: this.calculateConfidence(browsers),
+      renderIncomplete: browsers.some(b => b.pageErrors?.renderIncomplete),
       totalLoadTime: Math.round(browsers.reduce((sum, b) => sum + (b.performanceMetrics?.totalLoadTime || 0), 0) / browsers.length)
     };
   }
 
-  // FIXED: Corrected scoring logic
+  // FIXED: Enhanced scoring logic that accounts for business impact
   calculateScore(browsers, frameworks, avgDifferencePercent) {
     let score = 100;
     
@@ -3590,16 +2367,55 @@ class AdvancedJSAnalyzer {
     );
     score -= confirmedModernFrameworks.length * 10;
     
-    // FIXED: Significant change penalty should align with content analysis
-    const hasSignificantChanges = browsers.some(b => b.significantChange);
-    const hasActualMissingContent = browsers.some(b => 
-      b.jsRenderedContent?.trulyMissingContent && 
-      Object.values(b.jsRenderedContent.trulyMissingContent).some(category => category.count > 0)
-    );
-    
-    if (hasSignificantChanges && hasActualMissingContent) {
-      score -= 25;
-    }
+    // ENHANCED: Use business impact analysis for more accurate scoring
+    browsers.forEach(browser => {
+      if (browser.jsRenderedContent?.enhancedAnalysis) {
+        const analysis = browser.jsRenderedContent.enhancedAnalysis;
+        
+        // Heavy penalty for missing critical business content
+        if (analysis.contentData.pricing.missing.length > 0) {
+          score -= 30; // Critical for e-commerce
+        }
+        
+        if (analysis.contentData.reviews.missing.length > 0) {
+          score -= 15; // Important for trust/conversion
+        }
+        
+        if (analysis.navigation.main.missing.length > 5) {
+          score -= 20; // Major navigation issues
+        } else if (analysis.navigation.main.missing.length > 0) {
+          score -= analysis.navigation.main.missing.length * 2;
+        }
+        
+        if (analysis.interactiveElements.buttons.missing.some(b => 
+            ['purchase', 'cart', 'buy'].includes(b.category))) {
+          score -= 25; // E-commerce functionality broken
+        }
+        
+        if (analysis.businessImpact.ecommerceDependent) {
+          const dependencyPercent = this.calculateEcommerceDependency(analysis);
+          score -= Math.floor(dependencyPercent / 10); // 1 point per 10% dependency
+        }
+        
+        // Headings and body copy aren't covered by the business analysis
+        const missing = browser.jsRenderedContent.trulyMissingContent;
+        if (missing) {
+          score -= Math.min(10, missing.headings.count * 2);
+          if (missing.textContent.totalMissingChars > 2000) {
+            score -= 10;
+          }
+        }
+      } else {
+        // Fallback to original logic for backward compatibility
+        const hasSignificantChanges = browser.significantChange;
+        const hasActualMissingContent = browser.jsRenderedContent?.trulyMissingContent && 
+          Object.values(browser.jsRenderedContent.trulyMissingContent).some(category => category.count > 0);
+        
+        if (hasSignificantChanges && hasActualMissingContent) {
+          score -= 25;
+        }
+      }
+    });
     
     // FIXED: Content length check
     const avgRawContent = browsers.reduce((sum, b) => sum + (b.rawContentLength || 0), 0) / browsers.length;
@@ -3624,6 +2440,13 @@ class AdvancedJSAnalyzer {
     
     if (this.calculateConsistency(browsers) === 'Low') confidence -= 15;
     
+    // Failed bundles and uncaught exceptions mean the rendered DOM may not be the finished page
+    const incomplete = browsers.filter(b => b.pageErrors?.renderIncomplete).length;
+    if (incomplete > 0) confidence -= incomplete === browsers.length ? 40 : 20;
+    if (browsers.some(b => b.pageErrors?.exceptions.length > 0)) confidence -= 10;
+    if (browsers.some(b => b.pageErrors?.blockedRequests.length > 0)) confidence -= 5;
+    if (browsers.some(b => b.pageErrors?.consoleErrors > 10)) confidence -= 5;
+    
     return Math.max(0, confidence);
   }
 
@@ -3665,20 +2488,122 @@ class AdvancedJSAnalyzer {
       recommendations.push("⚠️ Analysis confidence below 80% - results may be unreliable");
     }
 
+    const browsers = Object.values(this.results.browsers);
+    if (browsers.some(b => b.scrollContent?.requiresInteraction)) {
+      recommendations.push("📜 Some content only loads on scroll - crawlers that don't scroll never see it; render it in the initial HTML or link to paginated pages");
+    }
+    if (browsers.some(b => b.interactionProbe?.requiresInteraction)) {
+      recommendations.push("🖱️ Tabs or \"load more\" buttons create content on click - crawlers never click; put it in the HTML and hide it with CSS instead");
+    }
+
+    if (summary.renderIncomplete) {
+      recommendations.push("🧯 Render incomplete - critical scripts failed or threw, so JS dependency may be under-reported; fix the errors and re-run");
+    }
+
+    // SEO metadata rewritten by JS, most severe first, deduplicated across browsers
+    const seoFindings = new Map();
+    Object.values(this.results.browsers)
+      .filter(b => b.seoMetadata)
+      .forEach(b => b.seoMetadata.findings.forEach(f => seoFindings.set(`${f.field}:${f.message}`, f)));
+    
+    const findings = [...seoFindings.values()];
+    findings.filter(f => f.severity === 'high').forEach(f => {
+      recommendations.push(`🚨 SEO HIGH: ${f.message}`);
+    });
+    findings.filter(f => f.severity === 'medium').forEach(f => {
+      recommendations.push(`🏷️ SEO MEDIUM: ${f.message}`);
+    });
+
     this.results.recommendations = recommendations;
   }
 
+  // The first successful run for a URL becomes its baseline; later runs are diffed against it
+  async compareWithBaseline() {
+    if (this.results.summary.error) {
+      console.log('⏭️ Skipping baseline comparison - analysis failed');
+      return;
+    }
+    
+    const baselinePath = path.join(this.baselineDir, baselineFileName(this.targetUrl));
+    const baseline = await loadBaseline(baselinePath);
+    
+    if (baseline) {
+      this.results.regression = compareRuns(baseline, this.results);
+      console.log(`📉 Compared with baseline from ${baseline.timestamp}: ${this.results.regression.regressed ? 'REGRESSED' : 'no regressions'}`);
+    }
+    
+    if (!baseline || this.updateBaseline) {
+      await saveBaseline(baselinePath, this.results);
+      console.log(`📌 Baseline ${baseline ? 'updated' : 'created'}: ${baselinePath}`);
+    }
+  }
+
   async saveResults() {
     // Save JSON report
-    const reportPath = 'analysis-report.json';
+    const reportPath = this.outputPath('analysis-report.json');
     await fs.writeFile(reportPath, JSON.stringify(this.results, null, 2));
     console.log(`📄 Report saved: ${reportPath}`);
     
+    if (this.results.regression) {
+      const regressionPath = this.outputPath('regression-report.json');
+      await fs.writeFile(regressionPath, JSON.stringify(this.results.regression, null, 2));
+      console.log(`📄 Regression diff saved: ${regressionPath}`);
+    }
+    
     // Save human-readable summary
-    const summaryPath = 'analysis-summary.txt';
+    const summaryPath = this.outputPath('analysis-summary.txt');
     const summary = this.generateTextSummary();
     await fs.writeFile(summaryPath, summary);
     console.log(`📄 Summary saved: ${summaryPath}`);
+    
+    await this.saveHtmlReport(this.outputPath('analysis-report.html'));
+    
+    const markdownPath = this.outputPath('analysis-report.md');
+    const markdown = renderMarkdownReport(this.results);
+    await fs.writeFile(markdownPath, markdown);
+    console.log(`📄 Markdown audit saved: ${markdownPath}`);
+    
+    if (this.exportPdf) {
+      await this.savePdfReport(markdown, this.outputPath('analysis-report.pdf'));
+    }
+  }
+
+  // A failed PDF export is logged but does not fail the analysis
+  async savePdfReport(markdown, pdfPath) {
+    let browser;
+    try {
+      browser = await this.launchBrowser(chromium, { headless: true, args: ['--no-sandbox', '--disable-dev-shm-usage'] });
+      const context = await browser.newContext();
+      const page = await context.newPage();
+      await page.setContent(htmlPage(`JS Rendering Audit - ${this.targetUrl}`, markdownToHtml(markdown)), { waitUntil: 'load' });
+      await page.pdf({
+        path: pdfPath,
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '15mm', bottom: '15mm', left: '12mm', right: '12mm' }
+      });
+      console.log(`📄 PDF audit saved: ${pdfPath}`);
+    } catch (error) {
+      console.error(`❌ PDF export failed: ${error.message}`);
+    } finally {
+      if (browser) await browser.close().catch(() => {});
+    }
+  }
+
+  // Single offline file: screenshots are inlined so the report can be attached to an email
+  async saveHtmlReport(reportPath) {
+    const screenshots = {};
+    for (const [name, data] of Object.entries(this.results.browsers)) {
+      if (!data.screenshotPath) continue;
+      try {
+        screenshots[name] = `data:image/png;base64,${(await fs.readFile(data.screenshotPath)).toString('base64')}`;
+      } catch (error) {
+        console.log(`⚠️ Screenshot for ${name} not embedded: ${error.message}`);
+      }
+    }
+    
+    await fs.writeFile(reportPath, renderHtmlReport(this.results, { screenshots }));
+    console.log(`📄 HTML report saved: ${reportPath}`);
   }
 
   generateTextSummary() {
@@ -3699,32 +2624,70 @@ Timestamp: ${this.results.timestamp}
 📊 SUMMARY
 ----------
 LLM Accessibility Score: ${summary.llmAccessibilityScore}/100
-Requires JS Rendering: ${summary.requiresJSRendering ? 'YES' : 'NO'}
+Requires JS Rendering: ${summary.requiresJSRendering ? 'YES' : 'NO'}${summary.renderRequirement === 'js+interaction' ? '\nRequires User Interaction: YES (content only appears after scrolling or clicking)' : ''}
 Average Content Change: ${summary.averageContentChange}%
 Frameworks Detected: ${summary.frameworksDetected.join(', ') || 'None'}
 Cross-Browser Consistency: ${summary.crossBrowserConsistency}
-Analysis Confidence: ${summary.analysisConfidence}%
+Analysis Confidence: ${summary.analysisConfidence}%${summary.renderIncomplete ? '\n⚠️ RENDER INCOMPLETE: scripts failed or threw before the page finished rendering' : ''}
+${this.results.robots ? this.formatRobotsStatus(this.results.robots) : ''}
+${this.results.regression ? formatRegression(this.results.regression) : ''}
+${successfulBrowser?.headingOutline ? this.formatHeadingOutline(successfulBrowser.headingOutline) : ''}
+${successfulBrowser?.seoMetadata ? this.formatSeoMetadata(successfulBrowser.seoMetadata) : ''}
+${successfulBrowser?.structuredData ? this.formatStructuredData(successfulBrowser.structuredData) : ''}
+${successfulBrowser?.links ? this.formatLinkGraph(successfulBrowser.links) : ''}
+${successfulBrowser?.network ? this.formatNetwork(successfulBrowser.network) : ''}
+${successfulBrowser?.pageErrors ? this.formatPageErrors(successfulBrowser.pageErrors) : ''}
+${successfulBrowser?.renderTimeline ? this.formatRenderTimeline(successfulBrowser.renderTimeline) : ''}
+${successfulBrowser?.scrollContent ? this.formatScrollContent(successfulBrowser.scrollContent) : ''}
+${successfulBrowser?.interactionProbe ? this.formatInteractionProbe(successfulBrowser.interactionProbe) : ''}
+${jsContent?.enhancedAnalysis ? `
+🎯 ENHANCED BUSINESS CONTENT ANALYSIS
+-----------------------------------
+${jsContent.summary || 'No enhanced analysis available'}
 
-${jsContent ? `
-🎯 LLM-FOCUSED CONTENT ANALYSIS
-------------------------------
+DETAILED BREAKDOWN:
+Navigation Impact:
+  • Main navigation: ${jsContent.enhancedAnalysis.navigation.main.missing.length}/${jsContent.enhancedAnalysis.navigation.main.total} links missing
+  • Footer links: ${jsContent.enhancedAnalysis.navigation.footer.missing.length}/${jsContent.enhancedAnalysis.navigation.footer.total} links missing
+  • Breadcrumbs: ${jsContent.enhancedAnalysis.navigation.breadcrumbs.depth} levels deep
+
+Interactive Elements:
+  • Forms: ${jsContent.enhancedAnalysis.interactiveElements.forms.missing.length}/${jsContent.enhancedAnalysis.interactiveElements.forms.total} missing (${jsContent.enhancedAnalysis.interactiveElements.forms.types.join(', ')})
+  • Buttons: ${jsContent.enhancedAnalysis.interactiveElements.buttons.missing.length}/${jsContent.enhancedAnalysis.interactiveElements.buttons.total} missing (${jsContent.enhancedAnalysis.interactiveElements.buttons.categories.join(', ')})
+  • Selectors: ${jsContent.enhancedAnalysis.interactiveElements.selectors.missing.length}/${jsContent.enhancedAnalysis.interactiveElements.selectors.total} missing
+
+Critical Content:
+  • Pricing: ${jsContent.enhancedAnalysis.contentData.pricing.missing.length}/${jsContent.enhancedAnalysis.contentData.pricing.total} prices missing${jsContent.enhancedAnalysis.contentData.pricing.currency ? ` (${jsContent.enhancedAnalysis.contentData.pricing.currency})` : ''}
+  • Reviews: ${jsContent.enhancedAnalysis.contentData.reviews.missing.length}/${jsContent.enhancedAnalysis.contentData.reviews.total} reviews missing${jsContent.enhancedAnalysis.contentData.reviews.count ? ` (${jsContent.enhancedAnalysis.contentData.reviews.count} total)` : ''}
+  • Inventory: ${jsContent.enhancedAnalysis.contentData.inventory.missing.length}/${jsContent.enhancedAnalysis.contentData.inventory.total} status indicators missing
+
+Business Impact:
+  • E-commerce Dependent: ${jsContent.enhancedAnalysis.businessImpact.ecommerceDependent ? 'YES' : 'NO'}
+  • SEO Impact: ${jsContent.enhancedAnalysis.businessImpact.seoImpact.toUpperCase()}
+  • LLM Accessibility: ${jsContent.enhancedAnalysis.businessImpact.llmAccessibility.toUpperCase()}
+  • Critical Functions Blocked: ${jsContent.enhancedAnalysis.businessImpact.criticalFunctionsBlocked.join(', ') || 'None'}
+
+Technical Implementation:
+  • API Endpoints: ${jsContent.enhancedAnalysis.technicalImplementation.apiEndpoints.join(', ') || 'None detected'}
+  • Hydration Issues: ${jsContent.enhancedAnalysis.technicalImplementation.hydrationIssues.join(', ') || 'None detected'}
+
+${jsContent.trulyMissingContent ? this.formatTrulyMissingContent(jsContent.trulyMissingContent) : ''}
+
+ENHANCED RECOMMENDATIONS:
+${jsContent && jsContent.recommendations ? jsContent.recommendations.map(r => `• ${r}`).join('\n') : 'No enhanced recommendations available'}
+` : jsContent ? `
+🎯 BASIC LLM-FOCUSED CONTENT ANALYSIS
+-----------------------------------
 ${jsContent.summary || 'No additional content details available'}
 
-${jsContent.trulyMissingContent ? `
-CONTENT TRULY MISSING FROM RAW HTML:
-${jsContent.trulyMissingContent.navigation.count > 0 ? `• Navigation: ${jsContent.trulyMissingContent.navigation.count} links missing` : ''}
-${jsContent.trulyMissingContent.headings.count > 0 ? `• Headings: ${jsContent.trulyMissingContent.headings.count} headings missing` : ''}
-${jsContent.trulyMissingContent.textContent.count > 0 ? `• Text Content: ${jsContent.trulyMissingContent.textContent.count} blocks missing (~${Math.round(jsContent.trulyMissingContent.textContent.totalMissingChars/1000)}k chars)` : ''}
-${jsContent.trulyMissingContent.criticalData.count > 0 ? `• Critical Data: ${jsContent.trulyMissingContent.criticalData.count} pricing/data elements missing` : ''}
-${jsContent.trulyMissingContent.interactiveElements.count > 0 ? `• Interactive: ${jsContent.trulyMissingContent.interactiveElements.count} elements missing` : ''}
-` : ''}
+${jsContent.trulyMissingContent ? this.formatTrulyMissingContent(jsContent.trulyMissingContent) : ''}
 
-LLM-SPECIFIC RECOMMENDATIONS:
+BASIC RECOMMENDATIONS:
 ${jsContent && jsContent.recommendations ? jsContent.recommendations.map(r => `• ${r}`).join('\n') : 'No specific content recommendations available'}
 ` : ''}
 
-🎯 RECOMMENDATIONS
-------------------
+🎯 GENERAL RECOMMENDATIONS
+-------------------------
 ${recommendations.map(r => `• ${r}`).join('\n')}
 
 🌐 BROWSER RESULTS
@@ -3733,118 +2696,209 @@ ${Object.entries(this.results.browsers).map(([browser, data]) => `
 ${browser.toUpperCase()}:
   Status: ${data.status || 'Unknown'}
   Content Change: ${data.contentDifferencePercent || 0}%
+  Content Layers: ${data.renderLayers?.available ? `raw ${data.renderLayers.rawContentLength} → no-JS ${data.renderLayers.noJsContentLength} → rendered ${data.renderLayers.renderedContentLength} chars (noscript: ${data.renderLayers.noscriptContentLength}, JS-injected: ${data.renderLayers.jsInjectedPercent}%)` : 'No-JS baseline unavailable'}
+  DOM Diff: ${data.domDiff ? `+${data.domDiff.stats.addedNodes} added / -${data.domDiff.stats.removedNodes} removed / ~${data.domDiff.stats.modifiedNodes} modified nodes, ${data.domDiff.addedTextLength} chars of text added by JS` : 'Unavailable'}
   Frameworks: ${data.frameworks?.join(', ') || 'None'}
   Load Time: ${data.performanceMetrics?.totalLoadTime || 0}ms
+  Click-Only Content: ${data.interactionProbe ? `${data.interactionProbe.chars.createdOnClick} chars from ${data.interactionProbe.revealing} widgets` : 'Not probed'}
+  Scroll-Only Content: ${data.scrollContent ? `${data.scrollContent.scrollOnly.chars} chars, ${data.scrollContent.scrollOnly.headings.length} headings, ${data.scrollContent.scrollOnly.links.length} links` : 'Not checked'}
+  Render Wait: ${data.renderWait ? `${data.renderWait.strategy}, ${data.renderWait.settled ? 'settled' : `not settled (cap ${data.renderWait.cap}ms)`} after ${data.renderWait.settleTime}ms` : 'N/A'}
   Screenshot: ${data.screenshotPath || 'None'}
   ${data.error ? `Error: ${data.error}` : ''}
 `).join('\n')}
 
 📈 ARTIFACTS
 ------------
-GitHub Run: https://github.com/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}
+GitHub Run: ${this.results.runUrl || 'N/A'}
 Screenshots: Available in GitHub Actions artifacts
 Full Report: analysis-report.json
+HTML Report: analysis-report.html
+Markdown Audit: analysis-report.md
     `.trim();
   }
 
-  async updateGoogleSheet() {
-    console.log('🔍 DEBUG: Starting Google Sheet update process...');
-    console.log(`Sheet ID: ${process.env.GOOGLE_SHEET_ID || 'Missing'}`);
-    console.log(`Row Number: ${process.env.ROW_NUMBER || 'Missing'}`);
-    console.log(`Service Account: ${process.env.GOOGLE_SERVICE_ACCOUNT ? 'Present' : 'Missing'}`);
+  formatRobotsStatus(robots) {
+    if (robots.error) return `Robots.txt: unknown (${robots.error})`;
+    return `Robots.txt: ${robots.disallowedFor.length > 0 ? `DISALLOWED for ${robots.disallowedFor.join(', ')}` : 'allowed for all checked crawlers'}${robots.found ? '' : ' (no robots.txt)'}`;
+  }
+
+  formatHeadingOutline(outline) {
+    const jsOnly = outline.jsOnly.slice(0, 8).map(h => `  ${'  '.repeat(h.depth)}• H${h.level}: ${h.text}`);
+    const removed = outline.removedByJs.slice(0, 5).map(h => `  • H${h.level}: ${h.text}`);
     
-    if (!process.env.GOOGLE_SERVICE_ACCOUNT || !process.env.GOOGLE_SHEET_ID || !process.env.ROW_NUMBER) {
-      console.log('📊 Skipping Google Sheets update - missing configuration');
-      return;
-    }
+    return `
+📑 HEADING OUTLINE
+------------------
+Headings: ${outline.raw.count} in raw HTML, ${outline.rendered.count} after JS
+H1 (raw): ${outline.h1.raw.join(' | ') || 'None'}
+H1 (rendered): ${outline.h1.rendered.join(' | ') || 'None'}${outline.h1.changed ? ' ⚠️ changed by JS' : ''}
+Outline Order Changed: ${outline.orderChanged ? 'YES' : 'NO'}
+${jsOnly.length > 0 ? `Only present after JS (${outline.jsOnly.length}):\n${jsOnly.join('\n')}` : 'Only present after JS: None'}
+${removed.length > 0 ? `Removed by JS (${outline.removedByJs.length}):\n${removed.join('\n')}` : ''}
+${outline.levelChanges.length > 0 ? `Level changes: ${outline.levelChanges.slice(0, 5).map(c => `"${c.text}" ${c.from}→${c.to}`).join(', ')}` : ''}
+`;
+  }
+
+  formatSeoMetadata(seo) {
+    const rows = ['title', 'description', 'canonical', 'robots', 'hreflang'].map(field => {
+      const { status, raw, rendered } = seo.fields[field];
+      const value = status === 'unchanged' ? (raw || 'not set') : `"${raw || 'not set'}" → "${rendered || 'not set'}"`;
+      return `${field.padEnd(12)} ${status.toUpperCase().padEnd(10)} ${value.substring(0, 120)}`;
+    });
+    
+    return `
+🏷️ SEO METADATA (RAW vs RENDERED)
+--------------------------------
+${rows.join('\n')}
+Social tags changed by JS: ${Object.keys(seo.fields).filter(k => /^(og|twitter):/.test(k) && seo.fields[k].status !== 'unchanged').length}
+${seo.findings.length > 0 ? seo.findings.map(f => `• [${f.severity.toUpperCase()}] ${f.message}`).join('\n') : '• No JS-driven metadata changes'}
+`;
+  }
 
-    try {
-      console.log('📊 Updating Google Sheet...');
-      
-      const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT);
-      console.log(`✅ Service account credentials parsed successfully: ${credentials.client_email}`);
-      
-      const auth = new google.auth.GoogleAuth({
-        credentials,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets']
-      });
+  formatStructuredData(data) {
+    const types = counts => Object.entries(counts).map(([type, count]) => `${type}${count > 1 ? ` x${count}` : ''}`).join(', ') || 'None';
+    const { commerce } = data;
+    
+    return `
+🧬 STRUCTURED DATA (schema.org)
+------------------------------
+Raw HTML: ${types(data.raw.types)}
+Rendered: ${types(data.rendered.types)}
+JS-only entities: ${data.jsOnlyEntities.map(e => `${e.type} (${e.source})`).join(', ') || 'None'}
+JS-only properties: ${data.jsOnlyProperties.slice(0, 8).map(p => p.path).join(', ') || 'None'}${data.jsOnlyProperties.length > 8 ? `, +${data.jsOnlyProperties.length - 8} more` : ''}
+${commerce.price !== null ? `Price: ${commerce.currency || ''} ${commerce.price} - ${commerce.priceInRaw ? 'in raw HTML' : 'only after JS'}` : ''}
+${commerce.ratingValue !== null ? `Rating: ${commerce.ratingValue} (${commerce.reviewCount || '?'} reviews) - ${commerce.ratingInRaw ? 'in raw HTML' : 'only after JS'}` : ''}
+${data.raw.jsonLdErrors.length + data.rendered.jsonLdErrors.length > 0 ? `⚠️ Invalid JSON-LD blocks: ${data.raw.jsonLdErrors.length} raw, ${data.rendered.jsonLdErrors.length} rendered` : ''}
+`;
+  }
 
-      const sheets = google.sheets({ version: 'v4', auth });
-      const sheetId = process.env.GOOGLE_SHEET_ID;
-      const rowNumber = parseInt(process.env.ROW_NUMBER);
-
-      const { summary, browsers } = this.results;
-      const chromiumResults = browsers.chromium || {};
-      const jsContent = chromiumResults.jsRenderedContent || {};
-
-      // Safely handle all potential undefined values
-      const recommendations = Array.isArray(this.results.recommendations) ? this.results.recommendations : [];
-      const frameworksDetected = Array.isArray(summary.frameworksDetected) ? summary.frameworksDetected : [];
-      
-      const recommendationText = recommendations.length > 0 ? 
-        recommendations.slice(0, 2).join(' | ') : 
-        'Analysis complete';
-
-      const githubUrl = `https://github.com/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}`;
-
-      // Enhanced data with LLM-focused JS content analysis
-      const missingContent = jsContent.trulyMissingContent || {};
-      const criticalMissing = (missingContent.criticalData?.count || 0) + (missingContent.headings?.count || 0);
-      const navigationMissing = missingContent.navigation?.count > 0 ? 'Yes' : 'No';
-      const headingsMissing = missingContent.headings?.count > 0 ? 'Yes' : 'No';
-      const interactiveCount = missingContent.interactiveElements?.count || 0;
-      const dataCount = missingContent.criticalData?.count || 0;
-      
-      // Determine impact level based on truly missing content
-      let impactLevel = 'Low';
-      if (criticalMissing > 3 || dataCount > 0) impactLevel = 'High';
-      else if (criticalMissing > 0 || navigationMissing === 'Yes') impactLevel = 'Medium';
-      
-      const contentExample = missingContent.headings?.examples?.[0] || 
-                           missingContent.navigation?.examples?.[0] || 
-                           missingContent.criticalData?.examples?.[0] || 'None';
-
-      const updateData = [
-        [
-          chromiumResults.rawHtmlLength || 0,
-          chromiumResults.renderedHtmlLength || 0,
-          summary.averageContentChange || 0,
-          frameworksDetected.join(', ') || 'None',
-          summary.llmAccessibilityScore || 0,
-          `Complete (${this.analysisType})`,
-          recommendationText,
-          githubUrl,
-          new Date().toISOString(),
-          // Enhanced LLM-focused JS content columns
-          jsContent.summary || 'No LLM analysis available',
-          criticalMissing,
-          navigationMissing,
-          headingsMissing,
-          interactiveCount,
-          dataCount,
-          impactLevel,
-          contentExample.substring(0, 50),
-          chromiumResults.evasionUsed || 'standard',
-          chromiumResults.status === 'protected_site' || chromiumResults.status === 'failed' ? 'Yes' : 'No',
-          summary.analysisConfidence || 100
-        ]
-      ];
+  formatNetwork(network) {
+    const calls = network.apiCalls.slice(0, 8).map(call => `  • ${call.endpoint} x${call.count} (${call.kind}${call.firstParty ? '' : ', third party'}${call.failed > 0 ? `, ${call.failed} failed` : ''})`);
+    const sources = network.attribution.sources.slice(0, 5).map(source => `  • ${source.endpoint}: ${source.blocks} texts, ${source.chars} chars (e.g. "${source.examples[0]}")`);
+    
+    return `
+🌐 NETWORK & DATA SOURCES
+------------------------
+Requests: ${network.requests} (${Object.entries(network.byType).map(([type, count]) => `${type} ${count}`).join(', ')})
+Failed: ${network.failed}, 4xx: ${network.status4xx}, 5xx: ${network.status5xx}, third party: ${network.thirdParty}
+${calls.length > 0 ? `API calls (${network.apiCalls.length} endpoints):\n${calls.join('\n')}` : 'API calls: None'}
+JS-only text traced to API responses: ${network.attribution.attributedTexts}/${network.attribution.jsOnlyTexts}
+${sources.length > 0 ? `Server-render these first:\n${sources.join('\n')}` : ''}
+${network.harPath ? `HAR: ${network.harPath}` : ''}
+`;
+  }
+
+  formatInteractionProbe(probe) {
+    const widgets = probe.widgets.map(w => w.activated ?
+      `  • [${w.kind}] ${w.label}: ${w.revealedChars > 0 ? `${w.revealedChars} chars, ${w.source}${w.requests > 0 ? ` (${w.requests} API requests)` : ''}` : 'nothing revealed'}` :
+      `  • [${w.kind}] ${w.label}: not activated (${w.error})`);
+    
+    return `
+🖱️ INTERACTION-GATED CONTENT
+---------------------------
+Widgets: ${probe.widgetsFound} found, ${probe.activated} activated, ${probe.revealing} revealed content${probe.navigatedAway ? ' (probe stopped: a click left the page)' : ''}
+Hidden in Raw HTML: ${probe.chars.hiddenInRawHtml} chars (crawlers can read it)
+Hidden After Render: ${probe.chars.hiddenAfterRender} chars (needs JS)
+Created on Click: ${probe.chars.createdOnClick} chars (needs JS plus user interaction)
+${widgets.length > 0 ? widgets.join('\n') : ''}
+`;
+  }
+
+  formatScrollContent(scroll) {
+    const { onLoad, scrollOnly } = scroll;
+    const examples = [
+      ...scrollOnly.headings.slice(0, 5).map(h => `  • Heading: ${h}`),
+      ...scrollOnly.prices.slice(0, 5).map(p => `  • Price: ${p}`),
+      ...scrollOnly.examples.slice(0, 5).map(text => `  • "${text.substring(0, 100)}"`)
+    ];
+    
+    return `
+📜 SCROLL-ONLY CONTENT (needs JS plus user interaction)
+-----------------------------------------------------
+Scroll Pass: ${scroll.steps} steps in ${scroll.duration}ms, page height ${scroll.heightBefore} → ${scroll.heightAfter}px${scroll.reachedEnd ? '' : ' (stopped before the bottom)'}${scroll.infiniteScroll ? ', infinite scroll' : ''}
+On Load: ${onLoad.textLength} chars, ${onLoad.headings} headings, ${onLoad.links} links, ${onLoad.prices} prices, ${onLoad.images} images
+Only After Scrolling: ${scrollOnly.chars} chars in ${scrollOnly.blocks} blocks, ${scrollOnly.headings.length} headings, ${scrollOnly.links.length} links, ${scrollOnly.prices.length} prices, ${scrollOnly.images} images
+${examples.length > 0 ? `Examples:\n${examples.join('\n')}` : ''}
+`;
+  }
+
+  formatRenderTimeline(timeline) {
+    const ms = value => value === null ? 'n/a' : `${value}ms`;
+    const { text, headings, links, prices } = timeline.categories;
+    const samples = timeline.samples.map(s => `  • ${s.label.padEnd(16)} @ ${ms(s.at).padStart(7)}: ${s.textLength} chars, ${s.headings} headings, ${s.links} links, ${s.prices} prices`);
+    const late = [...headings.items, ...prices.items]
+      .filter(item => item.label !== 'domcontentloaded')
+      .sort((a, b) => b.at - a.at)
+      .slice(0, 5)
+      .map(item => `  • "${item.value}" first seen at ${ms(item.at)} (${item.label})`);
+    
+    return `
+🕒 RENDER TIMELINE
+-----------------
+${samples.join('\n')}
+Time to Meaningful Content: text ${ms(text.timeToMeaningful)}, headings ${ms(headings.timeToMeaningful)}, links ${ms(links.timeToMeaningful)}, prices ${ms(prices.timeToMeaningful)}
+${timeline.skippedOffsets.length > 0 ? `Not sampled (page settled first or loaded later): ${timeline.skippedOffsets.map(ms).join(', ')}` : ''}
+${late.length > 0 ? `Latest Arrivals:\n${late.join('\n')}` : ''}
+`;
+  }
 
-      console.log(`📝 Updating range B${rowNumber}:U${rowNumber} with enhanced LLM-focused data`);
+  formatPageErrors(pageErrors) {
+    const exceptions = pageErrors.exceptions.slice(0, 5).map(e => `  • ${e.name}: ${e.message}`);
+    const consoleErrors = pageErrors.messages.filter(m => m.type === 'error').slice(0, 5).map(m => `  • ${m.text}`);
+    const scripts = pageErrors.failedScripts.slice(0, 5).map(s => `  • ${s.url} (${s.failure || `HTTP ${s.status}`})${s.critical ? ' [critical]' : ''}`);
+    const blocked = pageErrors.blockedRequests.slice(0, 5).map(r => `  • ${r.url} (${r.failure})`);
+    
+    return `
+🧯 PAGE ERRORS
+-------------
+Render Complete: ${pageErrors.renderIncomplete ? `NO - ${pageErrors.reasons.join('; ')}` : 'YES'}
+Console: ${pageErrors.consoleErrors} errors, ${pageErrors.consoleWarnings} warnings
+${exceptions.length > 0 ? `Uncaught Exceptions (${pageErrors.exceptions.length}):\n${exceptions.join('\n')}` : 'Uncaught Exceptions: None'}
+${consoleErrors.length > 0 ? `Console Errors:\n${consoleErrors.join('\n')}` : ''}
+${scripts.length > 0 ? `Failed Scripts (${pageErrors.failedScripts.length}):\n${scripts.join('\n')}` : 'Failed Scripts: None'}
+${blocked.length > 0 ? `Blocked Requests (${pageErrors.blockedRequests.length}):\n${blocked.join('\n')}` : ''}
+`;
+  }
 
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: sheetId,
-        range: `B${rowNumber}:U${rowNumber}`,
-        valueInputOption: 'RAW',
-        requestBody: {
-          values: updateData
-        }
-      });
+  formatLinkGraph(links) {
+    const list = items => items.slice(0, 5).map(l => `    - ${l.text || '(no text)'} → ${l.href || l.rawHref || 'no href'}`).join('\n');
+    
+    return `
+🔗 LINK CRAWLABILITY
+-------------------
+Crawlable links: ${links.raw.crawlable} in raw HTML, ${links.rendered.crawlable} after JS (${links.rendered.internal} internal, ${links.rendered.external} external)
+Internal links discovered only after JS: ${links.jsOnlyInternalCount}
+${links.jsOnlyInternalCount > 0 ? list(links.jsOnlyInternal) : ''}
+External links discovered only after JS: ${links.jsOnlyExternalCount}
+Links crawlers cannot follow (javascript:/click handlers): ${links.uncrawlableCount}
+${links.uncrawlableCount > 0 ? list(links.uncrawlable) : ''}
+Links removed by JS: ${links.removedByJsCount}
+`;
+  }
+
+  formatTrulyMissingContent(missing) {
+    const lines = [];
+    if (missing.navigation.count > 0) lines.push(`• Navigation: ${missing.navigation.count} links missing (e.g. ${missing.navigation.examples.slice(0, 3).join(', ')})`);
+    if (missing.headings.count > 0) lines.push(`• Headings: ${missing.headings.count} headings missing (e.g. "${missing.headings.examples[0]}")`);
+    if (missing.textContent.count > 0) lines.push(`• Text Content: ${missing.textContent.count} blocks missing (~${Math.round(missing.textContent.totalMissingChars / 1000)}k chars)`);
+    if (missing.criticalData.count > 0) lines.push(`• Critical Data: ${missing.criticalData.count} pricing/data elements missing (e.g. ${missing.criticalData.examples.slice(0, 3).join(', ')})`);
+    if (missing.interactiveElements.count > 0) lines.push(`• Interactive: ${missing.interactiveElements.count} elements missing`);
+    
+    return `
+CONTENT TRULY MISSING FROM RAW HTML:
+${lines.join('\n') || '• None - all rendered content is present in the raw HTML'}
+`;
+  }
 
-      console.log('✅ Google Sheet updated successfully');
+  // A failed sink write is logged but does not fail the analysis
+  async writeToSink() {
+    try {
+      console.log(`📊 Writing results to ${this.sink.name || 'sink'}...`);
+      await this.sink.writeResult({ url: this.targetUrl, ...this.sinkItem }, this.results);
+      console.log('✅ Results written');
 
     } catch (error) {
-      console.error('❌ Failed to update Google Sheet:', error.message);
+      console.error(`❌ Failed to write results to ${this.sink.name || 'sink'}:`, error.message);
       console.error('❌ Full error:', error);
     }
   }
@@ -3857,7 +2911,8 @@ Full Report: analysis-report.json
       analysisType: this.analysisType
     };
 
-    await fs.writeFile('error-report.json', JSON.stringify(errorReport, null, 2));
+    await fs.mkdir(this.outputDir, { recursive: true });
+    await fs.writeFile(this.outputPath('error-report.json'), JSON.stringify(errorReport, null, 2));
     console.error('❌ Error report saved');
   }
 
@@ -3869,10 +2924,22 @@ Full Report: analysis-report.json
     console.log(`🔗 URL: ${this.targetUrl}`);
     console.log(`📊 LLM Score: ${summary.llmAccessibilityScore}/100`);
     console.log(`⚡ JS Required: ${summary.requiresJSRendering ? 'YES' : 'NO'}`);
+    if (summary.requiresInteraction) {
+      console.log(`📜 Interaction Required: YES (content only appears after scrolling or clicking)`);
+    }
     console.log(`🎭 Frameworks: ${summary.frameworksDetected.join(', ') || 'None'}`);
     console.log(`🌐 Consistency: ${summary.crossBrowserConsistency}`);
     console.log(`📈 Confidence: ${summary.analysisConfidence}%`);
-    console.log(`🔗 GitHub Run: https://github.com/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}`);
+    if (summary.renderIncomplete) {
+      console.log(`🧯 Render Incomplete: scripts failed or threw - see Page Errors`);
+    }
+    if (this.results.regression) {
+      const { score, regressed } = this.results.regression;
+      console.log(`📉 Since Baseline: ${regressed ? 'REGRESSED' : 'no regressions'} (score ${score.delta > 0 ? '+' : ''}${score.delta ?? 'n/a'})`);
+    }
+    if (this.results.runUrl) {
+      console.log(`🔗 GitHub Run: ${this.results.runUrl}`);
+    }
   }
 }
 
@@ -3891,7 +2958,7 @@ if (require.main === module) {
     process.exit(1);
   }, GLOBAL_TIMEOUT);
   
-  const analyzer = new AdvancedJSAnalyzer();
+  const analyzer = new AdvancedJSAnalyzer(AdvancedJSAnalyzer.optionsFromEnv());
   analyzer.analyze()
     .then(() => {
       clearTimeout(timeout);
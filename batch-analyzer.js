@@ -1,69 +1,134 @@
-const { google } = require('googleapis');
+const fs = require('fs').promises;
+const path = require('path');
 const AdvancedJSAnalyzer = require('./analyzer.js');
+const BrowserPool = require('./src/browser-pool');
+const { DEFAULT_CRAWLERS, fetchRobotsTxt, checkCrawlers } = require('./src/robots');
+const { createSource } = require('./src/sources');
+const { createSink } = require('./src/sinks');
+const { JobLedger } = require('./src/job-ledger');
+const { summarizeResult, buildPortfolio } = require('./src/portfolio');
+const { renderPortfolioHtml } = require('./src/html-report');
+const { outputName } = require('./src/site-report');
 
 class BatchAnalyzer {
-  constructor() {
-    this.sheetId = process.env.GOOGLE_SHEET_ID;
-    this.credentials = process.env.GOOGLE_SERVICE_ACCOUNT;
-    this.analysisType = process.env.ANALYSIS_TYPE || 'full';
-    this.maxBatchSize = parseInt(process.env.MAX_BATCH_SIZE) || 50; // Limit batch size
-    this.delayBetweenUrls = parseInt(process.env.DELAY_BETWEEN_URLS) || 5000; // 5 second delay
+  // Options mirror the environment variables read by optionsFromEnv(); analyzerOptions is passed to every analyzer
+  constructor(options = {}) {
+    this.sheetId = options.sheetId;
+    this.credentials = options.credentials;
+    this.input = options.input; // .csv or .jsonl file of URLs
+    this.output = options.output; // .csv, .jsonl or .sqlite results file
+    this.analysisType = options.analysisType || 'full';
+    this.maxBatchSize = options.maxBatchSize || 50; // Limit batch size
+    this.delayBetweenUrls = options.delayBetweenUrls ?? 5000; // 5 second delay, per host
+    this.concurrency = options.concurrency || 3; // URLs analyzed in parallel
+    this.maxPerHost = options.maxPerHost || 1;
+    this.sitemapSource = options.sitemapSource; // sitemap.xml(.gz), sitemap index or robots.txt
+    this.samplePerPrefix = options.samplePerPrefix || 0; // 0 = every URL
+    this.prefixDepth = options.prefixDepth || 1;
+    this.robotsCrawlers = options.robotsCrawlers || DEFAULT_CRAWLERS;
+    this.robotsCache = new Map();
+    this.browserPool = new BrowserPool();
+    this.outputDir = options.outputDir || 'reports'; // one subdirectory per URL
+    this.ledger = new JobLedger(options.ledgerPath || 'batch-ledger.json', {
+      maxAttempts: options.maxAttempts || 3
+    });
+    this.retryBaseDelay = options.retryBaseDelay || 10000; // doubles on each retry
+    this.retryFailed = !!options.retryFailed; // also rerun permanent failures
     
-    if (!this.sheetId || !this.credentials) {
-      throw new Error('GOOGLE_SHEET_ID and GOOGLE_SERVICE_ACCOUNT required for batch processing');
-    }
+    // Engine, timeout and evasion settings for every analyzer; URL and sink are per batch item
+    this.analyzerOptions = { ...options.analyzerOptions, analysisType: this.analysisType };
+    
+    this.source = createSource({
+      input: this.input,
+      sitemapSource: this.sitemapSource,
+      samplePerPrefix: this.samplePerPrefix,
+      prefixDepth: this.prefixDepth,
+      sheetId: this.sheetId,
+      credentials: this.credentials
+    });
+    this.sink = createSink({
+      output: this.output,
+      sheetId: this.sheetId,
+      credentials: this.credentials
+    });
     
     console.log(`🔧 Batch Analyzer initialized`);
+    console.log(`📥 Source: ${this.source.name}${this.input ? ` (${this.input})` : ''}`);
+    console.log(`📤 Sink: ${this.sink.name}${this.sink.path ? ` (${this.sink.path})` : ''}`);
     console.log(`📊 Analysis Type: ${this.analysisType}`);
     console.log(`📏 Max Batch Size: ${this.maxBatchSize}`);
-    console.log(`⏱️ Delay Between URLs: ${this.delayBetweenUrls}ms`);
+    console.log(`⏱️ Delay Between URLs: ${this.delayBetweenUrls}ms (per host)`);
+    console.log(`🧵 Concurrency: ${this.concurrency} (max ${this.maxPerHost} per host)`);
+    console.log(`📒 Job Ledger: ${this.ledger.filePath} (max ${this.ledger.maxAttempts} attempts)`);
+    if (this.sitemapSource && !this.input) {
+      console.log(`🗺️ Sitemap Source: ${this.sitemapSource}${this.samplePerPrefix ? ` (${this.samplePerPrefix} per path prefix)` : ''}`);
+    }
+  }
+
+  static optionsFromEnv(env = process.env) {
+    const { url, sink, sinkItem, outputDir, ...analyzerOptions } = AdvancedJSAnalyzer.optionsFromEnv(env);
+    return {
+      sheetId: env.GOOGLE_SHEET_ID,
+      credentials: env.GOOGLE_SERVICE_ACCOUNT,
+      input: env.BATCH_INPUT,
+      output: env.BATCH_OUTPUT,
+      analysisType: env.ANALYSIS_TYPE || 'full',
+      maxBatchSize: parseInt(env.MAX_BATCH_SIZE) || 50,
+      delayBetweenUrls: parseInt(env.DELAY_BETWEEN_URLS) || 5000,
+      concurrency: parseInt(env.BATCH_CONCURRENCY) || 3,
+      maxPerHost: parseInt(env.MAX_CONCURRENCY_PER_HOST) || 1,
+      sitemapSource: env.BATCH_SITEMAP_URL,
+      samplePerPrefix: parseInt(env.SITEMAP_SAMPLE_PER_PREFIX) || 0,
+      prefixDepth: parseInt(env.SITEMAP_PREFIX_DEPTH) || 1,
+      robotsCrawlers: env.ROBOTS_CRAWLERS ? env.ROBOTS_CRAWLERS.split(',').map(c => c.trim()).filter(Boolean) : null,
+      outputDir: env.OUTPUT_DIR || 'reports',
+      ledgerPath: env.BATCH_LEDGER || 'batch-ledger.json',
+      maxAttempts: parseInt(env.MAX_ATTEMPTS) || 3,
+      retryBaseDelay: parseInt(env.RETRY_BASE_DELAY) || 10000,
+      retryFailed: env.BATCH_RETRY_FAILED === 'true',
+      analyzerOptions: analyzerOptions
+    };
   }
 
+  // Resolves with the batch outcome: counts, per-URL scores and the ledger reconciliation
   async runBatch() {
     console.log('🚀 Starting batch analysis...');
     
     try {
-      // Setup Google Sheets
-      const auth = new google.auth.GoogleAuth({
-        credentials: JSON.parse(this.credentials),
-        scopes: ['https://www.googleapis.com/auth/spreadsheets']
-      });
+      await this.ledger.load();
+      const { id: runId, startedAt } = this.ledger.data.run;
+      console.log(this.ledger.resumed ?
+        `📒 Resuming unfinished run ${runId} (started ${startedAt})` :
+        `📒 Starting run ${runId}`);
+      const sourceItems = await this.source.readPending();
       
-      const sheets = google.sheets({ version: 'v4', auth });
-      
-      // Get all data from the sheet
-      console.log('📖 Reading Google Sheet data...');
-      const response = await sheets.spreadsheets.values.get({
-        spreadsheetId: this.sheetId,
-        range: 'A:U', // Read all columns
+      // A resumed run skips URLs it already completed and failures that are not worth retrying
+      const seen = new Set();
+      const skipped = {};
+      const urlsToProcess = sourceItems.filter(item => {
+        if (seen.has(item.url)) return false;
+        seen.add(item.url);
+        const { run, reason } = this.ledger.shouldRun(item.url, {
+          retryFailed: this.retryFailed,
+          pending: !!this.source.pendingOnly
+        });
+        if (!run) skipped[reason] = (skipped[reason] || 0) + 1;
+        return run;
       });
       
-      const rows = response.data.values || [];
-      if (rows.length === 0) {
-        console.log('❌ No data found in spreadsheet');
-        return;
-      }
-      
-      // Find URLs that need analysis (column A has URL, column B is empty)
-      const urlsToProcess = [];
-      for (let i = 1; i < rows.length; i++) { // Skip header row
-        const row = rows[i];
-        const url = row[0]; // Column A
-        const rawHtmlLength = row[1]; // Column B
-        
-        if (url && (!rawHtmlLength || rawHtmlLength === '')) {
-          urlsToProcess.push({
-            url: url.trim(),
-            rowNumber: i + 1 // Google Sheets is 1-indexed
-          });
-        }
-      }
-      
       console.log(`📋 Found ${urlsToProcess.length} URLs to process`);
+      Object.entries(skipped).forEach(([reason, count]) => {
+        console.log(`⏭️ Skipping ${count} URLs (${reason})`);
+      });
       
       if (urlsToProcess.length === 0) {
         console.log('✅ All URLs already have analysis data');
-        return;
+        const reconciliation = this.ledger.reconcile([...seen]);
+        this.printReconciliation(reconciliation);
+        this.ledger.finishRun();
+        await this.ledger.save();
+        const portfolio = await this.writePortfolio([...seen]);
+        return { processed: 0, succeeded: 0, failed: 0, scores: [], reconciliation, portfolio };
       }
       
       // Limit batch size
@@ -72,55 +137,70 @@ class BatchAnalyzer {
         console.log(`⚠️ Limiting batch to ${this.maxBatchSize} URLs (${urlsToProcess.length - this.maxBatchSize} remaining)`);
       }
       
-      // Process each URL
+      // Process URLs in parallel on shared browsers; each analysis runs in its own contexts
       let successCount = 0;
       let errorCount = 0;
+      let started = 0;
+      const scores = [];
+      const retrying = new Set();
       
-      for (let i = 0; i < limitedUrls.length; i++) {
-        const { url, rowNumber } = limitedUrls[i];
+      await this.runPool(limitedUrls, async (item) => {
+        const { url, rowNumber } = item;
         
-        console.log(`\n🔍 Processing ${i + 1}/${limitedUrls.length}: ${url}`);
-        console.log(`📍 Row ${rowNumber} in spreadsheet`);
+        if (retrying.has(url)) {
+          console.log(`\n🔁 Retrying: ${url}`);
+        } else {
+          started++;
+          console.log(`\n🔍 Processing ${started}/${limitedUrls.length}: ${url}`);
+          if (rowNumber) {
+            console.log(`📍 Row ${rowNumber} in spreadsheet`);
+          }
+        }
+        
+        // Ledger entry and artifacts are both keyed on the URL, so a resumed run finds them together
+        const outputDir = path.join(this.outputDir, outputName(url));
+        this.ledger.markStarted(url, outputDir);
+        await this.ledger.save();
         
         try {
-          // Set environment variables for this URL
-          process.env.TARGET_URL = url;
-          process.env.ROW_NUMBER = rowNumber.toString();
-          
-          // Create new analyzer instance
-          const analyzer = new AdvancedJSAnalyzer();
-          
-          // Run analysis
-          await analyzer.analyze();
+          const results = await this.analyzeUrl(item, outputDir);
+          await this.sink.writeResult(item, results);
           
+          // The portfolio is built from the ledger, so URLs finished in earlier runs are included
+          const job = this.ledger.markSucceeded(url, results);
+          job.portfolio = summarizeResult(results);
+          await this.ledger.save();
           successCount++;
+          scores.push({
+            url: url,
+            score: results.summary.llmAccessibilityScore,
+            requiresJSRendering: results.summary.requiresJSRendering
+          });
           console.log(`✅ Successfully analyzed: ${url}`);
           
         } catch (error) {
+          const job = this.ledger.markFailed(url, error);
+          await this.ledger.save();
+          
+          // Transient failures go back on the queue with exponential backoff, freeing the worker meanwhile
+          if (job.retryable) {
+            const delay = this.ledger.retryDelay(job, this.retryBaseDelay);
+            console.log(`🔁 Transient failure for ${url} (${error.message}) - retrying in ${delay}ms (attempt ${job.attempts + 1}/${this.ledger.maxAttempts})`);
+            retrying.add(url);
+            return { retryAfter: delay };
+          }
+          
           errorCount++;
           console.error(`❌ Failed to analyze ${url}:`, error.message);
           
-          // Update sheet with error status
+          // Record the error status in the sink
           try {
-            await sheets.spreadsheets.values.update({
-              spreadsheetId: this.sheetId,
-              range: `F${rowNumber}:G${rowNumber}`, // Status and Recommendations columns
-              valueInputOption: 'RAW',
-              requestBody: {
-                values: [['Error', `Analysis failed: ${error.message}`]]
-              }
-            });
-          } catch (updateError) {
-            console.error(`❌ Failed to update error status in sheet:`, updateError.message);
+            await this.sink.writeError(item, error);
+          } catch (writeError) {
+            console.error(`❌ Failed to record error status:`, writeError.message);
           }
         }
-        
-        // Add delay between URLs to be respectful
-        if (i < limitedUrls.length - 1) {
-          console.log(`⏱️ Waiting ${this.delayBetweenUrls}ms before next URL...`);
-          await this.sleep(this.delayBetweenUrls);
-        }
-      }
+      });
       
       // Summary
       console.log('\n🎯 BATCH ANALYSIS COMPLETE');
@@ -131,12 +211,177 @@ class BatchAnalyzer {
       
       if (urlsToProcess.length > this.maxBatchSize) {
         console.log(`📋 Remaining URLs: ${urlsToProcess.length - this.maxBatchSize}`);
-        console.log('💡 Run batch analysis again to process remaining URLs');
+        console.log(`💡 Run batch analysis again to process remaining URLs (run ${runId} stays open until then)`);
       }
       
+      const reconciliation = this.ledger.reconcile([...seen]);
+      this.printReconciliation(reconciliation);
+      if (urlsToProcess.length <= this.maxBatchSize) {
+        this.ledger.finishRun();
+      }
+      await this.ledger.save();
+      const portfolio = await this.writePortfolio([...seen]);
+      
+      return {
+        processed: limitedUrls.length,
+        succeeded: successCount,
+        failed: errorCount,
+        scores: scores,
+        reconciliation: reconciliation,
+        portfolio: portfolio
+      };
+      
     } catch (error) {
       console.error('❌ Batch analysis failed:', error);
       throw error;
+    } finally {
+      await this.browserPool.close();
+      await this.sink.close();
+    }
+  }
+  
+  async analyzeUrl(item, outputDir) {
+    const analyzer = new AdvancedJSAnalyzer({
+      ...this.analyzerOptions,
+      url: item.url,
+      outputDir: outputDir,
+      browserPool: this.browserPool
+    });
+    analyzer.results.robots = await this.checkRobots(item.url);
+    
+    const results = await analyzer.analyze();
+    
+    // Every engine failing is a failed job, not a result worth recording
+    if (results.summary.error) {
+      const browserError = Object.values(results.browsers).find(b => b.error)?.error;
+      throw new Error(browserError || results.summary.error);
+    }
+    return results;
+  }
+  
+  printReconciliation(report) {
+    console.log('\n📒 LEDGER RECONCILIATION');
+    console.log('========================');
+    console.log(`📋 URLs in source: ${report.total}`);
+    console.log(`✅ Completed: ${report.succeeded}${report.changed > 0 ? ` (${report.changed} changed since their previous run)` : ''}`);
+    console.log(`🔁 Transient failures (retried next run): ${report.failedTransient}`);
+    console.log(`🛑 Permanent failures: ${report.failedPermanent}`);
+    console.log(`⌛ Attempts exhausted: ${report.exhausted}`);
+    console.log(`⏳ Not yet attempted: ${report.pending}`);
+    report.failures.slice(0, 10).forEach(failure => {
+      console.log(`  • ${failure.url} (${failure.attempts} attempts${failure.transient ? ', transient' : ''}): ${failure.error}`);
+    });
+    if (report.failures.length > 10) {
+      console.log(`  ... and ${report.failures.length - 10} more in ${this.ledger.filePath}`);
+    }
+  }
+  
+  // Aggregate report over every URL in the source, written as portfolio.json and portfolio.html
+  async writePortfolio(urls) {
+    const entries = urls.map(url => {
+      const job = this.ledger.job(url);
+      return {
+        url: url,
+        status: job.status,
+        summary: job.portfolio || null,
+        score: job.score,
+        error: job.lastError
+      };
+    });
+    const portfolio = buildPortfolio(entries, { title: `Batch portfolio (${urls.length} URLs)` });
+    
+    await fs.mkdir(this.outputDir, { recursive: true });
+    const jsonPath = path.join(this.outputDir, 'portfolio.json');
+    const htmlPath = path.join(this.outputDir, 'portfolio.html');
+    await fs.writeFile(jsonPath, JSON.stringify(portfolio, null, 2));
+    await fs.writeFile(htmlPath, renderPortfolioHtml(portfolio));
+    
+    console.log('\n📁 PORTFOLIO');
+    console.log('============');
+    console.log(`📊 Average score: ${portfolio.totals.averageScore ?? 'n/a'} (median ${portfolio.totals.medianScore ?? 'n/a'}) across ${portfolio.totals.succeeded} URLs`);
+    console.log(`⚡ Require JS rendering: ${portfolio.totals.requiresJSRendering}/${portfolio.totals.withDetails}`);
+    if (portfolio.totals.withDetails < portfolio.totals.succeeded) {
+      console.log(`ℹ️ ${portfolio.totals.succeeded - portfolio.totals.withDetails} completed URLs have only a score in the ledger (analyzed before portfolios were recorded)`);
+    }
+    portfolio.worstOffenders.slice(0, 3).forEach(offender => {
+      console.log(`  • ${offender.score}/100 ${offender.url}`);
+    });
+    console.log(`📄 Portfolio saved: ${jsonPath}, ${htmlPath}`);
+    return { jsonPath, htmlPath, totals: portfolio.totals };
+  }
+  
+  // Workers take the next URL whose host is below its concurrency cap and past its politeness delay.
+  // A worker resolving with { retryAfter: ms } puts its item back on the queue until then.
+  async runPool(items, worker) {
+    const queue = items.map(item => ({ item, notBefore: 0 }));
+    const hosts = new Map();
+    let running = 0;
+    const hostState = (url) => {
+      let host;
+      try {
+        host = new URL(url).hostname;
+      } catch (error) {
+        host = url;
+      }
+      if (!hosts.has(host)) hosts.set(host, { active: 0, nextStart: 0 });
+      return hosts.get(host);
+    };
+    
+    const takeNext = () => {
+      const now = Date.now();
+      const index = queue.findIndex(entry => {
+        const state = hostState(entry.item.url);
+        return entry.notBefore <= now && state.active < this.maxPerHost && state.nextStart <= now;
+      });
+      return index === -1 ? null : queue.splice(index, 1)[0];
+    };
+    
+    // A running item may still be re-queued, so idle workers wait for it
+    const runWorker = async () => {
+      while (queue.length > 0 || running > 0) {
+        const entry = takeNext();
+        if (!entry) {
+          await this.sleep(250);
+          continue;
+        }
+        
+        const state = hostState(entry.item.url);
+        state.active++;
+        running++;
+        let outcome;
+        try {
+          outcome = await worker(entry.item);
+        } finally {
+          state.active--;
+          running--;
+          state.nextStart = Date.now() + this.delayBetweenUrls;
+        }
+        if (outcome && outcome.retryAfter !== undefined) {
+          queue.push({ item: entry.item, notBefore: Date.now() + outcome.retryAfter });
+        }
+      }
+    };
+    
+    const workers = Math.min(this.concurrency, queue.length);
+    await Promise.all(Array.from({ length: workers }, runWorker));
+  }
+  
+  // robots.txt is fetched once per origin and checked for each named crawler
+  async checkRobots(url) {
+    try {
+      const origin = new URL(url).origin;
+      if (!this.robotsCache.has(origin)) {
+        this.robotsCache.set(origin, fetchRobotsTxt(origin));
+      }
+      const { url: robotsUrl, found, robots } = await this.robotsCache.get(origin);
+      const status = { robotsTxt: robotsUrl, found, ...checkCrawlers(robots, url, this.robotsCrawlers) };
+      if (status.disallowedFor.length > 0) {
+        console.log(`🤖 Disallowed by robots.txt for: ${status.disallowedFor.join(', ')}`);
+      }
+      return status;
+    } catch (error) {
+      console.error(`⚠️ Could not check robots.txt for ${url}:`, error.message);
+      return { error: error.message };
     }
   }
   
@@ -149,12 +394,16 @@ class BatchAnalyzer {
 if (require.main === module) {
   console.log('🚀 Starting batch analyzer...');
   console.log('📋 Environment check:');
-  console.log(`  GOOGLE_SHEET_ID: ${process.env.GOOGLE_SHEET_ID ? 'Present' : 'MISSING'}`);
-  console.log(`  GOOGLE_SERVICE_ACCOUNT: ${process.env.GOOGLE_SERVICE_ACCOUNT ? 'Present' : 'MISSING'}`);
+  console.log(`  BATCH_INPUT: ${process.env.BATCH_INPUT || 'Not set'}`);
+  console.log(`  BATCH_OUTPUT: ${process.env.BATCH_OUTPUT || 'Not set'}`);
+  console.log(`  GOOGLE_SHEET_ID: ${process.env.GOOGLE_SHEET_ID ? 'Present' : 'Not set'}`);
+  console.log(`  GOOGLE_SERVICE_ACCOUNT: ${process.env.GOOGLE_SERVICE_ACCOUNT ? 'Present' : 'Not set'}`);
   console.log(`  ANALYSIS_TYPE: ${process.env.ANALYSIS_TYPE || 'full (default)'}`);
   console.log(`  MAX_BATCH_SIZE: ${process.env.MAX_BATCH_SIZE || '50 (default)'}`);
+  console.log(`  BATCH_CONCURRENCY: ${process.env.BATCH_CONCURRENCY || '3 (default)'}`);
+  console.log(`  BATCH_SITEMAP_URL: ${process.env.BATCH_SITEMAP_URL || 'Not set'}`);
   
-  const batchAnalyzer = new BatchAnalyzer();
+  const batchAnalyzer = new BatchAnalyzer(BatchAnalyzer.optionsFromEnv());
   batchAnalyzer.runBatch()
     .then(() => {
       console.log('🎉 Batch analysis completed successfully!');
@@ -0,0 +1,582 @@
+#!/usr/bin/env node
+// jsra - command-line entry point wrapping AdvancedJSAnalyzer, BatchAnalyzer and SiteCrawler.
+// Flags override the environment variables the individual scripts read.
+
+const fs = require('fs').promises;
+const AdvancedJSAnalyzer = require('../analyzer.js');
+const BatchAnalyzer = require('../batch-analyzer.js');
+const SiteCrawler = require('../site-crawler.js');
+const { THRESHOLD_KEYS, evaluateGate } = require('../src/gate');
+const { compareRuns, formatRegression } = require('../src/baseline');
+const { renderMarkdownReport } = require('../src/markdown-report');
+const { WAIT_STRATEGIES } = require('../src/wait-strategies');
+const { HAR_MODES } = require('../src/network');
+
+const EXIT = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  THRESHOLD: 3 // analysis ran but a --min-score / --fail-on-js or gate check failed
+};
+
+const HELP = `Usage: jsra <command> [options]
+
+Commands:
+  analyze <url>          Analyze one URL
+  batch                  Analyze a list of URLs (--input, --sitemap or --sheet)
+  crawl <url>            Follow same-origin links from a seed URL and report per template
+  report <report.json>   Print a saved analysis or site report (--html, --markdown, --pdf <file> export
+                         an analysis report)
+  gate <url>             Analyze a URL (or check --report) against CI thresholds
+  compare <old> <new>    Diff two saved analysis reports (baseline first)
+
+Analysis options (analyze, batch, crawl):
+  --type <type>                  full | quick | stealth (default: full, crawl: quick)
+  --browsers <list>              Comma-separated engines: chromium,firefox,webkit
+  --wait <strategy>              networkidle | fixed | mutations | text-stable | selector | predicate
+                                 (default: networkidle)
+  --wait-selector <css>          Wait until this element is visible (implies --wait selector)
+  --wait-predicate <js>          Wait until this expression is truthy in the page (implies --wait predicate)
+  --max-render-wait <ms>         Hard cap on the render wait, whatever the strategy
+  --timeline <ms,...|off>        Content sample offsets after navigation (default: 1000,3000,5000)
+  --scroll                       Scroll the page afterwards and report content that only appears on scroll
+  --probe                        Click tabs, accordions, "load more" buttons and modals and report what they reveal
+  --navigation-timeout <ms>      Page navigation timeout
+  --network-idle-timeout <ms>    Max wait for the network to go idle
+  --settle <ms>                  Extra wait after the page has loaded (networkidle and fixed only)
+  --enhanced-evasion             Use the enhanced bot-evasion path
+  --stealth                      Apply stealth techniques regardless of --type
+  --output-dir <dir>             Where reports and screenshots are written
+  --baseline-dir <dir>           Compare each URL with its stored baseline report (created on first run)
+  --update-baseline              Replace the stored baseline with this run after comparing
+  --export-pdf                   Also print the markdown audit to analysis-report.pdf
+  --har <mode>                   headers | full | off - HAR capture per browser (default: off)
+
+Batch options:
+  --input <file>                 .csv or .jsonl file of URLs
+  --sitemap <url>                Sitemap, sitemap index or robots.txt to read URLs from
+                                 (appended to the sheet as new rows with --sheet)
+  --sample-per-prefix <n>        Keep n sitemap URLs per path prefix
+  --sheet <id>                   Google Sheet ID (credentials from GOOGLE_SERVICE_ACCOUNT)
+  --output <file>                .csv, .jsonl or .sqlite results file
+                                 (default: the sheet, otherwise batch-results.jsonl)
+  --max <n>                      Max URLs per run (default: 50)
+  --concurrency <n>              URLs analyzed in parallel (default: 3)
+  --max-per-host <n>             Parallel URLs per host (default: 1)
+  --delay <ms>                   Delay between URLs on the same host
+  --ledger <file>                Job ledger path (default: batch-ledger.json); an unfinished
+                                 run is resumed, a finished one starts a new run
+  --max-attempts <n>             Attempts per URL for transient failures (default: 3)
+  --retry-failed                 Also retry URLs that failed permanently
+
+Crawl options:
+  --max-depth <n>                Link depth from the seed (default: 2)
+  --max-pages <n>                Pages to analyze (default: 25)
+  --include <patterns>           Comma-separated regexes a path must match
+  --exclude <patterns>           Comma-separated regexes that skip a path
+  --delay <ms>                   Delay between pages
+  --report-path <file>           Site report path (default: site-report.json)
+
+Gate options:
+  --report <file>                Check a saved analysis report instead of analyzing
+  --config <file>                JSON thresholds: minScore, maxMissingHeadings, maxMissingNavigation,
+                                 maxMissingPricing, requiredSeo, failOnJs
+  --max-missing-headings <n>     Max headings that only exist after JS runs
+  --max-missing-nav <n>          Max navigation links that only exist after JS runs
+  --max-missing-pricing <n>      Max prices that only exist after JS runs
+  --require-seo <list>           Tags that must be in the raw HTML, e.g. title,description,canonical,og:title
+
+Output and exit codes:
+  --json                         Print machine-readable JSON to stdout (logs go to stderr)
+  --min-score <n>                Exit ${EXIT.THRESHOLD} if an LLM accessibility score is below n
+  --fail-on-js                   Exit ${EXIT.THRESHOLD} if a page requires JS rendering
+  -h, --help                     Show this help
+
+Exit codes: ${EXIT.OK} ok, ${EXIT.ERROR} error, ${EXIT.USAGE} usage error, ${EXIT.THRESHOLD} threshold not met
+`;
+
+const ANALYSIS_FLAGS = {
+  'type': 'string',
+  'browsers': 'string',
+  'wait': 'string',
+  'wait-selector': 'string',
+  'wait-predicate': 'string',
+  'max-render-wait': 'number',
+  'timeline': 'string',
+  'scroll': 'boolean',
+  'probe': 'boolean',
+  'navigation-timeout': 'number',
+  'network-idle-timeout': 'number',
+  'settle': 'number',
+  'enhanced-evasion': 'boolean',
+  'stealth': 'boolean',
+  'output-dir': 'string',
+  'baseline-dir': 'string',
+  'update-baseline': 'boolean',
+  'export-pdf': 'boolean',
+  'har': 'string'
+};
+
+const OUTPUT_FLAGS = {
+  'json': 'boolean',
+  'min-score': 'number',
+  'fail-on-js': 'boolean',
+  'help': 'boolean'
+};
+
+const COMMAND_FLAGS = {
+  analyze: { ...ANALYSIS_FLAGS, ...OUTPUT_FLAGS },
+  batch: {
+    ...ANALYSIS_FLAGS,
+    ...OUTPUT_FLAGS,
+    'input': 'string',
+    'sitemap': 'string',
+    'sample-per-prefix': 'number',
+    'sheet': 'string',
+    'output': 'string',
+    'max': 'number',
+    'concurrency': 'number',
+    'max-per-host': 'number',
+    'delay': 'number',
+    'ledger': 'string',
+    'max-attempts': 'number',
+    'retry-failed': 'boolean'
+  },
+  crawl: {
+    ...ANALYSIS_FLAGS,
+    ...OUTPUT_FLAGS,
+    'max-depth': 'number',
+    'max-pages': 'number',
+    'include': 'string',
+    'exclude': 'string',
+    'delay': 'number',
+    'report-path': 'string'
+  },
+  report: { ...OUTPUT_FLAGS, 'html': 'string', 'markdown': 'string', 'pdf': 'string' },
+  compare: { ...OUTPUT_FLAGS },
+  gate: {
+    ...ANALYSIS_FLAGS,
+    ...OUTPUT_FLAGS,
+    'report': 'string',
+    'config': 'string',
+    'max-missing-headings': 'number',
+    'max-missing-nav': 'number',
+    'max-missing-pricing': 'number',
+    'require-seo': 'string'
+  }
+};
+
+const ANALYZE_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+
+class UsageError extends Error {}
+
+const camelCase = name => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// Accepts --flag value, --flag=value and boolean --flag; everything else is positional
+function parseArgs(argv, spec) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === '-h') {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    const type = spec[name];
+    if (!type) {
+      throw new UsageError(`Unknown option --${name}`);
+    }
+
+    if (type === 'boolean') {
+      if (value !== undefined) throw new UsageError(`--${name} does not take a value`);
+      options[camelCase(name)] = true;
+      continue;
+    }
+
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new UsageError(`--${name} requires a value`);
+      }
+    }
+
+    if (type === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        throw new UsageError(`--${name} must be a non-negative number, got "${value}"`);
+      }
+      options[camelCase(name)] = number;
+    } else {
+      options[camelCase(name)] = value;
+    }
+  }
+
+  return { options, positionals };
+}
+
+// Environment variables first, then flags on top
+function buildAnalyzerOptions(flags) {
+  const options = AdvancedJSAnalyzer.optionsFromEnv();
+
+  if (flags.type) {
+    if (!['full', 'quick', 'stealth'].includes(flags.type)) {
+      throw new UsageError(`--type must be full, quick or stealth, got "${flags.type}"`);
+    }
+    options.analysisType = flags.type;
+  }
+  if (flags.browsers) options.browsers = flags.browsers.split(',').map(b => b.trim()).filter(Boolean);
+  if (flags.waitSelector) {
+    options.waitSelector = flags.waitSelector;
+    options.waitStrategy = 'selector';
+  }
+  if (flags.waitPredicate) {
+    options.waitPredicate = flags.waitPredicate;
+    options.waitStrategy = 'predicate';
+  }
+  if (flags.wait) {
+    if (!WAIT_STRATEGIES.includes(flags.wait)) {
+      throw new UsageError(`--wait must be one of ${WAIT_STRATEGIES.join(', ')}, got "${flags.wait}"`);
+    }
+    options.waitStrategy = flags.wait;
+  }
+  if (options.waitStrategy === 'selector' && !options.waitSelector) {
+    throw new UsageError('--wait selector needs --wait-selector <css>');
+  }
+  if (options.waitStrategy === 'predicate' && !options.waitPredicate) {
+    throw new UsageError('--wait predicate needs --wait-predicate <js>');
+  }
+  if (flags.navigationTimeout !== undefined) options.timeouts.navigation = flags.navigationTimeout;
+  if (flags.networkIdleTimeout !== undefined) options.timeouts.networkIdle = flags.networkIdleTimeout;
+  if (flags.settle !== undefined) options.timeouts.settle = flags.settle;
+  if (flags.maxRenderWait !== undefined) options.timeouts.renderCap = flags.maxRenderWait;
+  if (flags.scroll) options.scroll = true;
+  if (flags.probe) options.probe = true;
+  if (flags.timeline) {
+    const offsets = flags.timeline.split(',').map(o => Number(o.trim()));
+    if (flags.timeline !== 'off' && !offsets.every(o => Number.isInteger(o) && o > 0)) {
+      throw new UsageError(`--timeline must be "off" or comma-separated milliseconds, got "${flags.timeline}"`);
+    }
+    options.timelineOffsets = flags.timeline === 'off' ? null : offsets;
+  }
+  if (flags.enhancedEvasion) options.enhancedEvasion = true;
+  if (flags.stealth) options.forceStealth = true;
+  if (flags.outputDir) options.outputDir = flags.outputDir;
+  if (flags.baselineDir) options.baselineDir = flags.baselineDir;
+  if (flags.updateBaseline) options.updateBaseline = true;
+  if (flags.exportPdf) options.exportPdf = true;
+  if (flags.har) {
+    if (!HAR_MODES.includes(flags.har)) {
+      throw new UsageError(`--har must be one of ${HAR_MODES.join(', ')}, got "${flags.har}"`);
+    }
+    options.har = flags.har;
+  } else if (!HAR_MODES.includes(options.har)) {
+    throw new UsageError(`HAR_MODE must be one of ${HAR_MODES.join(', ')}, got "${options.har}"`);
+  }
+
+  return options;
+}
+
+// Returns the threshold violations for a list of { url, score, requiresJSRendering }
+function checkThresholds(pages, flags) {
+  const violations = [];
+  pages.forEach(page => {
+    if (flags.minScore !== undefined && typeof page.score === 'number' && page.score < flags.minScore) {
+      violations.push(`${page.url}: LLM score ${page.score} is below --min-score ${flags.minScore}`);
+    }
+    if (flags.failOnJs && page.requiresJSRendering) {
+      violations.push(`${page.url}: requires JavaScript rendering`);
+    }
+  });
+  return violations;
+}
+
+async function analyzeWithTimeout(flags, url) {
+  const analyzer = new AdvancedJSAnalyzer({ ...buildAnalyzerOptions(flags), url: url });
+
+  // Same hang protection as running analyzer.js directly
+  const timeout = setTimeout(() => {
+    console.error('❌ GLOBAL TIMEOUT: Analysis took longer than 10 minutes');
+    process.exit(EXIT.ERROR);
+  }, ANALYZE_TIMEOUT);
+  return analyzer.analyze().finally(() => clearTimeout(timeout));
+}
+
+async function runAnalyze(flags, positionals) {
+  const url = positionals[0];
+  if (!url) throw new UsageError('analyze needs a URL: jsra analyze <url>');
+
+  const results = await analyzeWithTimeout(flags, url);
+
+  return {
+    output: results,
+    pages: [{ url: url, score: results.summary.llmAccessibilityScore, requiresJSRendering: results.summary.requiresJSRendering }],
+    // Every engine failing is an error, not a score of 0
+    errors: results.summary.error ? [`${url}: ${results.summary.error}`] : []
+  };
+}
+
+async function runBatch(flags) {
+  const options = BatchAnalyzer.optionsFromEnv();
+  const { url, sink, sinkItem, outputDir, ...analyzerOptions } = buildAnalyzerOptions(flags);
+  options.analyzerOptions = analyzerOptions;
+  options.analysisType = analyzerOptions.analysisType;
+
+  if (flags.input) options.input = flags.input;
+  if (flags.sitemap) options.sitemapSource = flags.sitemap;
+  if (flags.samplePerPrefix !== undefined) options.samplePerPrefix = flags.samplePerPrefix;
+  if (flags.sheet) options.sheetId = flags.sheet;
+  if (flags.output) options.output = flags.output;
+  if (flags.max) options.maxBatchSize = flags.max;
+  if (flags.concurrency) options.concurrency = flags.concurrency;
+  if (flags.maxPerHost) options.maxPerHost = flags.maxPerHost;
+  if (flags.delay !== undefined) options.delayBetweenUrls = flags.delay;
+  if (flags.ledger) options.ledgerPath = flags.ledger;
+  if (flags.maxAttempts) options.maxAttempts = flags.maxAttempts;
+  if (flags.retryFailed) options.retryFailed = true;
+  if (flags.outputDir) options.outputDir = flags.outputDir;
+
+  const outcome = await new BatchAnalyzer(options).runBatch();
+  return {
+    output: outcome,
+    pages: outcome.scores.map(entry => ({ url: entry.url, score: entry.score, requiresJSRendering: entry.requiresJSRendering })),
+    // Failed URLs are already in the sink and the ledger, but still fail the run
+    errors: outcome.failed > 0 ? [`${outcome.failed} of ${outcome.processed} URLs failed to analyze`] : []
+  };
+}
+
+async function runCrawl(flags, positionals) {
+  const options = SiteCrawler.optionsFromEnv();
+  const { url, sink, sinkItem, outputDir, ...analyzerOptions } = buildAnalyzerOptions(flags);
+  options.analyzerOptions = analyzerOptions;
+  options.analysisType = flags.type || options.analysisType;
+
+  if (positionals[0]) options.seedUrl = positionals[0];
+  if (flags.maxDepth !== undefined) options.maxDepth = flags.maxDepth;
+  if (flags.maxPages) options.maxPages = flags.maxPages;
+  if (flags.include) options.include = flags.include;
+  if (flags.exclude) options.exclude = flags.exclude;
+  if (flags.delay !== undefined) options.delayBetweenUrls = flags.delay;
+  if (flags.reportPath) options.reportPath = flags.reportPath;
+  if (flags.outputDir) options.outputDir = flags.outputDir;
+
+  if (!options.seedUrl) throw new UsageError('crawl needs a seed URL: jsra crawl <url>');
+
+  const report = await new SiteCrawler(options).runCrawl();
+  return {
+    output: report,
+    pages: report.pages
+      .filter(page => page.status === 'success')
+      .map(page => ({ url: page.url, score: page.llmAccessibilityScore, requiresJSRendering: page.requiresJSRendering }))
+  };
+}
+
+// Recognizes analysis reports (analysis-report.json) and site reports (site-report.json)
+async function runReport(flags, positionals, json) {
+  const file = positionals[0];
+  if (!file) throw new UsageError('report needs a file: jsra report <report.json>');
+
+  const report = JSON.parse(await fs.readFile(file, 'utf8'));
+
+  if (report.templates && report.totals) {
+    const exports = ['html', 'markdown', 'pdf'].filter(flag => flags[flag]);
+    if (exports.length > 0) {
+      throw new UsageError(`${exports.map(flag => `--${flag}`).join(', ')} ${exports.length === 1 ? 'is' : 'are'} only supported for analysis reports, not site reports`);
+    }
+    if (!json) SiteCrawler.printSiteSummary(report);
+    return {
+      output: report,
+      pages: report.pages
+        .filter(page => page.status === 'success')
+        .map(page => ({ url: page.url, score: page.llmAccessibilityScore, requiresJSRendering: page.requiresJSRendering }))
+    };
+  }
+
+  if (!report.summary || !report.browsers) {
+    throw new UsageError(`${file} is not an analysis or site report`);
+  }
+
+  const analyzer = new AdvancedJSAnalyzer({ url: report.url, analysisType: report.analysisType });
+  analyzer.results = report;
+  if (flags.html) {
+    await analyzer.saveHtmlReport(flags.html);
+  }
+  if (flags.markdown || flags.pdf) {
+    const markdown = renderMarkdownReport(report);
+    if (flags.markdown) await fs.writeFile(flags.markdown, markdown);
+    if (flags.pdf) await analyzer.savePdfReport(markdown, flags.pdf);
+  }
+  if (!json) {
+    process.stdout.write(analyzer.generateTextSummary() + '\n');
+  }
+  return {
+    output: report,
+    pages: [{ url: report.url, score: report.summary.llmAccessibilityScore, requiresJSRendering: report.summary.requiresJSRendering }]
+  };
+}
+
+async function readAnalysisReport(file) {
+  const report = JSON.parse(await fs.readFile(file, 'utf8'));
+  if (!report.summary || !report.browsers) {
+    throw new UsageError(`${file} is not an analysis report`);
+  }
+  return report;
+}
+
+async function runCompare(flags, positionals, json) {
+  if (positionals.length !== 2) {
+    throw new UsageError('compare needs two reports: jsra compare <baseline.json> <report.json>');
+  }
+
+  const [baseline, current] = await Promise.all(positionals.map(readAnalysisReport));
+  const regression = compareRuns(baseline, current);
+
+  if (!json) {
+    process.stdout.write(formatRegression(regression).trim() + '\n');
+  }
+  return {
+    output: regression,
+    pages: [{ url: current.url, score: current.summary.llmAccessibilityScore, requiresJSRendering: current.summary.requiresJSRendering }]
+  };
+}
+
+// Config file first, then flags on top
+async function buildGateThresholds(flags) {
+  let thresholds = {};
+  if (flags.config) {
+    try {
+      thresholds = JSON.parse(await fs.readFile(flags.config, 'utf8'));
+    } catch (error) {
+      throw new UsageError(`Could not read gate config ${flags.config}: ${error.message}`);
+    }
+    if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+      throw new UsageError(`Gate config ${flags.config} must be a JSON object of thresholds`);
+    }
+    const unknown = Object.keys(thresholds).filter(key => !THRESHOLD_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new UsageError(`Unknown threshold${unknown.length === 1 ? '' : 's'} in ${flags.config}: ${unknown.join(', ')} (expected ${THRESHOLD_KEYS.join(', ')})`);
+    }
+  }
+
+  if (flags.minScore !== undefined) thresholds.minScore = flags.minScore;
+  if (flags.maxMissingHeadings !== undefined) thresholds.maxMissingHeadings = flags.maxMissingHeadings;
+  if (flags.maxMissingNav !== undefined) thresholds.maxMissingNavigation = flags.maxMissingNav;
+  if (flags.maxMissingPricing !== undefined) thresholds.maxMissingPricing = flags.maxMissingPricing;
+  if (flags.requireSeo) thresholds.requiredSeo = flags.requireSeo;
+  if (flags.failOnJs) thresholds.failOnJs = true;
+  if (typeof thresholds.requiredSeo === 'string') {
+    thresholds.requiredSeo = thresholds.requiredSeo.split(',').map(field => field.trim()).filter(Boolean);
+  }
+
+  if (Object.keys(thresholds).length === 0) {
+    throw new UsageError('gate needs at least one threshold (--min-score, --max-missing-*, --require-seo, --fail-on-js or --config)');
+  }
+  return thresholds;
+}
+
+async function runGate(flags, positionals) {
+  const thresholds = await buildGateThresholds(flags);
+
+  let results;
+  if (flags.report) {
+    results = await readAnalysisReport(flags.report);
+  } else {
+    if (!positionals[0]) throw new UsageError('gate needs a URL or --report: jsra gate <url>');
+    results = await analyzeWithTimeout(flags, positionals[0]);
+  }
+
+  const gate = evaluateGate(results, thresholds);
+  if (gate.passed) {
+    console.error(`✅ Gate passed: ${gate.checks.length} checks for ${gate.url}`);
+  }
+
+  // The gate checks --min-score and --fail-on-js itself, so no pages are handed to checkThresholds
+  return {
+    output: gate,
+    pages: [],
+    violations: gate.violations.map(violation => `${gate.url}: ${violation.message}`)
+  };
+}
+
+const COMMANDS = {
+  analyze: runAnalyze,
+  batch: runBatch,
+  crawl: runCrawl,
+  report: runReport,
+  gate: runGate,
+  compare: runCompare
+};
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    process.stdout.write(HELP);
+    return EXIT.OK;
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+
+  const { options: flags, positionals } = parseArgs(rest, COMMAND_FLAGS[command]);
+  if (flags.help) {
+    process.stdout.write(HELP);
+    return EXIT.OK;
+  }
+
+  // Keep stdout clean for JSON (and for report text): progress logging goes to stderr
+  const stdoutLog = console.log;
+  if (flags.json || command === 'report' || command === 'compare') {
+    console.log = console.error;
+  }
+
+  const { output, pages, violations: commandViolations = [], errors = [] } = await COMMANDS[command](flags, positionals, !!flags.json);
+
+  console.log = stdoutLog;
+  if (flags.json) {
+    process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+  }
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`❌ ${error}`));
+    return EXIT.ERROR;
+  }
+
+  const violations = [...commandViolations, ...checkThresholds(pages, flags)];
+  if (violations.length > 0) {
+    violations.forEach(violation => console.error(`🚫 ${violation}`));
+    return EXIT.THRESHOLD;
+  }
+  return EXIT.OK;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+      if (error instanceof UsageError) {
+        console.error(`❌ ${error.message}`);
+        console.error('Run "jsra --help" for usage.');
+        process.exit(EXIT.USAGE);
+      }
+      console.error('❌ FATAL ERROR:', error);
+      process.exit(EXIT.ERROR);
+    });
+}
+
+module.exports = {
+  EXIT,
+  UsageError,
+  parseArgs,
+  checkThresholds,
+  main
+};
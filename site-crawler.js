@@ -0,0 +1,194 @@
+const fs = require('fs').promises;
+const path = require('path');
+const AdvancedJSAnalyzer = require('./analyzer.js');
+const { normalizeCrawlUrl, parsePatterns, isCrawlable, pathTemplate, outputName, buildSiteReport } = require('./src/site-report');
+
+class SiteCrawler {
+  // Options mirror the environment variables read by optionsFromEnv(); analyzerOptions is passed to every analyzer
+  constructor(options = {}) {
+    this.seedUrl = options.seedUrl;
+    this.analysisType = options.analysisType || 'quick';
+    this.maxDepth = options.maxDepth ?? 2;
+    this.maxPages = options.maxPages || 25;
+    this.includePatterns = parsePatterns(options.include);
+    this.excludePatterns = parsePatterns(options.exclude);
+    this.delayBetweenUrls = options.delayBetweenUrls ?? 3000;
+    this.reportPath = options.reportPath || 'site-report.json';
+    this.outputDir = options.outputDir || 'reports'; // one subdirectory per page
+    
+    // Engine, timeout and evasion settings for every page; crawl pages never map to sheet rows
+    this.analyzerOptions = { ...options.analyzerOptions, analysisType: this.analysisType };
+
+    if (!this.seedUrl || !normalizeCrawlUrl(this.seedUrl)) {
+      throw new Error('A valid seed URL (CRAWL_SEED_URL or TARGET_URL) is required for crawl mode');
+    }
+
+    this.seedUrl = normalizeCrawlUrl(this.seedUrl);
+    // Replaced by the seed's final URL once it has been fetched
+    this.siteUrl = this.seedUrl;
+
+    console.log(`🔧 Site Crawler initialized`);
+    console.log(`🌱 Seed: ${this.seedUrl}`);
+    console.log(`📊 Analysis Type: ${this.analysisType}`);
+    console.log(`📏 Max Depth: ${this.maxDepth}, Max Pages: ${this.maxPages}`);
+    if (this.includePatterns.length > 0) console.log(`✅ Include: ${this.includePatterns.join(', ')}`);
+    if (this.excludePatterns.length > 0) console.log(`🚫 Exclude: ${this.excludePatterns.join(', ')}`);
+  }
+
+  static optionsFromEnv(env = process.env) {
+    const { url, sink, sinkItem, outputDir, ...analyzerOptions } = AdvancedJSAnalyzer.optionsFromEnv(env);
+    // CRAWL_MAX_DEPTH=0 analyzes only the seed
+    const maxDepth = parseInt(env.CRAWL_MAX_DEPTH);
+    return {
+      seedUrl: env.CRAWL_SEED_URL || env.TARGET_URL,
+      analysisType: env.ANALYSIS_TYPE || 'quick',
+      maxDepth: isNaN(maxDepth) ? 2 : maxDepth,
+      maxPages: parseInt(env.CRAWL_MAX_PAGES) || 25,
+      include: env.CRAWL_INCLUDE,
+      exclude: env.CRAWL_EXCLUDE,
+      delayBetweenUrls: parseInt(env.DELAY_BETWEEN_URLS) || 3000,
+      reportPath: env.SITE_REPORT_PATH || 'site-report.json',
+      outputDir: env.OUTPUT_DIR || 'reports',
+      analyzerOptions: analyzerOptions
+    };
+  }
+
+  async runCrawl() {
+    console.log('🚀 Starting site crawl...');
+
+    const queue = [{ url: this.seedUrl, depth: 0 }];
+    const queued = new Set([this.seedUrl]);
+    const pages = [];
+
+    while (queue.length > 0 && pages.length < this.maxPages) {
+      const { url, depth } = queue.shift();
+
+      console.log(`\n🔍 Crawling ${pages.length + 1}/${this.maxPages} (depth ${depth}): ${url}`);
+
+      const page = {
+        url: url,
+        path: new URL(url).pathname,
+        template: pathTemplate(url),
+        depth: depth
+      };
+
+      try {
+        const analyzer = new AdvancedJSAnalyzer({
+          ...this.analyzerOptions,
+          url: url,
+          outputDir: path.join(this.outputDir, outputName(url))
+        });
+        const { summary, browsers } = await analyzer.analyze();
+        if (depth === 0) this.siteUrl = SiteCrawler.finalUrl(browsers) || this.seedUrl;
+        const discovered = this.discoverLinks(browsers);
+
+        Object.assign(page, {
+          status: summary.error ? 'failed' : 'success',
+          llmAccessibilityScore: summary.llmAccessibilityScore,
+          requiresJSRendering: summary.requiresJSRendering,
+          frameworks: summary.frameworksDetected || [],
+          linksDiscovered: discovered.length,
+          error: summary.error
+        });
+
+        if (depth < this.maxDepth) {
+          for (const link of discovered) {
+            if (queued.has(link)) continue;
+            queued.add(link);
+            queue.push({ url: link, depth: depth + 1 });
+          }
+        }
+
+        console.log(`✅ Score ${page.llmAccessibilityScore}/100, ${discovered.length} crawlable links, ${queue.length} queued`);
+
+      } catch (error) {
+        console.error(`❌ Failed to analyze ${url}:`, error.message);
+        Object.assign(page, { status: 'failed', frameworks: [], error: error.message });
+      }
+
+      pages.push(page);
+
+      if (queue.length > 0 && pages.length < this.maxPages) {
+        console.log(`⏱️ Waiting ${this.delayBetweenUrls}ms before next page...`);
+        await this.sleep(this.delayBetweenUrls);
+      }
+    }
+
+    const report = buildSiteReport(this.seedUrl, pages, {
+      analysisType: this.analysisType,
+      maxDepth: this.maxDepth,
+      maxPages: this.maxPages,
+      include: this.includePatterns.map(String),
+      exclude: this.excludePatterns.map(String)
+    });
+
+    await fs.writeFile(this.reportPath, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Site report saved: ${this.reportPath}`);
+
+    SiteCrawler.printSiteSummary(report, queue.length);
+    return report;
+  }
+
+  // Where the first browser that got the page ended up after redirects
+  static finalUrl(browsers) {
+    const browser = Object.values(browsers).find(b => b.finalUrl);
+    return browser ? browser.finalUrl : null;
+  }
+
+  // Same-site links from the rendered DOM of the first browser that succeeded
+  discoverLinks(browsers) {
+    const source = Object.values(browsers).find(b => b.links);
+    if (!source) return [];
+
+    const links = new Set();
+    source.links.renderedInternalHrefs.forEach(href => {
+      const normalized = normalizeCrawlUrl(href);
+      if (normalized && isCrawlable(normalized, this.siteUrl, this.includePatterns, this.excludePatterns)) {
+        links.add(normalized);
+      }
+    });
+    return [...links];
+  }
+
+  static printSiteSummary(report, remaining = 0) {
+    console.log('\n🎯 SITE CRAWL COMPLETE');
+    console.log('=====================');
+    console.log(`✅ Pages analyzed: ${report.totals.pagesAnalyzed}`);
+    console.log(`❌ Pages failed: ${report.totals.pagesFailed}`);
+    console.log(`📊 Average LLM Score: ${report.totals.averageScore ?? 'N/A'}/100`);
+    console.log(`⚡ Pages requiring JS: ${report.totals.requiresJsPages}`);
+    console.log('\n📐 Scores by path template (worst first):');
+    report.templates.forEach(t => {
+      console.log(`  ${t.template.padEnd(40)} ${String(t.averageScore).padStart(3)}/100  (${t.pages} pages, ${t.requiresJsPercent}% need JS)`);
+    });
+    if (remaining > 0) {
+      console.log(`\n📋 ${remaining} discovered URLs not analyzed - raise CRAWL_MAX_PAGES to include them`);
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Run site crawl if called directly
+if (require.main === module) {
+  console.log('🚀 Starting site crawler...');
+  console.log('📋 Environment check:');
+  console.log(`  CRAWL_SEED_URL: ${process.env.CRAWL_SEED_URL || process.env.TARGET_URL || 'MISSING'}`);
+  console.log(`  CRAWL_MAX_DEPTH: ${process.env.CRAWL_MAX_DEPTH || '2 (default)'}`);
+  console.log(`  CRAWL_MAX_PAGES: ${process.env.CRAWL_MAX_PAGES || '25 (default)'}`);
+
+  const crawler = new SiteCrawler(SiteCrawler.optionsFromEnv());
+  crawler.runCrawl()
+    .then(() => {
+      console.log('🎉 Site crawl completed successfully!');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('❌ FATAL ERROR:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = SiteCrawler;
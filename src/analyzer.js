@@ -3,11 +3,16 @@ const { google } = require('googleapis');
 const fs = require('fs').promises;
 const path = require('path');
 const { createBrowserConfig, detectFrameworks, calculateScore } = require('./utils');
+const { waitForRenderComplete } = require('./wait-strategies');
 
 class AdvancedJSAnalyzer {
-  constructor() {
+  // options: waitStrategy (see src/wait-strategies), waitSelector, waitPredicate
+  constructor(options = {}) {
     this.targetUrl = process.env.TARGET_URL;
     this.analysisType = process.env.ANALYSIS_TYPE || 'full';
+    this.waitStrategy = options.waitStrategy || 'networkidle';
+    this.waitSelector = options.waitSelector || null;
+    this.waitPredicate = options.waitPredicate || null;
     this.results = {
       url: this.targetUrl,
       timestamp: new Date().toISOString(),
@@ -20,6 +25,15 @@ class AdvancedJSAnalyzer {
     };
   }
 
+  // Entry point fallback: the wait options from WAIT_STRATEGY, WAIT_SELECTOR and WAIT_PREDICATE
+  static optionsFromEnv(env = process.env) {
+    return {
+      waitStrategy: env.WAIT_STRATEGY || 'networkidle',
+      waitSelector: env.WAIT_SELECTOR || null,
+      waitPredicate: env.WAIT_PREDICATE || null
+    };
+  }
+
   async analyze() {
     console.log(`🚀 Starting ${this.analysisType} analysis for: ${this.targetUrl}`);
     
@@ -111,10 +125,11 @@ class AdvancedJSAnalyzer {
       
       // Wait for JavaScript rendering
       console.log(`  ⚡ Waiting for JavaScript execution...`);
-      await page.waitForLoadState('networkidle', { timeout: 20000 });
-      
-      // Additional wait for dynamic content
-      await page.waitForTimeout(3000);
+      const renderWait = await waitForRenderComplete(page, this.waitStrategy, {
+        networkIdle: 20000,
+        selector: this.waitSelector,
+        predicate: this.waitPredicate
+      });
       
       // Try to detect if page is still loading
       const isStillLoading = await page.evaluate(() => {
@@ -123,8 +138,11 @@ class AdvancedJSAnalyzer {
       });
       
       if (isStillLoading) {
-        console.log(`  ⏳ Page still loading, waiting longer...`);
-        await page.waitForTimeout(5000);
+        console.log(`  ⏳ Page still loading, waiting for loading indicators to clear...`);
+        await waitForRenderComplete(page, 'predicate', {
+          predicate: "document.readyState === 'complete' && !document.querySelector('[data-loading], .loading, .spinner')",
+          cap: 5000
+        });
       }
 
       // Get final rendered content
@@ -149,6 +167,7 @@ class AdvancedJSAnalyzer {
       return {
         ...analysis,
         performanceMetrics: metrics,
+        renderWait: renderWait,
         requestCount: requests.length,
         responseErrors: responses.filter(r => r.status >= 400).length,
         screenshotPath: screenshotPath,
@@ -501,7 +520,7 @@ Full Report: analysis-report.json
 
 // Run the analysis
 if (require.main === module) {
-  const analyzer = new AdvancedJSAnalyzer();
+  const analyzer = new AdvancedJSAnalyzer(AdvancedJSAnalyzer.optionsFromEnv());
   analyzer.analyze().catch(console.error);
 }
 
@@ -0,0 +1,178 @@
+// Baselines: the last accepted analysis report per URL, and the regression diff of a new run against it.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Load time shifts smaller than either limit are treated as noise
+const PERFORMANCE_NOISE = { percent: 25, ms: 500 };
+
+// Readable slug plus a short hash so URLs that slug the same never share a baseline
+function baselineFileName(url) {
+  const slug = url.replace(/^https?:\/\//i, '').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').substring(0, 80);
+  const hash = crypto.createHash('sha256').update(url).digest('hex').substring(0, 8);
+  return `${slug.toLowerCase()}-${hash}.json`;
+}
+
+async function loadBaseline(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Failed to read baseline ${filePath}: ${error.message}`);
+  }
+}
+
+// The regression section of a report is not part of the baseline it becomes
+async function saveBaseline(filePath, results) {
+  const { regression, ...report } = results;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(report, null, 2));
+}
+
+// Content that only exists after JS, from the first successful browser (as in the text summary)
+function jsOnlyContent(results) {
+  const browser = Object.values(results.browsers || {}).find(b => b.status === 'success') || {};
+  const links = browser.links;
+  const rawHrefs = new Set(links?.rawCrawlableHrefs || []);
+
+  return {
+    headings: (browser.headingOutline?.jsOnly || []).map(h => `H${h.level}: ${h.text}`),
+    links: links ? [
+      ...links.renderedInternalHrefs.filter(href => !rawHrefs.has(href)),
+      ...links.jsOnlyExternal.map(l => l.href)
+    ] : [],
+    prices: (browser.jsRenderedContent?.enhancedAnalysis?.contentData?.pricing?.missing || []).map(p => p.text)
+  };
+}
+
+function listDiff(before, after) {
+  const beforeSet = new Set(before);
+  const afterSet = new Set(after);
+  return {
+    added: [...afterSet].filter(item => !beforeSet.has(item)),
+    resolved: [...beforeSet].filter(item => !afterSet.has(item))
+  };
+}
+
+function numberDiff(before, after) {
+  const hasBoth = typeof before === 'number' && typeof after === 'number';
+  return { before: before ?? null, after: after ?? null, delta: hasBoth ? after - before : null };
+}
+
+function loadTimeDiff(before, after) {
+  const diff = numberDiff(before, after);
+  diff.percent = diff.delta !== null && before > 0 ? Math.round(diff.delta / before * 100) : null;
+  diff.significant = diff.percent !== null && Math.abs(diff.percent) >= PERFORMANCE_NOISE.percent &&
+    Math.abs(diff.delta) >= PERFORMANCE_NOISE.ms;
+  return diff;
+}
+
+function compareRuns(baseline, current) {
+  const before = baseline.summary || {};
+  const after = current.summary || {};
+  const findings = [];
+
+  const score = numberDiff(before.llmAccessibilityScore, after.llmAccessibilityScore);
+  if (score.delta < 0) {
+    findings.push({ severity: score.delta <= -10 ? 'high' : 'medium', message: `LLM accessibility score dropped ${-score.delta} points (${score.before} → ${score.after})` });
+  } else if (score.delta > 0) {
+    findings.push({ severity: 'improvement', message: `LLM accessibility score rose ${score.delta} points (${score.before} → ${score.after})` });
+  }
+
+  const requiresJSRendering = {
+    before: !!before.requiresJSRendering,
+    after: !!after.requiresJSRendering,
+    changed: !!before.requiresJSRendering !== !!after.requiresJSRendering
+  };
+  if (requiresJSRendering.changed) {
+    findings.push(requiresJSRendering.after ?
+      { severity: 'high', message: 'Page now requires JS rendering' } :
+      { severity: 'improvement', message: 'Page no longer requires JS rendering' });
+  }
+
+  const frameworks = listDiff(before.frameworksDetected || [], after.frameworksDetected || []);
+  if (frameworks.added.length > 0 || frameworks.resolved.length > 0) {
+    findings.push({ severity: 'info', message: `Frameworks changed: ${[...frameworks.added.map(f => `+${f}`), ...frameworks.resolved.map(f => `-${f}`)].join(', ')}` });
+  }
+
+  const beforeContent = jsOnlyContent(baseline);
+  const afterContent = jsOnlyContent(current);
+  const jsOnly = {};
+  ['headings', 'links', 'prices'].forEach(category => {
+    jsOnly[category] = listDiff(beforeContent[category], afterContent[category]);
+    const { added, resolved } = jsOnly[category];
+    if (added.length > 0) {
+      findings.push({ severity: category === 'links' ? 'medium' : 'high', message: `${added.length} ${category} newly depend on JS` });
+    }
+    if (resolved.length > 0) {
+      findings.push({ severity: 'improvement', message: `${resolved.length} ${category} no longer depend on JS` });
+    }
+  });
+
+  const browserNames = new Set([...Object.keys(baseline.browsers || {}), ...Object.keys(current.browsers || {})]);
+  const performance = {
+    totalLoadTime: loadTimeDiff(before.totalLoadTime, after.totalLoadTime),
+    browsers: {}
+  };
+  browserNames.forEach(name => {
+    performance.browsers[name] = loadTimeDiff(
+      baseline.browsers?.[name]?.performanceMetrics?.totalLoadTime,
+      current.browsers?.[name]?.performanceMetrics?.totalLoadTime
+    );
+  });
+  if (performance.totalLoadTime.significant) {
+    const { delta, percent } = performance.totalLoadTime;
+    findings.push(delta > 0 ?
+      { severity: 'medium', message: `Total load time up ${delta}ms (+${percent}%)` } :
+      { severity: 'improvement', message: `Total load time down ${-delta}ms (${percent}%)` });
+  }
+
+  return {
+    url: current.url,
+    baselineTimestamp: baseline.timestamp,
+    currentTimestamp: current.timestamp,
+    regressed: findings.some(f => f.severity === 'high' || f.severity === 'medium'),
+    score: score,
+    contentChange: numberDiff(before.averageContentChange, after.averageContentChange),
+    requiresJSRendering: requiresJSRendering,
+    frameworks: { added: frameworks.added, removed: frameworks.resolved },
+    jsOnly: jsOnly,
+    performance: performance,
+    findings: findings
+  };
+}
+
+// Text section for analysis-summary.txt and `jsra compare`
+function formatRegression(regression) {
+  const signed = value => value === null ? 'n/a' : `${value > 0 ? '+' : ''}${value}`;
+  const list = (label, { added, resolved }) => {
+    const lines = [`${label}: ${added.length} newly JS-only, ${resolved.length} no longer JS-only`];
+    added.slice(0, 5).forEach(item => lines.push(`  + ${item}`));
+    resolved.slice(0, 5).forEach(item => lines.push(`  - ${item}`));
+    return lines.join('\n');
+  };
+  const { score, contentChange, frameworks, jsOnly, performance } = regression;
+
+  return `
+📉 CHANGES SINCE BASELINE (${regression.baselineTimestamp})
+-----------------------------------------------------
+Status: ${regression.regressed ? '⚠️ REGRESSED' : '✅ No regressions'}
+LLM Score: ${score.before ?? 'n/a'} → ${score.after ?? 'n/a'} (${signed(score.delta)})
+Content Change: ${contentChange.before ?? 'n/a'}% → ${contentChange.after ?? 'n/a'}% (${signed(contentChange.delta)})
+Frameworks: ${[...frameworks.added.map(f => `+${f}`), ...frameworks.removed.map(f => `-${f}`)].join(', ') || 'unchanged'}
+Load Time: ${performance.totalLoadTime.before ?? 'n/a'}ms → ${performance.totalLoadTime.after ?? 'n/a'}ms (${signed(performance.totalLoadTime.percent)}%)
+${list('Headings', jsOnly.headings)}
+${list('Links', jsOnly.links)}
+${list('Prices', jsOnly.prices)}
+${regression.findings.map(f => `• [${f.severity.toUpperCase()}] ${f.message}`).join('\n') || '• No changes detected'}
+`;
+}
+
+module.exports = {
+  baselineFileName,
+  loadBaseline,
+  saveBaseline,
+  compareRuns,
+  formatRegression
+};
@@ -0,0 +1,59 @@
+// Shared browsers for batch runs. One browser is launched per engine and launch-option set
+// and reused across URLs; each analysis gets a lease that only sees and closes its own contexts.
+
+class BrowserPool {
+  constructor() {
+    this.browsers = new Map();
+  }
+
+  async getBrowser(browserType, launchOptions) {
+    const key = `${browserType.name()}:${JSON.stringify(launchOptions)}`;
+    const existing = this.browsers.get(key);
+    if (existing) {
+      const browser = await existing.catch(() => null);
+      if (browser && browser.isConnected()) return browser;
+      // Crashed or failed to launch - replace it unless another caller already did
+      if (this.browsers.get(key) === existing) this.browsers.delete(key);
+      if (this.browsers.has(key)) return this.getBrowser(browserType, launchOptions);
+    }
+
+    console.log(`  🚀 Launching shared ${browserType.name()} browser...`);
+    const launching = browserType.launch(launchOptions);
+    this.browsers.set(key, launching);
+    try {
+      return await launching;
+    } catch (error) {
+      if (this.browsers.get(key) === launching) this.browsers.delete(key);
+      throw error;
+    }
+  }
+
+  // Mirrors the part of the Browser API the analyzer uses (newContext, close)
+  async lease(browserType, launchOptions) {
+    const browser = await this.getBrowser(browserType, launchOptions);
+    const contexts = new Set();
+
+    return {
+      async newContext(options) {
+        const context = await browser.newContext(options);
+        contexts.add(context);
+        context.once('close', () => contexts.delete(context));
+        return context;
+      },
+      async close() {
+        await Promise.all([...contexts].map(context => context.close().catch(() => {})));
+      }
+    };
+  }
+
+  async close() {
+    const launches = [...this.browsers.values()];
+    this.browsers.clear();
+    await Promise.all(launches.map(async launching => {
+      const browser = await launching.catch(() => null);
+      if (browser) await browser.close().catch(() => {});
+    }));
+  }
+}
+
+module.exports = BrowserPool;
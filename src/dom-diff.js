@@ -0,0 +1,215 @@
+// Structural DOM diff between the raw (parser-only) document and the rendered document.
+// snapshotDomTree runs inside the page via page.evaluate; diffDomTrees runs in Node.
+
+const MAX_REPORTED_CHANGES = 50;
+const MAX_LCS_CELLS = 250000;
+
+// Browser-side: serialize a document into a compact tree. Pass an HTML string to parse it
+// with DOMParser (scripting disabled), or null to snapshot the live document.
+function snapshotDomTree(html) {
+  const doc = html ? new DOMParser().parseFromString(html, 'text/html') : document;
+  const SKIP_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'LINK', 'META'];
+  const MAX_NODES = 8000;
+  const MAX_DEPTH = 60;
+  let nodeCount = 0;
+
+  const walk = (el, depth) => {
+    nodeCount++;
+    const ownText = Array.from(el.childNodes)
+      .filter(n => n.nodeType === 3)
+      .map(n => n.textContent)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const node = {
+      tag: el.tagName.toLowerCase(),
+      id: el.id || '',
+      classes: typeof el.className === 'string' ? el.className.split(/\s+/).filter(Boolean).slice(0, 4) : [],
+      text: ownText.substring(0, 300),
+      textLength: ownText.length,
+      children: []
+    };
+
+    // SVG internals are drawing instructions, not content
+    if (node.tag === 'svg' || depth >= MAX_DEPTH) {
+      return node;
+    }
+
+    for (const child of Array.from(el.children)) {
+      if (nodeCount >= MAX_NODES) break;
+      if (SKIP_TAGS.includes(child.tagName)) continue;
+      node.children.push(walk(child, depth + 1));
+    }
+    return node;
+  };
+
+  const root = doc.body ? walk(doc.body, 0) : null;
+  return { root: root, nodeCount: nodeCount, truncated: nodeCount >= MAX_NODES };
+}
+
+function nodeKey(node) {
+  return node.id ? `${node.tag}#${node.id}` : node.tag;
+}
+
+function selectorSegment(node, siblings) {
+  if (node.id) return `${node.tag}#${node.id}`;
+  const sameTag = siblings.filter(s => s.tag === node.tag);
+  const classPart = node.classes.length > 0 ? `.${node.classes.slice(0, 2).join('.')}` : '';
+  if (sameTag.length > 1) {
+    return `${node.tag}${classPart}:nth-of-type(${sameTag.indexOf(node) + 1})`;
+  }
+  return `${node.tag}${classPart}`;
+}
+
+function subtreeStats(node) {
+  let nodes = 1;
+  let textLength = node.textLength;
+  const texts = node.text ? [node.text] : [];
+  for (const child of node.children) {
+    const stats = subtreeStats(child);
+    nodes += stats.nodes;
+    textLength += stats.textLength;
+    texts.push(...stats.texts);
+  }
+  return { nodes, textLength, texts };
+}
+
+// Align two child lists by key, preserving order (LCS), falling back to a greedy scan
+// for very wide lists where the LCS table would be too large
+function alignChildren(rawChildren, renderedChildren) {
+  const rawKeys = rawChildren.map(nodeKey);
+  const renderedKeys = renderedChildren.map(nodeKey);
+  const pairs = [];
+
+  if (rawKeys.length * renderedKeys.length > MAX_LCS_CELLS) {
+    let cursor = 0;
+    renderedKeys.forEach((key, j) => {
+      const i = rawKeys.indexOf(key, cursor);
+      if (i !== -1) {
+        pairs.push([i, j]);
+        cursor = i + 1;
+      }
+    });
+    return pairs;
+  }
+
+  const table = Array.from({ length: rawKeys.length + 1 }, () => new Array(renderedKeys.length + 1).fill(0));
+  for (let i = rawKeys.length - 1; i >= 0; i--) {
+    for (let j = renderedKeys.length - 1; j >= 0; j--) {
+      table[i][j] = rawKeys[i] === renderedKeys[j] ?
+        table[i + 1][j + 1] + 1 :
+        Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rawKeys.length && j < renderedKeys.length) {
+    if (rawKeys[i] === renderedKeys[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+function diffDomTrees(rawSnapshot, renderedSnapshot) {
+  const result = {
+    stats: {
+      rawNodes: rawSnapshot?.nodeCount || 0,
+      renderedNodes: renderedSnapshot?.nodeCount || 0,
+      addedNodes: 0,
+      removedNodes: 0,
+      modifiedNodes: 0
+    },
+    rawTextLength: 0,
+    renderedTextLength: 0,
+    addedTextLength: 0,
+    removedTextLength: 0,
+    added: [],
+    removed: [],
+    modified: [],
+    truncated: Boolean(rawSnapshot?.truncated || renderedSnapshot?.truncated)
+  };
+
+  if (!rawSnapshot?.root || !renderedSnapshot?.root) {
+    return result;
+  }
+
+  result.rawTextLength = subtreeStats(rawSnapshot.root).textLength;
+  result.renderedTextLength = subtreeStats(renderedSnapshot.root).textLength;
+
+  const record = (list, entry) => {
+    if (list.length < MAX_REPORTED_CHANGES) {
+      list.push(entry);
+    } else {
+      result.truncated = true;
+    }
+  };
+
+  const compare = (rawNode, renderedNode, selector) => {
+    const changes = {};
+    if (rawNode.text !== renderedNode.text) {
+      changes.text = { from: rawNode.text.substring(0, 120), to: renderedNode.text.substring(0, 120) };
+      result.addedTextLength += Math.max(0, renderedNode.textLength - (renderedNode.text.includes(rawNode.text) ? rawNode.textLength : 0));
+      result.removedTextLength += Math.max(0, rawNode.textLength - (rawNode.text.includes(renderedNode.text) ? renderedNode.textLength : 0));
+    }
+    if (rawNode.classes.join(' ') !== renderedNode.classes.join(' ')) {
+      changes.classes = { from: rawNode.classes, to: renderedNode.classes };
+    }
+    if (Object.keys(changes).length > 0) {
+      result.stats.modifiedNodes++;
+      record(result.modified, { selector, tag: renderedNode.tag, changes });
+    }
+
+    const pairs = alignChildren(rawNode.children, renderedNode.children);
+    const matchedRaw = new Set(pairs.map(([i]) => i));
+    const matchedRendered = new Set(pairs.map(([, j]) => j));
+
+    renderedNode.children.forEach((child, j) => {
+      if (matchedRendered.has(j)) return;
+      const stats = subtreeStats(child);
+      result.stats.addedNodes += stats.nodes;
+      result.addedTextLength += stats.textLength;
+      record(result.added, {
+        selector: `${selector} > ${selectorSegment(child, renderedNode.children)}`,
+        tag: child.tag,
+        nodeCount: stats.nodes,
+        text: stats.texts.join(' ').substring(0, 200)
+      });
+    });
+
+    rawNode.children.forEach((child, i) => {
+      if (matchedRaw.has(i)) return;
+      const stats = subtreeStats(child);
+      result.stats.removedNodes += stats.nodes;
+      result.removedTextLength += stats.textLength;
+      record(result.removed, {
+        selector: `${selector} > ${selectorSegment(child, rawNode.children)}`,
+        tag: child.tag,
+        nodeCount: stats.nodes,
+        text: stats.texts.join(' ').substring(0, 200)
+      });
+    });
+
+    pairs.forEach(([i, j]) => {
+      const child = renderedNode.children[j];
+      compare(rawNode.children[i], child, `${selector} > ${selectorSegment(child, renderedNode.children)}`);
+    });
+  };
+
+  compare(rawSnapshot.root, renderedSnapshot.root, 'body');
+
+  return result;
+}
+
+module.exports = {
+  snapshotDomTree,
+  diffDomTrees
+};
@@ -0,0 +1,100 @@
+// CI gate: checks an analysis result against thresholds and lists every breach.
+// Uses the summary from generateSummary and the categories from analyzeJSRenderedContentFixed.
+
+// Every threshold evaluateGate understands; anything else in a gate config is a mistake
+const THRESHOLD_KEYS = ['minScore', 'maxMissingHeadings', 'maxMissingNavigation', 'maxMissingPricing', 'requiredSeo', 'failOnJs'];
+
+// SEO field names accepted by --require-seo; og:* and twitter:* tags are looked up in their groups
+function rawSeoValue(raw, field) {
+  if (field.startsWith('og:')) return raw.openGraph?.[field] ?? null;
+  if (field.startsWith('twitter:')) return raw.twitter?.[field] ?? null;
+  if (field === 'hreflang') return raw.hreflang?.length > 0 ? raw.hreflang : null;
+  return raw[field] ?? null;
+}
+
+// Worst value across the browsers that completed
+function worst(browsers, read) {
+  const values = browsers.map(read).filter(value => typeof value === 'number');
+  return values.length > 0 ? Math.max(...values) : null;
+}
+
+function evaluateGate(results, thresholds = {}) {
+  const violations = [];
+  const checks = [];
+  const browsers = Object.values(results.browsers || {}).filter(b => b.status === 'success');
+
+  const check = (rule, actual, limit, breached, message) => {
+    checks.push({ rule, actual, limit, passed: !breached });
+    if (breached) violations.push({ rule, actual, limit, message });
+  };
+
+  if (browsers.length === 0) {
+    violations.push({ rule: 'analysis', actual: null, limit: null, message: `No browser completed the analysis (${results.summary?.error || 'unknown error'})` });
+    return { url: results.url, passed: false, violations, checks };
+  }
+
+  // A threshold that was set but cannot be measured fails instead of passing silently
+  const { summary } = results;
+  if (thresholds.minScore !== undefined) {
+    const score = typeof summary.llmAccessibilityScore === 'number' ? summary.llmAccessibilityScore : null;
+    check('minScore', score, thresholds.minScore, score === null || score < thresholds.minScore,
+      score === null ?
+        'LLM accessibility score unavailable, so the minimum cannot be verified' :
+        `LLM accessibility score ${score} is below the minimum of ${thresholds.minScore}`);
+  }
+
+  if (thresholds.failOnJs) {
+    const requiresJs = !!summary.requiresJSRendering;
+    check('failOnJs', requiresJs, false, requiresJs, 'Page requires JavaScript rendering');
+  }
+
+  const missing = {
+    headings: worst(browsers, b => b.jsRenderedContent?.trulyMissingContent?.headings?.count),
+    navigation: worst(browsers, b => b.jsRenderedContent?.trulyMissingContent?.navigation?.count),
+    pricing: worst(browsers, b => b.jsRenderedContent?.enhancedAnalysis?.contentData?.pricing?.missing?.length)
+  };
+
+  [
+    ['maxMissingHeadings', 'headings', 'headings'],
+    ['maxMissingNavigation', 'navigation', 'navigation links'],
+    ['maxMissingPricing', 'pricing', 'prices']
+  ].forEach(([rule, category, label]) => {
+    if (thresholds[rule] === undefined) return;
+    if (missing[category] === null) {
+      check(rule, null, thresholds[rule], true, `Missing ${label} metric unavailable, so the maximum of ${thresholds[rule]} cannot be verified`);
+      return;
+    }
+    check(rule, missing[category], thresholds[rule], missing[category] > thresholds[rule],
+      `${missing[category]} ${label} only appear after JavaScript runs (max ${thresholds[rule]})`);
+  });
+
+  const requiredSeo = thresholds.requiredSeo || [];
+  if (requiredSeo.length > 0) {
+    const seo = browsers.find(b => b.seoMetadata)?.seoMetadata;
+    if (!seo) {
+      check('requiredSeo', null, requiredSeo, true, 'SEO metadata could not be extracted, so required tags cannot be verified');
+    } else {
+      requiredSeo.forEach(field => {
+        const rawValue = rawSeoValue(seo.raw, field);
+        const renderedValue = rawSeoValue(seo.rendered, field);
+        check(`requiredSeo:${field}`, rawValue !== null, true, rawValue === null,
+          renderedValue !== null ?
+            `${field} is missing from the raw HTML (only set by JavaScript)` :
+            `${field} is missing from the raw HTML`);
+      });
+    }
+  }
+
+  return {
+    url: results.url,
+    passed: violations.length === 0,
+    score: summary.llmAccessibilityScore,
+    violations,
+    checks
+  };
+}
+
+module.exports = {
+  THRESHOLD_KEYS,
+  evaluateGate
+};
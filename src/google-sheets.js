@@ -0,0 +1,25 @@
+// Shared Google Sheets client setup and A1-notation helpers.
+
+const { google } = require('googleapis');
+
+function createSheetsClient(credentials) {
+  const auth = new google.auth.GoogleAuth({
+    credentials: typeof credentials === 'string' ? JSON.parse(credentials) : credentials,
+    scopes: ['https://www.googleapis.com/auth/spreadsheets']
+  });
+  return google.sheets({ version: 'v4', auth });
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+module.exports = {
+  createSheetsClient,
+  columnLetter
+};
@@ -0,0 +1,98 @@
+// Heading outline (H1-H6) extraction and raw-vs-rendered comparison.
+// extractHeadingOutline runs inside the page via page.evaluate.
+
+// Browser-side: pass an HTML string to outline the raw document, or null for the live document
+function extractHeadingOutline(html) {
+  const doc = html ? new DOMParser().parseFromString(html, 'text/html') : document;
+  const outline = [];
+  const stack = [];
+
+  doc.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+    if (heading.closest('template, noscript')) return;
+    const text = (heading.textContent || '').replace(/\s+/g, ' ').trim();
+    if (!text) return;
+
+    const level = parseInt(heading.tagName[1]);
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+
+    const entry = {
+      order: outline.length,
+      level: level,
+      text: text.substring(0, 150),
+      parent: stack.length > 0 ? stack[stack.length - 1].order : null,
+      depth: stack.length
+    };
+    outline.push(entry);
+    stack.push(entry);
+  });
+
+  return outline;
+}
+
+function headingKey(heading) {
+  return heading.text.toLowerCase();
+}
+
+// Count-aware matching so repeated headings ("Reviews" twice) are paired one-to-one
+function matchHeadings(fromOutline, toOutline) {
+  const available = new Map();
+  toOutline.forEach(heading => {
+    const key = headingKey(heading);
+    if (!available.has(key)) available.set(key, []);
+    available.get(key).push(heading);
+  });
+
+  const matched = [];
+  const unmatched = [];
+  fromOutline.forEach(heading => {
+    const candidates = available.get(headingKey(heading));
+    if (candidates && candidates.length > 0) {
+      matched.push([heading, candidates.shift()]);
+    } else {
+      unmatched.push(heading);
+    }
+  });
+  return { matched, unmatched };
+}
+
+function compareHeadingOutlines(rawOutline, renderedOutline) {
+  const rendered = matchHeadings(renderedOutline, rawOutline);
+  const raw = matchHeadings(rawOutline, renderedOutline);
+
+  // Headings present in both: does their relative order survive rendering?
+  const commonInRawOrder = raw.matched.map(([rawHeading]) => headingKey(rawHeading));
+  const commonInRenderedOrder = rendered.matched.map(([renderedHeading]) => headingKey(renderedHeading));
+  const orderChanged = commonInRawOrder.join('\n') !== commonInRenderedOrder.join('\n');
+
+  const levelChanges = rendered.matched
+    .filter(([renderedHeading, rawHeading]) => renderedHeading.level !== rawHeading.level)
+    .map(([renderedHeading, rawHeading]) => ({
+      text: renderedHeading.text,
+      from: `h${rawHeading.level}`,
+      to: `h${renderedHeading.level}`
+    }));
+
+  const rawH1 = rawOutline.filter(h => h.level === 1).map(h => h.text);
+  const renderedH1 = renderedOutline.filter(h => h.level === 1).map(h => h.text);
+
+  return {
+    raw: { count: rawOutline.length, outline: rawOutline },
+    rendered: { count: renderedOutline.length, outline: renderedOutline },
+    jsOnly: rendered.unmatched,
+    removedByJs: raw.unmatched,
+    h1: {
+      raw: rawH1,
+      rendered: renderedH1,
+      changed: rawH1.join('\n') !== renderedH1.join('\n')
+    },
+    orderChanged: orderChanged,
+    levelChanges: levelChanges
+  };
+}
+
+module.exports = {
+  extractHeadingOutline,
+  compareHeadingOutlines
+};
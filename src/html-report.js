@@ -0,0 +1,265 @@
+// Self-contained HTML reports rendered from the results object (one URL) or a batch portfolio.
+// No external assets: styles are inline and screenshots are passed in as data URIs.
+
+const MISSING_CATEGORIES = [
+  ['headings', 'Headings'],
+  ['navigation', 'Navigation'],
+  ['textContent', 'Text content'],
+  ['criticalData', 'Critical data'],
+  ['interactiveElements', 'Interactive elements']
+];
+
+const STYLES = `
+  body { font: 14px/1.5 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2933; margin: 0; background: #f5f7fa; }
+  main { max-width: 1200px; margin: 0 auto; padding: 24px; }
+  h1 { font-size: 22px; margin: 0 0 4px; word-break: break-all; }
+  h2 { font-size: 17px; margin: 32px 0 12px; border-bottom: 1px solid #d9e2ec; padding-bottom: 4px; }
+  .meta { color: #627d98; font-size: 13px; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 16px; }
+  .card { background: #fff; border: 1px solid #d9e2ec; border-radius: 6px; padding: 12px 16px; min-width: 140px; }
+  .card .label { color: #627d98; font-size: 12px; text-transform: uppercase; }
+  .card .value { font-size: 20px; font-weight: 600; }
+  .good { color: #127a3d; } .fair { color: #b25e09; } .poor { color: #c0262d; }
+  table { border-collapse: collapse; width: 100%; background: #fff; }
+  th, td { border: 1px solid #d9e2ec; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f0f4f8; font-weight: 600; }
+  ul { padding-left: 20px; }
+  .screenshots { display: flex; flex-wrap: wrap; gap: 16px; }
+  .screenshots figure { margin: 0; flex: 1 1 340px; background: #fff; border: 1px solid #d9e2ec; padding: 8px; }
+  .screenshots img { width: 100%; height: auto; display: block; }
+  .side-by-side { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+  .pane { background: #fff; border: 1px solid #d9e2ec; padding: 8px 12px; max-height: 800px; overflow: auto; }
+  .pane h3 { font-size: 14px; margin: 0 0 8px; position: sticky; top: -8px; background: #fff; padding: 4px 0; }
+  .block { margin: 0 0 6px; white-space: pre-wrap; word-break: break-word; }
+  .block .tag { color: #9fb3c8; font-size: 11px; margin-right: 6px; }
+  .block.heading { font-weight: 600; }
+  .js-only { background: #fff3c4; border-left: 3px solid #f0b429; padding-left: 6px; }
+  .removed { background: #ffe3e3; border-left: 3px solid #e12d39; padding-left: 6px; text-decoration: line-through; }
+  .legend span { display: inline-block; margin-right: 16px; padding: 0 6px; }
+  .bar { background: #486581; height: 12px; display: inline-block; vertical-align: middle; margin-right: 6px; }
+  @media print { .pane { max-height: none; } }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function scoreClass(score) {
+  return score >= 80 ? 'good' : score >= 50 ? 'fair' : 'poor';
+}
+
+function card(label, value, className = '') {
+  return `<div class="card"><div class="label">${escapeHtml(label)}</div><div class="value ${className}">${escapeHtml(value)}</div></div>`;
+}
+
+function renderSummary(results) {
+  const { summary } = results;
+  if (summary.error) {
+    return `<div class="cards">${card('Status', summary.error, 'poor')}</div>`;
+  }
+
+  const cards = [
+    card('LLM Score', `${summary.llmAccessibilityScore}/100`, scoreClass(summary.llmAccessibilityScore)),
+    card('Requires JS', summary.requiresJSRendering ? 'Yes' : 'No', summary.requiresJSRendering ? 'poor' : 'good'),
+    card('Content Change', `${summary.averageContentChange}%`),
+    card('Frameworks', (summary.frameworksDetected || []).join(', ') || 'None'),
+    card('Consistency', summary.crossBrowserConsistency),
+    card('Confidence', `${summary.analysisConfidence}%`)
+  ];
+  if (results.regression) {
+    const { score, regressed } = results.regression;
+    cards.push(card('Since Baseline', `${regressed ? 'Regressed' : 'No regressions'} (${score.delta > 0 ? '+' : ''}${score.delta ?? 'n/a'})`, regressed ? 'poor' : 'good'));
+  }
+  if (results.robots && !results.robots.error) {
+    const blocked = results.robots.disallowedFor;
+    cards.push(card('Robots.txt', blocked.length > 0 ? `Blocks ${blocked.join(', ')}` : 'Allows all', blocked.length > 0 ? 'poor' : 'good'));
+  }
+  return `<div class="cards">${cards.join('')}</div>`;
+}
+
+function renderBrowserTable(browsers) {
+  const rows = Object.entries(browsers).map(([name, data]) => `
+    <tr>
+      <td>${escapeHtml(name)}</td>
+      <td>${escapeHtml(data.status || 'unknown')}${data.error ? `<br><small>${escapeHtml(data.error)}</small>` : ''}</td>
+      <td>${escapeHtml(data.contentDifferencePercent ?? 0)}%</td>
+      <td>${escapeHtml(data.rawContentLength ?? 0)} → ${escapeHtml(data.renderedContentLength ?? 0)}</td>
+      <td>${escapeHtml(data.rawHtmlLength ?? 0)} → ${escapeHtml(data.renderedHtmlLength ?? 0)}</td>
+      <td>${escapeHtml(data.renderLayers?.available ? `${data.renderLayers.jsInjectedPercent}%` : 'n/a')}</td>
+      <td>${escapeHtml((data.frameworks || []).join(', ') || 'None')}</td>
+      <td>${escapeHtml(data.performanceMetrics?.totalLoadTime ?? 0)}ms</td>
+      <td>${escapeHtml(data.renderWait ? `${data.renderWait.strategy}: ${data.renderWait.settleTime}ms${data.renderWait.settled ? '' : ' (cap)'}` : 'n/a')}</td>
+      <td>${escapeHtml(data.evasionUsed || 'standard')}</td>
+    </tr>`).join('');
+
+  return `
+  <table>
+    <tr><th>Browser</th><th>Status</th><th>Content Change</th><th>Text chars (raw → rendered)</th><th>HTML bytes (raw → rendered)</th><th>JS-injected</th><th>Frameworks</th><th>Load Time</th><th>Render Wait</th><th>Evasion</th></tr>
+    ${rows}
+  </table>`;
+}
+
+function renderMissingContent(missing) {
+  const rows = MISSING_CATEGORIES
+    .filter(([key]) => missing[key])
+    .map(([key, label]) => `
+    <tr>
+      <td>${label}</td>
+      <td>${escapeHtml(missing[key].count)}</td>
+      <td>${(missing[key].examples || []).slice(0, 5).map(example => escapeHtml(example)).join('<br>') || '-'}</td>
+    </tr>`).join('');
+
+  return `
+  <table>
+    <tr><th>Category</th><th>Missing from raw HTML</th><th>Examples</th></tr>
+    ${rows}
+  </table>`;
+}
+
+function renderScreenshots(browsers, screenshots) {
+  const figures = Object.keys(browsers)
+    .filter(name => screenshots[name])
+    .map(name => `<figure><img src="${screenshots[name]}" alt="${escapeHtml(name)} screenshot"><figcaption>${escapeHtml(name)}</figcaption></figure>`);
+  return figures.length > 0 ? `<div class="screenshots">${figures.join('')}</div>` : '<p>No screenshots captured.</p>';
+}
+
+function htmlPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+function renderBlocks(blocks, flag, className) {
+  if (blocks.length === 0) return '<p class="meta">No text.</p>';
+  return blocks.map(block => {
+    const classes = ['block', /^h[1-6]$/.test(block.tag) ? 'heading' : '', block[flag] ? className : ''].filter(Boolean);
+    return `<p class="${classes.join(' ')}"><span class="tag">${escapeHtml(block.tag)}</span>${escapeHtml(block.text)}</p>`;
+  }).join('\n');
+}
+
+function renderTextComparison(name, snapshot) {
+  return `
+  <p class="meta">From ${escapeHtml(name)}: ${snapshot.jsOnlyBlockCount} of ${snapshot.rendered.length} rendered blocks (${snapshot.jsOnlyChars} chars) are JS-only; ${snapshot.removedBlockCount} raw blocks are removed by JS.${snapshot.truncated ? ' Long pages are truncated.' : ''}</p>
+  <p class="legend"><span class="js-only">Only after JavaScript</span><span class="removed">Removed by JavaScript</span></p>
+  <div class="side-by-side">
+    <div class="pane"><h3>Raw HTML (what non-rendering crawlers see)</h3>${renderBlocks(snapshot.raw, 'removedByJs', 'removed')}</div>
+    <div class="pane"><h3>Rendered (after JavaScript)</h3>${renderBlocks(snapshot.rendered, 'jsOnly', 'js-only')}</div>
+  </div>`;
+}
+
+// screenshots: { [browserName]: dataUri }
+function renderHtmlReport(results, { screenshots = {} } = {}) {
+  const successful = Object.entries(results.browsers).find(([, data]) => data.status === 'success' && data.textSnapshot);
+  const missing = Object.values(results.browsers).find(data => data.status === 'success')?.jsRenderedContent?.trulyMissingContent;
+
+  return htmlPage(`JS Rendering Report - ${results.url}`, `
+  <h1>${escapeHtml(results.url)}</h1>
+  <div class="meta">${escapeHtml(results.analysisType)} analysis · ${escapeHtml(results.timestamp)}${results.runUrl ? ` · <a href="${escapeHtml(results.runUrl)}">workflow run</a>` : ''}</div>
+  ${renderSummary(results)}
+
+  <h2>Recommendations</h2>
+  <ul>${(results.recommendations || []).map(r => `<li>${escapeHtml(r)}</li>`).join('')}</ul>
+
+  <h2>Browsers</h2>
+  ${renderBrowserTable(results.browsers)}
+
+  ${missing ? `<h2>Content Missing Without JavaScript</h2>${renderMissingContent(missing)}` : ''}
+
+  <h2>Screenshots</h2>
+  ${renderScreenshots(results.browsers, screenshots)}
+
+  <h2>Raw vs Rendered Text</h2>
+  ${successful ? renderTextComparison(successful[0], successful[1].textSnapshot) : '<p>No text snapshot available.</p>'}`);
+}
+
+function renderTable(headers, rows) {
+  if (rows.length === 0) return '<p class="meta">None.</p>';
+  return `
+  <table>
+    <tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>
+    ${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n    ')}
+  </table>`;
+}
+
+function bar(count, max) {
+  return `<span class="bar" style="width: ${max > 0 ? Math.round(count / max * 200) : 0}px"></span>${escapeHtml(count)}`;
+}
+
+// portfolio: the object built by buildPortfolio in src/portfolio.js
+function renderPortfolioHtml(portfolio) {
+  const { totals } = portfolio;
+  const maxBucket = Math.max(...portfolio.scoreDistribution.map(b => b.count));
+  const missingLabel = missing => Object.entries(missing).filter(([, count]) => count > 0).map(([category, count]) => `${category} ${count}`).join(', ') || '-';
+
+  return htmlPage(portfolio.title, `
+  <h1>${escapeHtml(portfolio.title)}</h1>
+  <div class="meta">Generated ${escapeHtml(portfolio.generatedAt)}</div>
+  <div class="cards">
+    ${card('URLs', totals.urls)}
+    ${card('Analyzed', totals.succeeded, 'good')}
+    ${card('Failed', totals.failed, totals.failed > 0 ? 'poor' : '')}
+    ${card('Average Score', totals.averageScore ?? 'n/a', totals.averageScore === null ? '' : scoreClass(totals.averageScore))}
+    ${card('Median Score', totals.medianScore ?? 'n/a')}
+    ${card('Require JS', `${totals.requiresJSRendering}/${totals.withDetails}`)}
+    ${totals.withDetails < totals.succeeded ? card('Score Only', totals.succeeded - totals.withDetails) : ''}
+    ${totals.regressed > 0 ? card('Regressed', totals.regressed, 'poor') : ''}
+  </div>
+
+  <h2>Score Distribution</h2>
+  ${renderTable(['Score', 'URLs'], portfolio.scoreDistribution.map(b => [escapeHtml(b.range), bar(b.count, maxBucket)]))}
+
+  <h2>Frameworks</h2>
+  ${renderTable(['Framework', 'URLs', 'Share'], portfolio.frameworks.map(f => [escapeHtml(f.name), escapeHtml(f.count), `${escapeHtml(f.percent)}%`]))}
+
+  <h2>Most Common Missing Content</h2>
+  ${renderTable(['Category', 'URLs affected', 'Items missing from raw HTML'], portfolio.missingCategories.map(c => [escapeHtml(c.category), escapeHtml(c.urls), escapeHtml(c.items)]))}
+
+  <h2>Worst Offenders</h2>
+  ${renderTable(['URL', 'Score', 'Requires JS', 'Frameworks', 'Missing'], portfolio.worstOffenders.map(o => [
+    escapeHtml(o.url),
+    `<span class="${scoreClass(o.score)}">${escapeHtml(o.score)}</span>`,
+    o.requiresJSRendering ? 'Yes' : 'No',
+    escapeHtml(o.frameworks.join(', ') || 'None'),
+    escapeHtml(missingLabel({ ...o.missing, pricing: o.pricingMissing }))
+  ]))}
+
+  <h2>Domains</h2>
+  ${renderTable(['Domain', 'URLs', 'Average Score', 'Require JS', 'Failed'], portfolio.domains.map(d => [
+    escapeHtml(d.host),
+    escapeHtml(d.urls),
+    d.averageScore === null ? 'n/a' : `<span class="${scoreClass(d.averageScore)}">${escapeHtml(d.averageScore)}</span>`,
+    escapeHtml(d.requiresJs),
+    escapeHtml(d.failed)
+  ]))}
+
+  <h2>Failures</h2>
+  ${renderTable(['Error Type', 'URLs', 'Examples'], portfolio.failures.map(f => [
+    escapeHtml(f.type),
+    escapeHtml(f.count),
+    f.urls.slice(0, 5).map(u => `${escapeHtml(u.url)}<br><small>${escapeHtml(u.error)}</small>`).join('<br>')
+  ]))}`);
+}
+
+module.exports = {
+  escapeHtml,
+  htmlPage,
+  renderHtmlReport,
+  renderPortfolioHtml
+};
@@ -0,0 +1,189 @@
+// Interaction probe: finds disclosure widgets (tabs, accordions, details/summary, "load more" buttons,
+// modal triggers), activates them one at a time and records what each one reveals - and whether that
+// content was already in the raw HTML but hidden, hidden after render, or only created on click.
+
+const { waitForMutationQuiet } = require('./wait-strategies');
+
+const MAX_WIDGETS = 15;
+const CLICK_TIMEOUT = 3000;
+const SETTLE_CAP = 3000;
+const QUIET_PERIOD = 400;
+const MAX_EXAMPLES = 5;
+// Less than this many characters created on click is UI chrome, not content
+const MIN_INTERACTION_CHARS = 200;
+// Shorter revealed lines ("Yes", "Price") occur almost anywhere, so they say nothing about their source
+const MIN_LINE_CHARS = 12;
+const API_TYPES = ['xhr', 'fetch'];
+
+// Browser-side: tags each widget with data-jsra-probe so it can be clicked by selector later
+function findDisclosureWidgets(maxWidgets) {
+  const LOAD_MORE = /\b(load|show|view|see|read) (more|all)\b|\bmore (reviews|details|results|products|specs)\b/i;
+  const CANDIDATES = [
+    ['tab', '[role="tab"]:not([aria-selected="true"])'],
+    ['accordion', 'details:not([open]) > summary'],
+    ['disclosure', '[aria-expanded="false"]'],
+    ['modal', '[aria-haspopup="dialog"], [data-toggle="modal"], [data-bs-toggle="modal"]'],
+    ['load-more', 'button, a, [role="button"]']
+  ];
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+  const visible = el => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && getComputedStyle(el).visibility !== 'hidden';
+  };
+  // Links to another page would navigate away instead of revealing anything
+  const staysOnPage = el => {
+    const href = el.tagName === 'A' ? el.getAttribute('href') : null;
+    return !href || href.startsWith('#') || href.startsWith('javascript:');
+  };
+
+  const seen = new Set();
+  const widgets = [];
+  CANDIDATES.forEach(([kind, selector]) => {
+    document.querySelectorAll(selector).forEach(el => {
+      if (widgets.length >= maxWidgets || seen.has(el) || !visible(el) || !staysOnPage(el)) return;
+      const label = clean(el.innerText || el.getAttribute('aria-label') || el.getAttribute('title'));
+      if (kind === 'load-more' && !LOAD_MORE.test(label)) return;
+      seen.add(el);
+      el.setAttribute('data-jsra-probe', String(widgets.length));
+      widgets.push({ id: widgets.length, kind: kind, label: label.substring(0, 80) || kind });
+    });
+  });
+  return widgets;
+}
+
+// Browser-side: the lines a reader can see right now (innerText skips hidden elements)
+function visibleTextLines() {
+  const lines = (document.body ? document.body.innerText : '').split('\n');
+  return Array.from(new Set(lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(line => line.length > 1)));
+}
+
+// Browser-side: all text, hidden or not, of the live document or of an HTML string; script and
+// style bodies are code, not text, so a string in a JSON payload does not count as present
+function documentText(html) {
+  const doc = html ? new DOMParser().parseFromString(html, 'text/html') : document;
+  if (!doc.body) return '';
+  const body = doc.body.cloneNode(true);
+  body.querySelectorAll('script, style, template').forEach(el => el.remove());
+  return body.textContent;
+}
+
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Characters of the revealed lines by where they came from: the raw HTML (hidden there), the
+// rendered page before the click (hidden after render) or neither (created by the click)
+function classifyRevealedLines(lines, rawText, textBefore) {
+  const chars = { hiddenInRawHtml: 0, hiddenAfterRender: 0, createdOnClick: 0 };
+  lines.forEach(line => {
+    const text = normalize(line);
+    if (text.length < MIN_LINE_CHARS) return;
+    if (rawText.includes(text)) chars.hiddenInRawHtml += text.length;
+    else if (textBefore.includes(text)) chars.hiddenAfterRender += text.length;
+    else chars.createdOnClick += text.length;
+  });
+  return chars;
+}
+
+// The bucket with the most characters names the source; API requests during the click mark it fetched
+function sourceOf(chars, requests) {
+  const [bucket, count] = Object.entries(chars).sort((a, b) => b[1] - a[1])[0];
+  if (count === 0) return 'none';
+  if (bucket === 'hiddenInRawHtml') return 'hidden-in-raw-html';
+  if (bucket === 'hiddenAfterRender') return 'hidden-after-render';
+  return requests > 0 ? 'fetched-on-click' : 'rendered-on-click';
+}
+
+async function activateWidget(page, widget, rawText, apiRequests) {
+  const visibleBefore = new Set(await page.evaluate(visibleTextLines));
+  const textBefore = normalize(await page.evaluate(documentText, null));
+  const requestsBefore = apiRequests.length;
+
+  try {
+    await page.click(`[data-jsra-probe="${widget.id}"]`, { timeout: CLICK_TIMEOUT });
+  } catch (error) {
+    return { ...widget, activated: false, error: error.message.split('\n')[0] };
+  }
+  await page.evaluate(waitForMutationQuiet, { quietPeriod: QUIET_PERIOD, cap: SETTLE_CAP }).catch(() => {});
+
+  const revealed = (await page.evaluate(visibleTextLines)).filter(line => !visibleBefore.has(line));
+  const chars = classifyRevealedLines(revealed, rawText, textBefore);
+  const requests = apiRequests.slice(requestsBefore);
+
+  // Close dialogs so the next widget isn't covered by an overlay
+  if (widget.kind === 'modal') await page.keyboard.press('Escape').catch(() => {});
+
+  return {
+    ...widget,
+    activated: true,
+    revealedChars: chars.hiddenInRawHtml + chars.hiddenAfterRender + chars.createdOnClick,
+    chars: chars,
+    source: sourceOf(chars, requests.length),
+    requests: requests.length,
+    requestExamples: requests.slice(0, 3),
+    examples: revealed.slice(0, MAX_EXAMPLES).map(line => line.substring(0, 150))
+  };
+}
+
+// page: the rendered page in a context of its own; rawHtml: the raw document to check revealed text against
+async function runInteractionProbe(page, rawHtml, { maxWidgets = MAX_WIDGETS } = {}) {
+  const pageUrl = page.url();
+  const rawText = normalize(await page.evaluate(documentText, rawHtml));
+  const widgets = await page.evaluate(findDisclosureWidgets, maxWidgets);
+
+  const apiRequests = [];
+  const onRequest = request => {
+    if (API_TYPES.includes(request.resourceType())) apiRequests.push(request.url());
+  };
+  page.on('request', onRequest);
+
+  const results = [];
+  let navigatedAway = false;
+  try {
+    for (const widget of widgets) {
+      try {
+        results.push(await activateWidget(page, widget, rawText, apiRequests));
+      } catch (error) {
+        // Usually the click navigated and took the execution context with it
+        results.push({ ...widget, activated: false, error: error.message.split('\n')[0] });
+      }
+      // A click that left the page ends the probe; the remaining widgets are gone with it
+      if (page.url().split('#')[0] !== pageUrl.split('#')[0]) {
+        navigatedAway = true;
+        break;
+      }
+    }
+  } finally {
+    page.off('request', onRequest);
+  }
+
+  const activated = results.filter(r => r.activated);
+  const total = key => activated.reduce((sum, r) => sum + r.chars[key], 0);
+  const chars = {
+    hiddenInRawHtml: total('hiddenInRawHtml'),
+    hiddenAfterRender: total('hiddenAfterRender'),
+    createdOnClick: total('createdOnClick')
+  };
+  const bySource = {};
+  activated.forEach(r => {
+    bySource[r.source] = (bySource[r.source] || 0) + 1;
+  });
+
+  return {
+    widgetsFound: widgets.length,
+    activated: activated.length,
+    revealing: activated.filter(r => r.revealedChars > 0).length,
+    navigatedAway: navigatedAway,
+    chars: chars,
+    bySource: bySource,
+    requiresInteraction: chars.createdOnClick >= MIN_INTERACTION_CHARS,
+    widgets: results
+  };
+}
+
+module.exports = {
+  documentText,
+  classifyRevealedLines,
+  sourceOf,
+  runInteractionProbe
+};
@@ -0,0 +1,193 @@
+// Persistent per-URL job state for batch runs, so an interrupted batch can resume where it stopped.
+// Each run has an id; only a run that never finished is resumed, a new run analyzes every URL again.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Failures worth retrying: network trouble, timeouts, rate limiting and crashed browsers
+const TRANSIENT_ERROR = /timeout|timed out|ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|ERR_CONNECTION|ERR_NETWORK|ERR_HTTP2|ERR_TIMED_OUT|socket hang up|Target (page, context or browser )?(has been )?closed|browser has been closed|HTTP (429|502|503|504)|interrupted/i;
+
+function isTransientError(message) {
+  return TRANSIENT_ERROR.test(message || '');
+}
+
+// Timestamps and per-run paths change on every run; the hash only covers what was found
+function hashResults(results) {
+  const stable = {
+    summary: { ...results.summary, totalLoadTime: undefined },
+    recommendations: results.recommendations
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(stable)).digest('hex').substring(0, 16);
+}
+
+class JobLedger {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.data = null;
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      this.data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read job ledger ${this.filePath}: ${error.message}`);
+      }
+      this.data = { createdAt: new Date().toISOString(), jobs: {} };
+    }
+
+    // Resume the previous run if it was cut off or stopped at the batch size limit, otherwise start a new one
+    const previous = this.data.run;
+    this.resumed = !!previous && !previous.finishedAt;
+    if (!this.resumed) {
+      this.data.run = { id: crypto.randomBytes(4).toString('hex'), startedAt: new Date().toISOString(), finishedAt: null };
+    }
+
+    // A job still marked running was cut off by a crash or timeout of the previous run
+    Object.values(this.data.jobs).forEach(job => {
+      if (job.status === 'running') {
+        job.status = 'failed';
+        job.lastError = 'Interrupted before completion';
+        job.transient = true;
+      }
+    });
+    return this;
+  }
+
+  job(url) {
+    if (!this.data.jobs[url]) {
+      this.data.jobs[url] = {
+        url: url,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        transient: false,
+        runId: null,
+        resultHash: null,
+        score: null,
+        outputDir: null,
+        firstSeenAt: new Date().toISOString(),
+        startedAt: null,
+        completedAt: null
+      };
+    }
+    return this.data.jobs[url];
+  }
+
+  // Within the current run, completed URLs and permanent failures are skipped and transient failures
+  // run until attempts run out. pending: the source itself says the URL still needs analysis (e.g. the
+  // sheet row was cleared), which overrides a completed job.
+  shouldRun(url, { retryFailed = false, pending = false } = {}) {
+    const job = this.job(url);
+    if (job.runId === this.data.run.id) {
+      if (job.status === 'succeeded' && !pending) return { run: false, reason: 'completed' };
+      if (job.status === 'failed' && !retryFailed) {
+        if (!job.transient) return { run: false, reason: 'permanent failure' };
+        if (job.attempts >= this.maxAttempts) return { run: false, reason: 'attempts exhausted' };
+        return { run: true };
+      }
+    }
+    job.attempts = 0;
+    return { run: true };
+  }
+
+  // outputDir is where the analysis writes its artifacts; it is derived from the URL, so every
+  // run of the same job writes to (and the ledger points at) the same directory
+  markStarted(url, outputDir = null) {
+    const job = this.job(url);
+    job.status = 'running';
+    job.outputDir = outputDir;
+    job.runId = this.data.run.id;
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    return job;
+  }
+
+  markSucceeded(url, results) {
+    const job = this.job(url);
+    const resultHash = hashResults(results);
+    job.status = 'succeeded';
+    job.lastError = null;
+    job.transient = false;
+    job.changedSinceLastRun = job.resultHash !== null && job.resultHash !== resultHash;
+    job.resultHash = resultHash;
+    job.score = results.summary.llmAccessibilityScore;
+    job.completedAt = new Date().toISOString();
+    return job;
+  }
+
+  markFailed(url, error) {
+    const job = this.job(url);
+    job.status = 'failed';
+    job.lastError = error.message;
+    job.transient = isTransientError(error.message);
+    job.retryable = job.transient && job.attempts < this.maxAttempts;
+    job.completedAt = new Date().toISOString();
+    return job;
+  }
+
+  // Exponential backoff: base, 2x base, 4x base...
+  retryDelay(job, baseDelay) {
+    return baseDelay * 2 ** Math.max(0, job.attempts - 1);
+  }
+
+  // Call once every URL of the run has been handled; the next load() then starts a new run
+  finishRun() {
+    this.data.run.finishedAt = new Date().toISOString();
+  }
+
+  // Writes are serialized and go through a temp file so a crash never leaves half a ledger.
+  // A failed write rejects only its own caller; the next write still runs.
+  save() {
+    const write = this.saving.catch(() => {}).then(async () => {
+      this.data.updatedAt = new Date().toISOString();
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+      await fs.rename(tempPath, this.filePath);
+    });
+    this.saving = write;
+    return write;
+  }
+
+  // Final state of every URL the source offered in this run
+  reconcile(urls) {
+    const report = {
+      total: urls.length,
+      succeeded: 0,
+      failedPermanent: 0,
+      failedTransient: 0,
+      exhausted: 0,
+      pending: 0,
+      changed: 0,
+      failures: []
+    };
+
+    urls.forEach(url => {
+      const job = this.job(url);
+      if (job.status === 'succeeded') {
+        report.succeeded++;
+        if (job.changedSinceLastRun) report.changed++;
+      } else if (job.status === 'failed') {
+        if (!job.transient) report.failedPermanent++;
+        else if (job.attempts >= this.maxAttempts) report.exhausted++;
+        else report.failedTransient++;
+        report.failures.push({ url: url, attempts: job.attempts, transient: job.transient, error: job.lastError });
+      } else {
+        report.pending++;
+      }
+    });
+
+    this.data.lastReconciliation = { ...report, at: new Date().toISOString() };
+    return report;
+  }
+}
+
+module.exports = {
+  JobLedger,
+  isTransientError,
+  hashResults
+};
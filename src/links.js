@@ -0,0 +1,129 @@
+// Link extraction and crawlability classification for raw and rendered documents.
+// extractLinks runs inside the page via page.evaluate.
+
+const MAX_REPORTED_LINKS = 100;
+
+// Browser-side: pass an HTML string to read the raw document, or null for the live document.
+// DOMParser documents inherit the page URL, so relative hrefs resolve the same way in both.
+function extractLinks(html) {
+  const doc = html ? new DOMParser().parseFromString(html, 'text/html') : document;
+  const MAX_LINKS = 3000;
+  const links = [];
+
+  const describe = (el, kind, rawHref) => {
+    let href = null;
+    if (kind === 'anchor') {
+      try {
+        const url = new URL(rawHref, doc.baseURI);
+        url.hash = '';
+        href = url.href;
+      } catch (e) {
+        kind = 'invalid';
+      }
+    }
+    const rel = (el.getAttribute('rel') || '').toLowerCase();
+    return {
+      href: href,
+      rawHref: (rawHref || '').substring(0, 200),
+      text: (el.textContent || el.getAttribute('aria-label') || el.getAttribute('title') || '').replace(/\s+/g, ' ').trim().substring(0, 80),
+      rel: rel,
+      kind: kind,
+      crawlable: kind === 'anchor',
+      nofollow: /\bnofollow\b/.test(rel),
+      region: el.closest('nav, [role="navigation"]') ? 'nav' :
+              el.closest('header') ? 'header' :
+              el.closest('footer, [role="contentinfo"]') ? 'footer' : 'body'
+    };
+  };
+
+  doc.querySelectorAll('a, area, [onclick], [role="link"], [data-href], [data-url], [ng-click], [\\@click], [v-on\\:click]').forEach(el => {
+    if (links.length >= MAX_LINKS) return;
+    const tag = el.tagName.toLowerCase();
+    const rawHref = el.getAttribute('href');
+
+    if ((tag === 'a' || tag === 'area') && rawHref !== null) {
+      const trimmed = rawHref.trim();
+      const kind = /^javascript:/i.test(trimmed) ? 'javascript' :
+                   trimmed === '' || trimmed.startsWith('#') ? 'fragment' :
+                   /^(mailto|tel|sms):/i.test(trimmed) ? 'contact' : 'anchor';
+      // A fragment href with a click handler is a JS link in disguise; a plain #section is in-page navigation
+      if (kind === 'fragment' && !el.matches('[onclick], [ng-click], [\\@click], [v-on\\:click]')) return;
+      links.push(describe(el, kind === 'fragment' ? 'click-handler' : kind, trimmed));
+      return;
+    }
+
+    // Anything else a user can click to navigate that has no crawlable href
+    const target = el.getAttribute('data-href') || el.getAttribute('data-url') || '';
+    if ((tag === 'a' && !el.hasAttribute('name')) || el.matches('[role="link"], [data-href], [data-url]') || /location|href|window\.open|router|navigate/i.test(el.getAttribute('onclick') || '')) {
+      links.push(describe(el, 'click-handler', target));
+    }
+  });
+
+  return links;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+function summarizeLinks(links, pageHost) {
+  const crawlable = links.filter(l => l.crawlable);
+  return {
+    total: links.length,
+    crawlable: crawlable.length,
+    uncrawlable: links.length - crawlable.length,
+    internal: crawlable.filter(l => hostOf(l.href) === pageHost).length,
+    external: crawlable.filter(l => hostOf(l.href) !== pageHost).length,
+    nofollow: links.filter(l => l.nofollow).length
+  };
+}
+
+function compareLinks(rawLinks, renderedLinks, pageUrl) {
+  const pageHost = hostOf(pageUrl);
+  const rawHrefs = new Set(rawLinks.filter(l => l.crawlable).map(l => l.href));
+  const renderedHrefs = new Set(renderedLinks.filter(l => l.crawlable).map(l => l.href));
+
+  const seen = new Set();
+  const jsOnly = renderedLinks.filter(l => {
+    if (!l.crawlable || rawHrefs.has(l.href) || seen.has(l.href)) return false;
+    seen.add(l.href);
+    return true;
+  });
+
+  const removedSeen = new Set();
+  const removedByJs = rawLinks.filter(l => {
+    if (!l.crawlable || renderedHrefs.has(l.href) || removedSeen.has(l.href)) return false;
+    removedSeen.add(l.href);
+    return true;
+  });
+
+  const jsOnlyInternal = jsOnly.filter(l => hostOf(l.href) === pageHost);
+  const jsOnlyExternal = jsOnly.filter(l => hostOf(l.href) !== pageHost);
+  const uncrawlable = renderedLinks.filter(l => !l.crawlable && l.kind !== 'contact');
+  const brief = l => ({ href: l.href, text: l.text, region: l.region, kind: l.kind, rawHref: l.rawHref, rel: l.rel });
+
+  return {
+    raw: summarizeLinks(rawLinks, pageHost),
+    rendered: summarizeLinks(renderedLinks, pageHost),
+    jsOnlyInternalCount: jsOnlyInternal.length,
+    jsOnlyExternalCount: jsOnlyExternal.length,
+    uncrawlableCount: uncrawlable.length,
+    removedByJsCount: removedByJs.length,
+    jsOnlyInternal: jsOnlyInternal.slice(0, MAX_REPORTED_LINKS).map(brief),
+    jsOnlyExternal: jsOnlyExternal.slice(0, MAX_REPORTED_LINKS).map(brief),
+    uncrawlable: uncrawlable.slice(0, MAX_REPORTED_LINKS).map(brief),
+    removedByJs: removedByJs.slice(0, MAX_REPORTED_LINKS).map(brief),
+    // Href lists for the in-page navigation check and for following links in crawl mode
+    rawCrawlableHrefs: [...rawHrefs],
+    renderedInternalHrefs: [...renderedHrefs].filter(href => hostOf(href) === pageHost)
+  };
+}
+
+module.exports = {
+  extractLinks,
+  compareLinks
+};
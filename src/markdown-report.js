@@ -0,0 +1,340 @@
+// Markdown audit document for one URL, built from the results object, plus the small
+// markdown-to-HTML conversion used to print it to PDF (only the constructs emitted here).
+
+const { escapeHtml } = require('./html-report');
+
+const MAX_EVIDENCE = 5;
+const RENDER_REQUIREMENTS = {
+  html: 'Server HTML only',
+  js: 'JavaScript',
+  'js+interaction': 'JavaScript plus user interaction (scroll or click)'
+};
+
+// Inline text: keep markdown syntax characters literal
+function md(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim().replace(/([\\`*_[\]<>|#])/g, '\\$1');
+}
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(cells => `| ${cells.join(' | ')} |`)
+  ].join('\n');
+}
+
+function evidence(items) {
+  return items.slice(0, MAX_EVIDENCE).map(item => `> ${md(item).substring(0, 200)}`).join('\n>\n');
+}
+
+// Each category: a one-line finding and the snippets that back it up
+function collectFindings(browser) {
+  const findings = [];
+  const jsContent = browser.jsRenderedContent || {};
+  const missing = jsContent.trulyMissingContent;
+  const analysis = jsContent.enhancedAnalysis;
+
+  if (browser.headingOutline) {
+    const outline = browser.headingOutline;
+    findings.push({
+      category: 'Headings',
+      finding: `${outline.jsOnly.length} of ${outline.rendered.count} headings only exist after JavaScript runs${outline.h1.changed ? '; the H1 is changed by JavaScript' : ''}.`,
+      evidence: outline.jsOnly.map(h => `H${h.level}: ${h.text}`)
+    });
+  }
+
+  if (browser.links) {
+    const links = browser.links;
+    findings.push({
+      category: 'Navigation & Links',
+      finding: `${links.jsOnlyInternalCount} internal and ${links.jsOnlyExternalCount} external links only exist after JavaScript runs; ${links.uncrawlableCount} links are not crawlable.`,
+      evidence: [...links.jsOnlyInternal, ...links.uncrawlable].map(l => `${l.text || '(no text)'} → ${l.href || l.rawHref || 'no href'}`)
+    });
+  } else if (missing?.navigation) {
+    findings.push({
+      category: 'Navigation & Links',
+      finding: `${missing.navigation.count} navigation links are missing from the raw HTML.`,
+      evidence: missing.navigation.examples
+    });
+  }
+
+  if (analysis) {
+    const { pricing, reviews, inventory } = analysis.contentData;
+    findings.push({
+      category: 'Critical Content',
+      finding: `${pricing.missing.length}/${pricing.total} prices, ${reviews.missing.length}/${reviews.total} reviews and ${inventory.missing.length}/${inventory.total} stock indicators are missing from the raw HTML.`,
+      evidence: [
+        ...pricing.missing.map(p => `Price ${p.text}${p.context ? ` (${p.context})` : ''}`),
+        ...reviews.missing.map(r => `Review: ${r.preview}`),
+        ...inventory.missing.map(i => `Stock: ${i.text}`)
+      ]
+    });
+
+    const { forms, buttons, selectors } = analysis.interactiveElements;
+    findings.push({
+      category: 'Interactive Elements',
+      finding: `${forms.missing.length} forms, ${buttons.missing.length} buttons and ${selectors.missing.length} selectors only work or appear with JavaScript.`,
+      evidence: [
+        ...buttons.missing.map(b => `Button "${b.text}" (${b.category})`),
+        ...forms.missing.map(f => `${f.type} form: ${f.preview}`)
+      ]
+    });
+  } else if (missing?.criticalData) {
+    findings.push({
+      category: 'Critical Content',
+      finding: `${missing.criticalData.count} pricing/data elements are missing from the raw HTML.`,
+      evidence: missing.criticalData.examples
+    });
+  }
+
+  if (missing?.textContent) {
+    const snapshot = browser.textSnapshot;
+    findings.push({
+      category: 'Body Text',
+      finding: `${missing.textContent.count} text blocks (~${Math.round(missing.textContent.totalMissingChars / 1000)}k chars) are missing from the raw HTML.`,
+      evidence: snapshot ? snapshot.rendered.filter(b => b.jsOnly).map(b => b.text) : missing.textContent.examples || []
+    });
+  }
+
+  if (browser.network) {
+    const { attribution, apiCalls } = browser.network;
+    findings.push({
+      category: 'Data Sources',
+      finding: `The page made ${apiCalls.length} distinct XHR/fetch calls; ${attribution.attributedTexts} of ${attribution.jsOnlyTexts} JS-only texts were traced to an API response.`,
+      evidence: attribution.sources.map(s => `${s.endpoint}: ${s.blocks} texts (e.g. "${s.examples[0]}")`)
+    });
+  }
+
+  if (browser.scrollContent) {
+    const { scrollOnly } = browser.scrollContent;
+    findings.push({
+      category: 'Scroll-Only Content',
+      finding: browser.scrollContent.requiresInteraction ?
+        `${scrollOnly.chars} characters, ${scrollOnly.headings.length} headings, ${scrollOnly.links.length} links and ${scrollOnly.prices.length} prices only appear after scrolling; they need JavaScript plus user interaction.` :
+        'No meaningful content appears only after scrolling.',
+      evidence: [
+        ...scrollOnly.headings.map(h => `Heading: ${h}`),
+        ...scrollOnly.prices.map(p => `Price: ${p}`),
+        ...scrollOnly.examples
+      ]
+    });
+  }
+
+  if (browser.interactionProbe) {
+    const probe = browser.interactionProbe;
+    findings.push({
+      category: 'Interaction-Gated Content',
+      finding: `${probe.revealing} of ${probe.widgetsFound} tabs, accordions, "load more" buttons and modals revealed content: ${probe.chars.hiddenInRawHtml} characters were hidden in the raw HTML, ${probe.chars.hiddenAfterRender} hidden after render and ${probe.chars.createdOnClick} only created on click.`,
+      evidence: probe.widgets
+        .filter(w => w.revealedChars > 0)
+        .map(w => `${w.kind} "${w.label}" (${w.source}): ${w.examples[0] || ''}`)
+    });
+  }
+
+  if (browser.pageErrors) {
+    const errors = browser.pageErrors;
+    findings.push({
+      category: 'Script Errors',
+      finding: errors.renderIncomplete ?
+        `Rendering may be incomplete: ${errors.reasons.join('; ')}.` :
+        `${errors.consoleErrors} console errors, ${errors.exceptions.length} uncaught exceptions and ${errors.failedScripts.length} failed scripts.`,
+      evidence: [
+        ...errors.exceptions.map(e => `${e.name}: ${e.message}`),
+        ...errors.failedScripts.map(f => `Script ${f.url} (${f.failure || `HTTP ${f.status}`})`),
+        ...errors.messages.filter(m => m.type === 'error').map(m => `Console: ${m.text}`)
+      ]
+    });
+  }
+
+  if (browser.seoMetadata) {
+    const seo = browser.seoMetadata;
+    findings.push({
+      category: 'SEO Metadata',
+      finding: seo.findings.length > 0 ?
+        `${seo.findings.length} metadata fields are added, changed or removed by JavaScript.` :
+        'No metadata is changed by JavaScript.',
+      evidence: seo.findings.map(f => `[${f.severity.toUpperCase()}] ${f.message}`)
+    });
+  }
+
+  if (browser.structuredData) {
+    const data = browser.structuredData;
+    findings.push({
+      category: 'Structured Data',
+      finding: `${data.jsOnlyEntities.length} schema.org entities and ${data.jsOnlyProperties.length} properties only exist after JavaScript runs.`,
+      evidence: [
+        ...data.jsOnlyEntities.map(e => `${e.type} (${e.source})`),
+        ...data.jsOnlyProperties.map(p => p.path)
+      ]
+    });
+  }
+
+  return findings;
+}
+
+function renderMarkdownReport(results) {
+  const { summary } = results;
+  const browser = Object.values(results.browsers).find(b => b.status === 'success') || {};
+  const jsContent = browser.jsRenderedContent;
+  const sections = [];
+
+  sections.push(`# JavaScript Rendering Audit: ${md(results.url)}`);
+  sections.push(`_${md(results.analysisType)} analysis, ${md(results.timestamp)}${results.runUrl ? ` - [workflow run](${results.runUrl})` : ''}_`);
+
+  sections.push('## Summary');
+  if (summary.error) {
+    sections.push(`**Analysis failed:** ${md(summary.error)}`);
+  } else {
+    const rows = [
+      ['LLM accessibility score', `**${summary.llmAccessibilityScore}/100**`],
+      ['Requires JS rendering', summary.requiresJSRendering ? 'Yes' : 'No'],
+      ['Content needs', RENDER_REQUIREMENTS[summary.renderRequirement] || 'Unknown'],
+      ['Average content change', `${summary.averageContentChange}%`],
+      ['Frameworks', md(summary.frameworksDetected.join(', ') || 'None')],
+      ['Cross-browser consistency', md(summary.crossBrowserConsistency)],
+      ['Analysis confidence', `${summary.analysisConfidence}%`]
+    ];
+    if (summary.renderIncomplete) {
+      rows.push(['Render complete', '**No** - scripts failed or threw']);
+    }
+    if (results.robots && !results.robots.error) {
+      rows.push(['Robots.txt', md(results.robots.disallowedFor.length > 0 ? `Disallowed for ${results.robots.disallowedFor.join(', ')}` : 'Allowed for all checked crawlers')]);
+    }
+    if (results.regression) {
+      const { score, regressed } = results.regression;
+      rows.push(['Since baseline', `${regressed ? 'Regressed' : 'No regressions'} (score ${score.delta > 0 ? '+' : ''}${score.delta ?? 'n/a'})`]);
+    }
+    sections.push(table(['Metric', 'Value'], rows));
+  }
+
+  const findings = collectFindings(browser);
+  if (findings.length > 0) {
+    sections.push('## Findings by Category');
+    findings.forEach(({ category, finding, evidence: items }) => {
+      sections.push(`### ${category}`);
+      sections.push(md(finding));
+      if (items.length > 0) {
+        sections.push(`**Evidence${items.length > MAX_EVIDENCE ? ` (${MAX_EVIDENCE} of ${items.length})` : ''}:**\n\n${evidence(items)}`);
+      }
+    });
+  }
+
+  // The enhanced summary is already markdown (bold labels, "*" bullets)
+  if (jsContent?.summary) {
+    sections.push('## Detailed Analysis');
+    sections.push(jsContent.summary.trim());
+  }
+
+  if (browser.renderTimeline) {
+    const ms = value => value === null ? 'n/a' : `${value}ms`;
+    const { categories, samples } = browser.renderTimeline;
+    sections.push('## Render Timeline');
+    sections.push(table(
+      ['Content', 'Final count', 'First appeared', 'Time to meaningful content'],
+      [
+        ['Text (chars)', categories.text.final, ms(categories.text.firstAppeared), ms(categories.text.timeToMeaningful)],
+        ...['headings', 'links', 'prices'].map(key => [
+          key[0].toUpperCase() + key.slice(1),
+          categories[key].final,
+          ms(categories[key].firstAppeared),
+          ms(categories[key].timeToMeaningful)
+        ])
+      ]
+    ));
+    sections.push(table(
+      ['Sample', 'At', 'Text chars', 'Headings', 'Links', 'Prices'],
+      samples.map(s => [s.label, ms(s.at), s.textLength, s.headings, s.links, s.prices])
+    ));
+  }
+
+  if (results.regression?.findings.length > 0) {
+    sections.push(`## Changes Since Baseline (${md(results.regression.baselineTimestamp)})`);
+    sections.push(results.regression.findings.map(f => `- **${f.severity}:** ${md(f.message)}`).join('\n'));
+  }
+
+  const recommendations = [...(results.recommendations || []), ...(jsContent?.recommendations || [])];
+  if (recommendations.length > 0) {
+    sections.push('## Recommendations');
+    sections.push([...new Set(recommendations)].map(r => `- ${md(r)}`).join('\n'));
+  }
+
+  sections.push('## Browser Results');
+  sections.push(table(
+    ['Browser', 'Status', 'Content change', 'Text chars (raw → rendered)', 'Load time', 'Render wait'],
+    Object.entries(results.browsers).map(([name, data]) => [
+      name,
+      md(data.error ? `${data.status}: ${data.error}` : data.status || 'unknown'),
+      `${data.contentDifferencePercent || 0}%`,
+      `${data.rawContentLength || 0} → ${data.renderedContentLength || 0}`,
+      `${data.performanceMetrics?.totalLoadTime || 0}ms`,
+      data.renderWait ? `${data.renderWait.strategy}: ${data.renderWait.settleTime}ms${data.renderWait.settled ? '' : ' (cap)'}` : 'n/a'
+    ])
+  ));
+
+  return sections.join('\n\n') + '\n';
+}
+
+function inlineHtml(text) {
+  const escapes = [];
+  const stash = value => `\u0000${escapes.push(value) - 1}\u0000`;
+  return escapeHtml(text.replace(/\\(.)/g, (match, char) => stash(escapeHtml(char))))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|\W)_(.+?)_(?=\W|$)/g, '$1<em>$2</em>')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => escapes[index]);
+}
+
+// Headings, paragraphs, "-"/"*" lists, tables and blockquotes
+function markdownToHtml(markdown) {
+  const html = [];
+  const lines = markdown.split('\n');
+
+  for (let i = 0; i < lines.length;) {
+    const line = lines[i];
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+
+    if (!line.trim()) {
+      i++;
+    } else if (heading) {
+      html.push(`<h${heading[1].length}>${inlineHtml(heading[2])}</h${heading[1].length}>`);
+      i++;
+    } else if (/^\s*[-*]\s+/.test(line)) {
+      const items = [];
+      while (i < lines.length && /^\s*[-*]\s+/.test(lines[i])) {
+        items.push(`<li>${inlineHtml(lines[i].replace(/^\s*[-*]\s+/, ''))}</li>`);
+        i++;
+      }
+      html.push(`<ul>${items.join('')}</ul>`);
+    } else if (line.startsWith('|')) {
+      const rows = [];
+      while (i < lines.length && lines[i].startsWith('|')) {
+        rows.push(lines[i].replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => cell.trim()));
+        i++;
+      }
+      const [header, , ...body] = rows;
+      html.push(`<table><tr>${header.map(cell => `<th>${inlineHtml(cell)}</th>`).join('')}</tr>${body.map(row => `<tr>${row.map(cell => `<td>${inlineHtml(cell)}</td>`).join('')}</tr>`).join('')}</table>`);
+    } else if (line.startsWith('>')) {
+      const quotes = [];
+      while (i < lines.length && lines[i].startsWith('>')) {
+        const text = lines[i].replace(/^>\s?/, '');
+        if (text) quotes.push(`<p>${inlineHtml(text)}</p>`);
+        i++;
+      }
+      html.push(`<blockquote>${quotes.join('')}</blockquote>`);
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && !/^(#{1,6}\s|\s*[-*]\s|\||>)/.test(lines[i])) {
+        paragraph.push(inlineHtml(lines[i]));
+        i++;
+      }
+      html.push(`<p>${paragraph.join('<br>')}</p>`);
+    }
+  }
+
+  return html.join('\n');
+}
+
+module.exports = {
+  renderMarkdownReport,
+  markdownToHtml
+};
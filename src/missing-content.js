@@ -0,0 +1,124 @@
+// Finds rendered content that has no counterpart in the raw document.
+// collectRenderedContent and extractDocumentText run inside the page via page.evaluate.
+
+const MAX_EXAMPLES = 5;
+
+// Browser-side: gather candidate content from the live (rendered) document by category
+function collectRenderedContent() {
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+  const seen = new Set();
+  const unique = (category, text) => {
+    const key = `${category}:${text.toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+
+  const content = {
+    navigation: [],
+    headings: [],
+    textContent: [],
+    criticalData: [],
+    interactiveElements: []
+  };
+
+  document.querySelectorAll('nav a, header a, footer a, [role="navigation"] a, .breadcrumb a, .breadcrumbs a').forEach(link => {
+    const text = clean(link.innerText);
+    if (text.length > 1 && unique('navigation', text)) {
+      content.navigation.push({ text: text.substring(0, 80), href: link.getAttribute('href') || '' });
+    }
+  });
+
+  document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+    const text = clean(heading.innerText);
+    if (text && unique('headings', text)) {
+      content.headings.push({ text: text.substring(0, 120), level: parseInt(heading.tagName[1]) });
+    }
+  });
+
+  document.querySelectorAll('p, li, dd, td, blockquote, figcaption, article > div, section > div').forEach(block => {
+    if (block.closest('nav, header, footer, [role="navigation"]')) return;
+    // Only take the innermost block so nested wrappers don't double count
+    if (block.querySelector('p, li, dd, td, blockquote')) return;
+    const text = clean(block.innerText);
+    if (text.length >= 40 && unique('textContent', text)) {
+      content.textContent.push({ text: text.substring(0, 500), length: text.length });
+    }
+  });
+
+  const pricePattern = /(?:[$£€¥₹]\s?\d[\d,]*(?:\.\d{2})?|\d[\d,]*(?:\.\d{2})?\s?(?:USD|EUR|GBP))/i;
+  document.querySelectorAll('[itemprop="price"], [data-price], [class*="price"], [class*="rating"], [class*="stock"], [itemprop="ratingValue"], [itemprop="availability"], span, strong, b').forEach(el => {
+    if (el.children.length > 2) return;
+    const text = clean(el.innerText || el.getAttribute('content'));
+    if (!text || text.length > 60) return;
+    const isData = pricePattern.test(text) ||
+      el.matches('[itemprop], [data-price]') ||
+      (/rating|stock/i.test(el.className) && /\d|stock/i.test(text));
+    if (isData && unique('criticalData', text)) {
+      const hint = `${el.className} ${el.getAttribute('itemprop') || ''}`;
+      const type = /rating/i.test(hint) ? 'rating' : /stock|availability/i.test(hint) ? 'inventory' : 'price';
+      content.criticalData.push({ text: text, type: type });
+    }
+  });
+
+  document.querySelectorAll('button, input:not([type="hidden"]), select, textarea, [role="button"], form').forEach(el => {
+    const text = clean(
+      el.tagName === 'FORM' ? (el.getAttribute('aria-label') || el.getAttribute('name') || el.getAttribute('id')) :
+      el.innerText || el.getAttribute('aria-label') || el.getAttribute('placeholder') || el.getAttribute('value') || el.getAttribute('name')
+    );
+    if (text && unique('interactiveElements', `${el.tagName}:${text}`)) {
+      content.interactiveElements.push({ text: text.substring(0, 60), tag: el.tagName.toLowerCase() });
+    }
+  });
+
+  return content;
+}
+
+// Browser-side: visible text of an HTML string as the parser sees it, entities decoded, plus the
+// attribute labels collectRenderedContent reads for controls and microdata. Script payloads such as
+// __NEXT_DATA__ are not content a crawler sees, so they are removed first.
+function extractDocumentText(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('script, style, template').forEach(el => el.remove());
+  const labels = [];
+  doc.querySelectorAll('button, input, select, textarea, [role="button"], form, [itemprop]').forEach(el => {
+    ['aria-label', 'placeholder', 'value', 'name', 'id', 'content'].forEach(attribute => {
+      if (el.hasAttribute(attribute)) labels.push(el.getAttribute(attribute));
+    });
+  });
+  return [doc.body ? doc.body.textContent : '', ...labels].join(' ').replace(/\s+/g, ' ').trim();
+}
+
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Match each rendered candidate against the raw document's text (extractDocumentText), never its markup:
+// text that only ships inside inline scripts still needs JavaScript to show up.
+// Long text blocks are matched on their first 120 characters so trailing changes made by JS don't count as missing.
+function findTrulyMissingContent(renderedContent, rawDocumentText) {
+  const rawText = normalize(rawDocumentText);
+  const inRaw = text => rawText.includes(normalize(text).substring(0, 120));
+
+  const result = {};
+  for (const [category, items] of Object.entries(renderedContent)) {
+    const missing = items.filter(item => !inRaw(item.text));
+    result[category] = {
+      count: missing.length,
+      total: items.length,
+      examples: missing.slice(0, MAX_EXAMPLES).map(item => item.text.substring(0, 100)),
+      items: missing.slice(0, 50)
+    };
+    if (category === 'textContent') {
+      result[category].totalMissingChars = missing.reduce((sum, item) => sum + item.length, 0);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  collectRenderedContent,
+  extractDocumentText,
+  findTrulyMissingContent
+};
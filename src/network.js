@@ -0,0 +1,253 @@
+// Network capture for one browser context, classification of the XHR/fetch calls it made, and
+// attribution of JS-only text to the API responses that delivered it.
+
+const MAX_BODY_LENGTH = 500000;
+const MAX_BODIES = 100;
+const MAX_VALUES_PER_BODY = 2000;
+const MIN_VALUE_LENGTH = 3;
+const MAX_EXAMPLES = 5;
+const TEXT_BODY = /json|text|javascript|xml|graphql/i;
+const API_TYPES = ['xhr', 'fetch'];
+// headers: request/response metadata only; full: bodies embedded too; off: no HAR file
+const HAR_MODES = ['headers', 'full', 'off'];
+
+// Listens on the context (not the page) so popups and the HTTP/2 fallback page are covered too.
+// finish() waits for pending body reads, detaches the listeners and returns the entries.
+function recordNetwork(context) {
+  const entries = [];
+  const byRequest = new Map();
+  const pending = [];
+  let bodies = 0;
+
+  const onRequest = request => {
+    const entry = {
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      startedAt: Date.now(),
+      status: null,
+      contentType: null,
+      bytes: null,
+      duration: null,
+      failure: null,
+      body: null
+    };
+    entries.push(entry);
+    byRequest.set(request, entry);
+  };
+
+  const onFinished = request => {
+    const entry = byRequest.get(request);
+    if (!entry) return;
+    pending.push((async () => {
+      const response = await request.response();
+      if (!response) return;
+      entry.status = response.status();
+      entry.contentType = response.headers()['content-type'] || null;
+      entry.duration = Date.now() - entry.startedAt;
+      const sizes = await request.sizes().catch(() => null);
+      entry.bytes = sizes ? sizes.responseBodySize : null;
+
+      // Only API bodies are kept; they are what attribution searches
+      if (API_TYPES.includes(entry.resourceType) && TEXT_BODY.test(entry.contentType || '') && bodies < MAX_BODIES) {
+        bodies++;
+        const body = await response.text();
+        entry.body = body.length > MAX_BODY_LENGTH ? body.substring(0, MAX_BODY_LENGTH) : body;
+      }
+    })().catch(() => {}));
+  };
+
+  const onFailed = request => {
+    const entry = byRequest.get(request);
+    if (entry) entry.failure = request.failure()?.errorText || 'failed';
+  };
+
+  context.on('request', onRequest);
+  context.on('requestfinished', onFinished);
+  context.on('requestfailed', onFailed);
+
+  return {
+    entries,
+    async finish() {
+      context.off('request', onRequest);
+      context.off('requestfinished', onFinished);
+      context.off('requestfailed', onFailed);
+      await Promise.all(pending);
+      return entries;
+    }
+  };
+}
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Registrable-ish domain: the last two labels, good enough to tell first from third party
+function siteOf(hostname) {
+  return hostname.split('.').slice(-2).join('.');
+}
+
+function sameSite(url, pageUrl) {
+  return siteOf(parseUrl(url)?.hostname || '') === siteOf(parseUrl(pageUrl)?.hostname || '');
+}
+
+// IDs, hashes and UUIDs in the path collapse so /api/products/123 and /api/products/456 group together
+function endpointOf(entry) {
+  const url = parseUrl(entry.url);
+  if (!url) return `${entry.method} ${entry.url}`;
+  const template = url.pathname
+    .split('/')
+    .map(segment => /^\d+$|^[0-9a-f]{8}-[0-9a-f-]{27}$|^[0-9a-f]{16,}$/i.test(segment) ? ':id' : segment)
+    .join('/');
+  return `${entry.method} ${url.origin}${template}`;
+}
+
+function apiKind(entry) {
+  if (/graphql/i.test(entry.url) || /"(query|operationName)"\s*:/.test(entry.body || '')) return 'graphql';
+  if (/json/i.test(entry.contentType || '')) return 'json';
+  if (/html/i.test(entry.contentType || '')) return 'html-fragment';
+  return 'other';
+}
+
+function classifyApiCalls(entries, pageUrl) {
+  const groups = new Map();
+
+  entries.filter(e => API_TYPES.includes(e.resourceType)).forEach(entry => {
+    const endpoint = endpointOf(entry);
+    if (!groups.has(endpoint)) {
+      groups.set(endpoint, {
+        endpoint: endpoint,
+        method: entry.method,
+        exampleUrl: entry.url,
+        kind: apiKind(entry),
+        firstParty: sameSite(entry.url, pageUrl),
+        count: 0,
+        failed: 0,
+        statuses: [],
+        bytes: 0
+      });
+    }
+    const group = groups.get(endpoint);
+    group.count++;
+    if (entry.failure || entry.status >= 400) group.failed++;
+    if (entry.status && !group.statuses.includes(entry.status)) group.statuses.push(entry.status);
+    group.bytes += entry.bytes || 0;
+  });
+
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Searchable text values of a response: JSON string leaves (and decimal numbers, for prices), or tag-stripped text
+function bodyValues(body) {
+  const values = new Set();
+  const add = value => {
+    const text = normalize(value);
+    if (text.length >= MIN_VALUE_LENGTH && values.size < MAX_VALUES_PER_BODY) values.add(text);
+  };
+
+  let json;
+  try {
+    json = JSON.parse(body);
+  } catch (error) {
+    json = undefined;
+  }
+
+  if (json !== undefined) {
+    const walk = node => {
+      if (typeof node === 'string') add(node.replace(/<[^>]+>/g, ' '));
+      else if (typeof node === 'number' && !Number.isInteger(node)) add(String(node));
+      else if (Array.isArray(node)) node.forEach(walk);
+      else if (node && typeof node === 'object') Object.values(node).forEach(walk);
+    };
+    walk(json);
+  } else {
+    body.replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ').split(/<[^>]+>/).forEach(add);
+  }
+  return [...values];
+}
+
+// texts: JS-only strings from the rendered page. A text is attributed to the response whose
+// values cover most of it; short values only count when they cover at least half of the text.
+function attributeJsOnlyText(entries, texts) {
+  const responses = entries
+    .filter(e => e.body && !e.failure)
+    .map(e => ({ endpoint: endpointOf(e), url: e.url, values: bodyValues(e.body) }));
+  const blocks = [...new Set(texts.map(normalize).filter(text => text.length >= MIN_VALUE_LENGTH))];
+
+  // Cheap prefilter: a value that contains or is contained in a JS-only text shares a word with it
+  const wordsOf = text => text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const words = new Set(blocks.flatMap(wordsOf));
+  responses.forEach(response => {
+    response.values = response.values.filter(value => wordsOf(value).some(word => words.has(word)));
+  });
+
+  const byEndpoint = new Map();
+  let attributed = 0;
+
+  blocks.forEach(block => {
+    let best = null;
+    responses.forEach(response => {
+      let covered = 0;
+      for (const value of response.values) {
+        if (value.length >= block.length && value.includes(block)) {
+          covered = block.length;
+          break;
+        }
+        if (block.includes(value)) covered += value.length;
+      }
+      covered = Math.min(covered, block.length);
+      if (covered > 0 && (!best || covered > best.covered)) best = { response, covered };
+    });
+
+    if (!best || (best.covered < block.length / 2 && best.covered < 40)) return;
+    attributed++;
+    const { endpoint, url } = best.response;
+    if (!byEndpoint.has(endpoint)) byEndpoint.set(endpoint, { endpoint, exampleUrl: url, blocks: 0, chars: 0, examples: [] });
+    const source = byEndpoint.get(endpoint);
+    source.blocks++;
+    source.chars += best.covered;
+    if (source.examples.length < MAX_EXAMPLES) source.examples.push(block.substring(0, 120));
+  });
+
+  return {
+    jsOnlyTexts: blocks.length,
+    attributedTexts: attributed,
+    sources: [...byEndpoint.values()].sort((a, b) => b.chars - a.chars)
+  };
+}
+
+function summarizeNetwork(entries, pageUrl) {
+  const byType = {};
+  entries.forEach(e => {
+    byType[e.resourceType] = (byType[e.resourceType] || 0) + 1;
+  });
+
+  return {
+    requests: entries.length,
+    byType: byType,
+    failed: entries.filter(e => e.failure).length,
+    status4xx: entries.filter(e => e.status >= 400 && e.status < 500).length,
+    status5xx: entries.filter(e => e.status >= 500).length,
+    thirdParty: entries.filter(e => !sameSite(e.url, pageUrl)).length,
+    bytes: entries.reduce((sum, e) => sum + (e.bytes || 0), 0),
+    failures: entries.filter(e => e.failure || e.status >= 400).slice(0, 20)
+      .map(e => ({ url: e.url, resourceType: e.resourceType, status: e.status, failure: e.failure }))
+  };
+}
+
+module.exports = {
+  HAR_MODES,
+  recordNetwork,
+  classifyApiCalls,
+  attributeJsOnlyText,
+  summarizeNetwork,
+  sameSite
+};
@@ -0,0 +1,101 @@
+// Console errors, uncaught exceptions and failed script loads for one browser context. A page whose
+// bundles failed or threw can look "server-rendered" only because JavaScript never finished.
+
+const { sameSite } = require('./network');
+
+const MAX_MESSAGES = 30;
+const MAX_TEXT_LENGTH = 300;
+const LOW_CHANGE_PERCENT = 10;
+const BLOCKED = /ERR_BLOCKED|NS_ERROR_CONTENT_BLOCKED|blocked/i;
+// Cancelled by navigation or the page itself, not a load failure
+const ABORTED = /ERR_ABORTED|NS_BINDING_ABORTED|cancelled/i;
+// File names of framework entry points and bundler chunks
+const BUNDLE = /(main|app|bundle|chunk|vendor|runtime|polyfills|framework|index|webpack)[^/]*\.m?js|\/_next\/|\/_nuxt\/|\/build\/|\/dist\//i;
+
+// Listens on the context like recordNetwork, so the HTTP/2 fallback page is covered too
+function recordPageErrors(context) {
+  const counts = { error: 0, warning: 0 };
+  const messages = [];
+  const exceptions = [];
+
+  const onConsole = message => {
+    const type = message.type();
+    if (type !== 'error' && type !== 'warning') return;
+    counts[type]++;
+    if (messages.length < MAX_MESSAGES) {
+      messages.push({
+        type: type,
+        text: message.text().substring(0, MAX_TEXT_LENGTH),
+        url: message.location()?.url || null
+      });
+    }
+  };
+
+  const onWebError = webError => {
+    const error = webError.error();
+    if (exceptions.length < MAX_MESSAGES) {
+      exceptions.push({
+        name: error.name || 'Error',
+        message: (error.message || String(error)).substring(0, MAX_TEXT_LENGTH),
+        stack: (error.stack || '').split('\n').slice(1, 4).map(line => line.trim()).join('\n')
+      });
+    }
+  };
+
+  context.on('console', onConsole);
+  context.on('weberror', onWebError);
+
+  return {
+    finish() {
+      context.off('console', onConsole);
+      context.off('weberror', onWebError);
+      return { counts, messages, exceptions };
+    }
+  };
+}
+
+// log: recordPageErrors().finish(); entries: the recordNetwork log of the same context
+function summarizePageErrors(log, entries, pageUrl, { contentDifferencePercent = 0 } = {}) {
+  const failed = entries.filter(e => (e.failure && !ABORTED.test(e.failure)) || e.status >= 400);
+
+  const failedScripts = failed
+    .filter(e => e.resourceType === 'script')
+    .map(e => {
+      const firstParty = sameSite(e.url, pageUrl);
+      return {
+        url: e.url,
+        status: e.status,
+        failure: e.failure,
+        firstParty: firstParty,
+        critical: firstParty || BUNDLE.test(e.url)
+      };
+    });
+  const blockedRequests = failed
+    .filter(e => e.failure && BLOCKED.test(e.failure))
+    .map(e => ({ url: e.url, resourceType: e.resourceType, failure: e.failure }));
+
+  const criticalScripts = failedScripts.filter(s => s.critical);
+  const reasons = [];
+  if (criticalScripts.length > 0) {
+    reasons.push(`${criticalScripts.length} critical script${criticalScripts.length === 1 ? '' : 's'} failed to load (${criticalScripts.slice(0, 3).map(s => s.url).join(', ')})`);
+  }
+  if (log.exceptions.length > 0 && Math.abs(contentDifferencePercent) < LOW_CHANGE_PERCENT) {
+    reasons.push(`${log.exceptions.length} uncaught exception${log.exceptions.length === 1 ? '' : 's'} while the rendered page barely differs from the raw HTML (${contentDifferencePercent}%)`);
+  }
+
+  return {
+    consoleErrors: log.counts.error,
+    consoleWarnings: log.counts.warning,
+    messages: log.messages,
+    exceptions: log.exceptions,
+    failedScripts: failedScripts,
+    blockedRequests: blockedRequests,
+    renderIncomplete: reasons.length > 0,
+    reasons: reasons
+  };
+}
+
+module.exports = {
+  recordPageErrors,
+  summarizePageErrors
+};
@@ -0,0 +1,162 @@
+// Batch-level portfolio: aggregates the per-URL results of a batch into one site audit.
+// summarizeResult keeps the few fields the portfolio needs so they can live in the job ledger.
+
+const MISSING_CATEGORIES = ['headings', 'navigation', 'textContent', 'criticalData', 'interactiveElements'];
+const SCORE_BUCKETS = [[0, 19], [20, 39], [40, 59], [60, 79], [80, 100]];
+const WORST_OFFENDERS = 10;
+
+// Most specific first; the first matching pattern names the failure group
+const ERROR_TYPES = [
+  ['timeout', /timeout|timed out|ETIMEDOUT|ERR_TIMED_OUT/i],
+  ['dns', /ENOTFOUND|EAI_AGAIN|ERR_NAME_NOT_RESOLVED/i],
+  ['connection', /ECONNRESET|ECONNREFUSED|ERR_CONNECTION|ERR_NETWORK|ERR_HTTP2|socket hang up|ERR_SSL|ERR_CERT/i],
+  ['blocked', /HTTP 40[13]|HTTP 429|captcha|access denied|bot protection|protected/i],
+  ['http-error', /HTTP [45]\d\d/i],
+  ['browser-crash', /Target (page, context or browser )?(has been )?closed|browser has been closed|crash/i],
+  ['invalid-url', /Invalid URL/i]
+];
+
+function classifyError(message) {
+  const match = ERROR_TYPES.find(([, pattern]) => pattern.test(message || ''));
+  return match ? match[0] : 'other';
+}
+
+// Compact per-URL record from a full results object
+function summarizeResult(results) {
+  const { summary } = results;
+  const browser = Object.values(results.browsers).find(b => b.status === 'success') || {};
+  const missing = browser.jsRenderedContent?.trulyMissingContent || {};
+
+  const missingCounts = {};
+  MISSING_CATEGORIES.forEach(category => {
+    missingCounts[category] = missing[category]?.count || 0;
+  });
+
+  return {
+    score: summary.llmAccessibilityScore,
+    requiresJSRendering: !!summary.requiresJSRendering,
+    contentChange: summary.averageContentChange || 0,
+    frameworks: summary.frameworksDetected || [],
+    confidence: summary.analysisConfidence,
+    missing: missingCounts,
+    pricingMissing: browser.jsRenderedContent?.enhancedAnalysis?.contentData?.pricing?.missing?.length || 0,
+    regressed: results.regression ? results.regression.regressed : null
+  };
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return url;
+  }
+}
+
+function average(values) {
+  return values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+// entries: [{ url, status: 'succeeded' | 'failed', summary, score, error }]. Succeeded entries without a
+// summary (jobs recorded before the portfolio existed) count towards totals and scores from their score alone.
+function buildPortfolio(entries, { title = 'Batch portfolio' } = {}) {
+  const completed = entries.filter(e => e.status === 'succeeded');
+  const succeeded = completed.filter(e => e.summary);
+  const failed = entries.filter(e => e.status === 'failed');
+  const scoreOf = e => e.summary ? e.summary.score : e.score;
+  const scores = completed.map(scoreOf).filter(score => typeof score === 'number');
+
+  const scoreDistribution = SCORE_BUCKETS.map(([min, max]) => ({
+    range: `${min}-${max}`,
+    count: scores.filter(score => score >= min && score <= max).length
+  }));
+
+  const frameworkCounts = new Map();
+  succeeded.forEach(e => e.summary.frameworks.forEach(name => frameworkCounts.set(name, (frameworkCounts.get(name) || 0) + 1)));
+  const noFramework = succeeded.filter(e => e.summary.frameworks.length === 0).length;
+  const frameworks = [...frameworkCounts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .concat(noFramework > 0 ? [{ name: 'None detected', count: noFramework }] : [])
+    .map(f => ({ ...f, percent: Math.round(f.count / succeeded.length * 100) }))
+    .sort((a, b) => b.count - a.count);
+
+  const missingCategories = [...MISSING_CATEGORIES, 'pricing']
+    .map(category => {
+      const count = e => category === 'pricing' ? e.summary.pricingMissing : e.summary.missing[category];
+      const affected = succeeded.filter(e => count(e) > 0);
+      return { category, urls: affected.length, items: affected.reduce((sum, e) => sum + count(e), 0) };
+    })
+    .filter(c => c.urls > 0)
+    .sort((a, b) => b.urls - a.urls || b.items - a.items);
+
+  const worstOffenders = [...succeeded]
+    .sort((a, b) => a.summary.score - b.summary.score)
+    .slice(0, WORST_OFFENDERS)
+    .map(e => ({
+      url: e.url,
+      score: e.summary.score,
+      requiresJSRendering: e.summary.requiresJSRendering,
+      frameworks: e.summary.frameworks,
+      missing: e.summary.missing,
+      pricingMissing: e.summary.pricingMissing
+    }));
+
+  const domainMap = new Map();
+  entries.forEach(e => {
+    const host = hostOf(e.url);
+    if (!domainMap.has(host)) domainMap.set(host, { host, urls: 0, failed: 0, scores: [], requiresJs: 0 });
+    const domain = domainMap.get(host);
+    domain.urls++;
+    if (e.status === 'failed') domain.failed++;
+    if (e.status === 'succeeded') {
+      if (typeof scoreOf(e) === 'number') domain.scores.push(scoreOf(e));
+      if (e.summary?.requiresJSRendering) domain.requiresJs++;
+    }
+  });
+  const domains = [...domainMap.values()]
+    .map(({ scores: domainScores, ...domain }) => ({ ...domain, averageScore: average(domainScores) }))
+    .sort((a, b) => (a.averageScore ?? 101) - (b.averageScore ?? 101));
+
+  const failureGroups = new Map();
+  failed.forEach(e => {
+    const type = classifyError(e.error);
+    if (!failureGroups.has(type)) failureGroups.set(type, { type, count: 0, urls: [] });
+    const group = failureGroups.get(type);
+    group.count++;
+    group.urls.push({ url: e.url, error: e.error });
+  });
+
+  return {
+    title: title,
+    generatedAt: new Date().toISOString(),
+    totals: {
+      urls: entries.length,
+      succeeded: completed.length,
+      withDetails: succeeded.length,
+      failed: failed.length,
+      pending: entries.length - completed.length - failed.length,
+      averageScore: average(scores),
+      medianScore: median(scores),
+      requiresJSRendering: succeeded.filter(e => e.summary.requiresJSRendering).length,
+      regressed: succeeded.filter(e => e.summary.regressed).length
+    },
+    scoreDistribution: scoreDistribution,
+    frameworks: frameworks,
+    missingCategories: missingCategories,
+    worstOffenders: worstOffenders,
+    domains: domains,
+    failures: [...failureGroups.values()].sort((a, b) => b.count - a.count)
+  };
+}
+
+module.exports = {
+  classifyError,
+  summarizeResult,
+  buildPortfolio
+};
@@ -0,0 +1,131 @@
+// Render timeline: samples of the page's text, headings, links and prices at fixed offsets after
+// navigation, and when each piece of content first appeared. Offsets are measured from navigation
+// start (the page's performance.timeOrigin), so they line up with what a time-boxed crawler sees.
+
+const MAX_ITEMS = 300;
+const MAX_REPORTED_ITEMS = 50;
+// Share of the final content that counts as "meaningful"
+const MEANINGFUL_SHARE = 0.9;
+
+// Browser-side: what a crawler would get if it stopped rendering right now
+function sampleRenderState(maxItems) {
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+  const unique = values => Array.from(new Set(values.filter(Boolean))).slice(0, maxItems);
+  const text = document.body ? document.body.innerText || '' : '';
+  const pricePattern = /(?:[$£€¥₹]\s?\d[\d,]*(?:\.\d{2})?|\d[\d,]*(?:\.\d{2})?\s?(?:USD|EUR|GBP))/gi;
+
+  return {
+    at: Math.round(performance.now()),
+    textLength: clean(text).length,
+    headings: unique(Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).map(h => clean(h.innerText || h.textContent).substring(0, 120))),
+    links: unique(Array.from(document.querySelectorAll('a[href]')).map(a => a.href).filter(href => /^https?:/.test(href))),
+    prices: unique((text.match(pricePattern) || []).map(clean))
+  };
+}
+
+// Call start() right after navigation returns (the DOMContentLoaded sample) and finish() once the
+// page has settled. Offsets that pass before start() or after finish() are reported as skipped.
+function recordTimeline(page, offsets) {
+  const samples = [];
+  const pending = [];
+  const timers = [];
+
+  const take = label => {
+    const sample = page.evaluate(sampleRenderState, MAX_ITEMS)
+      .then(state => samples.push({ label, ...state }))
+      .catch(() => {});
+    pending.push(sample);
+    return sample;
+  };
+
+  return {
+    async start() {
+      await take('domcontentloaded');
+      const now = await page.evaluate(() => performance.now()).catch(() => null);
+      if (now === null) return;
+      offsets.filter(offset => offset > now).forEach(offset => {
+        timers.push(setTimeout(() => take(`${offset}ms`), offset - now));
+      });
+    },
+
+    async finish() {
+      timers.forEach(clearTimeout);
+      await Promise.all(pending);
+      await take('settled');
+      return buildTimeline(samples, offsets);
+    }
+  };
+}
+
+// For each item of the final sample, the first sample it showed up in
+function firstSeen(samples, key) {
+  const final = samples[samples.length - 1][key];
+  return final.map(item => {
+    const sample = samples.find(s => s[key].includes(item));
+    return { value: item, at: sample.at, label: sample.label };
+  });
+}
+
+function categoryTimeline(samples, key) {
+  const items = firstSeen(samples, key);
+  const needed = Math.ceil(items.length * MEANINGFUL_SHARE);
+  const finalItems = new Set(samples[samples.length - 1][key]);
+  const meaningful = items.length > 0 ?
+    samples.find(s => s[key].filter(item => finalItems.has(item)).length >= needed) :
+    null;
+
+  const appearedBy = {};
+  samples.forEach(s => {
+    appearedBy[s.label] = items.filter(item => item.label === s.label).length;
+  });
+
+  return {
+    final: items.length,
+    firstAppeared: items.length > 0 ? Math.min(...items.map(item => item.at)) : null,
+    timeToMeaningful: meaningful ? meaningful.at : null,
+    appearedBy: appearedBy,
+    // Latest arrivals first; those are the ones a short render budget misses
+    items: [...items].sort((a, b) => b.at - a.at).slice(0, MAX_REPORTED_ITEMS)
+  };
+}
+
+function buildTimeline(samples, offsets) {
+  if (samples.length === 0) return null;
+  const ordered = [...samples].sort((a, b) => a.at - b.at);
+  // 'settled' is always last even if an offset sample resolved after it
+  const settled = ordered.findIndex(s => s.label === 'settled');
+  if (settled !== -1) ordered.push(...ordered.splice(settled, 1));
+
+  const finalText = ordered[ordered.length - 1].textLength;
+  const textMeaningful = finalText > 0 ? ordered.find(s => s.textLength >= finalText * MEANINGFUL_SHARE) : null;
+  const textFirst = ordered.find(s => s.textLength > 0);
+  const sampled = new Set(ordered.map(s => s.label));
+
+  return {
+    samples: ordered.map(s => ({
+      label: s.label,
+      at: s.at,
+      textLength: s.textLength,
+      headings: s.headings.length,
+      links: s.links.length,
+      prices: s.prices.length
+    })),
+    skippedOffsets: offsets.filter(offset => !sampled.has(`${offset}ms`)),
+    categories: {
+      text: {
+        final: finalText,
+        firstAppeared: textFirst ? textFirst.at : null,
+        timeToMeaningful: textMeaningful ? textMeaningful.at : null
+      },
+      headings: categoryTimeline(ordered, 'headings'),
+      links: categoryTimeline(ordered, 'links'),
+      prices: categoryTimeline(ordered, 'prices')
+    }
+  };
+}
+
+module.exports = {
+  recordTimeline,
+  buildTimeline,
+  sampleRenderState
+};
@@ -0,0 +1,111 @@
+// robots.txt parsing and per-crawler allow/disallow checks (RFC 9309 matching rules).
+
+const DEFAULT_CRAWLERS = ['Googlebot', 'Bingbot', 'GPTBot', 'ClaudeBot', 'PerplexityBot', 'CCBot'];
+const FETCH_TIMEOUT = 15000;
+
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  (text || '').split(/\r?\n/).forEach(line => {
+    const match = line.replace(/#.*$/, '').trim().match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) return;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group of rules
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+    } else if (field === 'allow' || field === 'disallow') {
+      lastWasAgent = false;
+      // An empty Disallow means "allow everything" and adds no rule
+      if (current && value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else {
+      lastWasAgent = false;
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+// The product token is the name without its version ("Googlebot/2.1" -> "googlebot")
+function productToken(agent) {
+  return agent.split('/')[0].trim().toLowerCase();
+}
+
+// A group applies only if it names the crawler's product token exactly (so Googlebot-Image
+// rules do not apply to Googlebot); groups naming the same agent are merged, * is the fallback
+function rulesFor(robots, crawler) {
+  const name = productToken(crawler);
+  const named = robots.groups.filter(group => group.agents.some(agent => productToken(agent) === name));
+  const groups = named.length > 0 ? named : robots.groups.filter(group => group.agents.includes('*'));
+  return groups.flatMap(group => group.rules);
+}
+
+function pathMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`).test(path);
+}
+
+// Longest matching rule decides; Allow wins a tie
+function isDisallowed(robots, crawler, url) {
+  let path;
+  try {
+    const parsed = new URL(url);
+    path = parsed.pathname + parsed.search;
+  } catch (error) {
+    return false;
+  }
+  if (path === '/robots.txt') return false;
+
+  let best = null;
+  rulesFor(robots, crawler).forEach(rule => {
+    if (!pathMatches(rule.path, path)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+  return best ? !best.allow : false;
+}
+
+// Missing robots.txt (4xx) allows everything; server errors leave the status unknown
+async function fetchRobotsTxt(origin, timeout = FETCH_TIMEOUT) {
+  const url = `${origin}/robots.txt`;
+  const response = await fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+  if (response.status >= 400 && response.status < 500) {
+    return { url, found: false, robots: parseRobotsTxt('') };
+  }
+  if (!response.ok) {
+    throw new Error(`robots.txt returned HTTP ${response.status}`);
+  }
+  return { url, found: true, robots: parseRobotsTxt(await response.text()) };
+}
+
+function checkCrawlers(robots, url, crawlers = DEFAULT_CRAWLERS) {
+  const disallowedFor = crawlers.filter(crawler => isDisallowed(robots, crawler, url));
+  return {
+    disallowedFor: disallowedFor,
+    allowedFor: crawlers.filter(crawler => !disallowedFor.includes(crawler))
+  };
+}
+
+module.exports = {
+  DEFAULT_CRAWLERS,
+  parseRobotsTxt,
+  isDisallowed,
+  fetchRobotsTxt,
+  checkCrawlers
+};
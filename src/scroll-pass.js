@@ -0,0 +1,120 @@
+// Scroll pass: scrolls the rendered page to the bottom in viewport steps, waiting for new nodes after
+// each step, and reports the content that only exists after scrolling (lazy-loaded grids, reviews,
+// infinite-scroll pages). That content needs JavaScript plus user interaction to be seen.
+
+const { extractTextBlocks, compareTextBlocks } = require('./text-snapshot');
+const { sampleRenderState } = require('./render-timeline');
+const { waitForMutationQuiet } = require('./wait-strategies');
+
+const MAX_STEPS = 30;
+const MAX_DURATION = 30000;
+const STEP_WAIT = 1500;
+const QUIET_PERIOD = 400;
+const MAX_ITEMS = 300;
+const MAX_EXAMPLES = 10;
+// Less than this many new characters (and no headings, links or prices) is layout noise, not content
+const MIN_INTERACTION_CHARS = 200;
+// A few new links is usually a footer widget or a carousel slide; more is a lazy-loaded list
+const MIN_INTERACTION_LINKS = 5;
+
+// Browser-side: images that have actually loaded, lazy ones only once scrolled into view
+function loadedImages() {
+  return Array.from(new Set(Array.from(document.images)
+    .filter(img => img.complete && img.naturalWidth > 0)
+    .map(img => img.currentSrc || img.src)));
+}
+
+function scrollStep() {
+  window.scrollBy(0, Math.round(window.innerHeight * 0.9));
+}
+
+function scrollPosition() {
+  const height = document.documentElement.scrollHeight;
+  return { height, atBottom: window.scrollY + window.innerHeight >= height - 2 };
+}
+
+// Take the baseline before anything that scrolls or resizes the page - a full-page screenshot
+// triggers lazy loading too, and whatever it loaded would no longer count as scroll-only
+async function captureScrollState(page) {
+  const [text, state, images, position] = await Promise.all([
+    page.evaluate(extractTextBlocks, null),
+    page.evaluate(sampleRenderState, MAX_ITEMS),
+    page.evaluate(loadedImages),
+    page.evaluate(scrollPosition)
+  ]);
+  return { text, ...state, images, height: position.height };
+}
+
+function added(before, after) {
+  const seen = new Set(before);
+  return after.filter(item => !seen.has(item));
+}
+
+// before: a captureScrollState() taken right after rendering; captured here when missing
+async function runScrollPass(page, { before = null, maxSteps = MAX_STEPS, maxDuration = MAX_DURATION } = {}) {
+  const startedAt = Date.now();
+  if (!before) before = await captureScrollState(page);
+  const heightBefore = before.height;
+  await page.evaluate(() => window.scrollTo(0, 0));
+
+  let steps = 0;
+  let growths = 0;
+  let reachedEnd = false;
+  let height = heightBefore;
+
+  while (steps < maxSteps && Date.now() - startedAt < maxDuration) {
+    await page.evaluate(scrollStep);
+    steps++;
+    await page.evaluate(waitForMutationQuiet, { quietPeriod: QUIET_PERIOD, cap: STEP_WAIT });
+
+    const position = await page.evaluate(scrollPosition);
+    // The page got taller while scrolling: lazy sections or another infinite-scroll batch
+    const grew = position.height > height;
+    if (grew) growths++;
+    height = position.height;
+    if (position.atBottom && !grew) {
+      reachedEnd = true;
+      break;
+    }
+  }
+
+  const after = await captureScrollState(page);
+  await page.evaluate(() => window.scrollTo(0, 0));
+
+  const text = compareTextBlocks(before.text, after.text);
+  const scrollOnlyBlocks = text.rendered.filter(block => block.jsOnly);
+  const scrollOnly = {
+    blocks: scrollOnlyBlocks.length,
+    chars: text.jsOnlyChars,
+    headings: added(before.headings, after.headings),
+    links: added(before.links, after.links),
+    prices: added(before.prices, after.prices),
+    images: added(before.images, after.images).length,
+    examples: scrollOnlyBlocks.slice(0, MAX_EXAMPLES).map(block => block.text.substring(0, 200))
+  };
+
+  return {
+    steps: steps,
+    duration: Date.now() - startedAt,
+    reachedEnd: reachedEnd,
+    // Still growing when the step or time budget ran out
+    infiniteScroll: !reachedEnd && growths > 1,
+    heightBefore: heightBefore,
+    heightAfter: height,
+    onLoad: {
+      textLength: before.textLength,
+      headings: before.headings.length,
+      links: before.links.length,
+      prices: before.prices.length,
+      images: before.images.length
+    },
+    scrollOnly: scrollOnly,
+    requiresInteraction: scrollOnly.chars >= MIN_INTERACTION_CHARS ||
+      scrollOnly.headings.length > 0 || scrollOnly.prices.length > 0 || scrollOnly.links.length >= MIN_INTERACTION_LINKS
+  };
+}
+
+module.exports = {
+  captureScrollState,
+  runScrollPass
+};
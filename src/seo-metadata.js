@@ -0,0 +1,136 @@
+// SEO metadata extraction and raw-vs-rendered comparison.
+// extractSeoMetadata runs inside the page via page.evaluate.
+
+// Browser-side: pass an HTML string to read the raw document, or null for the live document
+function extractSeoMetadata(html) {
+  const doc = html ? new DOMParser().parseFromString(html, 'text/html') : document;
+  const clean = value => (value || '').replace(/\s+/g, ' ').trim() || null;
+  const meta = selector => clean(doc.querySelector(selector)?.getAttribute('content'));
+
+  const prefixed = (attribute, prefix) => {
+    const tags = {};
+    doc.querySelectorAll(`meta[${attribute}^="${prefix}"]`).forEach(tag => {
+      const key = tag.getAttribute(attribute).toLowerCase();
+      if (!(key in tags)) tags[key] = clean(tag.getAttribute('content'));
+    });
+    return tags;
+  };
+
+  return {
+    title: clean(doc.querySelector('title')?.textContent),
+    description: meta('meta[name="description" i]'),
+    canonical: clean(doc.querySelector('link[rel="canonical" i]')?.getAttribute('href')),
+    robots: meta('meta[name="robots" i]'),
+    googlebot: meta('meta[name="googlebot" i]'),
+    hreflang: Array.from(doc.querySelectorAll('link[rel="alternate" i][hreflang]')).map(link => ({
+      hreflang: link.getAttribute('hreflang').toLowerCase(),
+      href: link.getAttribute('href')
+    })),
+    openGraph: { ...prefixed('property', 'og:'), ...prefixed('name', 'og:') },
+    twitter: { ...prefixed('name', 'twitter:'), ...prefixed('property', 'twitter:') }
+  };
+}
+
+function fieldStatus(rawValue, renderedValue) {
+  if (rawValue === renderedValue) return 'unchanged';
+  if (rawValue === null) return 'added';
+  if (renderedValue === null) return 'removed';
+  return 'changed';
+}
+
+function hasNoindex(value) {
+  return /\b(noindex|none)\b/i.test(value || '');
+}
+
+function serializeHreflang(alternates) {
+  if (!alternates || alternates.length === 0) return null;
+  return alternates
+    .map(alt => `${alt.hreflang}=${alt.href}`)
+    .sort()
+    .join(', ');
+}
+
+// Severity of a JS-driven change per field; robots and canonical are checked separately
+const FIELD_SEVERITY = {
+  title: { added: 'medium', changed: 'medium', removed: 'medium' },
+  description: { added: 'medium', changed: 'low', removed: 'medium' },
+  hreflang: { added: 'medium', changed: 'medium', removed: 'medium' }
+};
+
+function compareSeoMetadata(raw, rendered) {
+  const fields = {};
+  const findings = [];
+
+  const track = (field, rawValue, renderedValue) => {
+    const status = fieldStatus(rawValue, renderedValue);
+    fields[field] = { raw: rawValue, rendered: renderedValue, status: status };
+    return status;
+  };
+
+  ['title', 'description', 'canonical', 'robots', 'googlebot'].forEach(field => {
+    track(field, raw[field], rendered[field]);
+  });
+  track('hreflang', serializeHreflang(raw.hreflang), serializeHreflang(rendered.hreflang));
+
+  const socialKeys = new Set([
+    ...Object.keys(raw.openGraph), ...Object.keys(rendered.openGraph),
+    ...Object.keys(raw.twitter), ...Object.keys(rendered.twitter)
+  ]);
+  socialKeys.forEach(key => {
+    const group = key.startsWith('og:') ? 'openGraph' : 'twitter';
+    track(key, raw[group][key] ?? null, rendered[group][key] ?? null);
+  });
+
+  // Conflicting indexing directives are the most damaging JS rewrites
+  ['robots', 'googlebot'].forEach(field => {
+    const { raw: rawValue, rendered: renderedValue, status } = fields[field];
+    if (status === 'unchanged') return;
+    if (hasNoindex(rawValue) && !hasNoindex(renderedValue)) {
+      findings.push({ severity: 'high', field, message: `Raw HTML ${field} meta is "${rawValue}" but JS ${renderedValue ? `changes it to "${renderedValue}"` : 'removes it'} - non-rendering crawlers will not index this page` });
+    } else if (!hasNoindex(rawValue) && hasNoindex(renderedValue)) {
+      findings.push({ severity: 'high', field, message: `JS injects ${field} "${renderedValue}" - page is indexable in raw HTML but noindex after rendering` });
+    } else {
+      findings.push({ severity: 'medium', field, message: `${field} meta ${status} by JS ("${rawValue || 'not set'}" → "${renderedValue || 'not set'}")` });
+    }
+  });
+
+  const canonical = fields.canonical;
+  if (canonical.status === 'added') {
+    findings.push({ severity: 'medium', field: 'canonical', message: `Canonical URL only set by JS (${canonical.rendered})` });
+  } else if (canonical.status === 'changed') {
+    findings.push({ severity: 'high', field: 'canonical', message: `JS changes canonical from ${canonical.raw} to ${canonical.rendered} - crawlers see conflicting signals` });
+  } else if (canonical.status === 'removed') {
+    findings.push({ severity: 'high', field: 'canonical', message: `JS removes the canonical link (${canonical.raw})` });
+  }
+
+  Object.entries(FIELD_SEVERITY).forEach(([field, severities]) => {
+    const { status, raw: rawValue, rendered: renderedValue } = fields[field];
+    if (status === 'unchanged') return;
+    findings.push({
+      severity: severities[status],
+      field,
+      message: `${field} ${status} by JS${rawValue ? ` (raw: "${rawValue.substring(0, 80)}")` : ''}${renderedValue ? ` (rendered: "${renderedValue.substring(0, 80)}")` : ''}`
+    });
+  });
+
+  const socialChanged = [...socialKeys].filter(key => fields[key].status !== 'unchanged');
+  if (socialChanged.length > 0) {
+    findings.push({ severity: 'low', field: 'social', message: `${socialChanged.length} Open Graph/Twitter tags set or changed by JS (${socialChanged.slice(0, 4).join(', ')})` });
+  }
+
+  const statusCounts = { unchanged: 0, added: 0, changed: 0, removed: 0 };
+  Object.values(fields).forEach(field => statusCounts[field.status]++);
+
+  return {
+    raw: raw,
+    rendered: rendered,
+    fields: fields,
+    statusCounts: statusCounts,
+    findings: findings
+  };
+}
+
+module.exports = {
+  extractSeoMetadata,
+  compareSeoMetadata
+};
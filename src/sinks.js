@@ -0,0 +1,302 @@
+// Result sinks for batch runs. Every sink implements:
+//   writeResult(item, results) - item is { url, rowNumber? } from the source
+//   writeError(item, error)
+//   close()
+
+const fs = require('fs');
+const path = require('path');
+const { toCsvLine } = require('./csv');
+const { createSheetsClient, columnLetter } = require('./google-sheets');
+
+// Result columns in sheet order; the sheet keeps the URL in column A, so these start at B
+const RESULT_COLUMNS = [
+  { key: 'rawHtmlLength', header: 'Raw HTML Length' },
+  { key: 'renderedHtmlLength', header: 'Rendered HTML Length' },
+  { key: 'contentChange', header: 'Content Change %' },
+  { key: 'frameworks', header: 'Frameworks' },
+  { key: 'llmAccessibilityScore', header: 'LLM Accessibility Score' },
+  { key: 'status', header: 'Status' },
+  { key: 'recommendations', header: 'Recommendations' },
+  { key: 'runUrl', header: 'Run URL' },
+  { key: 'analyzedAt', header: 'Analyzed At' },
+  { key: 'jsSummary', header: 'JS Content Summary' },
+  { key: 'criticalMissing', header: 'Critical Missing' },
+  { key: 'navigationMissing', header: 'Navigation Missing' },
+  { key: 'headingsMissing', header: 'Headings Missing' },
+  { key: 'interactiveCount', header: 'Interactive Missing' },
+  { key: 'dataCount', header: 'Data Missing' },
+  { key: 'impactLevel', header: 'Impact Level' },
+  { key: 'contentExample', header: 'Content Example' },
+  { key: 'evasion', header: 'Evasion' },
+  { key: 'protectedOrFailed', header: 'Protected/Failed' },
+  { key: 'confidence', header: 'Confidence' },
+  { key: 'rawH1', header: 'Raw H1' },
+  { key: 'renderedH1', header: 'Rendered H1' },
+  { key: 'jsOnlyHeadings', header: 'JS-only Headings' },
+  { key: 'headingOrderChanged', header: 'Heading Order Changed' },
+  { key: 'robotsDisallowedFor', header: 'Robots Disallowed For' }
+];
+
+function buildResultRow(results) {
+  const { summary, browsers } = results;
+  const chromiumResults = browsers.chromium || {};
+  const jsContent = chromiumResults.jsRenderedContent || {};
+
+  // Safely handle all potential undefined values
+  const recommendations = Array.isArray(results.recommendations) ? results.recommendations : [];
+  const frameworksDetected = Array.isArray(summary.frameworksDetected) ? summary.frameworksDetected : [];
+
+  const recommendationText = recommendations.length > 0 ?
+    recommendations.slice(0, 2).join(' | ') :
+    'Analysis complete';
+
+  // Enhanced data with LLM-focused JS content analysis
+  const missingContent = jsContent.trulyMissingContent || {};
+  const criticalMissing = (missingContent.criticalData?.count || 0) + (missingContent.headings?.count || 0);
+  const navigationMissing = missingContent.navigation?.count > 0 ? 'Yes' : 'No';
+  const headingsMissing = missingContent.headings?.count > 0 ? 'Yes' : 'No';
+  const interactiveCount = missingContent.interactiveElements?.count || 0;
+  const dataCount = missingContent.criticalData?.count || 0;
+
+  // Determine impact level based on truly missing content
+  let impactLevel = 'Low';
+  if (criticalMissing > 3 || dataCount > 0) impactLevel = 'High';
+  else if (criticalMissing > 0 || navigationMissing === 'Yes') impactLevel = 'Medium';
+
+  const contentExample = missingContent.headings?.examples?.[0] ||
+                       missingContent.navigation?.examples?.[0] ||
+                       missingContent.criticalData?.examples?.[0] || 'None';
+
+  const headingOutline = chromiumResults.headingOutline;
+  const robots = results.robots;
+
+  return {
+    rawHtmlLength: chromiumResults.rawHtmlLength || 0,
+    renderedHtmlLength: chromiumResults.renderedHtmlLength || 0,
+    contentChange: summary.averageContentChange || 0,
+    frameworks: frameworksDetected.join(', ') || 'None',
+    llmAccessibilityScore: summary.llmAccessibilityScore || 0,
+    status: `Complete (${results.analysisType})`,
+    recommendations: recommendationText,
+    runUrl: results.runUrl || '', // local and air-gapped runs have no workflow run
+    analyzedAt: new Date().toISOString(),
+    jsSummary: jsContent.summary || 'No LLM analysis available',
+    criticalMissing: criticalMissing,
+    navigationMissing: navigationMissing,
+    headingsMissing: headingsMissing,
+    interactiveCount: interactiveCount,
+    dataCount: dataCount,
+    impactLevel: impactLevel,
+    contentExample: contentExample.substring(0, 50),
+    evasion: chromiumResults.evasionUsed || 'standard',
+    protectedOrFailed: chromiumResults.status === 'protected_site' || chromiumResults.status === 'failed' ? 'Yes' : 'No',
+    confidence: summary.analysisConfidence || 100,
+    rawH1: headingOutline ? (headingOutline.h1.raw[0] || 'None').substring(0, 100) : '',
+    renderedH1: headingOutline ? (headingOutline.h1.rendered[0] || 'None').substring(0, 100) : '',
+    jsOnlyHeadings: headingOutline ? headingOutline.jsOnly.length : '',
+    headingOrderChanged: headingOutline ? (headingOutline.orderChanged ? 'Yes' : 'No') : '',
+    robotsDisallowedFor: robots ? (robots.error ? 'Unknown' : robots.disallowedFor.join(', ') || 'None') : ''
+  };
+}
+
+function buildErrorRow(error) {
+  return {
+    status: 'Error',
+    recommendations: `Analysis failed: ${error.message}`,
+    analyzedAt: new Date().toISOString()
+  };
+}
+
+function createSheetsSink({ sheetId, credentials }) {
+  const sheets = createSheetsClient(credentials);
+  const firstColumn = columnLetter(1);
+  const lastColumn = columnLetter(RESULT_COLUMNS.length);
+  let rowsByUrl = null;
+
+  // Items without a row number (file or sitemap sources) update the row holding their URL, or append one
+  const rowFor = async (item) => {
+    if (item.rowNumber) return item.rowNumber;
+    if (!rowsByUrl) {
+      const response = await sheets.spreadsheets.values.get({ spreadsheetId: sheetId, range: 'A:A' });
+      rowsByUrl = new Map();
+      (response.data.values || []).forEach((row, index) => {
+        if (row[0]) rowsByUrl.set(row[0].trim(), index + 1);
+      });
+    }
+    if (!rowsByUrl.has(item.url)) {
+      const response = await sheets.spreadsheets.values.append({
+        spreadsheetId: sheetId,
+        range: 'A:A',
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: { values: [[item.url]] }
+      });
+      // updatedRange looks like "Sheet1!A12:A12"
+      rowsByUrl.set(item.url, parseInt(response.data.updates.updatedRange.match(/![A-Z]+(\d+)/)[1]));
+    }
+    return rowsByUrl.get(item.url);
+  };
+
+  return {
+    name: 'google-sheets',
+
+    async writeResult(item, results) {
+      const rowNumber = await rowFor(item);
+      const row = buildResultRow(results);
+      const range = `${firstColumn}${rowNumber}:${lastColumn}${rowNumber}`;
+      console.log(`📝 Updating range ${range} with enhanced LLM-focused data`);
+
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: sheetId,
+        range: range,
+        valueInputOption: 'RAW',
+        requestBody: {
+          values: [RESULT_COLUMNS.map(column => row[column.key])]
+        }
+      });
+    },
+
+    async writeError(item, error) {
+      const rowNumber = await rowFor(item);
+      const row = buildErrorRow(error);
+      const statusIndex = RESULT_COLUMNS.findIndex(column => column.key === 'status');
+      const range = `${columnLetter(statusIndex + 1)}${rowNumber}:${columnLetter(statusIndex + 2)}${rowNumber}`;
+
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: sheetId,
+        range: range,
+        valueInputOption: 'RAW',
+        requestBody: {
+          values: [[row.status, row.recommendations]]
+        }
+      });
+    },
+
+    async close() {}
+  };
+}
+
+// The first line of a file, read without loading the whole file
+function readFirstLine(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return buffer.toString('utf8', 0, bytes).split('\n')[0].replace(/\r$/, '');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function createCsvSink(filePath) {
+  const header = toCsvLine(['URL', ...RESULT_COLUMNS.map(column => column.header)]);
+  const needsHeader = !fs.existsSync(filePath) || fs.statSync(filePath).size === 0;
+  if (needsHeader) {
+    fs.writeFileSync(filePath, header + '\n');
+  } else if (readFirstLine(filePath) !== header) {
+    // Appending would mix two column layouts in one file
+    throw new Error(`${filePath} has different columns than this version writes - use a new output file or move the old one away`);
+  }
+  const append = (url, row) => fs.promises.appendFile(
+    filePath,
+    toCsvLine([url, ...RESULT_COLUMNS.map(column => row[column.key])]) + '\n'
+  );
+
+  return {
+    name: 'csv',
+    path: filePath,
+    writeResult: async (item, results) => append(item.url, buildResultRow(results)),
+    writeError: async (item, error) => append(item.url, buildErrorRow(error)),
+    async close() {}
+  };
+}
+
+function createJsonlSink(filePath) {
+  const append = record => fs.promises.appendFile(filePath, JSON.stringify(record) + '\n');
+
+  return {
+    name: 'jsonl',
+    path: filePath,
+    writeResult: async (item, results) => append({
+      url: item.url,
+      ...buildResultRow(results),
+      recommendations: results.recommendations
+    }),
+    writeError: async (item, error) => append({ url: item.url, ...buildErrorRow(error), error: error.message }),
+    async close() {}
+  };
+}
+
+// better-sqlite3 is an optional dependency, only loaded when SQLite output is requested
+function createSqliteSink(filePath) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite output requires the optional better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  const db = new Database(filePath);
+  const columns = ['url', ...RESULT_COLUMNS.map(column => column.key), 'error'];
+  db.exec(`CREATE TABLE IF NOT EXISTS results (id INTEGER PRIMARY KEY AUTOINCREMENT, ${columns.map(c => `${c} TEXT`).join(', ')})`);
+  const insert = db.prepare(`INSERT INTO results (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`);
+
+  const write = (url, row, error) => {
+    const record = {};
+    columns.forEach(column => {
+      const value = column === 'url' ? url : column === 'error' ? error : row[column];
+      record[column] = value === undefined || value === null ? null : String(value);
+    });
+    insert.run(record);
+  };
+
+  return {
+    name: 'sqlite',
+    path: filePath,
+    writeResult: async (item, results) => write(item.url, buildResultRow(results), null),
+    writeError: async (item, error) => write(item.url, buildErrorRow(error), error.message),
+    async close() {
+      db.close();
+    }
+  };
+}
+
+const FILE_SINKS = {
+  '.csv': createCsvSink,
+  '.jsonl': createJsonlSink,
+  '.ndjson': createJsonlSink,
+  '.db': createSqliteSink,
+  '.sqlite': createSqliteSink,
+  '.sqlite3': createSqliteSink
+};
+
+// Where results go when there is neither an output file nor a sheet
+const DEFAULT_OUTPUT = 'batch-results.jsonl';
+
+// output: a .csv, .jsonl/.ndjson or .db/.sqlite path; without one, results go to the sheet when configured
+function createSink({ output, sheetId, credentials }) {
+  if (output) {
+    const createFileSink = FILE_SINKS[path.extname(output).toLowerCase()];
+    if (!createFileSink) {
+      throw new Error(`Unsupported batch output "${output}" - use .csv, .jsonl or .sqlite`);
+    }
+    // The output may point into a directory that doesn't exist yet (e.g. reports/results.csv)
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    return createFileSink(output);
+  }
+  if (sheetId && credentials) {
+    return createSheetsSink({ sheetId, credentials });
+  }
+  console.log(`⚠️ No output file or Google Sheet configured - writing results to ${DEFAULT_OUTPUT}`);
+  return createJsonlSink(DEFAULT_OUTPUT);
+}
+
+module.exports = {
+  RESULT_COLUMNS,
+  buildResultRow,
+  createSheetsSink,
+  createCsvSink,
+  createJsonlSink,
+  createSqliteSink,
+  createSink
+};
@@ -0,0 +1,149 @@
+// Helpers for crawl mode: URL normalization, include/exclude filtering, path templates, per-page
+// output directory names and the site-level report that aggregates per-page results.
+
+const crypto = require('crypto');
+
+const NON_HTML_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|svg|ico|css|js|json|xml|txt|zip|gz|mp4|mp3|webm|woff2?|ttf|eot)$/i;
+
+function normalizeCrawlUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    // Tracking parameters create endless duplicates of the same page
+    [...parsed.searchParams.keys()]
+      .filter(key => /^(utm_|fbclid$|gclid$|mc_)/i.test(key))
+      .forEach(key => parsed.searchParams.delete(key));
+    if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+      parsed.pathname = parsed.pathname.slice(0, -1);
+    }
+    return parsed.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parsePatterns(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(p => p.trim()).filter(Boolean).map(p => new RegExp(p, 'i'));
+}
+
+// Hostname without www., the same comparison compareLinks uses to tell internal links
+function siteHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+// siteUrl: the seed as it was finally served, so http→https and apex→www redirects stay in scope.
+// include: at least one must match (when given); exclude: none may match.
+// Patterns are tested against the path plus query string.
+function isCrawlable(url, siteUrl, include, exclude) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (!/^https?:$/.test(parsed.protocol) || siteHost(url) !== siteHost(siteUrl)) return false;
+  if (NON_HTML_EXTENSIONS.test(parsed.pathname)) return false;
+
+  const target = parsed.pathname + parsed.search;
+  if (include.length > 0 && !include.some(pattern => pattern.test(target))) return false;
+  if (exclude.some(pattern => pattern.test(target))) return false;
+  return true;
+}
+
+// /products/1234 and /products/5678 both become /products/:id
+function pathTemplate(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (error) {
+    return url;
+  }
+  if (pathname === '/' || pathname === '') return '/';
+
+  const segments = pathname.split('/').filter(Boolean).map(segment => {
+    const [name, extension] = segment.split(/(?=\.[a-z0-9]+$)/i);
+    let template = name;
+    if (/^\d+$/.test(name)) {
+      template = ':id';
+    } else if (/^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i.test(name) || /^[0-9a-f]{12,}$/i.test(name)) {
+      template = ':uuid';
+    } else if ((name.match(/-/g) || []).length >= 2 || (/\d/.test(name) && /[a-z]/i.test(name) && name.length >= 6)) {
+      template = ':slug';
+    }
+    return template + (extension || '');
+  });
+  return '/' + segments.join('/');
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+}
+
+// Output directory of a URL, e.g. example-com-products-shoes-1a2b3c4d; the hash keeps it
+// the same across runs and apart from URLs that share a slug
+function outputName(url) {
+  const slug = url.replace(/^https?:\/\//i, '').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').substring(0, 80);
+  const hash = crypto.createHash('sha256').update(url).digest('hex').substring(0, 8);
+  return `${slug.toLowerCase()}-${hash}`;
+}
+
+function buildSiteReport(seedUrl, pages, options) {
+  const analyzed = pages.filter(p => p.status === 'success');
+  const templates = {};
+
+  analyzed.forEach(page => {
+    if (!templates[page.template]) {
+      templates[page.template] = { template: page.template, pages: 0, scores: [], requiresJsCount: 0, frameworks: new Set(), sampleUrls: [] };
+    }
+    const group = templates[page.template];
+    group.pages++;
+    group.scores.push(page.llmAccessibilityScore);
+    if (page.requiresJSRendering) group.requiresJsCount++;
+    page.frameworks.forEach(f => group.frameworks.add(f));
+    if (group.sampleUrls.length < 5) group.sampleUrls.push(page.url);
+  });
+
+  const templateSummaries = Object.values(templates)
+    .map(group => ({
+      template: group.template,
+      pages: group.pages,
+      averageScore: average(group.scores),
+      minScore: Math.min(...group.scores),
+      maxScore: Math.max(...group.scores),
+      requiresJsPercent: Math.round((group.requiresJsCount / group.pages) * 100),
+      frameworks: [...group.frameworks],
+      sampleUrls: group.sampleUrls
+    }))
+    .sort((a, b) => a.averageScore - b.averageScore);
+
+  return {
+    seedUrl: seedUrl,
+    timestamp: new Date().toISOString(),
+    options: options,
+    totals: {
+      pagesAnalyzed: analyzed.length,
+      pagesFailed: pages.length - analyzed.length,
+      averageScore: average(analyzed.map(p => p.llmAccessibilityScore)),
+      requiresJsPages: analyzed.filter(p => p.requiresJSRendering).length,
+      templates: templateSummaries.length
+    },
+    templates: templateSummaries,
+    pages: pages
+  };
+}
+
+module.exports = {
+  normalizeCrawlUrl,
+  parsePatterns,
+  isCrawlable,
+  pathTemplate,
+  outputName,
+  buildSiteReport
+};
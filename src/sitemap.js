@@ -0,0 +1,136 @@
+// Sitemap ingestion: urlsets, sitemap indexes, gzipped sitemaps and robots.txt Sitemap: directives.
+
+const zlib = require('zlib');
+const { parseRobotsTxt } = require('./robots');
+
+const MAX_SITEMAPS = 50;
+const MAX_URLS = 50000;
+const FETCH_TIMEOUT = 30000; // per request; a stalled server must not hang the batch
+
+function decodeXml(value) {
+  return value
+    .replace(/^<!\[CDATA\[|\]\]>$/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function parseSitemapXml(xml) {
+  const locs = [];
+  const pattern = /<(?:[a-z0-9]+:)?loc>([\s\S]*?)<\/(?:[a-z0-9]+:)?loc>/gi;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    const loc = decodeXml(match[1]);
+    if (loc) locs.push(loc);
+  }
+  return {
+    isIndex: /<(?:[a-z0-9]+:)?sitemapindex[\s>]/i.test(xml),
+    locs: locs
+  };
+}
+
+// Gzipped sitemaps are often served as application/octet-stream, so sniff the magic bytes
+async function fetchSitemapBody(url, timeout = FETCH_TIMEOUT) {
+  const response = await fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const body = buffer[0] === 0x1f && buffer[1] === 0x8b ? zlib.gunzipSync(buffer) : buffer;
+  return body.toString('utf8');
+}
+
+function isRobotsTxt(url) {
+  try {
+    return new URL(url).pathname === '/robots.txt';
+  } catch (error) {
+    return false;
+  }
+}
+
+// source may be a sitemap, a sitemap index or a robots.txt whose Sitemap: lines are followed
+async function loadSitemapUrls(source, options = {}) {
+  const maxSitemaps = options.maxSitemaps || MAX_SITEMAPS;
+  const maxUrls = options.maxUrls || MAX_URLS;
+  const timeout = options.timeout || FETCH_TIMEOUT;
+  const queue = [];
+  const errors = [];
+
+  if (isRobotsTxt(source)) {
+    const response = await fetch(source, { redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${source}: HTTP ${response.status}`);
+    }
+    const { sitemaps } = parseRobotsTxt(await response.text());
+    if (sitemaps.length === 0) {
+      console.log(`⚠️ No Sitemap: directives in ${source}, trying /sitemap.xml`);
+      sitemaps.push(new URL('/sitemap.xml', source).href);
+    }
+    queue.push(...sitemaps);
+  } else {
+    queue.push(source);
+  }
+
+  const visited = new Set();
+  const urls = new Set();
+
+  while (queue.length > 0 && visited.size < maxSitemaps && urls.size < maxUrls) {
+    const sitemapUrl = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    try {
+      const { isIndex, locs } = parseSitemapXml(await fetchSitemapBody(sitemapUrl, timeout));
+      if (isIndex) {
+        queue.push(...locs);
+        console.log(`🗂️ Sitemap index ${sitemapUrl}: ${locs.length} child sitemaps`);
+      } else {
+        locs.slice(0, maxUrls - urls.size).forEach(loc => urls.add(loc));
+        console.log(`🗺️ Sitemap ${sitemapUrl}: ${locs.length} URLs`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to read sitemap ${sitemapUrl}:`, error.message);
+      errors.push({ sitemap: sitemapUrl, error: error.message });
+    }
+  }
+
+  if (queue.length > 0) {
+    console.log(`⚠️ Stopped after ${visited.size} sitemaps (${queue.length} not read)`);
+  }
+
+  return {
+    urls: [...urls],
+    sitemaps: [...visited],
+    errors: errors
+  };
+}
+
+function pathPrefix(url, depth) {
+  try {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    return '/' + segments.slice(0, depth).join('/');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Keep the first perPrefix URLs under each path prefix (/blog, /products, ...); 0 keeps everything
+function sampleByPathPrefix(urls, perPrefix, depth = 1) {
+  if (!perPrefix) return urls;
+  const counts = {};
+  return urls.filter(url => {
+    const prefix = pathPrefix(url, depth);
+    if (prefix === null) return false;
+    counts[prefix] = (counts[prefix] || 0) + 1;
+    return counts[prefix] <= perPrefix;
+  });
+}
+
+module.exports = {
+  parseSitemapXml,
+  loadSitemapUrls,
+  sampleByPathPrefix
+};
@@ -0,0 +1,158 @@
+// URL sources for batch runs. Every source implements readPending() -> [{ url, rowNumber? }].
+// pendingOnly: readPending() only returns URLs that still need analysis, not every known URL.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseCsv } = require('./csv');
+const { createSheetsClient } = require('./google-sheets');
+const { loadSitemapUrls, sampleByPathPrefix } = require('./sitemap');
+
+// Rows with a URL in column A and nothing in column B have not been analyzed yet.
+// With a sitemap, its URLs that are not in the sheet yet are appended as new rows and queued too.
+function createSheetsSource({ sheetId, credentials, sitemap }) {
+  const sheets = createSheetsClient(credentials);
+
+  return {
+    name: sitemap ? 'google-sheets+sitemap' : 'google-sheets',
+    pendingOnly: true,
+    async readPending() {
+      console.log('📖 Reading Google Sheet data...');
+      const response = await sheets.spreadsheets.values.get({
+        spreadsheetId: sheetId,
+        range: 'A:B'
+      });
+
+      const rows = response.data.values || [];
+      const pending = [];
+      for (let i = 1; i < rows.length; i++) { // Skip header row
+        const [url, rawHtmlLength] = rows[i];
+        if (url && (!rawHtmlLength || rawHtmlLength === '')) {
+          pending.push({
+            url: url.trim(),
+            rowNumber: i + 1 // Google Sheets is 1-indexed
+          });
+        }
+      }
+
+      if (sitemap) {
+        pending.push(...await appendSitemapUrls(sheets, sheetId, rows, sitemap));
+      }
+      return pending;
+    }
+  };
+}
+
+async function appendSitemapUrls(sheets, sheetId, rows, sitemap) {
+  const existing = new Set(rows.map(row => (row[0] || '').trim()));
+  const newUrls = (await loadSampledSitemapUrls(sitemap)).filter(url => !existing.has(url));
+  if (newUrls.length === 0) {
+    console.log('✅ All sitemap URLs are already in the sheet');
+    return [];
+  }
+
+  // An empty sheet gets a header row so the first URL is not skipped as one
+  const values = rows.length === 0 ? [['URL'], ...newUrls.map(url => [url])] : newUrls.map(url => [url]);
+  const response = await sheets.spreadsheets.values.append({
+    spreadsheetId: sheetId,
+    range: 'A:A',
+    valueInputOption: 'RAW',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: { values }
+  });
+
+  // updatedRange looks like "Sheet1!A12:A40"
+  const firstRow = parseInt(response.data.updates.updatedRange.match(/![A-Z]+(\d+)/)[1]) + (rows.length === 0 ? 1 : 0);
+  console.log(`📝 Appended ${newUrls.length} sitemap URLs to the sheet from row ${firstRow}`);
+
+  return newUrls.map((url, index) => ({ url, rowNumber: firstRow + index }));
+}
+
+// Uses the "url" column when the file has a header row, otherwise the first column
+function createCsvSource(filePath) {
+  return {
+    name: 'csv',
+    async readPending() {
+      const rows = parseCsv(await fs.readFile(filePath, 'utf8'));
+      if (rows.length === 0) return [];
+
+      const header = rows[0].map(value => value.trim().toLowerCase());
+      const urlIndex = header.indexOf('url');
+      const column = urlIndex === -1 ? 0 : urlIndex;
+      const dataRows = urlIndex === -1 && /^https?:\/\//i.test(rows[0][0]) ? rows : rows.slice(1);
+
+      return dataRows
+        .map(row => (row[column] || '').trim())
+        .filter(Boolean)
+        .map(url => ({ url }));
+    }
+  };
+}
+
+// One JSON object with a "url" field, or a bare JSON string, per line
+function createJsonlSource(filePath) {
+  return {
+    name: 'jsonl',
+    async readPending() {
+      const lines = (await fs.readFile(filePath, 'utf8')).split(/\r?\n/).filter(line => line.trim());
+      return lines.map((line, index) => {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          throw new Error(`${filePath}:${index + 1} is not valid JSON: ${error.message}`);
+        }
+        const url = typeof record === 'string' ? record : record.url;
+        return url ? { url: url.trim() } : null;
+      }).filter(Boolean);
+    }
+  };
+}
+
+async function loadSampledSitemapUrls({ sitemapSource, samplePerPrefix, prefixDepth }) {
+  console.log(`🗺️ Loading URLs from ${sitemapSource}...`);
+  const { urls, sitemaps, errors } = await loadSitemapUrls(sitemapSource);
+  console.log(`🗺️ ${urls.length} URLs found in ${sitemaps.length} sitemaps${errors.length > 0 ? ` (${errors.length} failed)` : ''}`);
+
+  const sampled = sampleByPathPrefix(urls, samplePerPrefix, prefixDepth);
+  if (sampled.length < urls.length) {
+    console.log(`🎯 Sampled ${sampled.length} URLs (${samplePerPrefix} per prefix at depth ${prefixDepth})`);
+  }
+  return sampled;
+}
+
+function createSitemapSource({ sitemapSource, samplePerPrefix, prefixDepth }) {
+  return {
+    name: 'sitemap',
+    async readPending() {
+      const urls = await loadSampledSitemapUrls({ sitemapSource, samplePerPrefix, prefixDepth });
+      return urls.map(url => ({ url }));
+    }
+  };
+}
+
+// input: a .csv or .jsonl/.ndjson path; otherwise the sheet (plus any sitemap URLs appended to it),
+// otherwise the sitemap on its own
+function createSource({ input, sitemapSource, samplePerPrefix, prefixDepth, sheetId, credentials }) {
+  if (input) {
+    const extension = path.extname(input).toLowerCase();
+    if (extension === '.csv') return createCsvSource(input);
+    if (extension === '.jsonl' || extension === '.ndjson') return createJsonlSource(input);
+    throw new Error(`Unsupported batch input "${input}" - use .csv or .jsonl`);
+  }
+  const sitemap = sitemapSource ? { sitemapSource, samplePerPrefix, prefixDepth } : null;
+  if (sheetId && credentials) {
+    return createSheetsSource({ sheetId, credentials, sitemap });
+  }
+  if (sitemap) {
+    return createSitemapSource(sitemap);
+  }
+  throw new Error('No batch source configured - set BATCH_INPUT, BATCH_SITEMAP_URL or GOOGLE_SHEET_ID and GOOGLE_SERVICE_ACCOUNT');
+}
+
+module.exports = {
+  createSheetsSource,
+  createCsvSource,
+  createJsonlSource,
+  createSitemapSource,
+  createSource
+};
@@ -0,0 +1,214 @@
+// Structured data (JSON-LD, microdata, RDFa) extraction and raw-vs-rendered comparison.
+// extractStructuredData runs inside the page via page.evaluate.
+
+// Browser-side: pass an HTML string to read the raw document, or null for the live document
+function extractStructuredData(html) {
+  const doc = html ? new DOMParser().parseFromString(html, 'text/html') : document;
+  const clean = value => (value || '').replace(/\s+/g, ' ').trim();
+  const result = { jsonLd: [], jsonLdErrors: [], microdata: [], rdfa: [] };
+
+  doc.querySelectorAll('script[type="application/ld+json" i]').forEach((script, index) => {
+    try {
+      result.jsonLd.push(JSON.parse(script.textContent));
+    } catch (error) {
+      result.jsonLdErrors.push({ index: index, error: error.message });
+    }
+  });
+
+  const propertyValue = el => {
+    if (el.hasAttribute('content')) return el.getAttribute('content');
+    const tag = el.tagName.toLowerCase();
+    if (['a', 'link', 'area'].includes(tag)) return el.getAttribute('href');
+    if (['img', 'audio', 'video', 'source', 'embed', 'iframe'].includes(tag)) return el.getAttribute('src');
+    if (tag === 'meta') return el.getAttribute('content');
+    if (tag === 'time' && el.hasAttribute('datetime')) return el.getAttribute('datetime');
+    if (tag === 'data' || tag === 'meter') return el.getAttribute('value');
+    return clean(el.textContent).substring(0, 300);
+  };
+
+  // Walks properties that belong to this scope and not to a nested one
+  const readScope = (scope, scopeAttr, propAttr, typeAttr, depth) => {
+    const item = {};
+    const type = scope.getAttribute(typeAttr);
+    if (type) item['@type'] = type.split(/\s+/).map(t => t.replace(/^https?:\/\/schema\.org\//, '')).join(' ');
+
+    const visit = el => {
+      for (const child of Array.from(el.children)) {
+        const names = (child.getAttribute(propAttr) || '').split(/\s+/).filter(Boolean)
+          .map(name => name.replace(/^https?:\/\/schema\.org\//, '').replace(/^schema:/, ''));
+        const isScope = child.hasAttribute(scopeAttr);
+        const value = isScope && depth < 6 ?
+          readScope(child, scopeAttr, propAttr, typeAttr, depth + 1) :
+          propertyValue(child);
+        names.forEach(name => {
+          if (name in item) {
+            item[name] = [].concat(item[name], value);
+          } else {
+            item[name] = value;
+          }
+        });
+        if (!isScope) visit(child);
+      }
+    };
+    visit(scope);
+    return item;
+  };
+
+  doc.querySelectorAll('[itemscope]').forEach(scope => {
+    if (scope.hasAttribute('itemprop')) return; // nested items are read through their parent
+    result.microdata.push(readScope(scope, 'itemscope', 'itemprop', 'itemtype', 0));
+  });
+
+  doc.querySelectorAll('[typeof]').forEach(scope => {
+    if (scope.hasAttribute('property')) return;
+    result.rdfa.push(readScope(scope, 'typeof', 'property', 'typeof', 0));
+  });
+
+  return result;
+}
+
+function typesOf(entity) {
+  const type = entity && entity['@type'];
+  if (!type) return [];
+  return [].concat(type).flatMap(t => String(t).split(/\s+/)).map(t => t.replace(/^https?:\/\/schema\.org\//, ''));
+}
+
+// Flatten JSON-LD (@graph, arrays) and microdata/RDFa items into typed entities with dotted property paths
+function collectEntities(extracted) {
+  const entities = [];
+
+  const flattenPaths = (value, prefix, paths, depth) => {
+    if (depth > 6 || value === null || value === undefined) return;
+    if (Array.isArray(value)) {
+      value.forEach(v => flattenPaths(v, prefix, paths, depth + 1));
+      return;
+    }
+    if (typeof value === 'object') {
+      Object.entries(value).forEach(([key, nested]) => {
+        if (key.startsWith('@')) return;
+        flattenPaths(nested, prefix ? `${prefix}.${key}` : key, paths, depth + 1);
+      });
+      return;
+    }
+    if (!(prefix in paths)) paths[prefix] = String(value).substring(0, 200);
+  };
+
+  const addEntity = (entity, source) => {
+    if (!entity || typeof entity !== 'object') return;
+    if (Array.isArray(entity)) {
+      entity.forEach(e => addEntity(e, source));
+      return;
+    }
+    if (entity['@graph']) {
+      addEntity(entity['@graph'], source);
+    }
+    const types = typesOf(entity);
+    if (types.length === 0) return;
+    const properties = {};
+    flattenPaths(entity, '', properties, 0);
+    const itemCount = [].concat(entity.itemListElement || []).length;
+    types.forEach(type => entities.push({ type: type, source: source, properties: properties, itemCount: itemCount }));
+  };
+
+  extracted.jsonLd.forEach(block => addEntity(block, 'json-ld'));
+  extracted.microdata.forEach(item => addEntity(item, 'microdata'));
+  extracted.rdfa.forEach(item => addEntity(item, 'rdfa'));
+  return entities;
+}
+
+function groupByType(entities) {
+  const groups = {};
+  entities.forEach(entity => {
+    if (!groups[entity.type]) groups[entity.type] = [];
+    groups[entity.type].push(entity);
+  });
+  return groups;
+}
+
+function compareStructuredData(rawExtracted, renderedExtracted) {
+  const rawEntities = collectEntities(rawExtracted);
+  const renderedEntities = collectEntities(renderedExtracted);
+  const rawByType = groupByType(rawEntities);
+  const renderedByType = groupByType(renderedEntities);
+
+  const jsOnlyEntities = [];
+  const jsOnlyProperties = [];
+
+  Object.entries(renderedByType).forEach(([type, entities]) => {
+    const rawGroup = rawByType[type] || [];
+    // More entities of a type after rendering means JS added whole entities
+    entities.slice(rawGroup.length).forEach(entity => {
+      jsOnlyEntities.push({ type: type, source: entity.source, propertyCount: Object.keys(entity.properties).length });
+    });
+
+    if (rawGroup.length === 0) return;
+    const rawPaths = new Set(rawGroup.flatMap(entity => Object.keys(entity.properties)));
+    const seen = new Set();
+    entities.forEach(entity => {
+      Object.entries(entity.properties).forEach(([path, value]) => {
+        if (rawPaths.has(path) || seen.has(path)) return;
+        seen.add(path);
+        jsOnlyProperties.push({ path: `${type}.${path}`, value: value });
+      });
+    });
+  });
+
+  const summarizeTypes = byType => Object.fromEntries(
+    Object.entries(byType).map(([type, entities]) => [type, entities.length])
+  );
+
+  return {
+    raw: {
+      types: summarizeTypes(rawByType),
+      entityCount: rawEntities.length,
+      jsonLdErrors: rawExtracted.jsonLdErrors
+    },
+    rendered: {
+      types: summarizeTypes(renderedByType),
+      entityCount: renderedEntities.length,
+      jsonLdErrors: renderedExtracted.jsonLdErrors
+    },
+    jsOnlyEntities: jsOnlyEntities,
+    jsOnlyProperties: jsOnlyProperties.slice(0, 100),
+    // Normalized commerce facts, rendered values with their raw-HTML availability
+    commerce: extractCommerceFacts(rawByType, renderedByType)
+  };
+}
+
+function firstValue(entities, paths) {
+  for (const entity of entities || []) {
+    for (const path of paths) {
+      if (entity.properties[path] !== undefined) return entity.properties[path];
+    }
+  }
+  return null;
+}
+
+const PRICE_PATHS = ['offers.price', 'offers.lowPrice', 'offers.highPrice', 'price', 'offers.priceSpecification.price'];
+const CURRENCY_PATHS = ['offers.priceCurrency', 'priceCurrency', 'offers.priceSpecification.priceCurrency'];
+const RATING_PATHS = ['aggregateRating.ratingValue', 'ratingValue'];
+const REVIEW_COUNT_PATHS = ['aggregateRating.reviewCount', 'aggregateRating.ratingCount', 'reviewCount', 'ratingCount'];
+
+function extractCommerceFacts(rawByType, renderedByType) {
+  const products = type => [...(type.Product || []), ...(type.Offer || []), ...(type.AggregateOffer || [])];
+  const ratings = type => [...(type.Product || []), ...(type.AggregateRating || [])];
+
+  const renderedPrice = firstValue(products(renderedByType), PRICE_PATHS);
+  const renderedRating = firstValue(ratings(renderedByType), RATING_PATHS);
+
+  return {
+    price: renderedPrice,
+    currency: firstValue(products(renderedByType), CURRENCY_PATHS),
+    priceInRaw: renderedPrice !== null && firstValue(products(rawByType), PRICE_PATHS) !== null,
+    ratingValue: renderedRating,
+    reviewCount: firstValue(ratings(renderedByType), REVIEW_COUNT_PATHS),
+    ratingInRaw: renderedRating !== null && firstValue(ratings(rawByType), RATING_PATHS) !== null,
+    breadcrumbItems: (renderedByType.BreadcrumbList || [])[0]?.itemCount || 0,
+    breadcrumbInRaw: (rawByType.BreadcrumbList || []).length > 0
+  };
+}
+
+module.exports = {
+  extractStructuredData,
+  compareStructuredData
+};
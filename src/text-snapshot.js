@@ -0,0 +1,81 @@
+// Readable text of the raw and rendered documents, split into blocks for the side-by-side report view.
+// extractTextBlocks runs inside the page via page.evaluate; compareTextBlocks runs in Node.
+
+// Browser-side: text grouped by its nearest block-level element, in document order. Pass an HTML
+// string to parse it with DOMParser (scripting disabled), or null to read the live document.
+function extractTextBlocks(html) {
+  const doc = html ? new DOMParser().parseFromString(html, 'text/html') : document;
+  const BLOCK_TAGS = new Set([
+    'BODY', 'MAIN', 'HEADER', 'FOOTER', 'NAV', 'ASIDE', 'SECTION', 'ARTICLE', 'DIV', 'FORM', 'FIELDSET',
+    'P', 'LI', 'DT', 'DD', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE', 'FIGCAPTION',
+    'TABLE', 'CAPTION', 'TR', 'TD', 'TH', 'BUTTON', 'LABEL', 'OPTION', 'SUMMARY', 'LEGEND'
+  ]);
+  const SKIP_SELECTOR = 'script, style, noscript, template, svg';
+  const MAX_BLOCKS = 600;
+  const MAX_CHARS = 60000;
+
+  if (!doc.body) return { blocks: [], truncated: false };
+
+  const blocks = new Map();
+  let totalChars = 0;
+  let truncated = false;
+  const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const text = node.textContent.replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+    if (node.parentElement?.closest(SKIP_SELECTOR)) continue;
+
+    let block = node.parentElement;
+    while (block && !BLOCK_TAGS.has(block.tagName)) block = block.parentElement;
+    block = block || doc.body;
+
+    if (!blocks.has(block)) {
+      if (blocks.size >= MAX_BLOCKS) {
+        truncated = true;
+        break;
+      }
+      blocks.set(block, { tag: block.tagName.toLowerCase(), parts: [] });
+    }
+    blocks.get(block).parts.push(text);
+    totalChars += text.length + 1;
+    if (totalChars >= MAX_CHARS) {
+      truncated = true;
+      break;
+    }
+  }
+
+  return {
+    blocks: Array.from(blocks.values()).map(block => ({ tag: block.tag, text: block.parts.join(' ') })),
+    truncated: truncated
+  };
+}
+
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// A rendered block is JS-only when its text appears nowhere in the raw document, and vice versa
+function compareTextBlocks(raw, rendered) {
+  const rawText = normalize(raw.blocks.map(b => b.text).join(' '));
+  const renderedText = normalize(rendered.blocks.map(b => b.text).join(' '));
+
+  const renderedBlocks = rendered.blocks.map(block => ({ ...block, jsOnly: !rawText.includes(normalize(block.text)) }));
+  const rawBlocks = raw.blocks.map(block => ({ ...block, removedByJs: !renderedText.includes(normalize(block.text)) }));
+  const jsOnlyBlocks = renderedBlocks.filter(b => b.jsOnly);
+
+  return {
+    raw: rawBlocks,
+    rendered: renderedBlocks,
+    jsOnlyBlockCount: jsOnlyBlocks.length,
+    jsOnlyChars: jsOnlyBlocks.reduce((sum, b) => sum + b.text.length, 0),
+    removedBlockCount: rawBlocks.filter(b => b.removedByJs).length,
+    truncated: raw.truncated || rendered.truncated
+  };
+}
+
+module.exports = {
+  extractTextBlocks,
+  compareTextBlocks
+};
@@ -0,0 +1,129 @@
+// Render-completion strategies: each waits until the page looks finished, never longer than the
+// hard cap, and reports which strategy ran, whether it settled and how long it actually took.
+
+const WAIT_STRATEGIES = ['networkidle', 'fixed', 'mutations', 'text-stable', 'selector', 'predicate'];
+
+const DEFAULTS = {
+  cap: 30000,
+  networkIdle: 15000,
+  settle: 3000,
+  quietPeriod: 500,
+  sampleInterval: 500,
+  stableSamples: 3
+};
+
+// Only the original strategies sleep after settling; the others detect completion themselves
+const SETTLING_STRATEGIES = ['networkidle', 'fixed'];
+
+// Browser-side: resolves once no node or text has changed for quietPeriod ms, or unsettled at the cap.
+// Attribute changes are ignored so animations and carousels don't keep the page "busy".
+function waitForMutationQuiet({ quietPeriod, cap }) {
+  return new Promise(resolve => {
+    let mutations = 0;
+    let quietTimer = null;
+    let capTimer = null;
+    let observer = null;
+    const done = settled => {
+      observer.disconnect();
+      clearTimeout(quietTimer);
+      clearTimeout(capTimer);
+      resolve({ settled, mutations });
+    };
+    observer = new MutationObserver(records => {
+      mutations += records.length;
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(() => done(true), quietPeriod);
+    });
+    observer.observe(document, { childList: true, subtree: true, characterData: true });
+    quietTimer = setTimeout(() => done(true), quietPeriod);
+    capTimer = setTimeout(() => done(false), cap);
+  });
+}
+
+// Browser-side: length and hash of the visible text, cheap to compare between samples
+function textFingerprint() {
+  const text = document.body ? document.body.innerText : '';
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return `${text.length}:${hash}`;
+}
+
+// Settled once stableSamples consecutive samples are identical
+async function waitForStableText(page, { sampleInterval, stableSamples, cap }) {
+  const startedAt = Date.now();
+  let previous = null;
+  let matches = 0;
+  let samples = 0;
+
+  while (Date.now() - startedAt < cap) {
+    // A navigation in progress destroys the context; count it as a change
+    const fingerprint = await page.evaluate(textFingerprint).catch(() => null);
+    samples++;
+    matches = fingerprint !== null && fingerprint === previous ? matches + 1 : 0;
+    if (matches >= stableSamples - 1) return { settled: true, samples };
+    previous = fingerprint;
+    await page.waitForTimeout(Math.min(sampleInterval, Math.max(0, cap - (Date.now() - startedAt))));
+  }
+  return { settled: false, samples };
+}
+
+async function runStrategy(page, strategy, options) {
+  const { cap } = options;
+
+  switch (strategy) {
+    case 'networkidle':
+      await page.waitForLoadState('networkidle', { timeout: Math.min(options.networkIdle, cap) });
+      return { settled: true };
+    case 'fixed':
+      return { settled: true };
+    case 'mutations':
+      return await page.evaluate(waitForMutationQuiet, { quietPeriod: options.quietPeriod, cap });
+    case 'text-stable':
+      return await waitForStableText(page, options);
+    case 'selector':
+      await page.waitForSelector(options.selector, { state: 'visible', timeout: cap });
+      return { settled: true, selector: options.selector };
+    case 'predicate':
+      // A JavaScript expression evaluated in the page until it is truthy
+      await page.waitForFunction(options.predicate, null, { timeout: cap, polling: options.sampleInterval });
+      return { settled: true, predicate: options.predicate };
+    default:
+      throw new Error(`Unknown wait strategy: ${strategy}`);
+  }
+}
+
+// config: { cap, networkIdle, settle, quietPeriod, sampleInterval, stableSamples, selector, predicate } (ms)
+async function waitForRenderComplete(page, strategy, config = {}) {
+  const options = { ...DEFAULTS };
+  Object.entries(config).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) options[key] = value;
+  });
+  const startedAt = Date.now();
+
+  let outcome;
+  try {
+    outcome = await runStrategy(page, strategy, options);
+  } catch (error) {
+    // Timeouts land here: the cap was reached before the page looked finished
+    outcome = { settled: false, error: error.message.split('\n')[0] };
+  }
+
+  const waited = Date.now() - startedAt;
+  const settle = SETTLING_STRATEGIES.includes(strategy) ? Math.max(0, Math.min(options.settle, options.cap - waited)) : 0;
+  if (settle > 0) await page.waitForTimeout(settle);
+
+  return {
+    strategy: strategy,
+    ...outcome,
+    settleTime: Date.now() - startedAt,
+    cap: options.cap
+  };
+}
+
+module.exports = {
+  WAIT_STRATEGIES,
+  waitForRenderComplete,
+  waitForMutationQuiet
+};
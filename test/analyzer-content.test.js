@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AdvancedJSAnalyzer = require('../analyzer');
+const { launchChromium, openPage } = require('./helpers/browser');
+
+const URL = 'https://shop.example/product';
+const SKIP = 'Playwright Chromium is not installed';
+
+const RAW_HTML = `<html><head><title>Shirt</title></head><body>
+<header><nav><a href="/">Home</a></nav></header>
+<main><h1>Blue shirt</h1><div class="product-card"><span class="price">$0.00</span></div></main>
+<script>window.__STATE__ = { price: 19.99 };</script>
+</body></html>`;
+
+const RENDERED_HTML = `<html><head><title>Shirt</title>
+<script type="application/ld+json">${JSON.stringify({
+  '@context': 'https://schema.org',
+  '@type': 'Product',
+  name: 'Blue shirt',
+  offers: { '@type': 'Offer', price: '19.99', priceCurrency: 'USD' },
+  aggregateRating: { '@type': 'AggregateRating', ratingValue: '4.5', reviewCount: '12' }
+})}</script></head><body>
+<header><nav><a href="/">Home</a><a href="/shop">Shop all products</a><a href="/about">About us</a><span onclick="go()">Contact</span></nav></header>
+<main><h1>Blue shirt</h1><div class="product-card"><h3 class="title">Blue shirt</h3><span class="price">$19.99</span></div>
+<button>Add to cart</button></main>
+<footer><a href="/privacy">Privacy policy</a></footer>
+</body></html>`;
+
+let browser;
+test.before(async () => {
+  browser = await launchChromium();
+});
+test.after(async () => {
+  if (browser) await browser.close();
+});
+
+test('the business content extractor runs on a page with nav links and JSON-LD', async t => {
+  if (!browser) return t.skip(SKIP);
+  const page = await openPage(browser, URL, RENDERED_HTML);
+  const analyzer = new AdvancedJSAnalyzer({ url: URL });
+  const structuredData = await analyzer.analyzeStructuredData(page, RAW_HTML);
+  const linkGraph = await analyzer.analyzeLinks(page, RAW_HTML);
+
+  const result = await analyzer.analyzeJSRenderedContentFixed('', '', RAW_HTML, page, { structuredData, linkGraph });
+  await page.close();
+
+  assert.strictEqual(result.error, undefined);
+  const { navigation, contentData, businessImpact } = result.enhancedAnalysis;
+  // Shop and About are only in the rendered document
+  assert.deepStrictEqual(navigation.main.missing.map(link => link.text).sort(), ['About us', 'Shop all products']);
+  assert.ok(navigation.main.categories.includes('products'));
+  // Prices and ratings come from schema.org, which only the rendered document has
+  assert.strictEqual(contentData.pricing.source, 'structured-data');
+  assert.deepStrictEqual(contentData.pricing.missing, [{ text: '19.99', currency: 'USD', context: 'schema.org Product.offers.price' }]);
+  assert.strictEqual(contentData.reviews.source, 'structured-data');
+  assert.strictEqual(contentData.reviews.count, 12);
+  assert.ok(businessImpact.criticalFunctionsBlocked.includes('Product pricing'));
+  assert.ok(navigation.linkGraph);
+});
+
+// The shape analyzeJSRenderedContentFixed builds in the page
+function emptyAnalysis() {
+  return {
+    navigation: { main: { missing: [], total: 0, categories: [] } },
+    interactiveElements: { buttons: { missing: [], total: 0, categories: [] } },
+    contentData: {
+      pricing: { missing: [{ text: '$0.00', currency: '$', context: 'unknown' }], total: 1, currency: '$', ranges: [] },
+      inventory: { missing: [], total: 0, statuses: [] },
+      reviews: { missing: [], total: 0, ratings: [], count: 0 }
+    },
+    businessImpact: { ecommerceDependent: false, seoImpact: 'low', llmAccessibility: 'high', criticalFunctionsBlocked: [] }
+  };
+}
+
+test('applyStructuredData replaces heuristic prices and ratings with schema.org values', () => {
+  const analysis = emptyAnalysis();
+  new AdvancedJSAnalyzer({ url: URL }).applyStructuredData(analysis, {
+    price: '19.99', currency: 'USD', priceInRaw: false, ratingValue: '4.5', reviewCount: '12', ratingInRaw: true
+  });
+
+  const { pricing, reviews } = analysis.contentData;
+  assert.strictEqual(pricing.heuristicMissing, 1);
+  assert.deepStrictEqual(pricing.missing, [{ text: '19.99', currency: 'USD', context: 'schema.org Product.offers.price' }]);
+  assert.deepStrictEqual(pricing.ranges, ['19.99', '19.99']);
+  assert.deepStrictEqual(reviews.missing, []);
+  assert.deepStrictEqual(reviews.ratings, [4.5, 4.5, '4.5']);
+  assert.strictEqual(reviews.count, 12);
+  assert.deepStrictEqual(analysis.businessImpact.criticalFunctionsBlocked, ['Product pricing']);
+  assert.strictEqual(analysis.businessImpact.ecommerceDependent, true);
+});
+
+test('applyStructuredData clears missing prices that are already in the raw HTML', () => {
+  const analysis = emptyAnalysis();
+  new AdvancedJSAnalyzer({ url: URL }).applyStructuredData(analysis, {
+    price: '19.99', currency: null, priceInRaw: true, ratingValue: null, reviewCount: null, ratingInRaw: false
+  });
+  assert.deepStrictEqual(analysis.contentData.pricing.missing, []);
+  assert.strictEqual(analysis.contentData.pricing.currency, '$');
+  assert.strictEqual(analysis.contentData.reviews.source, undefined);
+  assert.deepStrictEqual(analysis.businessImpact.criticalFunctionsBlocked, []);
+});
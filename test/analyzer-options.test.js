@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AdvancedJSAnalyzer = require('../analyzer.js');
+const BatchAnalyzer = require('../batch-analyzer.js');
+const StandaloneAnalyzer = require('../src/analyzer');
+
+test('the standalone analyzer takes its wait strategy from constructor options', () => {
+  const analyzer = new StandaloneAnalyzer({ waitStrategy: 'selector', waitSelector: '#app' });
+  assert.strictEqual(analyzer.waitStrategy, 'selector');
+  assert.strictEqual(analyzer.waitSelector, '#app');
+  assert.strictEqual(analyzer.waitPredicate, null);
+
+  const defaults = new StandaloneAnalyzer();
+  assert.strictEqual(defaults.waitStrategy, 'networkidle');
+});
+
+test('the standalone analyzer ignores WAIT_* unless its entry point resolves them', () => {
+  const previous = process.env.WAIT_STRATEGY;
+  process.env.WAIT_STRATEGY = 'predicate';
+  try {
+    assert.strictEqual(new StandaloneAnalyzer().waitStrategy, 'networkidle');
+  } finally {
+    if (previous === undefined) delete process.env.WAIT_STRATEGY;
+    else process.env.WAIT_STRATEGY = previous;
+  }
+
+  const env = { WAIT_STRATEGY: 'predicate', WAIT_PREDICATE: 'window.ready === true' };
+  assert.deepStrictEqual(StandaloneAnalyzer.optionsFromEnv(env), {
+    waitStrategy: 'predicate',
+    waitSelector: null,
+    waitPredicate: 'window.ready === true'
+  });
+});
+
+test('optionsFromEnv falls back to defaults for an empty environment', () => {
+  assert.deepStrictEqual(AdvancedJSAnalyzer.optionsFromEnv({}), {
+    url: undefined,
+    analysisType: 'full',
+    browsers: null,
+    timeouts: {},
+    waitStrategy: 'networkidle',
+    waitSelector: null,
+    waitPredicate: null,
+    timelineOffsets: undefined,
+    scroll: false,
+    probe: false,
+    outputDir: '.',
+    enhancedEvasion: false,
+    forceProtectedMode: false,
+    forceStealth: false,
+    baselineDir: null,
+    updateBaseline: false,
+    exportPdf: false,
+    har: 'off',
+    runId: undefined,
+    repository: undefined
+  });
+});
+
+test('optionsFromEnv parses lists, numbers and flags', () => {
+  const options = AdvancedJSAnalyzer.optionsFromEnv({
+    TARGET_URL: 'https://shop.example/',
+    ANALYSIS_TYPE: 'quick',
+    BROWSERS: 'chromium, webkit,',
+    NAVIGATION_TIMEOUT: '45000',
+    MAX_RENDER_WAIT: '60000',
+    WAIT_STRATEGY: 'selector',
+    WAIT_SELECTOR: '#app',
+    TIMELINE_OFFSETS: '500,x,2000,-1',
+    SCROLL_PASS: 'true',
+    INTERACTION_PROBE: 'yes',
+    HAR_MODE: 'headers',
+    GITHUB_RUN_ID: '42',
+    GITHUB_REPOSITORY: 'acme/site'
+  });
+  assert.strictEqual(options.url, 'https://shop.example/');
+  assert.strictEqual(options.analysisType, 'quick');
+  assert.deepStrictEqual(options.browsers, ['chromium', 'webkit']);
+  assert.deepStrictEqual(options.timeouts, { navigation: 45000, renderCap: 60000 });
+  assert.strictEqual(options.waitStrategy, 'selector');
+  assert.strictEqual(options.waitSelector, '#app');
+  assert.deepStrictEqual(options.timelineOffsets, [500, 2000]);
+  assert.strictEqual(options.scroll, true);
+  // Only the exact string "true" turns a flag on
+  assert.strictEqual(options.probe, false);
+  assert.strictEqual(options.har, 'headers');
+  assert.strictEqual(options.sink, undefined);
+
+  assert.strictEqual(AdvancedJSAnalyzer.optionsFromEnv({ TIMELINE_OFFSETS: 'off' }).timelineOffsets, null);
+});
+
+test('the constructor reads options only, never the environment', () => {
+  const previous = process.env.TARGET_URL;
+  process.env.TARGET_URL = 'https://env.example/';
+  try {
+    const analyzer = new AdvancedJSAnalyzer({ timeouts: { navigation: 45000 }, runId: '42', repository: 'acme/site' });
+    assert.strictEqual(analyzer.targetUrl, undefined);
+    assert.strictEqual(analyzer.analysisType, 'full');
+    assert.deepStrictEqual(analyzer.timeouts, { navigation: 45000, networkIdle: 15000, settle: 3000, renderCap: 30000, screenshot: 10000 });
+    assert.deepStrictEqual(analyzer.timelineOffsets, [1000, 3000, 5000]);
+    assert.strictEqual(analyzer.har, 'off');
+    assert.strictEqual(analyzer.outputDir, '.');
+    assert.strictEqual(analyzer.results.runUrl, 'https://github.com/acme/site/actions/runs/42');
+    assert.strictEqual(new AdvancedJSAnalyzer({ timelineOffsets: null }).timelineOffsets, null);
+  } finally {
+    if (previous === undefined) delete process.env.TARGET_URL;
+    else process.env.TARGET_URL = previous;
+  }
+});
+
+test('analyze() rejects invalid options before launching a browser', async () => {
+  const rejects = (options, message) => assert.rejects(new AdvancedJSAnalyzer(options).analyze(), message);
+  await rejects({}, /A url option \(or TARGET_URL\) is required/);
+  await rejects({ url: 'not a url' }, /Invalid URL: not a url/);
+  await rejects({ url: 'https://shop.example/', waitStrategy: 'eventually' }, /Unknown wait strategy: eventually/);
+  await rejects({ url: 'https://shop.example/', waitStrategy: 'selector' }, /needs a waitSelector option/);
+  await rejects({ url: 'https://shop.example/', waitStrategy: 'predicate' }, /needs a waitPredicate option/);
+  await rejects({ url: 'https://shop.example/', har: 'bodies' }, /Unknown HAR mode: bodies/);
+});
+
+test('batch runs hand the analyzer options on without the per-URL ones', () => {
+  const options = BatchAnalyzer.optionsFromEnv({ TARGET_URL: 'https://shop.example/', OUTPUT_DIR: 'out', WAIT_STRATEGY: 'mutations', BROWSERS: 'firefox' });
+  assert.strictEqual(options.outputDir, 'out');
+  assert.strictEqual(options.analyzerOptions.url, undefined);
+  assert.strictEqual(options.analyzerOptions.outputDir, undefined);
+  assert.strictEqual(options.analyzerOptions.waitStrategy, 'mutations');
+  assert.deepStrictEqual(options.analyzerOptions.browsers, ['firefox']);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { baselineFileName, compareRuns, formatRegression } = require('../src/baseline');
+
+function report({ score, requiresJSRendering = false, frameworks = [], headings = [], prices = [], loadTime = 2000 }) {
+  return {
+    url: 'https://shop.example/',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    summary: {
+      llmAccessibilityScore: score,
+      requiresJSRendering: requiresJSRendering,
+      frameworksDetected: frameworks,
+      averageContentChange: 10,
+      totalLoadTime: loadTime
+    },
+    browsers: {
+      chromium: {
+        status: 'success',
+        headingOutline: { jsOnly: headings.map(text => ({ level: 2, text })) },
+        jsRenderedContent: { enhancedAnalysis: { contentData: { pricing: { missing: prices.map(text => ({ text })) } } } },
+        performanceMetrics: { totalLoadTime: loadTime }
+      }
+    }
+  };
+}
+
+test('baseline file names are readable and unique per URL', () => {
+  const name = baselineFileName('https://Shop.example/a?b');
+  assert.match(name, /^shop-example-a-b-[0-9a-f]{8}\.json$/);
+  assert.notStrictEqual(name, baselineFileName('https://Shop.example/a/b'));
+});
+
+test('flags a score drop and newly JS-only content as a regression', () => {
+  const regression = compareRuns(
+    report({ score: 80, headings: ['Reviews'] }),
+    report({ score: 65, requiresJSRendering: true, frameworks: ['React'], headings: ['Reviews', 'Specs'], prices: ['$10'] })
+  );
+  assert.strictEqual(regression.regressed, true);
+  assert.strictEqual(regression.score.delta, -15);
+  assert.deepStrictEqual(regression.jsOnly.headings, { added: ['H2: Specs'], resolved: [] });
+  assert.deepStrictEqual(regression.frameworks, { added: ['React'], removed: [] });
+  assert.deepStrictEqual(regression.findings.map(f => f.severity), ['high', 'high', 'info', 'high', 'high']);
+});
+
+test('improvements and load time noise are not regressions', () => {
+  const regression = compareRuns(
+    report({ score: 60, headings: ['Reviews'], loadTime: 2000 }),
+    report({ score: 70, loadTime: 2300 })
+  );
+  assert.strictEqual(regression.regressed, false);
+  assert.strictEqual(regression.performance.totalLoadTime.significant, false);
+  assert.ok(regression.findings.every(f => f.severity === 'improvement'));
+});
+
+test('a significant load time increase is a medium regression', () => {
+  const regression = compareRuns(report({ score: 70, loadTime: 2000 }), report({ score: 70, loadTime: 4000 }));
+  assert.strictEqual(regression.regressed, true);
+  assert.deepStrictEqual(regression.findings, [{ severity: 'medium', message: 'Total load time up 2000ms (+100%)' }]);
+});
+
+test('formatRegression renders the status, deltas and findings', () => {
+  const text = formatRegression(compareRuns(report({ score: 80 }), report({ score: 65, headings: ['Specs'] })));
+  assert.match(text, /Status: ⚠️ REGRESSED/);
+  assert.match(text, /LLM Score: 80 → 65 \(-15\)/);
+  assert.match(text, /\+ H2: Specs/);
+  assert.match(text, /\[HIGH\] LLM accessibility score dropped 15 points/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BatchAnalyzer = require('../batch-analyzer.js');
+
+// runPool only needs the pool settings and sleep, so it runs without a source, sink or browsers
+function pool(settings) {
+  return {
+    delayBetweenUrls: 0,
+    sleep: ms => new Promise(resolve => setTimeout(resolve, Math.min(ms, 5))),
+    ...settings
+  };
+}
+
+test('an item waiting to retry frees its worker and host slot', async () => {
+  const items = [{ url: 'https://a.example/1' }, { url: 'https://a.example/2' }];
+  const order = [];
+  await BatchAnalyzer.prototype.runPool.call(pool({ concurrency: 1, maxPerHost: 1 }), items, async (item) => {
+    order.push(item.url);
+    if (order.length === 1) return { retryAfter: 50 };
+  });
+  assert.deepStrictEqual(order, ['https://a.example/1', 'https://a.example/2', 'https://a.example/1']);
+});
+
+test('a re-queued item waits for its retry delay', async () => {
+  const started = {};
+  await BatchAnalyzer.prototype.runPool.call(pool({ concurrency: 2, maxPerHost: 2 }), [{ url: 'https://a.example/' }], async (item) => {
+    if (!started.first) {
+      started.first = Date.now();
+      return { retryAfter: 40 };
+    }
+    started.retry = Date.now();
+  });
+  assert.ok(started.retry - started.first >= 40);
+});
+
+test('each host stays below its concurrency cap', async () => {
+  const items = ['a', 'a', 'a', 'b', 'b'].map((host, i) => ({ url: `https://${host}.example/${i}` }));
+  const active = {};
+  const peak = {};
+  await BatchAnalyzer.prototype.runPool.call(pool({ concurrency: 4, maxPerHost: 1 }), items, async (item) => {
+    const host = new URL(item.url).hostname;
+    active[host] = (active[host] || 0) + 1;
+    peak[host] = Math.max(peak[host] || 0, active[host]);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active[host]--;
+  });
+  assert.deepStrictEqual(peak, { 'a.example': 1, 'b.example': 1 });
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const BrowserPool = require('../src/browser-pool');
+
+class FakeContext extends EventEmitter {
+  async close() {
+    this.closed = true;
+    this.emit('close');
+  }
+}
+
+class FakeBrowser {
+  constructor(options) {
+    this.options = options;
+    this.connected = true;
+    this.contexts = [];
+  }
+  isConnected() {
+    return this.connected;
+  }
+  async newContext() {
+    const context = new FakeContext();
+    this.contexts.push(context);
+    return context;
+  }
+  async close() {
+    this.connected = false;
+  }
+}
+
+function fakeBrowserType(name = 'chromium') {
+  const type = {
+    launched: [],
+    failNext: false,
+    name: () => name,
+    async launch(options) {
+      if (type.failNext) {
+        type.failNext = false;
+        throw new Error('launch failed');
+      }
+      const browser = new FakeBrowser(options);
+      type.launched.push(browser);
+      return browser;
+    }
+  };
+  return type;
+}
+
+test('one browser is launched per engine and launch options', async () => {
+  const pool = new BrowserPool();
+  const chromium = fakeBrowserType('chromium');
+  const firefox = fakeBrowserType('firefox');
+
+  const [a, b] = await Promise.all([pool.getBrowser(chromium, { headless: true }), pool.getBrowser(chromium, { headless: true })]);
+  assert.strictEqual(a, b);
+  assert.notStrictEqual(await pool.getBrowser(chromium, { headless: false }), a);
+  await pool.getBrowser(firefox, { headless: true });
+  assert.strictEqual(chromium.launched.length, 2);
+  assert.strictEqual(firefox.launched.length, 1);
+});
+
+test('a disconnected or failed browser is replaced', async () => {
+  const pool = new BrowserPool();
+  const chromium = fakeBrowserType();
+
+  const first = await pool.getBrowser(chromium, {});
+  first.connected = false;
+  const second = await pool.getBrowser(chromium, {});
+  assert.notStrictEqual(second, first);
+
+  second.connected = false;
+  chromium.failNext = true;
+  await assert.rejects(pool.getBrowser(chromium, {}), /launch failed/);
+  const third = await pool.getBrowser(chromium, {});
+  assert.ok(third.isConnected());
+  assert.strictEqual(chromium.launched.length, 3);
+});
+
+test('a lease closes only its own contexts and leaves the browser running', async () => {
+  const pool = new BrowserPool();
+  const chromium = fakeBrowserType();
+  const first = await pool.lease(chromium, {});
+  const second = await pool.lease(chromium, {});
+
+  const mine = await first.newContext();
+  const closedEarly = await first.newContext();
+  await closedEarly.close();
+  const theirs = await second.newContext();
+  await first.close();
+
+  assert.strictEqual(mine.closed, true);
+  assert.strictEqual(theirs.closed, undefined);
+  assert.strictEqual(chromium.launched.length, 1);
+  assert.ok(chromium.launched[0].isConnected());
+});
+
+test('close() shuts down every browser, skipping failed launches', async () => {
+  const pool = new BrowserPool();
+  const chromium = fakeBrowserType('chromium');
+  const webkit = fakeBrowserType('webkit');
+  const browser = await pool.getBrowser(chromium, {});
+  webkit.failNext = true;
+  await assert.rejects(pool.getBrowser(webkit, {}));
+
+  await pool.close();
+  assert.strictEqual(browser.isConnected(), false);
+  assert.strictEqual(pool.browsers.size, 0);
+});
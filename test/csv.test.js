@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, toCsvLine } = require('../src/csv');
+
+test('parses quoted fields with commas, escaped quotes and newlines', () => {
+  const text = 'url,note\r\nhttps://a.example,"one, two"\n"https://b.example","say ""hi""\nagain"\n';
+  assert.deepStrictEqual(parseCsv(text), [
+    ['url', 'note'],
+    ['https://a.example', 'one, two'],
+    ['https://b.example', 'say "hi"\nagain']
+  ]);
+});
+
+test('drops blank rows and keeps a last row without a newline', () => {
+  assert.deepStrictEqual(parseCsv('url\n\n , \nhttps://a.example'), [['url'], ['https://a.example']]);
+});
+
+test('toCsvLine quotes only when needed and round-trips through parseCsv', () => {
+  const values = ['plain', 'a,b', 'say "hi"', null, 42];
+  const line = toCsvLine(values);
+  assert.strictEqual(line, 'plain,"a,b","say ""hi""",,42');
+  assert.deepStrictEqual(parseCsv(line), [['plain', 'a,b', 'say "hi"', '', '42']]);
+});
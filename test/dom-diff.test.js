@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffDomTrees } = require('../src/dom-diff');
+
+// Snapshot nodes the way snapshotDomTree serializes them
+function node(tag, { id = '', classes = [], text = '', children = [] } = {}) {
+  return { tag, id, classes, text, textLength: text.length, children };
+}
+
+function snapshot(root) {
+  let nodeCount = 0;
+  const count = n => {
+    nodeCount++;
+    n.children.forEach(count);
+  };
+  count(root);
+  return { root, nodeCount, truncated: false };
+}
+
+test('reports subtrees that only exist after rendering', () => {
+  const raw = snapshot(node('body', { children: [node('header', { text: 'Shop' }), node('div', { id: 'app' })] }));
+  const rendered = snapshot(node('body', {
+    children: [
+      node('header', { text: 'Shop' }),
+      node('div', { id: 'app', children: [node('h1', { text: 'Products' }), node('ul', { children: [node('li', { text: 'Blue shirt' })] })] })
+    ]
+  }));
+
+  const diff = diffDomTrees(raw, rendered);
+  assert.strictEqual(diff.stats.addedNodes, 3);
+  assert.strictEqual(diff.stats.removedNodes, 0);
+  assert.strictEqual(diff.addedTextLength, 'Products'.length + 'Blue shirt'.length);
+  assert.deepStrictEqual(diff.added.map(a => a.selector), ['body > div#app > h1', 'body > div#app > ul']);
+});
+
+test('aligns children by key so an insertion does not mark its siblings as changed', () => {
+  const raw = snapshot(node('body', { children: [node('nav', { text: 'Menu' }), node('footer', { text: 'Contact' })] }));
+  const rendered = snapshot(node('body', {
+    children: [node('nav', { text: 'Menu' }), node('main', { text: 'Hello' }), node('footer', { text: 'Contact' })]
+  }));
+
+  const diff = diffDomTrees(raw, rendered);
+  assert.strictEqual(diff.stats.addedNodes, 1);
+  assert.strictEqual(diff.stats.modifiedNodes, 0);
+  assert.strictEqual(diff.added[0].tag, 'main');
+});
+
+test('records text and class changes on matched nodes', () => {
+  const raw = snapshot(node('body', { children: [node('p', { classes: ['loading'], text: 'Loading' })] }));
+  const rendered = snapshot(node('body', { children: [node('p', { classes: ['ready'], text: 'In stock' })] }));
+
+  const diff = diffDomTrees(raw, rendered);
+  assert.strictEqual(diff.stats.modifiedNodes, 1);
+  assert.deepStrictEqual(diff.modified[0].changes.text, { from: 'Loading', to: 'In stock' });
+  assert.deepStrictEqual(diff.modified[0].changes.classes, { from: ['loading'], to: ['ready'] });
+});
+
+test('returns empty stats when a snapshot is missing', () => {
+  const diff = diffDomTrees(null, snapshot(node('body')));
+  assert.strictEqual(diff.stats.rawNodes, 0);
+  assert.strictEqual(diff.added.length, 0);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { evaluateGate } = require('../src/gate');
+
+function report({ score = 75, missingHeadings = 0, missingNavigation = 0, missingPrices = 0, seo } = {}) {
+  return {
+    url: 'https://shop.example/',
+    summary: { llmAccessibilityScore: score },
+    browsers: {
+      chromium: {
+        status: 'success',
+        jsRenderedContent: {
+          trulyMissingContent: { headings: { count: missingHeadings }, navigation: { count: missingNavigation } },
+          enhancedAnalysis: { contentData: { pricing: { missing: new Array(missingPrices).fill({ text: '$10' }) } } }
+        },
+        seoMetadata: seo
+      },
+      firefox: { status: 'failed' }
+    }
+  };
+}
+
+test('passes when every threshold is met', () => {
+  const result = evaluateGate(report(), { minScore: 70, maxMissingHeadings: 0, maxMissingPricing: 0 });
+  assert.strictEqual(result.passed, true);
+  assert.strictEqual(result.checks.length, 3);
+  assert.deepStrictEqual(result.violations, []);
+});
+
+test('lists every breached threshold', () => {
+  const result = evaluateGate(report({ score: 40, missingHeadings: 3, missingPrices: 2 }),
+    { minScore: 70, maxMissingHeadings: 1, maxMissingNavigation: 0, maxMissingPricing: 0 });
+  assert.strictEqual(result.passed, false);
+  assert.deepStrictEqual(result.violations.map(v => v.rule), ['minScore', 'maxMissingHeadings', 'maxMissingPricing']);
+  assert.strictEqual(result.violations[1].actual, 3);
+});
+
+test('fails a threshold whose metric is unavailable', () => {
+  const results = report({ score: null });
+  delete results.browsers.chromium.jsRenderedContent;
+
+  const result = evaluateGate(results, { minScore: 50, maxMissingHeadings: 0, requiredSeo: ['title'] });
+  assert.strictEqual(result.passed, false);
+  assert.deepStrictEqual(result.violations.map(v => v.rule), ['minScore', 'maxMissingHeadings', 'requiredSeo']);
+  result.violations.forEach(v => {
+    assert.strictEqual(v.actual, null);
+    assert.match(v.message, /unavailable|could not be extracted/);
+  });
+});
+
+test('thresholds that were not set are not checked', () => {
+  const results = report({ score: null });
+  delete results.browsers.chromium.jsRenderedContent;
+  assert.strictEqual(evaluateGate(results, {}).passed, true);
+});
+
+test('required SEO tags must be in the raw HTML, not only set by JavaScript', () => {
+  const seo = {
+    raw: { title: 'Shop', openGraph: {}, twitter: {} },
+    rendered: { title: 'Shop', openGraph: { 'og:title': 'Shop' }, twitter: {} }
+  };
+  const result = evaluateGate(report({ seo }), { requiredSeo: ['title', 'og:title', 'twitter:card'] });
+  assert.deepStrictEqual(result.violations.map(v => v.rule), ['requiredSeo:og:title', 'requiredSeo:twitter:card']);
+  assert.match(result.violations[0].message, /only set by JavaScript/);
+});
+
+test('failOnJs fails a page that requires JavaScript rendering', () => {
+  const results = report();
+  assert.strictEqual(evaluateGate(results, { failOnJs: true }).passed, true);
+
+  results.summary.requiresJSRendering = true;
+  const gate = evaluateGate(results, { failOnJs: true });
+  assert.strictEqual(gate.passed, false);
+  assert.deepStrictEqual(gate.violations, [{ rule: 'failOnJs', actual: true, limit: false, message: 'Page requires JavaScript rendering' }]);
+});
+
+test('fails when no browser completed the analysis', () => {
+  const result = evaluateGate({ url: 'https://shop.example/', summary: { error: 'All browsers failed' }, browsers: { chromium: { status: 'failed' } } });
+  assert.strictEqual(result.passed, false);
+  assert.match(result.violations[0].message, /All browsers failed/);
+});
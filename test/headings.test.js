@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractHeadingOutline, compareHeadingOutlines } = require('../src/headings');
+const { launchChromium, openPage } = require('./helpers/browser');
+
+// Flat outlines are enough for the comparison, which only looks at level and text
+function outline(...headings) {
+  return headings.map(([level, text], order) => ({ order, level, text, parent: null, depth: 0 }));
+}
+
+test('identical outlines have no changes', () => {
+  const headings = outline([1, 'Blue shirt'], [2, 'Details'], [2, 'Reviews']);
+  const result = compareHeadingOutlines(headings, headings);
+  assert.strictEqual(result.raw.count, 3);
+  assert.deepStrictEqual(result.jsOnly, []);
+  assert.deepStrictEqual(result.removedByJs, []);
+  assert.deepStrictEqual(result.h1, { raw: ['Blue shirt'], rendered: ['Blue shirt'], changed: false });
+  assert.strictEqual(result.orderChanged, false);
+  assert.deepStrictEqual(result.levelChanges, []);
+});
+
+test('headings added and removed by JavaScript are listed, matching case-insensitively', () => {
+  const raw = outline([1, 'Loading…'], [2, 'DETAILS']);
+  const rendered = outline([1, 'Blue shirt'], [2, 'Details'], [2, 'Reviews']);
+  const result = compareHeadingOutlines(raw, rendered);
+  assert.deepStrictEqual(result.jsOnly.map(h => h.text), ['Blue shirt', 'Reviews']);
+  assert.deepStrictEqual(result.removedByJs.map(h => h.text), ['Loading…']);
+  assert.deepStrictEqual(result.h1, { raw: ['Loading…'], rendered: ['Blue shirt'], changed: true });
+});
+
+test('repeated headings are matched one to one', () => {
+  const raw = outline([2, 'Reviews']);
+  const rendered = outline([2, 'Reviews'], [2, 'Reviews']);
+  const result = compareHeadingOutlines(raw, rendered);
+  assert.strictEqual(result.jsOnly.length, 1);
+  assert.deepStrictEqual(result.removedByJs, []);
+});
+
+test('reordered headings and changed levels are reported', () => {
+  const raw = outline([1, 'Blue shirt'], [2, 'Details'], [2, 'Reviews']);
+  const rendered = outline([1, 'Blue shirt'], [3, 'Reviews'], [2, 'Details']);
+  const result = compareHeadingOutlines(raw, rendered);
+  assert.strictEqual(result.orderChanged, true);
+  assert.deepStrictEqual(result.levelChanges, [{ text: 'Reviews', from: 'h2', to: 'h3' }]);
+  assert.strictEqual(result.h1.changed, false);
+});
+
+test('extractHeadingOutline nests headings and skips template and noscript', async (t) => {
+  const browser = await launchChromium();
+  if (!browser) return t.skip('Playwright Chromium is not installed');
+  try {
+    const html = `<body>
+      <h1>Blue   shirt</h1><h2>Details</h2><h3>Sizes</h3><h2>Reviews</h2><h2> </h2>
+      <template><h2>Template</h2></template><noscript><h2>No script</h2></noscript>
+    </body>`;
+    const page = await openPage(browser, 'https://shop.example/', html);
+    const headings = await page.evaluate(extractHeadingOutline, html);
+    assert.deepStrictEqual(headings.map(h => [h.level, h.text, h.parent, h.depth]), [
+      [1, 'Blue shirt', null, 0],
+      [2, 'Details', 0, 1],
+      [3, 'Sizes', 1, 2],
+      [2, 'Reviews', 0, 1]
+    ]);
+  } finally {
+    await browser.close();
+  }
+});
@@ -0,0 +1,25 @@
+// Browser-side extractors need a real DOM. Tests that use one skip themselves when Playwright's
+// Chromium isn't installed (npx playwright install chromium).
+
+const { chromium } = require('playwright');
+
+async function launchChromium() {
+  try {
+    return await chromium.launch();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Loads html into a fresh page at url, so relative links resolve against it
+async function openPage(browser, url, html) {
+  const page = await browser.newPage();
+  await page.route(url, route => route.fulfill({ contentType: 'text/html', body: html }));
+  await page.goto(url);
+  return page;
+}
+
+module.exports = {
+  launchChromium,
+  openPage
+};
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { escapeHtml, renderHtmlReport } = require('../src/html-report');
+
+const XSS = '<script>alert("x")</script>';
+
+function report(overrides = {}) {
+  return {
+    url: 'https://shop.example/?q=<b>&x=1',
+    analysisType: 'quick',
+    timestamp: '2026-01-05T10:00:00.000Z',
+    runUrl: null,
+    summary: {
+      llmAccessibilityScore: 42,
+      requiresJSRendering: true,
+      averageContentChange: 63,
+      frameworksDetected: ['Next.js'],
+      crossBrowserConsistency: 'high',
+      analysisConfidence: 90
+    },
+    recommendations: [`Render ${XSS} on the server`],
+    browsers: {
+      chromium: {
+        status: 'success',
+        contentDifferencePercent: 63,
+        frameworks: ['Next.js'],
+        jsRenderedContent: { trulyMissingContent: { headings: { count: 1, examples: ['<h1> & "Deals"'] } } },
+        textSnapshot: {
+          raw: [{ tag: 'div', text: 'Loading…', removedByJs: true }],
+          rendered: [{ tag: 'h1', text: `Deals ${XSS}`, jsOnly: true }],
+          jsOnlyBlockCount: 1,
+          jsOnlyChars: 40,
+          removedBlockCount: 1,
+          truncated: false
+        }
+      },
+      firefox: { status: 'failed', error: `Navigation failed: ${XSS}` }
+    },
+    ...overrides
+  };
+}
+
+test('escapeHtml escapes markup and quote characters', () => {
+  assert.strictEqual(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  assert.strictEqual(escapeHtml(null), '');
+  assert.strictEqual(escapeHtml(0), '0');
+});
+
+test('renderHtmlReport escapes every page-controlled string', () => {
+  const html = renderHtmlReport(report());
+  assert.ok(!html.includes('<script>'), 'no raw script tag');
+  assert.ok(!html.includes('<b>'), 'no raw markup from the URL');
+  assert.match(html, /<title>JS Rendering Report - https:\/\/shop\.example\/\?q=&lt;b&gt;&amp;x=1<\/title>/);
+  assert.match(html, /<li>Render &lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt; on the server<\/li>/);
+  assert.match(html, /<small>Navigation failed: &lt;script&gt;/);
+  assert.match(html, /&lt;h1&gt; &amp; &quot;Deals&quot;/);
+  assert.match(html, /<p class="block heading js-only"><span class="tag">h1<\/span>Deals &lt;script&gt;/);
+  assert.match(html, /<p class="block removed"><span class="tag">div<\/span>Loading…<\/p>/);
+});
+
+test('renderHtmlReport shows the summary cards, screenshots and the workflow run link', () => {
+  const html = renderHtmlReport(report({
+    runUrl: 'https://github.com/acme/site/actions/runs/42',
+    robots: { disallowedFor: ['GPTBot'] }
+  }), { screenshots: { chromium: 'data:image/png;base64,AAAA', webkit: 'data:image/png;base64,BBBB' } });
+  assert.match(html, /<div class="value poor">42\/100<\/div>/);
+  assert.match(html, /<div class="value poor">Blocks GPTBot<\/div>/);
+  assert.match(html, /<a href="https:\/\/github\.com\/acme\/site\/actions\/runs\/42">workflow run<\/a>/);
+  assert.match(html, /<img src="data:image\/png;base64,AAAA" alt="chromium screenshot">/);
+  // Only browsers in the report get a screenshot
+  assert.ok(!html.includes('BBBB'));
+});
+
+test('renderHtmlReport reports a failed analysis without text or screenshots', () => {
+  const html = renderHtmlReport(report({
+    summary: { error: 'All browsers failed' },
+    recommendations: [],
+    browsers: { chromium: { status: 'failed', error: 'net::ERR_NAME_NOT_RESOLVED' } }
+  }));
+  assert.match(html, /<div class="value poor">All browsers failed<\/div>/);
+  assert.match(html, /No screenshots captured\./);
+  assert.match(html, /No text snapshot available\./);
+  assert.ok(!html.includes('Content Missing Without JavaScript'));
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { documentText, classifyRevealedLines, sourceOf } = require('../src/interaction-probe');
+const { launchChromium, openPage } = require('./helpers/browser');
+
+const RAW_TEXT = 'free shipping on all orders over $50 yes price';
+const TEXT_BEFORE = `${RAW_TEXT} size guide: runs small, order one size up`;
+
+test('revealed lines are attributed to the raw HTML, the rendered page or the click', () => {
+  const chars = classifyRevealedLines([
+    'Free shipping on   all orders over $50',
+    'Size guide: runs small, order one size up',
+    'Customer reviews (128): great fit and fast delivery'
+  ], RAW_TEXT, TEXT_BEFORE);
+  assert.deepStrictEqual(chars, { hiddenInRawHtml: 36, hiddenAfterRender: 41, createdOnClick: 51 });
+});
+
+test('short lines are ignored wherever they occur', () => {
+  const chars = classifyRevealedLines(['Yes', 'Price', 'No', 'Add to cart'], RAW_TEXT, TEXT_BEFORE);
+  assert.deepStrictEqual(chars, { hiddenInRawHtml: 0, hiddenAfterRender: 0, createdOnClick: 0 });
+});
+
+test('sourceOf names the largest bucket and tells fetched from rendered clicks', () => {
+  assert.strictEqual(sourceOf({ hiddenInRawHtml: 0, hiddenAfterRender: 0, createdOnClick: 0 }, 0), 'none');
+  assert.strictEqual(sourceOf({ hiddenInRawHtml: 300, hiddenAfterRender: 20, createdOnClick: 40 }, 2), 'hidden-in-raw-html');
+  assert.strictEqual(sourceOf({ hiddenInRawHtml: 10, hiddenAfterRender: 200, createdOnClick: 40 }, 0), 'hidden-after-render');
+  assert.strictEqual(sourceOf({ hiddenInRawHtml: 10, hiddenAfterRender: 20, createdOnClick: 400 }, 0), 'rendered-on-click');
+  assert.strictEqual(sourceOf({ hiddenInRawHtml: 10, hiddenAfterRender: 20, createdOnClick: 400 }, 1), 'fetched-on-click');
+});
+
+test('documentText leaves out script and style bodies', async (t) => {
+  const browser = await launchChromium();
+  if (!browser) return t.skip('Playwright Chromium is not installed');
+  try {
+    const html = `<html><head><style>.price { color: red }</style></head><body>
+      <p>Free shipping on all orders</p>
+      <script id="__NEXT_DATA__" type="application/json">{"reviews":"Great fit and fast delivery"}</script>
+      <script>window.banner = 'Summer sale';</script>
+    </body></html>`;
+    const page = await openPage(browser, 'https://shop.example/', html);
+    for (const text of [await page.evaluate(documentText, html), await page.evaluate(documentText, null)]) {
+      assert.match(text, /Free shipping on all orders/);
+      assert.doesNotMatch(text, /Great fit|Summer sale|color: red/);
+    }
+  } finally {
+    await browser.close();
+  }
+});
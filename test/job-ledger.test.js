@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobLedger, isTransientError } = require('../src/job-ledger');
+const { outputName } = require('../src/site-report');
+
+const URL_A = 'https://shop.example/a';
+const URL_B = 'https://shop.example/b';
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempLedgerPath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsra-ledger-'));
+  tempDirs.push(dir);
+  return path.join(dir, 'ledger.json');
+}
+
+function results(score) {
+  return { summary: { llmAccessibilityScore: score, totalLoadTime: 1234 }, recommendations: [] };
+}
+
+test('a new ledger starts a run and skips URLs already completed in it', async () => {
+  const ledger = await new JobLedger(tempLedgerPath()).load();
+  assert.strictEqual(ledger.resumed, false);
+  assert.ok(ledger.data.run.id);
+
+  ledger.markStarted(URL_A);
+  ledger.markSucceeded(URL_A, results(80));
+  assert.deepStrictEqual(ledger.shouldRun(URL_A), { run: false, reason: 'completed' });
+  assert.deepStrictEqual(ledger.shouldRun(URL_A, { pending: true }), { run: true });
+  assert.deepStrictEqual(ledger.shouldRun(URL_B), { run: true });
+});
+
+test('an unfinished run resumes and a finished run starts over', async () => {
+  const filePath = tempLedgerPath();
+  const first = await new JobLedger(filePath).load();
+  first.markStarted(URL_A);
+  first.markSucceeded(URL_A, results(80));
+  first.markStarted(URL_B);
+  await first.save();
+
+  // Cut off mid-run: the run resumes, the completed URL is skipped and the running one is retried
+  const resumed = await new JobLedger(filePath).load();
+  assert.strictEqual(resumed.resumed, true);
+  assert.strictEqual(resumed.data.run.id, first.data.run.id);
+  assert.deepStrictEqual(resumed.shouldRun(URL_A), { run: false, reason: 'completed' });
+  assert.strictEqual(resumed.job(URL_B).status, 'failed');
+  assert.strictEqual(resumed.job(URL_B).transient, true);
+  assert.deepStrictEqual(resumed.shouldRun(URL_B), { run: true });
+
+  resumed.finishRun();
+  await resumed.save();
+
+  const next = await new JobLedger(filePath).load();
+  assert.strictEqual(next.resumed, false);
+  assert.notStrictEqual(next.data.run.id, first.data.run.id);
+  assert.deepStrictEqual(next.shouldRun(URL_A), { run: true });
+  assert.strictEqual(next.job(URL_A).attempts, 0);
+});
+
+test('a job keeps pointing at its URL-keyed output directory across runs', async () => {
+  const filePath = tempLedgerPath();
+  const outputDir = path.join('reports', outputName(URL_A));
+  const first = await new JobLedger(filePath).load();
+  first.markStarted(URL_A, outputDir);
+  await first.save();
+
+  // The interrupted job is retried on resume and writes to the same directory again
+  const resumed = await new JobLedger(filePath).load();
+  assert.strictEqual(resumed.job(URL_A).outputDir, outputDir);
+  resumed.markStarted(URL_A, path.join('reports', outputName(URL_A)));
+  resumed.markSucceeded(URL_A, results(80));
+  resumed.finishRun();
+  await resumed.save();
+
+  const next = await new JobLedger(filePath).load();
+  assert.strictEqual(next.job(URL_A).outputDir, outputDir);
+});
+
+test('permanent failures are skipped and transient ones retried until attempts run out', async () => {
+  const ledger = await new JobLedger(tempLedgerPath(), { maxAttempts: 2 }).load();
+
+  ledger.markStarted(URL_A);
+  ledger.markFailed(URL_A, new Error('Invalid URL'));
+  assert.deepStrictEqual(ledger.shouldRun(URL_A), { run: false, reason: 'permanent failure' });
+  assert.deepStrictEqual(ledger.shouldRun(URL_A, { retryFailed: true }), { run: true });
+
+  ledger.markStarted(URL_B);
+  ledger.markFailed(URL_B, new Error('net::ERR_TIMED_OUT'));
+  assert.deepStrictEqual(ledger.shouldRun(URL_B), { run: true });
+  ledger.markStarted(URL_B);
+  ledger.markFailed(URL_B, new Error('net::ERR_TIMED_OUT'));
+  assert.deepStrictEqual(ledger.shouldRun(URL_B), { run: false, reason: 'attempts exhausted' });
+  assert.strictEqual(ledger.retryDelay(ledger.job(URL_B), 1000), 2000);
+});
+
+test('markSucceeded flags results that changed since the last run', async () => {
+  const ledger = await new JobLedger(tempLedgerPath()).load();
+  ledger.markSucceeded(URL_A, results(80));
+  assert.strictEqual(ledger.job(URL_A).changedSinceLastRun, false);
+  // Load time alone is not a change
+  ledger.markSucceeded(URL_A, { ...results(80), summary: { llmAccessibilityScore: 80, totalLoadTime: 999 } });
+  assert.strictEqual(ledger.job(URL_A).changedSinceLastRun, false);
+  ledger.markSucceeded(URL_A, results(60));
+  assert.strictEqual(ledger.job(URL_A).changedSinceLastRun, true);
+  assert.strictEqual(ledger.job(URL_A).score, 60);
+});
+
+test('a failed save rejects its caller without blocking later saves', async () => {
+  const filePath = tempLedgerPath();
+  // A file where the ledger's directory should be makes the write fail
+  const blocked = path.join(path.dirname(filePath), 'not-a-dir');
+  fs.writeFileSync(blocked, '');
+  const ledger = await new JobLedger(filePath).load();
+  ledger.filePath = path.join(blocked, 'ledger.json');
+  await assert.rejects(ledger.save());
+
+  ledger.filePath = filePath;
+  await ledger.save();
+  assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).run.id, ledger.data.run.id);
+});
+
+test('save creates the ledger directory', async () => {
+  const filePath = path.join(path.dirname(tempLedgerPath()), 'nested', 'ledger.json');
+  const ledger = await new JobLedger(filePath).load();
+  await ledger.save();
+  assert.ok(fs.existsSync(filePath));
+});
+
+test('reconcile counts the final state of every URL', async () => {
+  const ledger = await new JobLedger(tempLedgerPath(), { maxAttempts: 1 }).load();
+  ledger.markSucceeded(URL_A, results(80));
+  ledger.markStarted(URL_B);
+  ledger.markFailed(URL_B, new Error('socket hang up'));
+
+  const report = ledger.reconcile([URL_A, URL_B, 'https://shop.example/c']);
+  assert.strictEqual(report.succeeded, 1);
+  assert.strictEqual(report.exhausted, 1);
+  assert.strictEqual(report.pending, 1);
+  assert.strictEqual(report.failures[0].url, URL_B);
+});
+
+test('isTransientError recognizes network trouble and rate limiting', () => {
+  assert.strictEqual(isTransientError('page.goto: Timeout 30000ms exceeded'), true);
+  assert.strictEqual(isTransientError('HTTP 429 Too Many Requests'), true);
+  assert.strictEqual(isTransientError('HTTP 404 Not Found'), false);
+  assert.strictEqual(isTransientError(undefined), false);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT, UsageError, parseArgs, checkThresholds, main } = require('../bin/jsra');
+
+const SPEC = { 'json': 'boolean', 'min-score': 'number', 'output': 'string', 'fail-on-js': 'boolean' };
+
+test('parseArgs reads --flag value, --flag=value, booleans and positionals', () => {
+  const { options, positionals } = parseArgs(
+    ['https://a.example', '--min-score', '70', '--output=out.csv', '--json', '-h', '--', '--not-a-flag'],
+    SPEC
+  );
+  assert.deepStrictEqual(options, { minScore: 70, output: 'out.csv', json: true, help: true });
+  assert.deepStrictEqual(positionals, ['https://a.example', '--not-a-flag']);
+});
+
+test('parseArgs keeps = inside values', () => {
+  assert.strictEqual(parseArgs(['--output=a=b.csv'], SPEC).options.output, 'a=b.csv');
+});
+
+test('parseArgs rejects unknown flags, missing values and bad numbers', () => {
+  const rejects = (argv, message) => assert.throws(() => parseArgs(argv, SPEC), error => error instanceof UsageError && message.test(error.message));
+  rejects(['--nope'], /Unknown option --nope/);
+  rejects(['--output'], /--output requires a value/);
+  rejects(['--output', '--json'], /--output requires a value/);
+  rejects(['--json=yes'], /--json does not take a value/);
+  rejects(['--min-score', 'high'], /--min-score must be a non-negative number/);
+  rejects(['--min-score=-1'], /--min-score must be a non-negative number/);
+});
+
+test('checkThresholds lists score and JS rendering violations', () => {
+  const pages = [
+    { url: 'https://a.example', score: 40, requiresJSRendering: true },
+    { url: 'https://b.example', score: 90, requiresJSRendering: false },
+    { url: 'https://c.example', score: null, requiresJSRendering: false }
+  ];
+  assert.deepStrictEqual(checkThresholds(pages, {}), []);
+  assert.deepStrictEqual(checkThresholds(pages, { minScore: 50, failOnJs: true }), [
+    'https://a.example: LLM score 40 is below --min-score 50',
+    'https://a.example: requires JavaScript rendering'
+  ]);
+});
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function writeReport(summary) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsra-cli-'));
+  tempDirs.push(dir);
+  const file = path.join(dir, 'analysis-report.json');
+  fs.writeFileSync(file, JSON.stringify({
+    url: 'https://shop.example/',
+    summary: summary,
+    browsers: { chromium: { status: 'success' } }
+  }));
+  return file;
+}
+
+test('gate applies --fail-on-js to the gated report', async () => {
+  const file = writeReport({ llmAccessibilityScore: 80, requiresJSRendering: true });
+  assert.strictEqual(await main(['gate', '--report', file, '--min-score', '70']), EXIT.OK);
+  assert.strictEqual(await main(['gate', '--report', file, '--min-score', '70', '--fail-on-js']), EXIT.THRESHOLD);
+  assert.strictEqual(await main(['gate', '--report', file, '--fail-on-js']), EXIT.THRESHOLD);
+  assert.strictEqual(await main(['gate', '--report', writeReport({ llmAccessibilityScore: 80, requiresJSRendering: false }), '--fail-on-js']), EXIT.OK);
+  assert.strictEqual(await main(['gate', '--report', file, '--min-score', '90']), EXIT.THRESHOLD);
+});
+
+test('main rejects unknown commands and gates without thresholds', async () => {
+  await assert.rejects(main(['explode']), UsageError);
+  await assert.rejects(main(['gate', '--report', writeReport({ llmAccessibilityScore: 80 })]), /at least one threshold/);
+});
+
+test('batch fails the run when any URL failed', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsra-batch-'));
+  tempDirs.push(dir);
+  const input = path.join(dir, 'urls.csv');
+  fs.writeFileSync(input, 'url\nhttps://a.example/\nhttps://b.example/\n');
+  const args = ['batch', '--input', input, '--output', path.join(dir, 'results.jsonl'), '--ledger', path.join(dir, 'ledger.json')];
+
+  const BatchAnalyzer = require('../batch-analyzer.js');
+  const outcome = { processed: 2, succeeded: 2, failed: 0, scores: [
+    { url: 'https://a.example/', score: 90, requiresJSRendering: false },
+    { url: 'https://b.example/', score: 60, requiresJSRendering: true }
+  ] };
+  t.mock.method(BatchAnalyzer.prototype, 'runBatch', async () => outcome);
+
+  assert.strictEqual(await main(args), EXIT.OK);
+  assert.strictEqual(await main([...args, '--min-score', '70']), EXIT.THRESHOLD);
+  assert.strictEqual(await main([...args, '--fail-on-js']), EXIT.THRESHOLD);
+
+  outcome.succeeded = 1;
+  outcome.failed = 1;
+  outcome.scores = outcome.scores.slice(0, 1);
+  assert.strictEqual(await main(args), EXIT.ERROR);
+
+  outcome.succeeded = 0;
+  outcome.failed = 2;
+  outcome.scores = [];
+  assert.strictEqual(await main(args), EXIT.ERROR);
+});
+
+test('main rejects bad flags for a command', async () => {
+  await assert.rejects(main(['gate', '--max-depth', '2']), /Unknown option --max-depth/);
+  await assert.rejects(main(['analyze']), /analyze needs a URL/);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareLinks } = require('../src/links');
+const AdvancedJSAnalyzer = require('../analyzer');
+
+const PAGE = 'https://www.shop.example/';
+
+// Links as extractLinks describes them
+function link(href, { kind = 'anchor', region = 'body', text = href, rel = '' } = {}) {
+  return { href: kind === 'anchor' ? href : null, rawHref: href || '', text, rel, kind, crawlable: kind === 'anchor', nofollow: /nofollow/.test(rel), region };
+}
+
+test('compareLinks finds links only crawlable after rendering', () => {
+  const raw = [
+    link('https://www.shop.example/'),
+    link('https://www.shop.example/sale', { region: 'nav' }),
+    link('https://shop.example/old')
+  ];
+  const rendered = [
+    link('https://www.shop.example/'),
+    link('https://www.shop.example/sale', { region: 'nav' }),
+    link('https://www.shop.example/shop', { region: 'nav' }),
+    link('https://www.shop.example/shop', { region: 'footer' }),
+    link('https://blog.other.example/post', { rel: 'nofollow' }),
+    link('', { kind: 'click-handler', region: 'nav', text: 'Account' }),
+    link('mailto:hi@shop.example', { kind: 'contact' })
+  ];
+
+  const graph = compareLinks(raw, rendered, PAGE);
+  // www. is ignored when telling internal from external
+  assert.deepStrictEqual(graph.raw, { total: 3, crawlable: 3, uncrawlable: 0, internal: 3, external: 0, nofollow: 0 });
+  assert.deepStrictEqual(graph.rendered, { total: 7, crawlable: 5, uncrawlable: 2, internal: 4, external: 1, nofollow: 1 });
+  assert.deepStrictEqual(graph.jsOnlyInternal.map(l => [l.href, l.region]), [['https://www.shop.example/shop', 'nav']]);
+  assert.strictEqual(graph.jsOnlyExternalCount, 1);
+  // Contact links are not navigation, so they are not counted as uncrawlable
+  assert.deepStrictEqual(graph.uncrawlable.map(l => l.text), ['Account']);
+  assert.deepStrictEqual(graph.removedByJs.map(l => l.href), ['https://shop.example/old']);
+  assert.deepStrictEqual(graph.rawCrawlableHrefs, ['https://www.shop.example/', 'https://www.shop.example/sale', 'https://shop.example/old']);
+  assert.deepStrictEqual(graph.renderedInternalHrefs, ['https://www.shop.example/', 'https://www.shop.example/sale', 'https://www.shop.example/shop']);
+});
+
+function analysisWithNavMissing(count) {
+  return {
+    navigation: { main: { missing: new Array(count).fill({ text: 'Shop' }) } },
+    businessImpact: { seoImpact: 'low' }
+  };
+}
+
+function graphWith(jsOnlyInternal, uncrawlableRegions = []) {
+  return {
+    raw: { crawlable: 10 },
+    rendered: { crawlable: 10 + jsOnlyInternal },
+    jsOnlyInternalCount: jsOnlyInternal,
+    jsOnlyExternalCount: 2,
+    uncrawlableCount: uncrawlableRegions.length,
+    uncrawlable: uncrawlableRegions.map(region => ({ region }))
+  };
+}
+
+test('applyLinkGraph records the link counts on the navigation analysis', () => {
+  const analysis = analysisWithNavMissing(0);
+  new AdvancedJSAnalyzer({ url: PAGE }).applyLinkGraph(analysis, graphWith(1, ['nav']));
+  assert.deepStrictEqual(analysis.navigation.linkGraph, {
+    rawCrawlable: 10,
+    renderedCrawlable: 11,
+    jsOnlyInternal: 1,
+    jsOnlyExternal: 2,
+    uncrawlable: 1
+  });
+  assert.strictEqual(analysis.businessImpact.seoImpact, 'low');
+});
+
+test('applyLinkGraph derives SEO impact from hidden internal links and missing nav links', () => {
+  const analyzer = new AdvancedJSAnalyzer({ url: PAGE });
+  const impact = (navMissing, graph) => {
+    const analysis = analysisWithNavMissing(navMissing);
+    analyzer.applyLinkGraph(analysis, graph);
+    return analysis.businessImpact.seoImpact;
+  };
+
+  // Uncrawlable links in the page body are not navigation
+  assert.strictEqual(impact(0, graphWith(2, ['nav', 'body', 'body'])), 'low');
+  assert.strictEqual(impact(0, graphWith(3, ['header'])), 'medium');
+  assert.strictEqual(impact(3, graphWith(0)), 'medium');
+  assert.strictEqual(impact(0, graphWith(11)), 'high');
+  assert.strictEqual(impact(6, graphWith(0)), 'high');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { markdownToHtml } = require('../src/markdown-report');
+
+test('converts headings, lists, tables and blockquotes', () => {
+  const html = markdownToHtml([
+    '# Audit',
+    '',
+    '- one',
+    '* two',
+    '',
+    '| Browser | Status |',
+    '| --- | --- |',
+    '| chromium | success |',
+    '',
+    '> Note',
+    '> more'
+  ].join('\n'));
+
+  assert.strictEqual(html, [
+    '<h1>Audit</h1>',
+    '<ul><li>one</li><li>two</li></ul>',
+    '<table><tr><th>Browser</th><th>Status</th></tr><tr><td>chromium</td><td>success</td></tr></table>',
+    '<blockquote><p>Note</p><p>more</p></blockquote>'
+  ].join('\n'));
+});
+
+test('joins paragraph lines and renders inline links, bold and emphasis', () => {
+  assert.strictEqual(
+    markdownToHtml('See [the docs](https://example.com) for **more**\nand _details_'),
+    '<p>See <a href="https://example.com">the docs</a> for <strong>more</strong><br>and <em>details</em></p>'
+  );
+});
+
+test('escapes HTML and honours backslash escapes', () => {
+  assert.strictEqual(markdownToHtml('<script> \\*\\*not bold\\*\\*'), '<p>&lt;script&gt; **not bold**</p>');
+  assert.strictEqual(markdownToHtml('| a \\| b | c |\n| - | - |'), '<table><tr><th>a | b</th><th>c</th></tr></table>');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocumentText, findTrulyMissingContent } = require('../src/missing-content');
+const { launchChromium, openPage } = require('./helpers/browser');
+
+function rendered(overrides = {}) {
+  return { navigation: [], headings: [], textContent: [], criticalData: [], interactiveElements: [], ...overrides };
+}
+
+test('counts rendered content that is absent from the raw document text', () => {
+  const missing = findTrulyMissingContent(rendered({
+    navigation: [{ text: 'Home', href: '/' }, { text: 'Sale', href: '/sale' }],
+    headings: [{ text: 'Blue   shirt', level: 1 }],
+    textContent: [{ text: 'Soft cotton shirt that keeps you cool all summer long, every day.', length: 65 }],
+    criticalData: [{ text: '$19.99', type: 'price' }]
+  }), 'Home Blue shirt $0.00');
+
+  assert.deepStrictEqual(missing.navigation, { count: 1, total: 2, examples: ['Sale'], items: [{ text: 'Sale', href: '/sale' }] });
+  // Whitespace and case differences are not changes
+  assert.strictEqual(missing.headings.count, 0);
+  assert.strictEqual(missing.textContent.count, 1);
+  assert.strictEqual(missing.textContent.totalMissingChars, 65);
+  assert.deepStrictEqual(missing.criticalData.examples, ['$19.99']);
+});
+
+test('long text blocks match on their first 120 characters', () => {
+  const start = 'A'.repeat(60) + ' ' + 'B'.repeat(59);
+  const missing = findTrulyMissingContent(rendered({
+    textContent: [{ text: `${start} and a sentence JavaScript appended`, length: 150 }]
+  }), `${start} and the original ending`);
+  assert.strictEqual(missing.textContent.count, 0);
+});
+
+test('text only present in inline script payloads counts as missing', () => {
+  // The raw document is <div id="__next"></div><script id="__NEXT_DATA__">{"title":"Spring collection"}</script>;
+  // its document text is empty because the script is not text
+  const missing = findTrulyMissingContent(rendered({ headings: [{ text: 'Spring collection', level: 1 }] }), '');
+  assert.strictEqual(missing.headings.count, 1);
+});
+
+let browser;
+test.before(async () => {
+  browser = await launchChromium();
+});
+test.after(async () => {
+  if (browser) await browser.close();
+});
+
+test('extractDocumentText keeps visible text and control labels but not scripts', async t => {
+  if (!browser) return t.skip('Playwright Chromium is not installed');
+  const page = await openPage(browser, 'https://shop.example/', '<body></body>');
+  const text = await page.evaluate(extractDocumentText, `<body><h1>Shirts &amp; more</h1>
+    <input placeholder="Search shirts"><meta itemprop="price" content="19.99">
+    <script id="__NEXT_DATA__">{"title":"Spring collection"}</script><style>.x{}</style></body>`);
+  await page.close();
+
+  assert.match(text, /Shirts & more/);
+  assert.match(text, /Search shirts/);
+  assert.match(text, /19\.99/);
+  assert.doesNotMatch(text, /Spring collection/);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyApiCalls, attributeJsOnlyText, summarizeNetwork, sameSite } = require('../src/network');
+
+const PAGE = 'https://www.shop.example/products';
+
+// Entries as recordNetwork collects them
+function entry(url, overrides = {}) {
+  return {
+    url: url,
+    method: 'GET',
+    resourceType: 'fetch',
+    status: 200,
+    contentType: 'application/json',
+    bytes: 100,
+    failure: null,
+    body: null,
+    ...overrides
+  };
+}
+
+test('sameSite compares the last two host labels', () => {
+  assert.strictEqual(sameSite('https://api.shop.example/x', PAGE), true);
+  assert.strictEqual(sameSite('https://cdn.other.example/x', PAGE), false);
+  assert.strictEqual(sameSite('not a url', PAGE), false);
+});
+
+test('classifyApiCalls groups calls by endpoint template and kind', () => {
+  const calls = classifyApiCalls([
+    entry('https://api.shop.example/products/123'),
+    entry('https://api.shop.example/products/456', { status: 500 }),
+    entry('https://api.shop.example/graphql', { method: 'POST', body: '{"query":"{ cart }"}' }),
+    entry('https://widgets.other.example/reviews/0f8fad5b-d9cb-469f-a165-70867728950e', { contentType: 'text/html' }),
+    entry('https://www.shop.example/app.js', { resourceType: 'script' })
+  ], PAGE);
+
+  assert.deepStrictEqual(calls.map(c => [c.endpoint, c.kind, c.firstParty, c.count]), [
+    ['GET https://api.shop.example/products/:id', 'json', true, 2],
+    ['POST https://api.shop.example/graphql', 'graphql', true, 1],
+    ['GET https://widgets.other.example/reviews/:id', 'html-fragment', false, 1]
+  ]);
+  assert.strictEqual(calls[0].failed, 1);
+  assert.deepStrictEqual(calls[0].statuses, [200, 500]);
+  assert.strictEqual(calls[0].bytes, 200);
+});
+
+test('attributeJsOnlyText credits each JS-only text to the response that delivered it', () => {
+  const entries = [
+    entry('https://api.shop.example/products/1', {
+      body: JSON.stringify({ name: 'Blue cotton shirt', description: '<p>Soft and breathable cotton</p>', price: 19.99 })
+    }),
+    entry('https://api.shop.example/reviews', { body: JSON.stringify([{ text: 'Great fit, would buy again' }]) }),
+    entry('https://api.shop.example/broken', { body: '{"name":"Blue cotton shirt"}', failure: 'net::ERR_FAILED' })
+  ];
+
+  const attribution = attributeJsOnlyText(entries, [
+    'Blue cotton shirt',
+    'Soft and breathable cotton',
+    '19.99',
+    'Great fit, would buy again',
+    'Free shipping on every order',
+    'ok'
+  ]);
+
+  assert.strictEqual(attribution.jsOnlyTexts, 5);
+  assert.strictEqual(attribution.attributedTexts, 4);
+  assert.deepStrictEqual(attribution.sources.map(s => [s.endpoint, s.blocks]), [
+    ['GET https://api.shop.example/products/:id', 3],
+    ['GET https://api.shop.example/reviews', 1]
+  ]);
+});
+
+test('a short value only covering a small part of a long text is not an attribution', () => {
+  const attribution = attributeJsOnlyText(
+    [entry('https://api.shop.example/tags', { body: '["sale"]' })],
+    ['Everything in the summer sale ships free within two working days']
+  );
+  assert.strictEqual(attribution.attributedTexts, 0);
+  assert.deepStrictEqual(attribution.sources, []);
+});
+
+test('summarizeNetwork counts types, failures and third-party requests', () => {
+  const summary = summarizeNetwork([
+    entry(PAGE, { resourceType: 'document' }),
+    entry('https://cdn.other.example/lib.js', { resourceType: 'script', status: 404 }),
+    entry('https://api.shop.example/products', { status: 503 }),
+    entry('https://ads.other.example/pixel', { resourceType: 'image', status: null, failure: 'net::ERR_BLOCKED_BY_CLIENT' })
+  ], PAGE);
+
+  assert.deepStrictEqual(summary.byType, { document: 1, script: 1, fetch: 1, image: 1 });
+  assert.strictEqual(summary.failed, 1);
+  assert.strictEqual(summary.status4xx, 1);
+  assert.strictEqual(summary.status5xx, 1);
+  assert.strictEqual(summary.thirdParty, 2);
+  assert.strictEqual(summary.failures.length, 3);
+});
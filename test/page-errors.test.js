@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { recordPageErrors, summarizePageErrors } = require('../src/page-errors');
+
+const PAGE = 'https://shop.example/products/1';
+
+function pageLog({ errors = 0, warnings = 0, exceptions = [] } = {}) {
+  return { counts: { error: errors, warning: warnings }, messages: [], exceptions };
+}
+
+function script(url, fields) {
+  return { url, resourceType: 'script', status: 200, failure: null, ...fields };
+}
+
+test('a clean page is not flagged', () => {
+  const summary = summarizePageErrors(pageLog(), [script('https://shop.example/app.js')], PAGE);
+  assert.deepStrictEqual(summary.failedScripts, []);
+  assert.deepStrictEqual(summary.blockedRequests, []);
+  assert.strictEqual(summary.renderIncomplete, false);
+  assert.deepStrictEqual(summary.reasons, []);
+});
+
+test('failed first-party scripts and bundles are critical, other third-party scripts are not', () => {
+  const summary = summarizePageErrors(pageLog(), [
+    script('https://cdn.shop.example/static/app.js', { status: 404 }),
+    script('https://cdn.vendor.example/_next/static/chunks/framework-1a2b.js', { status: null, failure: 'net::ERR_CONNECTION_RESET' }),
+    script('https://widgets.example/chat.js', { status: 500 }),
+    { url: 'https://shop.example/hero.jpg', resourceType: 'image', status: 404, failure: null }
+  ], PAGE);
+
+  assert.deepStrictEqual(summary.failedScripts.map(s => [s.url, s.firstParty, s.critical]), [
+    ['https://cdn.shop.example/static/app.js', true, true],
+    ['https://cdn.vendor.example/_next/static/chunks/framework-1a2b.js', false, true],
+    ['https://widgets.example/chat.js', false, false]
+  ]);
+  assert.strictEqual(summary.renderIncomplete, true);
+  assert.deepStrictEqual(summary.reasons, [
+    '2 critical scripts failed to load (https://cdn.shop.example/static/app.js, https://cdn.vendor.example/_next/static/chunks/framework-1a2b.js)'
+  ]);
+});
+
+test('aborted requests are not failures and blocked ones are listed', () => {
+  const summary = summarizePageErrors(pageLog(), [
+    script('https://shop.example/app.js', { status: null, failure: 'net::ERR_ABORTED' }),
+    script('https://ads.example/tag.js', { status: null, failure: 'net::ERR_BLOCKED_BY_CLIENT' })
+  ], PAGE);
+  assert.deepStrictEqual(summary.failedScripts.map(s => s.url), ['https://ads.example/tag.js']);
+  assert.deepStrictEqual(summary.blockedRequests, [
+    { url: 'https://ads.example/tag.js', resourceType: 'script', failure: 'net::ERR_BLOCKED_BY_CLIENT' }
+  ]);
+  assert.strictEqual(summary.renderIncomplete, false);
+});
+
+test('uncaught exceptions only flag the render when the page barely changed', () => {
+  const log = pageLog({ errors: 2, warnings: 1, exceptions: [{ name: 'TypeError', message: 'x is undefined', stack: '' }] });
+
+  const unchanged = summarizePageErrors(log, [], PAGE, { contentDifferencePercent: -4 });
+  assert.strictEqual(unchanged.consoleErrors, 2);
+  assert.strictEqual(unchanged.consoleWarnings, 1);
+  assert.strictEqual(unchanged.renderIncomplete, true);
+  assert.deepStrictEqual(unchanged.reasons, ['1 uncaught exception while the rendered page barely differs from the raw HTML (-4%)']);
+
+  const rendered = summarizePageErrors(log, [], PAGE, { contentDifferencePercent: 35 });
+  assert.strictEqual(rendered.renderIncomplete, false);
+});
+
+test('recordPageErrors keeps console errors, warnings and exceptions until finish()', () => {
+  const context = new EventEmitter();
+  const recorder = recordPageErrors(context);
+  const message = (type, text) => ({ type: () => type, text: () => text, location: () => ({ url: 'https://shop.example/app.js' }) });
+
+  context.emit('console', message('log', 'hello'));
+  context.emit('console', message('error', 'Failed to fetch'));
+  context.emit('console', message('warning', 'Deprecated API'));
+  const error = new TypeError('Cannot read properties of undefined');
+  context.emit('weberror', { error: () => error });
+
+  const log = recorder.finish();
+  context.emit('console', message('error', 'after finish'));
+
+  assert.deepStrictEqual(log.counts, { error: 1, warning: 1 });
+  assert.deepStrictEqual(log.messages.map(m => [m.type, m.text, m.url]), [
+    ['error', 'Failed to fetch', 'https://shop.example/app.js'],
+    ['warning', 'Deprecated API', 'https://shop.example/app.js']
+  ]);
+  assert.deepStrictEqual(log.exceptions.map(e => [e.name, e.message]), [['TypeError', 'Cannot read properties of undefined']]);
+  assert.strictEqual(context.listenerCount('console'), 0);
+});
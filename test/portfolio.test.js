@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyError, buildPortfolio } = require('../src/portfolio');
+
+function summary(score, { frameworks = [], requiresJSRendering = false, headings = 0, pricing = 0 } = {}) {
+  return {
+    score: score,
+    requiresJSRendering: requiresJSRendering,
+    contentChange: 0,
+    frameworks: frameworks,
+    confidence: 'high',
+    missing: { headings: headings, navigation: 0, textContent: 0, criticalData: 0, interactiveElements: 0 },
+    pricingMissing: pricing,
+    regressed: null
+  };
+}
+
+test('classifyError groups failures by their most specific cause', () => {
+  assert.strictEqual(classifyError('page.goto: Timeout 30000ms exceeded'), 'timeout');
+  assert.strictEqual(classifyError('net::ERR_NAME_NOT_RESOLVED'), 'dns');
+  assert.strictEqual(classifyError('HTTP 403 Forbidden'), 'blocked');
+  assert.strictEqual(classifyError('HTTP 500 Internal Server Error'), 'http-error');
+  assert.strictEqual(classifyError('something odd'), 'other');
+});
+
+test('aggregates scores, frameworks, missing content and failures', () => {
+  const portfolio = buildPortfolio([
+    { url: 'https://a.example/1', status: 'succeeded', summary: summary(90, { frameworks: ['React'] }) },
+    { url: 'https://a.example/2', status: 'succeeded', summary: summary(30, { frameworks: ['React'], requiresJSRendering: true, headings: 4, pricing: 2 }) },
+    { url: 'https://b.example/', status: 'failed', error: 'net::ERR_NAME_NOT_RESOLVED' },
+    { url: 'https://c.example/', status: 'pending' }
+  ]);
+
+  assert.deepStrictEqual(
+    { ...portfolio.totals },
+    { urls: 4, succeeded: 2, withDetails: 2, failed: 1, pending: 1, averageScore: 60, medianScore: 60, requiresJSRendering: 1, regressed: 0 }
+  );
+  assert.deepStrictEqual(portfolio.frameworks, [{ name: 'React', count: 2, percent: 100 }]);
+  assert.deepStrictEqual(portfolio.missingCategories, [
+    { category: 'headings', urls: 1, items: 4 },
+    { category: 'pricing', urls: 1, items: 2 }
+  ]);
+  assert.strictEqual(portfolio.worstOffenders[0].url, 'https://a.example/2');
+  assert.deepStrictEqual(portfolio.domains.map(d => [d.host, d.averageScore]), [['a.example', 60], ['b.example', null], ['c.example', null]]);
+  assert.deepStrictEqual(portfolio.failures.map(f => [f.type, f.count]), [['dns', 1]]);
+});
+
+test('ledger successes without a summary count and score from their ledger score', () => {
+  const portfolio = buildPortfolio([
+    { url: 'https://a.example/1', status: 'succeeded', summary: summary(80) },
+    { url: 'https://a.example/2', status: 'succeeded', summary: null, score: 40 }
+  ]);
+
+  assert.strictEqual(portfolio.totals.succeeded, 2);
+  assert.strictEqual(portfolio.totals.withDetails, 1);
+  assert.strictEqual(portfolio.totals.pending, 0);
+  assert.strictEqual(portfolio.totals.averageScore, 60);
+  assert.strictEqual(portfolio.domains[0].averageScore, 60);
+  // Only entries with a summary have the details the breakdowns need
+  assert.strictEqual(portfolio.worstOffenders.length, 1);
+});
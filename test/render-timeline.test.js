@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildTimeline } = require('../src/render-timeline');
+
+// Samples as sampleRenderState returns them, labelled by recordTimeline
+function sample(label, at, { textLength = 0, headings = [], links = [], prices = [] } = {}) {
+  return { label, at, textLength, headings, links, prices };
+}
+
+test('returns null without samples', () => {
+  assert.strictEqual(buildTimeline([], [1000]), null);
+});
+
+test('records when text and each item first appeared', () => {
+  const timeline = buildTimeline([
+    sample('domcontentloaded', 300, { textLength: 100, headings: ['Shop'] }),
+    sample('1000ms', 1000, { textLength: 950, headings: ['Shop', 'Products'], prices: ['$10'] }),
+    sample('settled', 2500, { textLength: 1000, headings: ['Shop', 'Products'], prices: ['$10', '$12'] })
+  ], [1000, 5000]);
+
+  assert.deepStrictEqual(timeline.samples.map(s => s.label), ['domcontentloaded', '1000ms', 'settled']);
+  assert.deepStrictEqual(timeline.skippedOffsets, [5000]);
+  assert.deepStrictEqual(timeline.categories.text, { final: 1000, firstAppeared: 300, timeToMeaningful: 1000 });
+
+  const { headings, prices, links } = timeline.categories;
+  assert.strictEqual(headings.firstAppeared, 300);
+  assert.strictEqual(headings.timeToMeaningful, 1000);
+  assert.deepStrictEqual(headings.appearedBy, { domcontentloaded: 1, '1000ms': 1, settled: 0 });
+  assert.deepStrictEqual(prices.items.map(p => [p.value, p.label]), [['$12', 'settled'], ['$10', '1000ms']]);
+  assert.strictEqual(prices.timeToMeaningful, 2500);
+  assert.deepStrictEqual({ final: links.final, firstAppeared: links.firstAppeared, timeToMeaningful: links.timeToMeaningful }, { final: 0, firstAppeared: null, timeToMeaningful: null });
+});
+
+test('the settled sample stays last even if an offset sample resolved after it', () => {
+  const timeline = buildTimeline([
+    sample('domcontentloaded', 200, { textLength: 10 }),
+    sample('settled', 800, { textLength: 500 }),
+    sample('1000ms', 1000, { textLength: 20 })
+  ], [1000]);
+  assert.deepStrictEqual(timeline.samples.map(s => s.label), ['domcontentloaded', '1000ms', 'settled']);
+  assert.strictEqual(timeline.categories.text.final, 500);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRobotsTxt, isDisallowed, fetchRobotsTxt, checkCrawlers } = require('../src/robots');
+
+const ROBOTS = `
+# Shop robots.txt
+User-agent: *
+Disallow: /cart
+Disallow: /*.pdf$
+Allow: /cart/help
+
+User-agent: GPTBot
+User-agent: CCBot
+Disallow: /
+
+User-agent: Googlebot-Image
+Disallow: /products
+
+Sitemap: https://shop.example/sitemap.xml
+`;
+
+test('parses groups, shared user-agent lines and sitemaps', () => {
+  const robots = parseRobotsTxt(ROBOTS);
+  assert.strictEqual(robots.groups.length, 3);
+  assert.deepStrictEqual(robots.groups[1].agents, ['gptbot', 'ccbot']);
+  assert.deepStrictEqual(robots.sitemaps, ['https://shop.example/sitemap.xml']);
+});
+
+test('the longest matching rule wins and Allow wins a tie', () => {
+  const robots = parseRobotsTxt(ROBOTS);
+  assert.strictEqual(isDisallowed(robots, 'Bingbot', 'https://shop.example/cart/checkout'), true);
+  assert.strictEqual(isDisallowed(robots, 'Bingbot', 'https://shop.example/cart/help'), false);
+
+  const tie = parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page');
+  assert.strictEqual(isDisallowed(tie, 'Bingbot', 'https://shop.example/page'), false);
+});
+
+test('wildcards and $ anchors match the path and query', () => {
+  const robots = parseRobotsTxt(ROBOTS);
+  assert.strictEqual(isDisallowed(robots, 'Bingbot', 'https://shop.example/files/guide.pdf'), true);
+  assert.strictEqual(isDisallowed(robots, 'Bingbot', 'https://shop.example/files/guide.pdf?v=2'), false);
+});
+
+test('a named user-agent group replaces the * group', () => {
+  const robots = parseRobotsTxt(ROBOTS);
+  // Googlebot-Image has its own group, so the * rules no longer apply to it
+  assert.strictEqual(isDisallowed(robots, 'Googlebot-Image', 'https://shop.example/cart'), false);
+  assert.strictEqual(isDisallowed(robots, 'Googlebot-Image', 'https://shop.example/products/1'), true);
+  assert.strictEqual(isDisallowed(robots, 'Googlebot', 'https://shop.example/products/1'), false);
+});
+
+test('user-agent groups match the full product token, not a prefix', () => {
+  const robots = parseRobotsTxt('User-agent: *\nDisallow: /private\n\nUser-agent: Googlebot\nDisallow: /search');
+  assert.strictEqual(isDisallowed(robots, 'googlebot', 'https://shop.example/search'), true);
+  assert.strictEqual(isDisallowed(robots, 'Googlebot/2.1', 'https://shop.example/search'), true);
+  assert.strictEqual(isDisallowed(robots, 'Googlebot/2.1', 'https://shop.example/private'), false);
+  // Googlebot-News is a different product; it falls back to the * group
+  assert.strictEqual(isDisallowed(robots, 'Googlebot-News', 'https://shop.example/search'), false);
+  assert.strictEqual(isDisallowed(robots, 'Googlebot-News', 'https://shop.example/private'), true);
+
+  const prefix = parseRobotsTxt('User-agent: GPT\nDisallow: /');
+  assert.strictEqual(isDisallowed(prefix, 'GPTBot', 'https://shop.example/'), false);
+});
+
+test('an empty Disallow allows everything and robots.txt itself is always allowed', () => {
+  const robots = parseRobotsTxt('User-agent: *\nDisallow:\n\nUser-agent: GPTBot\nDisallow: /');
+  assert.strictEqual(isDisallowed(robots, 'Bingbot', 'https://shop.example/anything'), false);
+  assert.strictEqual(isDisallowed(robots, 'GPTBot', 'https://shop.example/robots.txt'), false);
+});
+
+test('checkCrawlers splits the crawlers into allowed and disallowed', () => {
+  const robots = parseRobotsTxt(ROBOTS);
+  const result = checkCrawlers(robots, 'https://shop.example/', ['Googlebot', 'GPTBot', 'CCBot', 'ClaudeBot']);
+  assert.deepStrictEqual(result.disallowedFor, ['GPTBot', 'CCBot']);
+  assert.deepStrictEqual(result.allowedFor, ['Googlebot', 'ClaudeBot']);
+});
+
+// A server that never answers: the request only ends when its signal aborts
+function stalledFetch(_url, options) {
+  return new Promise((resolve, reject) => {
+    // AbortSignal.timeout() does not keep the process alive by itself
+    const pending = setTimeout(() => {}, 5000);
+    options.signal.addEventListener('abort', () => {
+      clearTimeout(pending);
+      reject(options.signal.reason);
+    });
+  });
+}
+
+test('fetchRobotsTxt gives up on a stalled server', async (t) => {
+  t.mock.method(globalThis, 'fetch', stalledFetch);
+  await assert.rejects(fetchRobotsTxt('https://shop.example', 20), /timeout/);
+});
+
+test('fetchRobotsTxt treats a 4xx as no robots.txt', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => new Response('', { status: 404 }));
+  const result = await fetchRobotsTxt('https://shop.example');
+  assert.strictEqual(result.found, false);
+  assert.deepStrictEqual(result.robots.groups, []);
+  assert.ok(globalThis.fetch.mock.calls[0].arguments[1].signal instanceof AbortSignal);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { runScrollPass } = require('../src/scroll-pass');
+
+function pageState({ blocks = ['Spring collection'], headings = [], links = [], prices = [], images = [] } = {}) {
+  return {
+    text: { blocks: blocks.map(text => ({ tag: 'P', text })), truncated: false },
+    render: { textLength: blocks.join(' ').length, headings, links, prices },
+    images
+  };
+}
+
+// Answers the scroll pass's page.evaluate calls by function name: the before state until the first
+// scroll step, the after state from then on, and positions[n - 1] as the position after step n
+function fakePage(before, after, positions) {
+  let steps = 0;
+  const current = () => (steps === 0 ? before : after);
+  return {
+    async evaluate(fn) {
+      switch (fn.name) {
+        case 'extractTextBlocks': return current().text;
+        case 'sampleRenderState': return current().render;
+        case 'loadedImages': return current().images;
+        case 'scrollPosition': return steps === 0 ? { height: positions[0].height, atBottom: false } : positions[Math.min(steps, positions.length) - 1];
+        case 'scrollStep': steps++; return undefined;
+        default: return undefined;
+      }
+    }
+  };
+}
+
+const links = count => Array.from({ length: count }, (_, i) => `https://shop.example/products/${i}`);
+
+test('content that appears while scrolling is reported as scroll-only', async () => {
+  const before = pageState({ links: links(2), images: ['a.jpg'] });
+  const after = pageState({
+    blocks: ['Spring collection', 'Customer reviews'],
+    headings: ['Reviews'],
+    links: links(8),
+    prices: ['$19.99'],
+    images: ['a.jpg', 'b.jpg', 'c.jpg']
+  });
+  const result = await runScrollPass(fakePage(before, after, [
+    { height: 3000, atBottom: false },
+    { height: 3000, atBottom: true }
+  ]));
+
+  assert.strictEqual(result.steps, 2);
+  assert.strictEqual(result.reachedEnd, true);
+  assert.strictEqual(result.infiniteScroll, false);
+  assert.strictEqual(result.heightAfter, 3000);
+  assert.deepStrictEqual(result.onLoad, { textLength: 17, headings: 0, links: 2, prices: 0, images: 1 });
+  assert.deepStrictEqual(result.scrollOnly.headings, ['Reviews']);
+  assert.deepStrictEqual(result.scrollOnly.links, links(8).slice(2));
+  assert.deepStrictEqual(result.scrollOnly.prices, ['$19.99']);
+  assert.strictEqual(result.scrollOnly.images, 2);
+  assert.strictEqual(result.scrollOnly.blocks, 1);
+  assert.deepStrictEqual(result.scrollOnly.examples, ['Customer reviews']);
+  assert.strictEqual(result.requiresInteraction, true);
+});
+
+test('the baseline passed in replaces the one captured at the start', async () => {
+  const before = pageState({ links: links(2) });
+  const after = pageState({ links: links(2) });
+  const baseline = { ...before.render, text: before.text, images: [], height: 1200 };
+  const result = await runScrollPass(fakePage(after, after, [{ height: 1200, atBottom: true }]), { before: baseline });
+  assert.strictEqual(result.heightBefore, 1200);
+  assert.strictEqual(result.requiresInteraction, false);
+});
+
+test('requiresInteraction needs enough new text or links, or any new heading or price', async () => {
+  const bottom = [{ height: 1000, atBottom: true }];
+  const check = async after => (await runScrollPass(fakePage(pageState(), pageState(after), bottom))).requiresInteraction;
+
+  assert.strictEqual(await check({ links: links(4) }), false);
+  assert.strictEqual(await check({ links: links(5) }), true);
+  assert.strictEqual(await check({ blocks: ['Spring collection', 'x'.repeat(199)] }), false);
+  assert.strictEqual(await check({ blocks: ['Spring collection', 'x'.repeat(200)] }), true);
+  assert.strictEqual(await check({ headings: ['More like this'] }), true);
+  assert.strictEqual(await check({ prices: ['$5.00'] }), true);
+});
+
+test('a page still growing when the step budget runs out is infinite scroll', async () => {
+  const growing = Array.from({ length: 10 }, (_, i) => ({ height: 2000 + (i + 1) * 1000, atBottom: false }));
+  const endless = await runScrollPass(fakePage(pageState(), pageState(), growing), { maxSteps: 4 });
+  assert.strictEqual(endless.steps, 4);
+  assert.strictEqual(endless.reachedEnd, false);
+  assert.strictEqual(endless.infiniteScroll, true);
+
+  // One lazy section is not infinite scroll, even when the budget runs out before the bottom
+  const once = await runScrollPass(fakePage(pageState(), pageState(), [
+    { height: 3000, atBottom: false },
+    { height: 5000, atBottom: false }
+  ]), { maxSteps: 4 });
+  assert.strictEqual(once.reachedEnd, false);
+  assert.strictEqual(once.heightAfter - once.heightBefore, 2000);
+  assert.strictEqual(once.infiniteScroll, false);
+
+  // Growing then stopping at the bottom is a finite page
+  const finite = await runScrollPass(fakePage(pageState(), pageState(), [
+    { height: 3000, atBottom: false },
+    { height: 4000, atBottom: false },
+    { height: 4000, atBottom: true }
+  ]), { maxSteps: 10 });
+  assert.strictEqual(finite.reachedEnd, true);
+  assert.strictEqual(finite.infiniteScroll, false);
+});
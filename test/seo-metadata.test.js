@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareSeoMetadata } = require('../src/seo-metadata');
+
+function metadata(overrides = {}) {
+  return {
+    title: 'Blue shirt | Shop',
+    description: 'A soft cotton shirt.',
+    canonical: 'https://shop.example/blue-shirt',
+    robots: null,
+    googlebot: null,
+    hreflang: [],
+    openGraph: {},
+    twitter: {},
+    ...overrides
+  };
+}
+
+const severityOf = (result, field) => result.findings.filter(f => f.field === field).map(f => f.severity);
+
+test('unchanged metadata has no findings', () => {
+  const result = compareSeoMetadata(metadata(), metadata());
+  assert.deepStrictEqual(result.findings, []);
+  assert.deepStrictEqual(result.statusCounts, { unchanged: 6, added: 0, changed: 0, removed: 0 });
+});
+
+test('JS lifting or injecting noindex is a high-severity finding', () => {
+  const lifted = compareSeoMetadata(metadata({ robots: 'noindex, follow' }), metadata({ robots: 'index, follow' }));
+  assert.deepStrictEqual(severityOf(lifted, 'robots'), ['high']);
+  assert.match(lifted.findings[0].message, /non-rendering crawlers will not index this page/);
+
+  const removed = compareSeoMetadata(metadata({ googlebot: 'none' }), metadata());
+  assert.deepStrictEqual(severityOf(removed, 'googlebot'), ['high']);
+  assert.match(removed.findings[0].message, /removes it/);
+
+  const injected = compareSeoMetadata(metadata(), metadata({ robots: 'noindex' }));
+  assert.deepStrictEqual(severityOf(injected, 'robots'), ['high']);
+  assert.match(injected.findings[0].message, /noindex after rendering/);
+
+  // Any other robots rewrite is worth a look but does not flip indexability
+  const other = compareSeoMetadata(metadata({ robots: 'index' }), metadata({ robots: 'index, max-snippet:50' }));
+  assert.deepStrictEqual(severityOf(other, 'robots'), ['medium']);
+});
+
+test('a changed or removed canonical is high severity, one only set by JS is medium', () => {
+  const changed = compareSeoMetadata(metadata(), metadata({ canonical: 'https://shop.example/shirts' }));
+  assert.deepStrictEqual(severityOf(changed, 'canonical'), ['high']);
+  assert.strictEqual(changed.fields.canonical.status, 'changed');
+
+  const removed = compareSeoMetadata(metadata(), metadata({ canonical: null }));
+  assert.deepStrictEqual(severityOf(removed, 'canonical'), ['high']);
+
+  const added = compareSeoMetadata(metadata({ canonical: null }), metadata());
+  assert.deepStrictEqual(severityOf(added, 'canonical'), ['medium']);
+});
+
+test('title, description and hreflang changes use their field severities', () => {
+  const result = compareSeoMetadata(
+    metadata({ title: null, hreflang: [{ hreflang: 'de', href: 'https://shop.example/de' }] }),
+    metadata({
+      description: 'A soft, breathable cotton shirt.',
+      hreflang: [
+        { hreflang: 'en', href: 'https://shop.example/en' },
+        { hreflang: 'de', href: 'https://shop.example/de' }
+      ]
+    })
+  );
+  assert.deepStrictEqual(severityOf(result, 'title'), ['medium']);
+  assert.deepStrictEqual(severityOf(result, 'description'), ['low']);
+  assert.deepStrictEqual(severityOf(result, 'hreflang'), ['medium']);
+  assert.strictEqual(result.fields.hreflang.rendered, 'de=https://shop.example/de, en=https://shop.example/en');
+  assert.deepStrictEqual(result.statusCounts, { unchanged: 3, added: 1, changed: 2, removed: 0 });
+});
+
+test('hreflang order does not count as a change', () => {
+  const alternates = [
+    { hreflang: 'en', href: 'https://shop.example/en' },
+    { hreflang: 'de', href: 'https://shop.example/de' }
+  ];
+  const result = compareSeoMetadata(metadata({ hreflang: alternates }), metadata({ hreflang: [...alternates].reverse() }));
+  assert.strictEqual(result.fields.hreflang.status, 'unchanged');
+});
+
+test('social tag changes are summarized in one low-severity finding', () => {
+  const result = compareSeoMetadata(
+    metadata({ openGraph: { 'og:title': 'Blue shirt' } }),
+    metadata({ openGraph: { 'og:title': 'Blue shirt', 'og:image': 'https://shop.example/shirt.jpg' }, twitter: { 'twitter:card': 'summary' } })
+  );
+  assert.deepStrictEqual(severityOf(result, 'social'), ['low']);
+  assert.match(result.findings[0].message, /^2 Open Graph\/Twitter tags set or changed by JS \(og:image, twitter:card\)$/);
+  assert.strictEqual(result.fields['og:title'].status, 'unchanged');
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RESULT_COLUMNS, buildResultRow, createCsvSink } = require('../src/sinks');
+const { parseCsv, toCsvLine } = require('../src/csv');
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempPath(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsra-sinks-'));
+  tempDirs.push(dir);
+  return path.join(dir, name);
+}
+
+function results(overrides = {}, chromium = {}) {
+  return {
+    url: 'https://shop.example/',
+    analysisType: 'quick',
+    runUrl: 'https://github.com/acme/site/actions/runs/42',
+    summary: {
+      averageContentChange: 63,
+      frameworksDetected: ['Next.js', 'React'],
+      llmAccessibilityScore: 42,
+      analysisConfidence: 90
+    },
+    recommendations: ['Render prices on the server', 'Add a canonical link', 'Ship fewer scripts'],
+    browsers: {
+      chromium: {
+        status: 'success',
+        rawHtmlLength: 1200,
+        renderedHtmlLength: 48000,
+        evasionUsed: 'stealth',
+        jsRenderedContent: {
+          summary: '12 items only after JS',
+          trulyMissingContent: {
+            headings: { count: 2, examples: ['Spring collection'] },
+            navigation: { count: 0, examples: [] },
+            criticalData: { count: 0, examples: [] },
+            interactiveElements: { count: 3 }
+          }
+        },
+        headingOutline: { h1: { raw: [], rendered: ['Spring collection'] }, jsOnly: [{}, {}], orderChanged: false },
+        ...chromium
+      }
+    },
+    robots: { disallowedFor: ['GPTBot', 'CCBot'] },
+    ...overrides
+  };
+}
+
+test('buildResultRow fills every result column', () => {
+  const row = buildResultRow(results());
+  assert.deepStrictEqual(Object.keys(row).sort(), RESULT_COLUMNS.map(column => column.key).sort());
+  assert.strictEqual(row.rawHtmlLength, 1200);
+  assert.strictEqual(row.contentChange, 63);
+  assert.strictEqual(row.frameworks, 'Next.js, React');
+  assert.strictEqual(row.status, 'Complete (quick)');
+  assert.strictEqual(row.recommendations, 'Render prices on the server | Add a canonical link');
+  assert.strictEqual(row.criticalMissing, 2);
+  assert.strictEqual(row.headingsMissing, 'Yes');
+  assert.strictEqual(row.navigationMissing, 'No');
+  assert.strictEqual(row.interactiveCount, 3);
+  assert.strictEqual(row.impactLevel, 'Medium');
+  assert.strictEqual(row.contentExample, 'Spring collection');
+  assert.strictEqual(row.evasion, 'stealth');
+  assert.strictEqual(row.protectedOrFailed, 'No');
+  assert.strictEqual(row.rawH1, 'None');
+  assert.strictEqual(row.renderedH1, 'Spring collection');
+  assert.strictEqual(row.jsOnlyHeadings, 2);
+  assert.strictEqual(row.headingOrderChanged, 'No');
+  assert.strictEqual(row.robotsDisallowedFor, 'GPTBot, CCBot');
+});
+
+test('buildResultRow rates missing prices high and tolerates missing sections', () => {
+  const pricing = results({}, {
+    jsRenderedContent: { trulyMissingContent: { criticalData: { count: 1, examples: ['$19.99'] } } }
+  });
+  assert.strictEqual(buildResultRow(pricing).impactLevel, 'High');
+  assert.strictEqual(buildResultRow(pricing).contentExample, '$19.99');
+
+  const bare = buildResultRow({ analysisType: 'full', summary: {}, browsers: {}, recommendations: null, robots: { error: 'timeout' } });
+  assert.strictEqual(bare.frameworks, 'None');
+  assert.strictEqual(bare.recommendations, 'Analysis complete');
+  assert.strictEqual(bare.runUrl, '');
+  assert.strictEqual(bare.impactLevel, 'Low');
+  assert.strictEqual(bare.contentExample, 'None');
+  assert.strictEqual(bare.jsSummary, 'No LLM analysis available');
+  assert.strictEqual(bare.rawH1, '');
+  assert.strictEqual(bare.robotsDisallowedFor, 'Unknown');
+});
+
+test('the CSV sink writes the header once and appends across runs', async () => {
+  const filePath = tempPath('results.csv');
+  const first = createCsvSink(filePath);
+  await first.writeResult({ url: 'https://shop.example/a' }, results());
+  const second = createCsvSink(filePath);
+  await second.writeError({ url: 'https://shop.example/b' }, new Error('net::ERR_NAME_NOT_RESOLVED'));
+
+  const rows = parseCsv(fs.readFileSync(filePath, 'utf8'));
+  assert.strictEqual(rows.length, 3);
+  assert.deepStrictEqual(rows[0], ['URL', ...RESULT_COLUMNS.map(column => column.header)]);
+  assert.strictEqual(rows[1][0], 'https://shop.example/a');
+  assert.strictEqual(rows[2][0], 'https://shop.example/b');
+  assert.strictEqual(rows[2][1 + RESULT_COLUMNS.findIndex(column => column.key === 'status')], 'Error');
+});
+
+test('the CSV sink refuses a file with a different column layout', () => {
+  const filePath = tempPath('old-results.csv');
+  const oldHeader = toCsvLine(['URL', ...RESULT_COLUMNS.slice(0, -2).map(column => column.header)]);
+  fs.writeFileSync(filePath, `${oldHeader}\r\nhttps://shop.example/a,1200\r\n`);
+  assert.throws(() => createCsvSink(filePath), /has different columns than this version writes/);
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8').split('\r\n').length, 3);
+
+  // A CRLF header with the current columns is fine
+  const current = tempPath('results.csv');
+  fs.writeFileSync(current, toCsvLine(['URL', ...RESULT_COLUMNS.map(column => column.header)]) + '\r\n');
+  assert.doesNotThrow(() => createCsvSink(current));
+});
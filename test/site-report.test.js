@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeCrawlUrl, parsePatterns, isCrawlable, pathTemplate, outputName } = require('../src/site-report');
+const SiteCrawler = require('../site-crawler');
+
+test('normalizeCrawlUrl drops fragments, tracking parameters and trailing slashes', () => {
+  assert.strictEqual(
+    normalizeCrawlUrl('https://shop.example/products/?utm_source=mail&color=blue&gclid=1#reviews'),
+    'https://shop.example/products?color=blue'
+  );
+  assert.strictEqual(normalizeCrawlUrl('https://shop.example/'), 'https://shop.example/');
+  assert.strictEqual(normalizeCrawlUrl('not a url'), null);
+});
+
+test('pathTemplate collapses ids, uuids and slugs', () => {
+  assert.strictEqual(pathTemplate('https://shop.example/'), '/');
+  assert.strictEqual(pathTemplate('https://shop.example/products/1234'), '/products/:id');
+  assert.strictEqual(pathTemplate('https://shop.example/orders/0f8fad5b-d9cb-469f-a165-70867728950e'), '/orders/:uuid');
+  assert.strictEqual(pathTemplate('https://shop.example/blog/how-to-fold-shirts.html'), '/blog/:slug.html');
+  assert.strictEqual(pathTemplate('https://shop.example/p/abc123'), '/p/:slug');
+  assert.strictEqual(pathTemplate('https://shop.example/about'), '/about');
+});
+
+test('isCrawlable keeps links on the site the seed was finally served from', () => {
+  const none = [];
+  // http→https and apex→www redirects of the seed stay in scope
+  assert.strictEqual(isCrawlable('https://example.com/about', 'http://example.com', none, none), true);
+  assert.strictEqual(isCrawlable('https://www.example.com/about', 'https://example.com/', none, none), true);
+  assert.strictEqual(isCrawlable('https://blog.example.com/post', 'https://example.com/', none, none), false);
+  assert.strictEqual(isCrawlable('https://other.example/', 'https://example.com/', none, none), false);
+  assert.strictEqual(isCrawlable('ftp://example.com/file', 'https://example.com/', none, none), false);
+  assert.strictEqual(isCrawlable('https://example.com/guide.pdf', 'https://example.com/', none, none), false);
+});
+
+test('isCrawlable applies include and exclude patterns to the path and query', () => {
+  const include = parsePatterns('^/products, ^/blog');
+  const exclude = parsePatterns(['sort=']);
+  assert.strictEqual(isCrawlable('https://example.com/products/1', 'https://example.com/', include, exclude), true);
+  assert.strictEqual(isCrawlable('https://example.com/products?sort=price', 'https://example.com/', include, exclude), false);
+  assert.strictEqual(isCrawlable('https://example.com/about', 'https://example.com/', include, exclude), false);
+});
+
+test('outputName is stable per URL and tells apart URLs with the same slug', () => {
+  assert.match(outputName('https://shop.example/products/shoes'), /^shop-example-products-shoes-[0-9a-f]{8}$/);
+  assert.strictEqual(outputName('https://shop.example/a?b'), outputName('https://shop.example/a?b'));
+  assert.notStrictEqual(outputName('https://shop.example/a?b'), outputName('https://shop.example/a/b'));
+});
+
+test('optionsFromEnv keeps CRAWL_MAX_DEPTH=0', () => {
+  assert.strictEqual(SiteCrawler.optionsFromEnv({ CRAWL_MAX_DEPTH: '0' }).maxDepth, 0);
+  assert.strictEqual(SiteCrawler.optionsFromEnv({ CRAWL_MAX_DEPTH: '4' }).maxDepth, 4);
+  assert.strictEqual(SiteCrawler.optionsFromEnv({}).maxDepth, 2);
+});
+
+test('discoverLinks follows links of the site the seed redirected to', () => {
+  const crawler = new SiteCrawler({ seedUrl: 'http://example.com' });
+  const browsers = {
+    chromium: {
+      finalUrl: 'https://www.example.com/',
+      links: { renderedInternalHrefs: ['https://www.example.com/about/', 'https://www.example.com/logo.png', 'https://www.example.com/about'] }
+    }
+  };
+  crawler.siteUrl = SiteCrawler.finalUrl(browsers);
+  assert.deepStrictEqual(crawler.discoverLinks(browsers), ['https://www.example.com/about']);
+});
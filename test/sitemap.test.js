@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSitemapXml, loadSitemapUrls, sampleByPathPrefix } = require('../src/sitemap');
+
+test('parses urlset locs, namespaced tags, CDATA and entities', () => {
+  const xml = `<?xml version="1.0"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://shop.example/a?x=1&amp;y=2</loc></url>
+  <url><loc><![CDATA[https://shop.example/b]]></loc></url>
+  <url><image:loc>https://shop.example/img.png</image:loc></url>
+</urlset>`;
+  const parsed = parseSitemapXml(xml);
+  assert.strictEqual(parsed.isIndex, false);
+  assert.deepStrictEqual(parsed.locs, ['https://shop.example/a?x=1&y=2', 'https://shop.example/b', 'https://shop.example/img.png']);
+});
+
+test('recognizes sitemap indexes', () => {
+  const xml = '<sitemapindex><sitemap><loc>https://shop.example/products.xml</loc></sitemap></sitemapindex>';
+  assert.deepStrictEqual(parseSitemapXml(xml), { isIndex: true, locs: ['https://shop.example/products.xml'] });
+});
+
+test('sampleByPathPrefix keeps the first URLs under each prefix', () => {
+  const urls = [
+    'https://shop.example/blog/a',
+    'https://shop.example/blog/b',
+    'https://shop.example/blog/c',
+    'https://shop.example/products/1',
+    'https://shop.example/',
+    'not a url'
+  ];
+  assert.deepStrictEqual(sampleByPathPrefix(urls, 2), [
+    'https://shop.example/blog/a',
+    'https://shop.example/blog/b',
+    'https://shop.example/products/1',
+    'https://shop.example/'
+  ]);
+  assert.strictEqual(sampleByPathPrefix(urls, 0), urls);
+});
+
+test('loadSitemapUrls records a stalled sitemap as an error instead of hanging', async (t) => {
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    if (url.endsWith('/sitemap_index.xml')) {
+      return new Response('<sitemapindex><sitemap><loc>https://shop.example/slow.xml</loc></sitemap>' +
+        '<sitemap><loc>https://shop.example/fast.xml</loc></sitemap></sitemapindex>');
+    }
+    if (url.endsWith('/fast.xml')) {
+      return new Response('<urlset><url><loc>https://shop.example/a</loc></url></urlset>');
+    }
+    return new Promise((resolve, reject) => {
+      // AbortSignal.timeout() does not keep the process alive by itself
+      const pending = setTimeout(() => {}, 5000);
+      options.signal.addEventListener('abort', () => {
+        clearTimeout(pending);
+        reject(options.signal.reason);
+      });
+    });
+  });
+
+  const result = await loadSitemapUrls('https://shop.example/sitemap_index.xml', { timeout: 20 });
+  assert.deepStrictEqual(result.urls, ['https://shop.example/a']);
+  assert.strictEqual(result.errors.length, 1);
+  assert.strictEqual(result.errors[0].sitemap, 'https://shop.example/slow.xml');
+  assert.match(result.errors[0].error, /timeout/);
+});